@@ -2,9 +2,11 @@
  * Accessibility Enhancements for dashboardr
  *
  * Provides:
- * - Modal focus trapping (Tab/Shift+Tab within modal, focus return on close)
+ * - Modal focus trapping (Tab/Shift+Tab within the top modal, focus return
+ *   on close, also for stacked modals)
  * - Tab keyboard navigation (Arrow keys, Home/End)
  * - ARIA live region for filter change announcements
+ *   (window.dashboardrAnnounce(message) for other modules)
  */
 
 (function() {
@@ -42,6 +44,9 @@
     }, 100);
   }
 
+  // Other modules (e.g. filter_summary.js) announce through the same region
+  window.dashboardrAnnounce = announce;
+
   // Listen for filter changes and announce
   document.addEventListener('dashboardr:filter-changed', function(e) {
     // Debounce announcements (500ms)
@@ -53,10 +58,12 @@
 
   // =========================================================
   // Modal Focus Trapping
-  // Trap Tab/Shift+Tab within open modals, return focus on close
+  // Trap Tab/Shift+Tab within the top open modal; modals stack
+  // (modal.js), so each one returns focus to where it was opened from
   // =========================================================
 
-  var previousActiveElement = null;
+  // Element focused before each open modal, bottom first
+  var focusStack = [];
 
   function getFocusableElements(container) {
     var selectors = [
@@ -75,37 +82,30 @@
       });
   }
 
-  function initModalFocusTrap() {
-    var overlay = document.getElementById('dashboardr-modal-overlay');
-    if (!overlay) return;
+  /** The top-most visible modal overlay, or null */
+  function topModalOverlay() {
+    var overlays = document.querySelectorAll('.dashboardr-modal-overlay');
+    for (var i = overlays.length - 1; i >= 0; i--) {
+      if (overlays[i].style.display === 'flex') return overlays[i];
+    }
+    return null;
+  }
 
-    // Add ARIA attributes
+  function onModalOpen(e) {
+    var overlay = e.detail && e.detail.overlay;
+    if (!overlay) return;
     overlay.setAttribute('role', 'dialog');
     overlay.setAttribute('aria-modal', 'true');
-    overlay.setAttribute('aria-label', 'Modal dialog');
-
-    // Observe modal visibility changes
-    var observer = new MutationObserver(function(mutations) {
-      mutations.forEach(function(mutation) {
-        if (mutation.attributeName === 'style') {
-          var isVisible = overlay.style.display === 'flex';
-          if (isVisible) {
-            onModalOpen(overlay);
-          } else {
-            onModalClose();
-          }
-        }
-      });
-    });
-    observer.observe(overlay, { attributes: true, attributeFilter: ['style'] });
-  }
+    var heading = overlay.querySelector('.dashboardr-modal-body h1, .dashboardr-modal-body h2, .dashboardr-modal-body h3');
+    overlay.setAttribute('aria-label', heading ? heading.textContent.trim() : 'Modal dialog');
 
-  function onModalOpen(overlay) {
     // Store the element that triggered the modal
-    previousActiveElement = document.activeElement;
+    focusStack.length = Math.min(focusStack.length, e.detail.depth || 0);
+    focusStack.push(document.activeElement);
 
     // Focus the close button after a short delay (content needs to render)
     setTimeout(function() {
+      if (overlay.style.display !== 'flex') return;
       var closeBtn = overlay.querySelector('.dashboardr-modal-close');
       if (closeBtn) {
         closeBtn.focus();
@@ -113,22 +113,28 @@
     }, 100);
   }
 
-  function onModalClose() {
+  function onModalClose(e) {
+    var depth = e.detail && typeof e.detail.depth === 'number' ? e.detail.depth : focusStack.length - 1;
+    var previous = focusStack[depth];
+    focusStack.length = Math.max(0, Math.min(focusStack.length, depth));
+
     // Return focus to the element that opened the modal
-    if (previousActiveElement && typeof previousActiveElement.focus === 'function') {
+    if (previous && typeof previous.focus === 'function' && document.contains(previous)) {
       try {
-        previousActiveElement.focus();
-      } catch (e) {
-        // Element may have been removed from DOM
+        previous.focus();
+      } catch (err) {
+        // Element may not be focusable any more
       }
     }
-    previousActiveElement = null;
   }
 
+  document.addEventListener('dashboardr:modal-open', onModalOpen);
+  document.addEventListener('dashboardr:modal-close', onModalClose);
+
   // Global keydown handler for modal focus trapping
   document.addEventListener('keydown', function(e) {
-    var overlay = document.getElementById('dashboardr-modal-overlay');
-    if (!overlay || overlay.style.display !== 'flex') return;
+    var overlay = topModalOverlay();
+    if (!overlay) return;
 
     if (e.key === 'Tab') {
       var focusable = getFocusableElements(overlay);
@@ -139,13 +145,13 @@
 
       if (e.shiftKey) {
         // Shift+Tab: wrap to last element
-        if (document.activeElement === first) {
+        if (document.activeElement === first || !overlay.contains(document.activeElement)) {
           e.preventDefault();
           last.focus();
         }
       } else {
         // Tab: wrap to first element
-        if (document.activeElement === last) {
+        if (document.activeElement === last || !overlay.contains(document.activeElement)) {
           e.preventDefault();
           first.focus();
         }
@@ -250,7 +256,6 @@
   function initAccessibility() {
     initMainLandmark();
     ensureLiveRegion();
-    initModalFocusTrap();
     initTabKeyboardNav();
   }
 
@@ -260,9 +265,4 @@
     initAccessibility();
   }
 
-  // Also run on window load as fallback (modal may be created later)
-  window.addEventListener('load', function() {
-    initModalFocusTrap();
-  });
-
 })();
@@ -12,25 +12,44 @@
  *      "reset" back to the unfiltered state.
  *
  * Supported backends:
- *   - **highcharter** (Highcharts)  — primary; full filter support
- *   - **plotly**                    — original-state storage only
- *   - **echarts4r** (ECharts)       — original-state storage only
+ *   - **highcharter** (Highcharts)  — full filter support
+ *   - **plotly**                    — full filter support
+ *   - **echarts4r** (ECharts)       — full filter support
+ *   - **leaflet**                   — markers/shapes filtered by their
+ *                                     properties, choropleths recoloured
  *   - **ggiraph**                   — static (no client-side filtering)
  *
+ * "Full filter support" means select/checkbox/radio, slider, number,
+ * date, date range, switch and text inputs, chart selections and
+ * brushed ranges.  Charts with a cross-tab payload are rebuilt from the
+ * filtered rows; other charts have their traces/series and categories
+ * filtered in place.  The adapters below only store the original state
+ * the filters start from; the filtering itself lives in input_filter.js.
+ *
  * Registration happens automatically via inline `<script>` tags that
  * dashboardr injects next to each rendered widget (see page_generation.R
  * and viz_generation.R).
  *
+ * The registry owns the `charts-registered` lifecycle phase (see
+ * lifecycle.js): it completes once htmlwidgets has rendered the widgets
+ * present at load.  Charts registered after that (deferred charts, lazy
+ * tabs) are announced with a `dashboardr:chart-registered` event on
+ * document (detail: {id, backend}) so the filters can catch up.
+ *
  * Public API (attached to `window`):
  *   dashboardrChartRegistry.registerChart(entry)
  *   dashboardrChartRegistry.registerTable(entry)
  *   dashboardrChartRegistry.registerDT(entry)
  *   dashboardrChartRegistry.registerReactable(entry)
+ *   dashboardrChartRegistry.registerMetric(entry)
+ *   dashboardrChartRegistry.unregisterChart(id)
  *   dashboardrChartRegistry.getCharts()      -> Array<entry>
  *   dashboardrChartRegistry.getTables()      -> Array<entry>
  *   dashboardrChartRegistry.getDTs()         -> Array<entry>
  *   dashboardrChartRegistry.getReactables()  -> Array<entry>
+ *   dashboardrChartRegistry.getMetrics()     -> Array<entry>
  *   dashboardrChartRegistry.resolveHighchart(entry) -> Highcharts.Chart|null
+ *   dashboardrChartRegistry.resolveLeafletMap(entry) -> L.Map|null
  *   dashboardrChartRegistry.deepClone(obj)   -> Object|null
  *   dashboardrChartRegistry.adapters         -> backend-specific helpers
  *
@@ -39,6 +58,7 @@
  *   window.dashboardrRegisterTable(entry)
  *   window.dashboardrRegisterDT(entry)
  *   window.dashboardrRegisterReactable(entry)
+ *   window.dashboardrRegisterMetric(entry)
  */
 (function() {
   'use strict';
@@ -50,14 +70,36 @@
     charts: {},
     tables: {},
     dts: {},
-    reactables: {}
+    reactables: {},
+    metrics: {}
   };
 
+  const lifecycle = window.dashboardrLifecycle || null;
+  const releaseCharts = lifecycle ? lifecycle.claim('charts-registered') : null;
+
   /** JSON round-trip clone; returns null if the object is not serialisable. */
   function deepClone(obj) {
     try { return JSON.parse(JSON.stringify(obj)); } catch (e) { return null; }
   }
 
+  /**
+   * Row objects from table data. htmlwidgets serialises data frames
+   * column-wise ({col: [values]}); registerTable() already gets rows.
+   */
+  function toRows(data) {
+    if (!data || Array.isArray(data)) return data || null;
+    const names = Object.keys(data);
+    const values = names.map(name => [].concat(data[name]));
+    const length = values.length > 0 ? values[0].length : 0;
+    const rows = [];
+    for (let i = 0; i < length; i++) {
+      const row = {};
+      names.forEach((name, k) => { row[name] = values[k][i]; });
+      rows.push(row);
+    }
+    return rows;
+  }
+
   // -----------------------------------------------------------------
   // Registration functions
   // -----------------------------------------------------------------
@@ -66,7 +108,7 @@
    * Register a chart (Highcharts, Plotly, ECharts, or ggiraph).
    * @param {Object} entry
    * @param {string} entry.id         - Unique DOM id of the chart container.
-   * @param {string} entry.backend    - One of "highcharter", "plotly", "echarts4r", "ggiraph".
+   * @param {string} entry.backend    - One of "highcharter", "plotly", "echarts4r", "leaflet", "ggiraph".
    * @param {Element} [entry.el]      - The DOM element.
    * @param {Object}  [entry.x]       - The htmlwidget `x` config object.
    * @param {string[]} [entry.filterVars] - Column names this chart responds to.
@@ -84,14 +126,35 @@
       chart: null
     };
     registry.charts[entry.id] = normalized;
+    if (lifecycle && lifecycle.isReady('charts-registered')) {
+      document.dispatchEvent(new CustomEvent('dashboardr:chart-registered', {
+        detail: { id: normalized.id, backend: normalized.backend }
+      }));
+    }
+  }
+
+  /**
+   * Remove a chart from the registry, e.g. when deferred_charts.js
+   * disposes a far-offscreen chart.  Filters skip it until it is
+   * registered again.
+   * @param {string} id - The id the chart was registered under.
+   */
+  function unregisterChart(id) {
+    delete registry.charts[id];
   }
 
   /**
-   * Register a plain HTML table for cross-tab filtering.
+   * Register a filterable table (add_table() / add_gt() with filter_vars).
    * @param {Object} entry
    * @param {string}   entry.id       - Table container id.
    * @param {Object[]} entry.data     - Row-oriented data array.
-   * @param {Object[]} entry.columns  - Column definitions.
+   * @param {string[]} entry.columns  - Displayed column names.
+   * @param {Object}   [entry.labels] - Header label per column.
+   * @param {Object}   [entry.formats] - Number format per column (digits, big_mark, prefix, suffix, scale).
+   * @param {number}   [entry.pageSize] - Rows per page.
+   * @param {string}   [entry.download] - CSV file name, or null for no download.
+   * @param {Object}   [entry.columnTypes] - {types: {col: "number"|"date"|"logical"|"factor"|"character"},
+   *                                          levels: {col: [factor levels]}}.
    * @param {string[]} [entry.filterVars] - Column names to filter on.
    */
   function registerTable(entry) {
@@ -100,6 +163,11 @@
       id: entry.id,
       data: entry.data || [],
       columns: entry.columns || [],
+      labels: entry.labels || {},
+      formats: entry.formats || {},
+      pageSize: entry.pageSize || 25,
+      download: entry.download || null,
+      columnTypes: entry.columnTypes || null,
       filterVars: entry.filterVars || null
     };
   }
@@ -107,13 +175,16 @@
   /**
    * Register a DT (DataTables) widget.
    * @param {Object} entry
+   * @param {Object} [entry.data]        - Filter data, as rows or column-wise.
+   * @param {Object} [entry.columnTypes] - Column types, as for registerTable().
    */
   function registerDT(entry) {
     if (!entry || !entry.id) return;
     registry.dts[entry.id] = {
       id: entry.id,
       el: entry.el || null,
-      data: entry.data || null,
+      data: toRows(entry.data),
+      columnTypes: entry.columnTypes || null,
       filterVars: entry.filterVars || null
     };
   }
@@ -121,17 +192,37 @@
   /**
    * Register a reactable widget.
    * @param {Object} entry
+   * @param {Object} [entry.data]        - Filter data, as rows or column-wise.
+   * @param {Object} [entry.columnTypes] - Column types, as for registerTable().
    */
   function registerReactable(entry) {
     if (!entry || !entry.id) return;
     registry.reactables[entry.id] = {
       id: entry.id,
       el: entry.el || null,
-      data: entry.data || null,
+      data: toRows(entry.data),
+      columnTypes: entry.columnTypes || null,
       filterVars: entry.filterVars || null
     };
   }
 
+  /**
+   * Register a filter-reactive value box, metric or sparkline card.
+   * @param {Object} entry
+   * @param {string}   entry.id     - The card's data-dashboardr-metric-id.
+   * @param {Object[]} entry.data   - Cross-tab rows (filter vars, x, n, value sums).
+   * @param {Object}   entry.config - Aggregation spec (agg, measure, xVar, filterVars, ...).
+   */
+  function registerMetric(entry) {
+    if (!entry || !entry.id || !entry.config) return;
+    registry.metrics[entry.id] = {
+      id: entry.id,
+      data: entry.data || [],
+      config: entry.config,
+      filterVars: entry.config.filterVars || null
+    };
+  }
+
   // -----------------------------------------------------------------
   // Accessors
   // -----------------------------------------------------------------
@@ -140,6 +231,7 @@
   function getTables() { return Object.values(registry.tables); }
   function getDTs() { return Object.values(registry.dts); }
   function getReactables() { return Object.values(registry.reactables); }
+  function getMetrics() { return Object.values(registry.metrics); }
 
   // -----------------------------------------------------------------
   // Highcharts resolution
@@ -167,6 +259,30 @@
     return entry.chart;
   }
 
+  // -----------------------------------------------------------------
+  // Leaflet resolution
+  // -----------------------------------------------------------------
+
+  /**
+   * Resolve the L.Map of a leaflet widget. The leaflet htmlwidget
+   * instance exposes it through `getMap()`.  The result is cached on
+   * `entry.chart`.
+   *
+   * @param {Object} entry - A registered chart entry.
+   * @returns {L.Map|null}
+   */
+  function resolveLeafletMap(entry) {
+    if (entry.chart) return entry.chart;
+    if (!entry.el) return null;
+    let instance = null;
+    if (window.HTMLWidgets && entry.el.id) {
+      try { instance = HTMLWidgets.find('#' + entry.el.id); } catch (e) { instance = null; }
+    }
+    instance = instance || entry.el.htmlwidget_data_init_result || null;
+    entry.chart = instance && typeof instance.getMap === 'function' ? instance.getMap() : null;
+    return entry.chart;
+  }
+
   // -----------------------------------------------------------------
   // Backend adapters — store/restore original data per backend
   // -----------------------------------------------------------------
@@ -182,7 +298,8 @@
           .filter(s => s && typeof s === 'object')
           .map(s => ({
           name: s.name,
-          data: deepClone(s.options.data || [])
+          data: deepClone(s.options.data || []),
+          nodes: s.options.nodes ? deepClone(s.options.nodes) : null
         }));
         const categories = chart.xAxis && chart.xAxis[0] && chart.xAxis[0].categories
           ? deepClone(chart.xAxis[0].categories)
@@ -210,12 +327,69 @@
         entry.original = { option };
       }
     },
+    /**
+     * Leaflet: look up every filterable feature by its layerId (see
+     * R/leaflet_filter.R) with the layer group it lives in, plus the
+     * initial view to return to when the filters are cleared.
+     */
+    leaflet: {
+      resolve: resolveLeafletMap,
+      storeOriginal: function(entry) {
+        const map = resolveLeafletMap(entry);
+        const spec = entry.x && entry.x.dashboardr_leaflet;
+        if (!map || !spec || entry.original) return;
+        const manager = map.layerManager;
+        if (!manager || typeof manager.getLayer !== 'function') return;
+        const layers = [].concat(spec.layers || []).map(layer => {
+          const groups = layer.groups ? [].concat(layer.groups) : null;
+          const features = [].concat(layer.layerIds || []).map((id, i) => {
+            const leafletLayer = manager.getLayer(layer.category, String(id));
+            if (!leafletLayer) return null;
+            const group = groups ? groups[i] : null;
+            const container = group && typeof manager.getLayerGroup === 'function'
+              ? manager.getLayerGroup(group, true)
+              : map;
+            return { layer: leafletLayer, container };
+          });
+          return { spec: layer, features };
+        });
+        entry.original = { center: map.getCenter(), zoom: map.getZoom(), layers };
+      }
+    },
     /** ggiraph: static SVG — no client-side data to preserve */
     ggiraph: {
       storeOriginal: function() { /* no-op */ }
     }
   };
 
+  // -----------------------------------------------------------------
+  // Lifecycle: charts-registered
+  // -----------------------------------------------------------------
+
+  /**
+   * htmlwidgets renders the page's widgets on DOMContentLoaded (its
+   * listener is added in <head>, before ours) and their onRender hooks
+   * register them.  Widgets still unbound by then are waited for through
+   * htmlwidgets' post-render handlers, with window load as the backstop.
+   */
+  function awaitWidgets() {
+    const pending = document.querySelector('.html-widget:not(.html-widget-static-bound)');
+    if (!pending || typeof HTMLWidgets === 'undefined' || !HTMLWidgets.addPostRenderHandler) {
+      releaseCharts();
+      return;
+    }
+    HTMLWidgets.addPostRenderHandler(releaseCharts);
+    window.addEventListener('load', releaseCharts);
+  }
+
+  if (releaseCharts) {
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', awaitWidgets);
+    } else {
+      awaitWidgets();
+    }
+  }
+
   // -----------------------------------------------------------------
   // Public API
   // -----------------------------------------------------------------
@@ -225,11 +399,15 @@
     registerTable,
     registerDT,
     registerReactable,
+    registerMetric,
+    unregisterChart,
     getCharts,
     getTables,
     getDTs,
     getReactables,
+    getMetrics,
     resolveHighchart,
+    resolveLeafletMap,
     deepClone,
     adapters
   };
@@ -239,4 +417,5 @@
   window.dashboardrRegisterTable = registerTable;
   window.dashboardrRegisterDT = registerDT;
   window.dashboardrRegisterReactable = registerReactable;
+  window.dashboardrRegisterMetric = registerMetric;
 })();
@@ -1,29 +1,86 @@
 /**
  * Deferred Charts Module for dashboardr
  *
- * Watches for show_when visibility changes and hydrates deferred chart
- * placeholders on demand. This dramatically reduces initial page size by
- * only rendering charts when they become visible.
+ * Hydrates deferred chart placeholders as they approach the viewport.
+ * This dramatically reduces initial page size and load work by only
+ * rendering charts the reader is about to see.
  *
  * Flow:
  * 1. R generates placeholder divs with data-chart-url attributes
- * 2. show_when.js toggles visibility via dashboardr-sw-hidden class
- * 3. This module detects when a placeholder becomes visible
- * 4. Fetches chart options JSON and creates the chart
- * 5. Registers the chart with the chart registry for cross-tab filtering
+ * 2. An IntersectionObserver watches every placeholder; hidden ones
+ *    (show_when's dashboardr-sw-hidden class, inactive tabs) never
+ *    intersect, so they wait until they are revealed
+ * 3. When a placeholder comes within `rootMargin` of the viewport this
+ *    module fetches its chart options JSON and creates the chart
+ * 4. The chart is registered with the chart registry for cross-tab filtering
+ *
+ * Watching starts in the url-restored lifecycle phase (lifecycle.js), once
+ * show_when has applied the restored filter values.
+ *
+ * Options are read from window.dashboardrDeferredConfig (written by
+ * enable_deferred_charts()):
+ *   rootMargin      - how close to the viewport a chart hydrates ("300px")
+ *   prefetch        - fetch the JSON of charts within prefetchMargin
+ *                     while the browser is idle (true)
+ *   prefetchMargin  - the prefetch distance ("1500px")
+ *   dehydrate       - dispose charts further than dehydrateMargin from the
+ *                     viewport (or hidden again) and put the placeholder
+ *                     back: true, false or "auto" (only on devices
+ *                     reporting <= 4 GB of memory or with data saving on)
+ *   dehydrateMargin - the dehydrate distance ("3000px")
+ *   maxFetches      - chart JSON requests in flight at once (4)
+ *
+ * Hydration fetches jump ahead of queued prefetches. Browsers without
+ * IntersectionObserver hydrate every visible placeholder instead.
+ *
+ * Public API: window.dashboardrDeferredCharts.observe(root) starts watching
+ * placeholders added after load; hydrate(el) / dehydrate(el) act on one
+ * placeholder and checkAndHydrate() hydrates everything visible now.
  */
 (function() {
   'use strict';
 
-  // Cache for fetched chart options (URL -> parsed JSON)
+  var userConfig = window.dashboardrDeferredConfig || {};
+  var config = {
+    rootMargin: userConfig.rootMargin || '300px',
+    prefetch: userConfig.prefetch !== false,
+    prefetchMargin: userConfig.prefetchMargin || '1500px',
+    dehydrate: userConfig.dehydrate === undefined ? 'auto' : userConfig.dehydrate,
+    dehydrateMargin: userConfig.dehydrateMargin || '3000px',
+    maxFetches: Math.max(1, parseInt(userConfig.maxFetches, 10) || 4)
+  };
+
+  // Cache for fetched chart options (URL -> JSON text). The text is parsed
+  // again for every chart built from it, because the chart libraries
+  // mutate the options they are given. Entries of dehydrated charts are
+  // dropped, so the cache only grows with the charts kept on the page.
   var optionsCache = {};
 
-  // Set of chart IDs that have been hydrated
+  // Set of chart IDs that have been hydrated (or are being fetched)
   var hydratedCharts = new Set();
 
-  // Queue for hydration requests
-  var hydrationQueue = [];
-  var isProcessing = false;
+  // Fetch queue: at most config.maxFetches requests run at once
+  var fetchQueue = [];
+  var pendingFetches = {};
+  var activeFetches = 0;
+
+  // URLs waiting for an idle callback to prefetch them
+  var prefetchQueue = [];
+  var prefetchScheduled = false;
+
+  var hydrateObserver = null;
+  var prefetchObserver = null;
+  var dehydrateObserver = null;
+
+  /**
+   * Whether far-offscreen charts should be disposed on this device.
+   */
+  function shouldDehydrate() {
+    if (config.dehydrate !== 'auto') return config.dehydrate === true;
+    var connection = navigator.connection;
+    if (connection && connection.saveData) return true;
+    return typeof navigator.deviceMemory === 'number' && navigator.deviceMemory <= 4;
+  }
 
   /**
    * Recursively walk an object and convert string values that look like
@@ -51,6 +108,99 @@
     return obj;
   }
 
+  // ---------------------------------------------------------------------------
+  // Fetching
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Start queued fetches until maxFetches are in flight
+   */
+  function pumpFetchQueue() {
+    while (activeFetches < config.maxFetches && fetchQueue.length > 0) {
+      var job = fetchQueue.shift();
+      activeFetches++;
+      fetch(job.url)
+        .then(function(response) {
+          if (!response.ok) throw new Error('HTTP ' + response.status);
+          return response.text();
+        })
+        .then(job.resolve, job.reject)
+        .then(function() {
+          activeFetches--;
+          pumpFetchQueue();
+        });
+    }
+  }
+
+  /**
+   * Fetch a chart's options JSON through the queue. Urgent requests (a chart
+   * about to be shown) go ahead of prefetches, and a queued prefetch of the
+   * same URL is moved to the front instead of being requested twice.
+   * @returns {Promise<string>} The JSON text
+   */
+  function loadOptions(url, urgent) {
+    if (optionsCache[url]) return Promise.resolve(optionsCache[url]);
+
+    var job = pendingFetches[url];
+    if (job) {
+      var queued = fetchQueue.indexOf(job);
+      if (urgent && queued > 0) {
+        fetchQueue.splice(queued, 1);
+        fetchQueue.unshift(job);
+      }
+      return job.promise;
+    }
+
+    job = { url: url };
+    job.promise = new Promise(function(resolve, reject) {
+      job.resolve = resolve;
+      job.reject = reject;
+    }).then(function(text) {
+      delete pendingFetches[url];
+      optionsCache[url] = text;
+      return text;
+    }, function(err) {
+      delete pendingFetches[url];
+      throw err;
+    });
+    pendingFetches[url] = job;
+    if (urgent) fetchQueue.unshift(job); else fetchQueue.push(job);
+    pumpFetchQueue();
+    return job.promise;
+  }
+
+  /**
+   * Prefetch queued URLs while the browser is idle
+   */
+  function schedulePrefetch() {
+    if (prefetchScheduled || prefetchQueue.length === 0) return;
+    prefetchScheduled = true;
+    var idle = window.requestIdleCallback || function(fn) {
+      return setTimeout(function() { fn({ timeRemaining: function() { return 1; } }); }, 1);
+    };
+    idle(function(deadline) {
+      prefetchScheduled = false;
+      while (prefetchQueue.length > 0 && deadline.timeRemaining() > 0) {
+        var url = prefetchQueue.shift();
+        if (!optionsCache[url] && !pendingFetches[url]) {
+          loadOptions(url, false).catch(function() { /* retried on hydration */ });
+        }
+      }
+      schedulePrefetch();
+    }, { timeout: 2000 });
+  }
+
+  function prefetchChart(el) {
+    var url = el.getAttribute('data-chart-url');
+    if (!url || optionsCache[url] || pendingFetches[url] || prefetchQueue.indexOf(url) !== -1) return;
+    prefetchQueue.push(url);
+    schedulePrefetch();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Hydration
+  // ---------------------------------------------------------------------------
+
   /**
    * Hydrate a single deferred chart placeholder
    */
@@ -67,21 +217,11 @@
     // Mark as hydrated immediately to prevent double-hydration
     hydratedCharts.add(chartId);
 
-    // Check cache first
-    if (optionsCache[chartUrl]) {
-      _createChart(el, optionsCache[chartUrl], backend, chartId, height);
-      return;
-    }
-
-    // Fetch chart options
-    fetch(chartUrl)
-      .then(function(response) {
-        if (!response.ok) throw new Error('HTTP ' + response.status);
-        return response.json();
-      })
-      .then(function(payload) {
-        optionsCache[chartUrl] = payload;
-        _createChart(el, payload, backend, chartId, height);
+    loadOptions(chartUrl, true)
+      .then(function(text) {
+        // Dehydrated again while the request was queued
+        if (!hydratedCharts.has(chartId)) return;
+        _createChart(el, JSON.parse(text), backend, chartId, height);
       })
       .catch(function(err) {
         console.error('dashboardr deferred: Failed to load chart ' + chartId + ':', err);
@@ -90,6 +230,48 @@
       });
   }
 
+  /**
+   * Dispose a hydrated chart, drop its cached JSON and put its placeholder
+   * back, so it is fetched and hydrated again when it comes back near the
+   * viewport
+   */
+  function dehydrateChart(el) {
+    var chartId = el.getAttribute('data-chart-id');
+    var container = el._dashboardrContainer;
+    if (!container || !hydratedCharts.has(chartId)) return;
+
+    try {
+      if (container._hcChart) container._hcChart.destroy();
+      if (container._echartsInstance) container._echartsInstance.dispose();
+      if (el.getAttribute('data-chart-backend') === 'plotly' && typeof Plotly !== 'undefined') {
+        Plotly.purge(container);
+      }
+    } catch (e) {
+      console.error('dashboardr deferred: Failed to dispose chart ' + chartId + ':', e);
+    }
+
+    if (el._dashboardrResizeObserver) {
+      el._dashboardrResizeObserver.disconnect();
+      el._dashboardrResizeObserver = null;
+    }
+    var registry = window.dashboardrChartRegistry;
+    if (registry && registry.unregisterChart && el._dashboardrRegistryId) {
+      registry.unregisterChart(el._dashboardrRegistryId);
+    }
+
+    el._dashboardrContainer = null;
+    el.innerHTML = '';
+    el.classList.remove('dashboardr-deferred-hydrated', 'dashboardr-deferred-pending-filters');
+    el.classList.add('dashboardr-deferred-chart');
+    if (el._dashboardrOverlay) {
+      var overlay = el._dashboardrOverlay.cloneNode(true);
+      overlay.style.opacity = '';
+      el.appendChild(overlay);
+    }
+    delete optionsCache[el.getAttribute('data-chart-url')];
+    hydratedCharts.delete(chartId);
+  }
+
   /**
    * Create a chart from fetched options
    */
@@ -105,8 +287,12 @@
     // Grab the existing overlay before clearing children
     var overlay = el.querySelector('.dashboardr-deferred-overlay');
 
-    // Detach overlay temporarily so innerHTML='' doesn't destroy it
-    if (overlay) overlay.parentNode.removeChild(overlay);
+    // Detach overlay temporarily so innerHTML='' doesn't destroy it, and keep
+    // a pristine copy for dehydrateChart()
+    if (overlay) {
+      overlay.parentNode.removeChild(overlay);
+      if (!el._dashboardrOverlay) el._dashboardrOverlay = overlay.cloneNode(true);
+    }
 
     // Clear remaining placeholder content
     el.innerHTML = '';
@@ -120,6 +306,8 @@
     container.style.height = height + 'px';
     container.style.minHeight = height + 'px';
     el.appendChild(container);
+    el._dashboardrContainer = container;
+    el._dashboardrRegistryId = crossTabId || chartId;
 
     // Re-attach the overlay on top — spinner keeps spinning while chart renders
     if (overlay) {
@@ -148,20 +336,9 @@
       el._dashboardrResizeObserver = resizeObserver;
     }
 
-    // Schedule a debounced applyAllFilters after all pending hydrations complete.
-    // This ensures filters are applied once (not per-chart), preventing visible double-renders.
-    _scheduleFilterApply();
-  }
-
-  var _filterApplyTimer = null;
-  function _scheduleFilterApply() {
-    if (_filterApplyTimer) clearTimeout(_filterApplyTimer);
-    _filterApplyTimer = setTimeout(function() {
-      _filterApplyTimer = null;
-      if (window.dashboardrInputs && window.dashboardrInputs.applyFilters) {
-        window.dashboardrInputs.applyFilters();
-      }
-    }, 300);
+    // Registering the chart (above) announces it with a
+    // dashboardr:chart-registered event; input_filter.js then applies the
+    // current filters once per animation frame and fades the overlay out.
   }
 
   /**
@@ -271,8 +448,13 @@
     }
   }
 
+  // ---------------------------------------------------------------------------
+  // Viewport tracking
+  // ---------------------------------------------------------------------------
+
   /**
-   * Check all deferred charts and hydrate visible ones
+   * Check all deferred charts and hydrate visible ones (used when
+   * IntersectionObserver is unavailable, and to force-hydrate e.g. for printing)
    */
   function checkAndHydrate() {
     var deferredEls = document.querySelectorAll('.dashboardr-deferred-chart');
@@ -291,70 +473,77 @@
   }
 
   /**
-   * MutationObserver: watch for show_when class changes
+   * Create the observers. Hidden placeholders have no layout box, so they
+   * never intersect: show_when and tab changes need no extra listeners.
    */
-  function initObserver() {
-    var observer = new MutationObserver(function(mutations) {
-      var shouldCheck = false;
-      for (var i = 0; i < mutations.length; i++) {
-        var mutation = mutations[i];
-        if (mutation.type === 'attributes' && mutation.attributeName === 'class') {
-          var target = mutation.target;
-          // Check if a show_when container just became visible
-          if (target.classList && target.classList.contains('viz-show-when') &&
-              !target.classList.contains('dashboardr-sw-hidden')) {
-            shouldCheck = true;
-            break;
-          }
-        }
-        // Also watch for child additions (dynamic content)
-        if (mutation.type === 'childList' && mutation.addedNodes.length > 0) {
-          shouldCheck = true;
-          break;
-        }
-      }
+  function initObservers() {
+    hydrateObserver = new IntersectionObserver(function(entries) {
+      entries.forEach(function(entry) {
+        if (entry.isIntersecting) hydrateChart(entry.target);
+      });
+    }, { rootMargin: config.rootMargin });
+
+    var saveData = navigator.connection && navigator.connection.saveData;
+    if (config.prefetch && !saveData) {
+      prefetchObserver = new IntersectionObserver(function(entries) {
+        entries.forEach(function(entry) {
+          if (!entry.isIntersecting) return;
+          prefetchObserver.unobserve(entry.target);
+          prefetchChart(entry.target);
+        });
+      }, { rootMargin: config.prefetchMargin });
+    }
 
-      if (shouldCheck) {
-        // Debounce slightly to batch rapid changes
-        clearTimeout(initObserver._debounce);
-        initObserver._debounce = setTimeout(checkAndHydrate, 100);
-      }
-    });
+    if (shouldDehydrate()) {
+      dehydrateObserver = new IntersectionObserver(function(entries) {
+        entries.forEach(function(entry) {
+          if (!entry.isIntersecting) dehydrateChart(entry.target);
+        });
+      }, { rootMargin: config.dehydrateMargin });
+    }
+  }
 
-    observer.observe(document.body, {
-      attributes: true,
-      attributeFilter: ['class'],
-      subtree: true,
-      childList: true
+  /**
+   * Start watching placeholders that are not watched yet. Runs on init; call
+   * it again after adding placeholders to the page.
+   */
+  function observePlaceholders(root) {
+    if (!hydrateObserver) {
+      checkAndHydrate();
+      return;
+    }
+    (root || document).querySelectorAll('.dashboardr-deferred-chart').forEach(function(el) {
+      if (el._dashboardrObserved) return;
+      el._dashboardrObserved = true;
+      hydrateObserver.observe(el);
+      if (prefetchObserver) prefetchObserver.observe(el);
+      if (dehydrateObserver) dehydrateObserver.observe(el);
     });
   }
 
-  // Also listen for the dashboardr change event (fired by input_filter.js)
-  document.addEventListener('change', function() {
-    setTimeout(checkAndHydrate, 200);
-  });
-
   // Initialize when DOM is ready
   function init() {
-    // Initial check for any already-visible deferred charts
-    checkAndHydrate();
-    // Start watching for visibility changes
-    initObserver();
+    if (typeof IntersectionObserver === 'undefined') {
+      // show_when.js updates visibility on the same change events first
+      checkAndHydrate();
+      document.addEventListener('change', checkAndHydrate);
+      return;
+    }
+    initObservers();
+    observePlaceholders();
   }
 
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', function() {
-      // Give show_when.js time to set initial visibility
-      setTimeout(init, 500);
-    });
-  } else {
-    setTimeout(init, 500);
-  }
+  // Start once URL values are restored, so show_when visibility is final
+  window.dashboardrLifecycle.ready('url-restored').then(init);
 
-  // Export for debugging
+  // Public API (also handy for debugging)
   window.dashboardrDeferredCharts = {
+    config: config,
     hydrated: hydratedCharts,
     cache: optionsCache,
+    observe: observePlaceholders,
+    hydrate: hydrateChart,
+    dehydrate: dehydrateChart,
     checkAndHydrate: checkAndHydrate
   };
 
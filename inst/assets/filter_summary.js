@@ -0,0 +1,276 @@
+/**
+ * Active-Filter Summary for dashboardr
+ * ====================================
+ *
+ * Fills the bar rendered by add_filter_summary() with one chip per input
+ * that differs from its default ("Country: NL, DE ×"), plus chart
+ * selections and brushed ranges. The bar is hidden while nothing is
+ * filtered.
+ *
+ * ## Data flow
+ *
+ * Chips are rebuilt from window.dashboardrInputs.state and .defaults on
+ * every 'dashboardr:filter-changed' event. Removing a chip goes through
+ * dashboardrInputs.resetFilters() with the chip as the "button"
+ * (data-targets = its input id), exactly like add_reset_button();
+ * chart selections and brushes are cleared with clearChartSelection() /
+ * clearBrushSelection(). The new summary is read out through the live
+ * region of accessibility.js (window.dashboardrAnnounce).
+ */
+
+(function() {
+  'use strict';
+
+  var SELECTION_TYPES = ['select', 'checkbox', 'radio', 'button_group'];
+  var initialized = false;
+  var lastSummary = null;
+
+  // =========================================================
+  // Reading the input state
+  // =========================================================
+
+  function inputsApi() {
+    var api = window.dashboardrInputs;
+    return api && api.state && api.defaults && typeof api.resetFilters === 'function' ? api : null;
+  }
+
+  function sameValues(a, b) {
+    a = (a || []).map(String).sort();
+    b = (b || []).map(String).sort();
+    return a.length === b.length && a.every(function(v, i) { return v === b[i]; });
+  }
+
+  function isDefault(st, def) {
+    if (!def) return true;
+    if (SELECTION_TYPES.indexOf(st.inputType) >= 0) return sameValues(st.selected, def.selected);
+    if (st.inputType === 'daterange') {
+      return (st.start || '') === (def.start || '') && (st.end || '') === (def.end || '');
+    }
+    if (st.inputType === 'slider') {
+      return Number(st.value) === Number(def.value) &&
+        (st.upper === undefined || st.upper === null || Number(st.upper) === Number(def.upper));
+    }
+    return String(st.value === undefined || st.value === null ? '' : st.value) ===
+      String(def.value === undefined || def.value === null ? '' : def.value);
+  }
+
+  function inputLabel(inputId, st) {
+    var el = document.getElementById(inputId);
+    var group = el && el.closest('.dashboardr-input-group');
+    var label = group && group.querySelector('.dashboardr-input-label');
+    var text = label ? label.textContent.trim() : '';
+    text = text || st.filterVar || inputId;
+    // Tell apart the same filter in two filter scopes
+    return st.scope ? text + ' (' + st.scope + ')' : text;
+  }
+
+  // Display text of a selected value: the option or button label when the
+  // input shows one, otherwise the value itself
+  function optionText(inputId, value) {
+    var el = document.getElementById(inputId);
+    if (!el) return String(value);
+    var selector = '[value="' + String(value).replace(/["\\]/g, '\\$&') + '"]';
+    var match = el.matches('select') ? el.querySelector('option' + selector) : el.querySelector(selector);
+    if (!match) return String(value);
+    // Faceted inputs (add_input(facet = ...)) keep the label without its count
+    if (match.tagName === 'OPTION' || match.tagName === 'BUTTON') {
+      return match.dataset.facetLabel || match.textContent.trim() || String(value);
+    }
+    var label = match.closest('label');
+    return (label && (label.dataset.facetLabel || label.textContent.trim())) || String(value);
+  }
+
+  function valueText(inputId, st) {
+    if (SELECTION_TYPES.indexOf(st.inputType) >= 0) {
+      return (st.selected || []).map(function(v) { return optionText(inputId, v); }).join(', ');
+    }
+    if (st.inputType === 'slider') {
+      // The slider's own readout already shows labels and both handles
+      var readout = document.getElementById(inputId + '_value');
+      if (readout && readout.textContent.trim()) return readout.textContent.trim();
+      return st.upper === undefined || st.upper === null ? String(st.value) : st.value + ' \u2013 ' + st.upper;
+    }
+    if (st.inputType === 'switch') return st.value ? 'On' : 'Off';
+    if (st.inputType === 'text') return '\u201c' + st.value + '\u201d';
+    if (st.inputType === 'daterange') return (st.start || '\u2026') + ' \u2013 ' + (st.end || '\u2026');
+    return String(st.value);
+  }
+
+  function rangeText(range) {
+    if (!range) return '';
+    if (range.type === 'values') return (range.values || []).join(', ');
+    return range.min + ' \u2013 ' + range.max;
+  }
+
+  /**
+   * One entry per active filter: { key, label, text, clear(chip) }.
+   * Inputs driven by a chart selection are cleared with the selection.
+   */
+  function activeFilters(api) {
+    var chips = [];
+    var chartVars = {};
+    Object.keys(api.state).forEach(function(inputId) {
+      var st = api.state[inputId];
+      if (st.inputType === 'chart') chartVars[st.filterVar] = true;
+    });
+
+    Object.keys(api.state).forEach(function(inputId) {
+      var st = api.state[inputId];
+      if (st.inputType === 'chart' || st.inputType === 'range') return;
+      if (isDefault(st, api.defaults[inputId])) return;
+      chips.push({
+        key: inputId,
+        label: inputLabel(inputId, st),
+        text: valueText(inputId, st),
+        clear: chartVars[st.filterVar]
+          ? function() { api.clearChartSelection(st.filterVar); }
+          : function(chip) { api.resetFilters(chip); }
+      });
+      delete chartVars[st.filterVar];
+    });
+
+    Object.keys(api.state).forEach(function(inputId) {
+      var st = api.state[inputId];
+      if (st.inputType === 'chart' && chartVars[st.filterVar]) {
+        chips.push({
+          key: inputId,
+          label: st.filterVar,
+          text: (st.selected || []).join(', '),
+          clear: function() { api.clearChartSelection(st.filterVar); }
+        });
+      } else if (st.inputType === 'range') {
+        chips.push({
+          key: inputId,
+          label: st.filterVar,
+          text: rangeText(st.range),
+          clear: function() { api.clearBrushSelection(st.filterVar); }
+        });
+      }
+    });
+    return chips;
+  }
+
+  // =========================================================
+  // Rendering
+  // =========================================================
+
+  function announce(message) {
+    if (typeof window.dashboardrAnnounce === 'function') window.dashboardrAnnounce(message);
+  }
+
+  function summaryText(chips) {
+    if (chips.length === 0) return 'No filters active';
+    return chips.length + (chips.length === 1 ? ' filter active: ' : ' filters active: ') +
+      chips.map(function(c) { return c.label + ': ' + c.text; }).join('; ');
+  }
+
+  function renderBar(bar, chips) {
+    bar.innerHTML = '';
+    bar.hidden = chips.length === 0;
+    if (chips.length === 0) return;
+
+    var heading = document.createElement('span');
+    heading.className = 'dashboardr-filter-summary-label';
+    heading.textContent = bar.dataset.label || 'Active filters';
+    bar.appendChild(heading);
+
+    var list = document.createElement('ul');
+    list.className = 'dashboardr-filter-summary-chips';
+    list.setAttribute('aria-label', heading.textContent);
+    chips.forEach(function(spec) {
+      var item = document.createElement('li');
+      item.className = 'dashboardr-filter-chip';
+
+      var text = document.createElement('span');
+      text.className = 'dashboardr-filter-chip-text';
+      text.textContent = spec.label + ': ' + spec.text;
+      item.appendChild(text);
+
+      var remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'dashboardr-filter-chip-remove';
+      remove.setAttribute('data-targets', spec.key);
+      remove.setAttribute('aria-label', 'Remove filter ' + spec.label);
+      remove.innerHTML = '<span aria-hidden="true">&times;</span>';
+      remove.addEventListener('click', function() {
+        removeChip(bar, spec, remove);
+      });
+      item.appendChild(remove);
+      list.appendChild(item);
+    });
+    bar.appendChild(list);
+
+    if (bar.dataset.clearAll === 'true' && chips.length > 1) {
+      var clearAll = document.createElement('button');
+      clearAll.type = 'button';
+      clearAll.className = 'dashboardr-filter-summary-clear';
+      clearAll.setAttribute('data-targets', 'all');
+      clearAll.textContent = 'Clear all';
+      clearAll.addEventListener('click', function() {
+        var api = inputsApi();
+        if (!api) return;
+        api.resetFilters(clearAll);
+        focusAfterRemoval(bar);
+      });
+      bar.appendChild(clearAll);
+    }
+  }
+
+  function removeChip(bar, spec, button) {
+    var chips = Array.prototype.slice.call(bar.querySelectorAll('.dashboardr-filter-chip-remove'));
+    var index = chips.indexOf(button);
+    spec.clear(button);
+    focusAfterRemoval(bar, index);
+  }
+
+  // Keep keyboard focus in the bar: on the chip that took the removed
+  // one's place, or on the bar itself when no chips are left
+  function focusAfterRemoval(bar, index) {
+    var buttons = bar.querySelectorAll('.dashboardr-filter-chip-remove');
+    if (buttons.length > 0) {
+      buttons[Math.min(index || 0, buttons.length - 1)].focus();
+    } else {
+      bar.setAttribute('tabindex', '-1');
+      bar.focus();
+    }
+  }
+
+  function renderAll() {
+    var api = inputsApi();
+    var bars = document.querySelectorAll('.dashboardr-filter-summary[data-dashboardr-filter-summary]');
+    if (!api || bars.length === 0) return;
+    var chips = activeFilters(api);
+    bars.forEach(function(bar) { renderBar(bar, chips); });
+
+    var summary = summaryText(chips);
+    // The first render describes the page as loaded; only changes are read out
+    if (lastSummary !== null && summary !== lastSummary) {
+      // After the 'Filters updated' announcement accessibility.js queues
+      setTimeout(function() { announce(summary); }, 0);
+    }
+    lastSummary = summary;
+  }
+
+  // =========================================================
+  // Initialization
+  // =========================================================
+
+  function initFilterSummary() {
+    renderAll();
+    if (initialized) return;
+    initialized = true;
+    document.addEventListener('dashboardr:filter-changed', renderAll);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initFilterSummary);
+  } else {
+    initFilterSummary();
+  }
+
+  window.dashboardrFilterSummary = {
+    init: initFilterSummary,
+    refresh: renderAll
+  };
+
+})();
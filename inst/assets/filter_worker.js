@@ -0,0 +1,246 @@
+/**
+ * Filter Worker for dashboardr
+ *
+ * Runs in a Web Worker that input_filter.js starts for cross-tab datasets
+ * too large to filter on the main thread (see its "Filter Worker"
+ * section). Each dataset is posted once, under a key shared by every
+ * chart that uses it, and indexed on demand:
+ *
+ *   - a column is dictionary-encoded the first time it is used: its
+ *     distinct values, and a Uint32Array with each row's value code
+ *   - a column with at most BITSET_MAX_VALUES distinct values also gets
+ *     one bitset per value (bit i set when row i has that value)
+ *
+ * Filters arrive as clauses already resolved against the dictionaries:
+ * input_filter.js runs each input's test once per distinct value and
+ * sends the codes that pass, so a keystroke in a text filter costs one
+ * pass over the distinct values there and a few bitset ORs here.
+ * Clauses are ANDed; a clause may also admit the rows whose `orCol` has
+ * one of `orCodes` (series kept by a switch override).
+ *
+ * Messages (main thread -> worker):
+ *   {type: 'load', id, key, rows?, columns}
+ *       index `columns` of a dataset (`rows` on the first load only)
+ *   {type: 'query', id, key, clauses, aggregate}
+ *       clauses   - [{col, codes, orCol?, orCodes?}]
+ *       aggregate - {keys, sums}: add up the `sums` columns of the
+ *                   matching rows per combination of `keys`; null to get
+ *                   the indices of the matching rows instead
+ *
+ * Replies (worker -> main thread):
+ *   {type: 'loaded', id, key, size, names, dictionaries}
+ *   {type: 'result', id, rows} or {type: 'result', id, indices}
+ *   {type: 'error', id, message}
+ */
+(function() {
+  'use strict';
+
+  // Above this many distinct values a column is scanned by code instead
+  var BITSET_MAX_VALUES = 256;
+
+  // ORing a bitset costs size/32 steps, a scan of the codes size steps
+  var BITSET_MAX_CODES = 32;
+
+  var datasets = {};
+
+  function wordCount(size) {
+    return (size + 31) >>> 5;
+  }
+
+  function columnNames(rows) {
+    var seen = {};
+    var names = [];
+    rows.forEach(function(row) {
+      Object.keys(row).forEach(function(name) {
+        if (seen[name]) return;
+        seen[name] = true;
+        names.push(name);
+      });
+    });
+    return names;
+  }
+
+  /**
+   * Dictionary-encode one column. Values are told apart as the rows hold
+   * them (1 and "1" are two values), like the tests on the main thread.
+   */
+  function column(dataset, name) {
+    var col = dataset.columns[name];
+    if (col) return col;
+    var rows = dataset.rows;
+    var codes = new Uint32Array(rows.length);
+    var lookup = new Map();
+    var values = [];
+    for (var i = 0; i < rows.length; i++) {
+      var value = rows[i][name];
+      var code = lookup.get(value);
+      if (code === undefined) {
+        code = values.length;
+        lookup.set(value, code);
+        values.push(value);
+      }
+      codes[i] = code;
+    }
+    col = { codes: codes, values: values, bitsets: undefined };
+    dataset.columns[name] = col;
+    return col;
+  }
+
+  /** Per-value bitsets of a column, or null for high-cardinality columns */
+  function bitsets(dataset, col) {
+    if (col.bitsets !== undefined) return col.bitsets;
+    if (col.values.length > BITSET_MAX_VALUES) {
+      col.bitsets = null;
+      return null;
+    }
+    var words = wordCount(dataset.size);
+    var sets = col.values.map(function() { return new Uint32Array(words); });
+    for (var i = 0; i < dataset.size; i++) {
+      sets[col.codes[i]][i >>> 5] |= 1 << (i & 31);
+    }
+    col.bitsets = sets;
+    return sets;
+  }
+
+  /** Set the bits of the rows whose `name` value is one of `codes` */
+  function orCodes(out, dataset, name, codes) {
+    if (!codes || codes.length === 0) return;
+    var col = column(dataset, name);
+    var sets = codes.length <= BITSET_MAX_CODES ? bitsets(dataset, col) : null;
+    var i;
+    if (sets) {
+      codes.forEach(function(code) {
+        var bits = sets[code];
+        if (!bits) return;
+        for (i = 0; i < out.length; i++) out[i] |= bits[i];
+      });
+      return;
+    }
+    var pass = new Uint8Array(col.values.length);
+    codes.forEach(function(code) { pass[code] = 1; });
+    for (i = 0; i < dataset.size; i++) {
+      if (pass[col.codes[i]]) out[i >>> 5] |= 1 << (i & 31);
+    }
+  }
+
+  /** Bitset of the rows that pass every clause */
+  function matchRows(dataset, clauses) {
+    var words = wordCount(dataset.size);
+    var mask = new Uint32Array(words).fill(0xFFFFFFFF);
+    var tail = dataset.size & 31;
+    if (tail && words > 0) mask[words - 1] = (1 << tail) - 1;
+    clauses.forEach(function(clause) {
+      var allowed = new Uint32Array(words);
+      orCodes(allowed, dataset, clause.col, clause.codes);
+      if (clause.orCol) orCodes(allowed, dataset, clause.orCol, clause.orCodes);
+      for (var w = 0; w < words; w++) mask[w] &= allowed[w];
+    });
+    return mask;
+  }
+
+  /** Call fn(rowIndex) for every set bit, in row order */
+  function eachRow(mask, fn) {
+    for (var w = 0; w < mask.length; w++) {
+      var bits = mask[w];
+      while (bits) {
+        var low = bits & -bits;
+        fn((w << 5) + 31 - Math.clz32(low));
+        bits ^= low;
+      }
+    }
+  }
+
+  function indicesOf(mask) {
+    var indices = [];
+    eachRow(mask, function(i) { indices.push(i); });
+    return Uint32Array.from(indices);
+  }
+
+  /**
+   * One row per combination of the key columns among the matching rows,
+   * in order of first appearance, with the sums of the measure columns.
+   */
+  function aggregateRows(dataset, mask, keys, sums) {
+    var keyCols = keys.map(function(name) { return column(dataset, name); });
+    var radix = keyCols.reduce(function(acc, col) { return acc * Math.max(col.values.length, 1); }, 1);
+    var numeric = radix <= Number.MAX_SAFE_INTEGER;
+    var groups = new Map();
+    var out = [];
+    eachRow(mask, function(i) {
+      var id = numeric ? 0 : '';
+      for (var k = 0; k < keyCols.length; k++) {
+        if (numeric) id = id * Math.max(keyCols[k].values.length, 1) + keyCols[k].codes[i];
+        else id += keyCols[k].codes[i] + ',';
+      }
+      var row = groups.get(id);
+      if (!row) {
+        row = {};
+        keyCols.forEach(function(col, k) {
+          var value = col.values[col.codes[i]];
+          if (value !== undefined) row[keys[k]] = value;
+        });
+        sums.forEach(function(field) { row[field] = 0; });
+        groups.set(id, row);
+        out.push(row);
+      }
+      var source = dataset.rows[i];
+      sums.forEach(function(field) { row[field] += Number(source[field]) || 0; });
+    });
+    return out;
+  }
+
+  function load(message) {
+    var dataset = datasets[message.key];
+    if (!dataset) {
+      if (!Array.isArray(message.rows)) throw new Error('unknown dataset ' + message.key);
+      dataset = {
+        rows: message.rows,
+        size: message.rows.length,
+        names: columnNames(message.rows),
+        columns: {}
+      };
+      datasets[message.key] = dataset;
+    }
+    var dictionaries = {};
+    (message.columns || []).forEach(function(name) {
+      dictionaries[name] = column(dataset, name).values;
+    });
+    self.postMessage({
+      type: 'loaded',
+      id: message.id,
+      key: message.key,
+      size: dataset.size,
+      names: dataset.names,
+      dictionaries: dictionaries
+    });
+  }
+
+  function query(message) {
+    var dataset = datasets[message.key];
+    if (!dataset) throw new Error('unknown dataset ' + message.key);
+    var mask = matchRows(dataset, message.clauses || []);
+    var aggregate = message.aggregate;
+    if (aggregate) {
+      self.postMessage({
+        type: 'result',
+        id: message.id,
+        rows: aggregateRows(dataset, mask, aggregate.keys, aggregate.sums)
+      });
+      return;
+    }
+    var indices = indicesOf(mask);
+    self.postMessage({ type: 'result', id: message.id, indices: indices }, [indices.buffer]);
+  }
+
+  self.addEventListener('message', function(event) {
+    var message = event.data || {};
+    try {
+      if (message.type === 'load') load(message);
+      else if (message.type === 'query') query(message);
+      else throw new Error('unknown message type ' + message.type);
+    } catch (e) {
+      self.postMessage({ type: 'error', id: message.id, message: String(e && e.message || e) });
+    }
+  });
+
+})();
@@ -12,7 +12,8 @@
  * - Checkboxes (multiple selection)
  * - Radio buttons (single selection)
  * - Switches/toggles (boolean with optional series toggle)
- * - Sliders (numeric range with optional custom labels)
+ * - Sliders (single threshold or two-handle min/max range, optional
+ *   custom labels)
  * - Text search (partial match filtering)
  * - Number inputs (precise numeric filtering)
  * - Button groups (segmented controls)
@@ -21,36 +22,81 @@
  * ## File Structure (major sections)
  *
  *   Lines ~50-100    Global state, helpers, debug
- *   Lines ~107-700   Input initialisation (one init* function per type)
- *   Lines ~700-880   Lazy cross-tab data fetching (asset mode)
- *   Lines ~880-1550  applyAllFilters() — Highcharts cross-tab filtering
- *   Lines ~1556-1750 Plotly / ECharts / table filtering
- *   Lines ~1800-1960 Dynamic titles, select/clear all, reset
- *   Lines ~1960-3980 Cross-tab filtering engine (series-based, grouped,
- *                    stacked, scatter, boxplot, heatmap, etc.)
- *   Lines ~3980-4060 Bootstrap: init, event listeners, public API
+ *   Lines ~107-830   Input initialisation (one init* function per type)
+ *   Lines ~830-970   Date parsing and slider range helpers
+ *   Lines ~970-1140  Lazy cross-tab data fetching (asset mode)
+ *   Lines ~1140-1270 Filter scopes: scoped inputs, sync toggles
+ *   Lines ~1270-1695 Comparison mode: selection A vs B, paired/difference
+ *   Lines ~1695-2325 applyAllFilters() — Highcharts cross-tab filtering
+ *   Lines ~2325-2390 Shared category/value filters (all backends)
+ *   Lines ~2390-2865 Plotly / ECharts / table filtering
+ *   Lines ~2865-3015 Filterable tables: sorting, paging, CSV download
+ *   Lines ~3015-3205 Filter-reactive value boxes, metrics, sparklines
+ *   Lines ~3205-3380 Faceted options: per-option counts, empty options
+ *   Lines ~3380-3695 Leaflet maps: feature filtering, choropleths, bounds
+ *   Lines ~3695-3805 Dynamic titles, select/clear all, reset, applyState
+ *   Lines ~3805-4070 Cross-tab filtering engine: row filtering, dispatch
+ *   Lines ~4070-4305 Filter worker: large cross-tabs filtered off-thread
+ *   Lines ~4305-4610 Small-cell suppression: masking, "Suppressed" labels
+ *   Lines ~4610-4740 Weighted counts: percentages, unweighted-n tooltips
+ *   Lines ~4740-4945 Confidence intervals: moments, error-bar drawing
+ *   Lines ~4945-6815 Cross-tab rebuilders (series-based, grouped,
+ *                    stacked, timeline, pie, scatter, boxplot)
+ *   Lines ~6815-7560 Cross-tab rebuilders for heatmap, treemap, sankey,
+ *                    waffle, funnel, map, gauge and dumbbell charts
+ *   Lines ~7560-7965 Chart cross-filtering (click a chart to filter)
+ *   Lines ~7965-8335 Chart drill-down: modal with detail chart or rows
+ *   Lines ~8335-8705 Range brushing on timelines/scatters, selection chips
+ *   Lines ~8705-8800 Bootstrap: init, event listeners, public API
  *
  * ## Event Flow
  *
  *   User clicks input → init*() handler fires
  *     → updates inputState[filterVar]
  *     → calls applyAllFilters()
+ *       → mirrors the change to synced scopes (add_scope_sync())
+ *       → per filter scope, with the unscoped inputs plus its own:
+ *       → (comparison mode) filter the other selection too; bar and
+ *         timeline charts draw both, value boxes show the change
  *       → for each chart in registry:
  *           store original data if not stored
- *           filter cross-tab JSON by current inputState
+ *           filter cross-tab JSON by current inputState (large
+ *             cross-tabs in filter_worker.js, drawn when it answers)
  *           update Highcharts series/categories
+ *       → re-page, sort and summarise filterable tables
+ *       → show/hide Leaflet features, recolour choropleths, fit bounds
+ *       → recompute filter-reactive value boxes, metrics, sparklines
+ *       → recount faceted input options (add_input(facet = ...))
  *       → dispatches 'dashboardr:filter-changed' event
  *       → dispatches standard 'change' event (for show_when.js)
  *
+ *   Page load follows lifecycle.js: inputs-ready → charts-registered
+ *   (originals stored) → url-restored → first applyAllFilters() →
+ *   filters-applied. Later 'dashboardr:chart-registered' events re-apply.
+ *
  * ## Public API
  *
  *   window.dashboardrInputs.init()          — re-initialise inputs
- *   window.dashboardrInputs.applyFilters()  — force filter re-apply
+ *   window.dashboardrInputs.applyFilters()  — force filter re-apply (Promise:
+ *                                             settles once every chart is drawn)
  *   window.dashboardrInputs.reapply()       — reapply after DOM change
  *   window.dashboardrInputs.resetFilters(btn) — reset to defaults
+ *   window.dashboardrInputs.applyState(snapshot) — restore a state snapshot
+ *   window.dashboardrInputs.scopes()        — '' plus the filter scopes on the page
+ *   window.dashboardrInputs.scopeOf(inputId) — an input's filter scope ('' if none)
+ *   window.dashboardrInputs.compare(active) — turn comparison mode on/off
+ *   window.dashboardrInputs.editSelection('a'|'b') — edit selection A or B
  *   window.dashboardrInputs.state           — current filter state
  *   window.dashboardrInputs.defaults        — default filter values
  *   window.dashboardrInputs.choices          — Choices.js instances
+ *   window.dashboardrInputs.setChartSelection(var, values, chartId)
+ *                                           — select values as if clicked in a chart
+ *   window.dashboardrInputs.clearChartSelection(var?) — clear chart selection(s)
+ *   window.dashboardrInputs.setBrushSelection(chartId, {var: range})
+ *                                           — brush a range as if dragged in a chart
+ *   window.dashboardrInputs.clearBrushSelection(var|chartId?) — clear brush(es)
+ *   window.dashboardrInputs.drilldown(chartId, category, series?)
+ *                                           — open a chart's drill-down modal
  *
  *   window.dashboardrInputDebug.getState()   — snapshot of filter state
  *   window.dashboardrInputDebug.getCharts()  — registered chart entries
@@ -166,6 +212,9 @@
       console.warn('Choices.js not loaded - using native HTML for selects');
     }
 
+    // Record faceted inputs' options before Choices.js wraps the selects
+    initFacets();
+
     // Initialize SELECT inputs
     initSelectInputs(hasChoices);
     
@@ -196,8 +245,15 @@
     // Initialize DATERANGE inputs
     initDaterangeInputs();
 
-    // Note: storeOriginalData and applyAllFilters are called by waitForChartsAndApply
-    // after charts are fully loaded to avoid flickering
+    // Tag inputs with their filter scope and wire add_scope_sync() toggles
+    Object.keys(inputState).forEach(inputScope);
+    initScopeSync();
+
+    // Wire add_comparison() controls
+    initComparison();
+
+    // Note: storeOriginalData and applyAllFilters run from the lifecycle
+    // phases (see Bootstrap) after charts are fully loaded to avoid flickering
   }
 
   /**
@@ -413,7 +469,7 @@
    * Initialize SLIDER inputs
    */
   function initSliderInputs() {
-    const sliders = document.querySelectorAll('input[data-input-type="slider"]');
+    const sliders = document.querySelectorAll('[data-input-type="slider"]');
     
     sliders.forEach(input => {
       const inputId = input.id;
@@ -430,11 +486,6 @@
       
       input.dataset.dashboardrInitialized = 'true';
       
-      const value = parseFloat(input.value);
-      const min = parseFloat(input.min);
-      const max = parseFloat(input.max);
-      const step = parseFloat(input.step) || 1;
-      
       // Parse custom labels if provided
       let labels = null;
       if (input.dataset.labels) {
@@ -445,6 +496,17 @@
         }
       }
       
+      // Two-handle sliders are a container around a min and a max handle
+      if (input.dataset.range === 'true') {
+        initRangeSlider(input, filterVar, labels);
+        return;
+      }
+      
+      const value = parseFloat(input.value);
+      const min = parseFloat(input.min);
+      const max = parseFloat(input.max);
+      const step = parseFloat(input.step) || 1;
+      
       inputState[inputId] = {
         filterVar,
         inputType: 'slider',
@@ -479,21 +541,88 @@
   }
   
   /**
-   * Update slider display value (supports custom labels)
+   * Initialize a two-handle range slider. The container carries the filter
+   * metadata; its `data-role="min"` and `data-role="max"` range inputs hold
+   * the lower and upper bound, stored as `value` and `upper` in the state.
+   */
+  function initRangeSlider(container, filterVar, labels) {
+    const inputId = container.id;
+    const lowInput = container.querySelector('input[data-role="min"]');
+    const highInput = container.querySelector('input[data-role="max"]');
+    if (!lowInput || !highInput) {
+      console.warn(`Range slider ${inputId} is missing its min/max handles`);
+      return;
+    }
+    
+    const min = parseFloat(lowInput.min);
+    const max = parseFloat(lowInput.max);
+    const step = parseFloat(lowInput.step) || 1;
+    const low = parseFloat(lowInput.value);
+    const high = parseFloat(highInput.value);
+    
+    inputState[inputId] = {
+      filterVar,
+      inputType: 'slider',
+      selected: [lowInput.value, highInput.value],
+      value: low,
+      upper: high,
+      min: min,
+      max: max,
+      step: step,
+      labels: labels
+    };
+    
+    defaultValues[inputId] = { value: low, upper: high };
+    
+    updateSliderDisplay(inputId, container, labels, low, min, step, high);
+    updateRangeSliderTrack(container);
+    
+    const onInput = moved => {
+      // Handles may not cross: the one being dragged stops at the other
+      if (parseFloat(lowInput.value) > parseFloat(highInput.value)) {
+        if (moved === lowInput) {
+          lowInput.value = highInput.value;
+        } else {
+          highInput.value = lowInput.value;
+        }
+      }
+      const newLow = parseFloat(lowInput.value);
+      const newHigh = parseFloat(highInput.value);
+      inputState[inputId].selected = [lowInput.value, highInput.value];
+      inputState[inputId].value = newLow;
+      inputState[inputId].upper = newHigh;
+      
+      updateSliderDisplay(inputId, container, labels, newLow, min, step, newHigh);
+      updateRangeSliderTrack(container);
+      debugInputState(inputId, 'slider-range-input');
+      applyAllFilters();
+    };
+    
+    lowInput.addEventListener('input', () => onInput(lowInput));
+    highInput.addEventListener('input', () => onInput(highInput));
+  }
+  
+  /**
+   * Update slider display value (supports custom labels). Range sliders
+   * pass their upper bound and show "low – high".
    */
-  function updateSliderDisplay(inputId, input, labels, value, min, step) {
+  function updateSliderDisplay(inputId, input, labels, value, min, step, upper) {
     const valueDisplay = document.getElementById(inputId + '_value');
     if (valueDisplay) {
-      if (labels && labels.length > 0) {
-        // Calculate which label to show
-        const idx = Math.round((value - min) / step);
-        if (idx >= 0 && idx < labels.length) {
-          valueDisplay.textContent = labels[idx];
-        } else {
-          valueDisplay.textContent = value;
+      const displayText = v => {
+        if (labels && labels.length > 0) {
+          // Calculate which label to show
+          const idx = Math.round((v - min) / step);
+          if (idx >= 0 && idx < labels.length) {
+            return labels[idx];
+          }
         }
+        return v;
+      };
+      if (upper === undefined || upper === null) {
+        valueDisplay.textContent = displayText(value);
       } else {
-        valueDisplay.textContent = value;
+        valueDisplay.textContent = displayText(value) + ' \u2013 ' + displayText(upper);
       }
     }
   }
@@ -730,6 +859,22 @@
     input.style.setProperty('--slider-percent', percent + '%');
   }
 
+  /**
+   * Update the filled segment between the two handles of a range slider
+   */
+  function updateRangeSliderTrack(container) {
+    const lowInput = container.querySelector('input[data-role="min"]');
+    const highInput = container.querySelector('input[data-role="max"]');
+    if (!lowInput || !highInput) return;
+    const min = parseFloat(lowInput.min) || 0;
+    const max = parseFloat(lowInput.max) || 100;
+    const span = (max - min) || 1;
+    const start = ((parseFloat(lowInput.value) - min) / span) * 100;
+    const end = ((parseFloat(highInput.value) - min) / span) * 100;
+    container.style.setProperty('--range-start', start + '%');
+    container.style.setProperty('--range-end', end + '%');
+  }
+
   /**
    * Parse a date-like string into a comparable ISO date string (YYYY-MM-DD).
    * Handles: ISO (2024-01-15), YYYY (2024), YYYY-QN (2024-Q1),
@@ -774,6 +919,18 @@
     return '';
   }
 
+  /**
+   * Like _parseDateLike, but also accepts numbers: large values are epoch
+   * milliseconds (datetime axes), small ones are years.
+   */
+  function _toIsoDate(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      if (Math.abs(value) >= 100000) return new Date(value).toISOString().substring(0, 10);
+      return _parseDateLike(String(value));
+    }
+    return _parseDateLike(String(value));
+  }
+
   /**
    * Resolve slider label index from current slider metadata.
    * Supports both numeric ranges (min/max/step) and legacy 1-based sliders.
@@ -802,6 +959,49 @@
     return idx;
   }
 
+  /**
+   * True when a slider filter is a two-handle [value, upper] range.
+   */
+  function isRangeSlider(sliderInfo) {
+    return !!sliderInfo && sliderInfo.upper !== undefined && sliderInfo.upper !== null;
+  }
+
+  /**
+   * Labels kept by a label slider: from the (lower) handle onwards, and up
+   * to the upper handle for range sliders.
+   */
+  function sliderAllowedLabels(sliderInfo) {
+    const start = resolveSliderLabelIndex(sliderInfo);
+    if (start < 0) return [];
+    if (!isRangeSlider(sliderInfo)) return sliderInfo.labels.slice(start);
+    const end = resolveSliderLabelIndex(Object.assign({}, sliderInfo, { value: sliderInfo.upper }));
+    return sliderInfo.labels.slice(start, Math.max(start, end) + 1);
+  }
+
+  /**
+   * Test a numeric value against a slider: `>= value` for single-handle
+   * sliders, inside `[value, upper]` for range sliders.
+   */
+  function sliderAllowsNumber(sliderInfo, num) {
+    if (isNaN(num) || num < sliderInfo.value) return false;
+    return !isRangeSlider(sliderInfo) || num <= sliderInfo.upper;
+  }
+
+  /**
+   * Positions of a label slider's first and last kept label within a
+   * category list (-1 when not present; `end` is -1 for single-handle
+   * sliders, which keep everything after `start`).
+   */
+  function sliderCategoryWindow(categories, sliderInfo) {
+    const allowed = sliderAllowedLabels(sliderInfo);
+    if (allowed.length === 0) return { start: -1, end: -1 };
+    const find = label => categories.findIndex(cat => String(cat) === String(label));
+    return {
+      start: find(allowed[0]),
+      end: isRangeSlider(sliderInfo) ? find(allowed[allowed.length - 1]) : -1
+    };
+  }
+
   /**
    * Get selected values from checkbox group
    */
@@ -896,11 +1096,7 @@
       chartEl.appendChild(spinner);
     }
 
-    info._fetchPromise = fetch(info._url)
-      .then(function(response) {
-        if (!response.ok) throw new Error('Failed to load cross-tab data: ' + response.status);
-        return response.json();
-      })
+    info._fetchPromise = _fetchCrossTabFile(info._url)
       .then(function(data) {
         info.data = data;
         delete info._lazy;
@@ -923,6 +1119,579 @@
     return info._fetchPromise;
   }
 
+  // Parsed cross-tab files by URL. Charts with identical data share a file
+  // (.embed_cross_tab() names them by content), so they also share one
+  // fetch and one data array, which the filter worker indexes once.
+  const crossTabFiles = {};
+
+  function _fetchCrossTabFile(url) {
+    if (!crossTabFiles[url]) {
+      crossTabFiles[url] = fetch(url).then(function(response) {
+        if (!response.ok) throw new Error('Failed to load cross-tab data: ' + response.status);
+        return response.json();
+      });
+      // Let a later filter retry a failed fetch
+      crossTabFiles[url].catch(function() { delete crossTabFiles[url]; });
+    }
+    return crossTabFiles[url];
+  }
+
+  // =================================================================
+  // Filter scopes
+  // =================================================================
+  // Inputs and elements inside a [data-filter-scope] container belong to
+  // that scope (add_input(filter_scope = ...), add_layout_column(filter_scope
+  // = ...)). Unscoped inputs filter every element; scoped inputs only the
+  // elements of their own scope, so two panels can compare groups side by
+  // side. add_scope_sync() toggles mirror input changes across scopes.
+
+  const SCOPE_ATTR = 'data-filter-scope';
+  const scopeSyncValues = {};  // inputId -> last synced value (JSON)
+
+  function _elementScope(el) {
+    const holder = el && el.closest ? el.closest('[' + SCOPE_ATTR + ']') : null;
+    return holder ? holder.getAttribute(SCOPE_ATTR) || '' : '';
+  }
+
+  /** Scope of an input ('' when unscoped); stored on its inputState entry */
+  function inputScope(inputId) {
+    const state = inputState[inputId];
+    if (!state) return '';
+    if (state.scope === undefined) state.scope = _elementScope(document.getElementById(inputId));
+    return state.scope;
+  }
+
+  function entryScope(entry) {
+    if (!entry) return '';
+    return _elementScope(entry.el || document.getElementById(entry.id));
+  }
+
+  /** Scope of the chart a selection or brush came from */
+  function chartScope(chartId) {
+    if (!chartId) return '';
+    return entryScope(getChartEntries().find(e => e.id === chartId) || { id: chartId });
+  }
+
+  /** '' (unscoped) plus every scope on the page */
+  function filterScopes() {
+    const scopes = [''];
+    document.querySelectorAll('[' + SCOPE_ATTR + ']').forEach(el => {
+      const scope = el.getAttribute(SCOPE_ATTR) || '';
+      if (!scopes.includes(scope)) scopes.push(scope);
+    });
+    return scopes;
+  }
+
+  /**
+   * The inputState entries that filter elements of `scope`: unscoped
+   * inputs first, so the scope's own inputs win on a shared filterVar.
+   */
+  function stateForScope(scope) {
+    const scoped = {};
+    Object.keys(inputState).forEach(id => {
+      if (inputScope(id) === '') scoped[id] = inputState[id];
+    });
+    if (scope) {
+      Object.keys(inputState).forEach(id => {
+        if (inputScope(id) === scope) scoped[id] = inputState[id];
+      });
+    }
+    return scoped;
+  }
+
+  /** Scopes a sync toggle links (every named scope when none are listed) */
+  function _toggleScopes(toggle) {
+    const listed = (toggle.getAttribute('data-scopes') || '').split(',').map(s => s.trim()).filter(Boolean);
+    return listed.length > 0 ? listed : filterScopes().filter(Boolean);
+  }
+
+  function syncedScopeGroups() {
+    const groups = [];
+    document.querySelectorAll('.dashboardr-scope-sync-input:checked').forEach(toggle => {
+      const group = _toggleScopes(toggle);
+      if (group.length > 1) groups.push(group);
+    });
+    return groups;
+  }
+
+  function _syncValue(state) {
+    return JSON.stringify([state.selected, state.value, state.upper, state.start, state.end]);
+  }
+
+  /** Inputs in other scopes of `group` bound to the same variable */
+  function _syncPartners(inputId, group) {
+    const state = inputState[inputId];
+    const scope = inputScope(inputId);
+    return Object.keys(inputState).filter(id =>
+      id !== inputId &&
+      inputState[id].filterVar === state.filterVar &&
+      inputState[id].inputType === state.inputType &&
+      inputScope(id) !== scope &&
+      group.includes(inputScope(id))
+    );
+  }
+
+  /**
+   * Copy each changed scoped input to its partners in synced scopes, then
+   * remember the current values. `sourceScope` forces a full copy from
+   * that scope (used when a toggle is switched on).
+   */
+  function syncScopeInputs(sourceScope) {
+    syncedScopeGroups().forEach(group => {
+      Object.keys(inputState).forEach(id => {
+        const state = inputState[id];
+        const scope = inputScope(id);
+        if (!group.includes(scope) || state.inputType === 'chart' || state.inputType === 'range') return;
+        const changed = sourceScope !== undefined
+          ? scope === sourceScope
+          : scopeSyncValues[id] !== undefined && scopeSyncValues[id] !== _syncValue(state);
+        if (!changed) return;
+        _syncPartners(id, group).forEach(partner => {
+          setInputValue(partner, state);
+          scopeSyncValues[partner] = _syncValue(inputState[partner]);
+        });
+      });
+    });
+    Object.keys(inputState).forEach(id => { scopeSyncValues[id] = _syncValue(inputState[id]); });
+  }
+
+  function initScopeSync() {
+    document.querySelectorAll('.dashboardr-scope-sync-input').forEach(toggle => {
+      if (toggle.dataset.dashboardrInitialized) return;
+      toggle.dataset.dashboardrInitialized = 'true';
+      toggle.addEventListener('change', () => {
+        // Switching on aligns the other scopes with the first one listed
+        if (toggle.checked) syncScopeInputs(_toggleScopes(toggle)[0]);
+        applyAllFilters();
+      });
+    });
+    Object.keys(inputState).forEach(id => { scopeSyncValues[id] = _syncValue(inputState[id]); });
+  }
+
+  // =================================================================
+  // Comparison mode: selection A vs selection B
+  // =================================================================
+  // add_comparison() switches the page into comparison mode. The inputs
+  // then edit one of two selections (A or B); the other is kept in
+  // comparison.other as { inputId -> value } and filtered alongside it.
+  // Bar and timeline charts are rebuilt once per selection and redrawn as
+  // paired series ("Men (A)", "Men (B)") or as one difference series
+  // (A - B); value boxes show the edited selection's value and its change
+  // against the other one. Everything else follows the selection being
+  // edited. Chart selections and brushes apply to both selections.
+
+  const comparison = {
+    active: false,
+    mode: 'paired',
+    editing: 'a',
+    labels: { a: 'A', b: 'B' },
+    other: null
+  };
+
+  // Cross-tab chart types drawn as paired or difference series
+  const COMPARISON_CHART_TYPES = ['bar', 'timeline'];
+
+  function isComparable(crossTabInfo) {
+    return !!(crossTabInfo && crossTabInfo.config &&
+      COMPARISON_CHART_TYPES.includes(crossTabInfo.config.chartType));
+  }
+
+  /** Values of the inputs (not chart selections or brushes) */
+  function _comparisonSnapshot() {
+    const snapshot = {};
+    Object.keys(inputState).forEach(id => {
+      const state = inputState[id];
+      if (state.inputType === 'chart' || state.inputType === 'range') return;
+      snapshot[id] = {
+        selected: Array.isArray(state.selected) ? state.selected.slice() : state.selected,
+        value: state.value,
+        upper: state.upper,
+        start: state.start,
+        end: state.end
+      };
+    });
+    return snapshot;
+  }
+
+  /** `stateMap` with each input's value taken from the other selection */
+  function comparedState(stateMap) {
+    const compared = {};
+    Object.keys(stateMap).forEach(id => {
+      const stored = comparison.other && comparison.other[id];
+      compared[id] = stored ? Object.assign({}, stateMap[id], stored) : stateMap[id];
+    });
+    return compared;
+  }
+
+  function setComparisonActive(active) {
+    if (active === comparison.active) return;
+    if (active) {
+      // Both selections start from the current filters
+      comparison.other = _comparisonSnapshot();
+      comparison.editing = 'a';
+    } else if (comparison.editing === 'b') {
+      // Leave the inputs on selection A
+      Object.keys(comparison.other || {}).forEach(id => setInputValue(id, comparison.other[id]));
+    }
+    if (!active) comparison.other = null;
+    comparison.active = active;
+    renderComparisonControls();
+    applyAllFilters();
+  }
+
+  /** Let the inputs edit selection `slot` ('a' or 'b') */
+  function editComparisonSlot(slot) {
+    if (!comparison.active || slot === comparison.editing) return;
+    const current = _comparisonSnapshot();
+    Object.keys(comparison.other || {}).forEach(id => setInputValue(id, comparison.other[id]));
+    comparison.other = current;
+    comparison.editing = slot;
+    renderComparisonControls();
+    applyAllFilters();
+  }
+
+  function setComparisonMode(mode) {
+    if (mode !== 'paired' && mode !== 'difference') return;
+    comparison.mode = mode;
+    renderComparisonControls();
+    if (comparison.active) applyAllFilters();
+  }
+
+  function renderComparisonControls() {
+    document.querySelectorAll('[data-dashboardr-comparison]').forEach(el => {
+      const toggle = el.querySelector('.dashboardr-comparison-toggle');
+      if (toggle) toggle.checked = comparison.active;
+      const controls = el.querySelector('.dashboardr-comparison-controls');
+      if (controls) controls.hidden = !comparison.active;
+      el.querySelectorAll('[data-comparison-slot]').forEach(btn => {
+        const on = btn.getAttribute('data-comparison-slot') === comparison.editing;
+        btn.classList.toggle('active', on);
+        btn.setAttribute('aria-pressed', on ? 'true' : 'false');
+      });
+      el.querySelectorAll('[data-comparison-mode]').forEach(btn => {
+        const on = btn.getAttribute('data-comparison-mode') === comparison.mode;
+        btn.classList.toggle('active', on);
+        btn.setAttribute('aria-pressed', on ? 'true' : 'false');
+      });
+    });
+    document.body.classList.toggle('dashboardr-comparing', comparison.active);
+    document.body.setAttribute('data-comparison-editing', comparison.active ? comparison.editing : '');
+  }
+
+  function initComparison() {
+    const blocks = document.querySelectorAll('[data-dashboardr-comparison]');
+    if (blocks.length === 0) return;
+    // The first block on the page sets the labels and starting mode
+    comparison.labels = {
+      a: blocks[0].getAttribute('data-label-a') || 'A',
+      b: blocks[0].getAttribute('data-label-b') || 'B'
+    };
+    comparison.mode = blocks[0].getAttribute('data-mode') === 'difference' ? 'difference' : 'paired';
+
+    blocks.forEach(el => {
+      if (el.dataset.dashboardrInitialized) return;
+      el.dataset.dashboardrInitialized = 'true';
+      const toggle = el.querySelector('.dashboardr-comparison-toggle');
+      if (toggle) toggle.addEventListener('change', () => setComparisonActive(toggle.checked));
+      el.querySelectorAll('[data-comparison-slot]').forEach(btn => {
+        btn.addEventListener('click', () => editComparisonSlot(btn.getAttribute('data-comparison-slot')));
+      });
+      el.querySelectorAll('[data-comparison-mode]').forEach(btn => {
+        btn.addEventListener('click', () => setComparisonMode(btn.getAttribute('data-comparison-mode')));
+      });
+    });
+    renderComparisonControls();
+  }
+
+  /** The filter arguments rebuildFromCrossTab() takes, for one entry */
+  function _entryFilterSets(entry, sets) {
+    return Object.assign({}, sets, {
+      filters: filtersForEntry(entry, sets.filters),
+      rangeFilters: filtersForEntry(entry, sets.rangeFilters, brushSelections)
+    });
+  }
+
+  /** Promise of the cross-tab rows that pass one selection's filters */
+  function _comparisonRows(crossTabInfo, sets) {
+    const config = crossTabInfo.config;
+    let filterVars = config.filterVars;
+    if (typeof filterVars === 'string') filterVars = [filterVars];
+    if (!Array.isArray(filterVars)) filterVars = [];
+    return _filterRowsAsync(crossTabInfo.data, filterVars, config.groupVar || config.stackVar, [
+      sets.filters, sets.sliderFilters, sets.textFilters, sets.numberFilters, sets.switchOverrides,
+      sets.dateFilters, sets.daterangeFilters, sets.rangeFilters
+    ]);
+  }
+
+  /**
+   * Draw selection A and selection B in one chart. The chart's own
+   * rebuilder runs once per selection; what it drew is read back
+   * (COMPARISON_WRITERS[backend].read) and combined into paired or
+   * difference series.
+   * @param {Object} liveSets - collectFilterSets() of the edited selection
+   * @param {Object} otherSets - collectFilterSets() of the other selection
+   * @returns {boolean|Promise<boolean|null>} False if the chart can't draw
+   *   a comparison, else a Promise like rebuildFromCrossTab()'s
+   */
+  function rebuildComparison(entry, crossTabInfo, liveSets, otherSets) {
+    const writer = COMPARISON_WRITERS[entry.backend || 'highcharter'];
+    const target = writer ? writer.target(entry) : null;
+    if (!target) return false;
+
+    const live = _entryFilterSets(entry, liveSets);
+    const other = _entryFilterSets(entry, otherSets);
+    const a = comparison.editing === 'a' ? live : other;
+    const b = comparison.editing === 'a' ? other : live;
+    const config = crossTabInfo.config;
+
+    // A worker rebuild still in flight would overwrite the comparison
+    const drawId = _nextCrossTabDraw(entry);
+    return Promise.all([_comparisonRows(crossTabInfo, a), _comparisonRows(crossTabInfo, b)]).then(([rowsA, rowsB]) => {
+      if (crossTabDraws.get(entry.id) !== drawId) return null;
+      _clearComparison(entry);
+      if (!_dispatchCrossTabRebuild(entry, rowsB, config, b.switchOverrides)) return false;
+      const drawnB = writer.read(target);
+      _dispatchCrossTabRebuild(entry, rowsA, config, a.switchOverrides);
+      const drawnA = writer.read(target);
+
+      writer.write(target, _combineComparison(drawnA, drawnB));
+      return true;
+    });
+  }
+
+  /**
+   * Pair up two drawings ({ keys, series: [{ name, values: key -> y }] })
+   * into the series to draw. With one series per selection the labels
+   * alone name them ("A", "B", "A - B").
+   */
+  function _combineComparison(drawnA, drawnB) {
+    const keys = uniqueNonEmptyNames(drawnA.keys.concat(drawnB.keys));
+    const names = uniqueNonEmptyNames(drawnA.series.map(s => s.name).concat(drawnB.series.map(s => s.name)));
+    const single = names.length === 1;
+    const la = comparison.labels.a;
+    const lb = comparison.labels.b;
+    const valuesOf = (drawn, name) => {
+      const series = drawn.series.find(s => s.name === name);
+      return series ? series.values : null;
+    };
+    const label = (name, text) => (single ? text : name + ' (' + text + ')');
+    const series = [];
+
+    names.forEach(name => {
+      const va = valuesOf(drawnA, name);
+      const vb = valuesOf(drawnB, name);
+      if (comparison.mode === 'difference') {
+        series.push({
+          name: label(name, la + ' \u2212 ' + lb), base: name, slot: 'a',
+          data: keys.map(k => {
+            const ya = va && va[k] !== undefined ? va[k] : null;
+            const yb = vb && vb[k] !== undefined ? vb[k] : null;
+            return ya === null && yb === null ? null : (ya || 0) - (yb || 0);
+          })
+        });
+        return;
+      }
+      if (va) series.push({ name: label(name, la), base: name, slot: 'a', data: keys.map(k => (va[k] !== undefined ? va[k] : null)) });
+      if (vb) series.push({ name: label(name, lb), base: name, slot: 'b', data: keys.map(k => (vb[k] !== undefined ? vb[k] : null)) });
+    });
+
+    return { keys: keys, series: series };
+  }
+
+  /** Numeric y of a drawn point (number, [x, y], { y } or { value }) */
+  function _comparisonY(point) {
+    if (point === null || point === undefined) return null;
+    if (Array.isArray(point)) return _comparisonY(point[point.length - 1]);
+    if (typeof point === 'object') {
+      return _comparisonY(point.y !== undefined ? point.y : point.value);
+    }
+    const y = Number(point);
+    return isFinite(y) ? y : null;
+  }
+
+  /** Undo a Highcharts comparison before the chart is rebuilt normally */
+  function _clearComparison(entry) {
+    if ((entry.backend || 'highcharter') !== 'highcharter') return;
+    const chart = chartRegistry && chartRegistry.resolveHighchart ? chartRegistry.resolveHighchart(entry) : null;
+    const drawn = chart && chart._dashboardrComparison;
+    if (!drawn) return;
+    drawn.added.forEach(series => { try { series.remove(false); } catch (e) {} });
+    drawn.hidden.forEach(series => {
+      try {
+        series.setVisible(true, false);
+        series.update({ showInLegend: true }, false);
+      } catch (e) {}
+    });
+    delete chart._dashboardrComparison;
+  }
+
+  // Per backend: find the drawing target, read back what a rebuilder drew,
+  // and draw the combined series. Plotly and ECharts rebuilders start from
+  // the stored original, so only Highcharts needs _clearComparison().
+  const COMPARISON_WRITERS = {
+    highcharter: {
+      target: entry => (chartRegistry && chartRegistry.resolveHighchart ? chartRegistry.resolveHighchart(entry) : null),
+      read: chart => {
+        const axis = chart.xAxis && chart.xAxis[0];
+        const categories = axis && Array.isArray(axis.categories) && axis.categories.length > 0 ? axis.categories : null;
+        const keys = [];
+        const series = (chart.series || []).filter(s => s && s.visible && s.type !== 'errorbar').map(s => {
+          const values = {};
+          (s.options.data || []).forEach((point, i) => {
+            let key;
+            if (categories) {
+              key = String(categories[i]);
+            } else if (Array.isArray(point)) {
+              key = String(point[0]);
+            } else {
+              key = String(point && typeof point === 'object' && point.x !== undefined ? point.x : i);
+            }
+            if (!keys.includes(key)) keys.push(key);
+            values[key] = _comparisonY(point);
+          });
+          return { name: String(s.name), values: values };
+        });
+        if (!categories) keys.sort((x, y) => Number(x) - Number(y));
+        return { keys: keys, series: series, categorical: !!categories };
+      },
+      write: (chart, combined) => {
+        const axis = chart.xAxis && chart.xAxis[0];
+        const categorical = axis && Array.isArray(axis.categories) && axis.categories.length > 0;
+        const drawn = { added: [], hidden: [] };
+        const bases = {};
+        (chart.series || []).forEach(s => {
+          if (!s || !s.visible) return;
+          if (s.type !== 'errorbar') bases[String(s.name)] = s;
+          s.setVisible(false, false);
+          s.update({ showInLegend: false }, false);
+          drawn.hidden.push(s);
+        });
+        if (categorical) axis.setCategories(combined.keys, false);
+        combined.series.forEach(spec => {
+          const base = bases[spec.base] || {};
+          const options = {
+            name: spec.name,
+            type: base.type,
+            color: base.color,
+            data: categorical ? spec.data : combined.keys.map((k, i) => [Number(k), spec.data[i]]),
+            showInLegend: true
+          };
+          if (spec.slot === 'b') {
+            options.opacity = 0.55;
+            options.dashStyle = 'ShortDash';
+          }
+          drawn.added.push(chart.addSeries(options, false));
+        });
+        chart._dashboardrComparison = drawn;
+        chart.redraw();
+      }
+    },
+    plotly: {
+      target: entry => (entry && entry.el && typeof Plotly !== 'undefined' ? entry.el : null),
+      read: gd => {
+        const keys = [];
+        const series = (gd.data || []).filter(t => t && t.visible !== false && t.visible !== 'legendonly' &&
+          (!t.type || t.type === 'bar' || t.type === 'scatter')).map(t => {
+          const horizontal = t.orientation === 'h';
+          const ks = (horizontal ? t.y : t.x) || [];
+          const vs = (horizontal ? t.x : t.y) || [];
+          const values = {};
+          Array.from(ks).forEach((k, i) => {
+            const key = String(k);
+            if (!keys.includes(key)) keys.push(key);
+            values[key] = _comparisonY(vs[i]);
+          });
+          return { name: String(t.name), values: values, trace: t };
+        });
+        return { keys: keys, series: series };
+      },
+      write: (gd, combined) => {
+        const bases = {};
+        (gd.data || []).forEach(t => { if (t && t.name !== undefined) bases[String(t.name)] = t; });
+        const traces = combined.series.map(spec => {
+          const base = bases[spec.base] || { type: 'bar' };
+          const trace = _cloneOption(base);
+          const horizontal = trace.orientation === 'h';
+          trace.name = spec.name;
+          trace.visible = true;
+          trace.showlegend = true;
+          if (horizontal) {
+            trace.y = combined.keys.slice();
+            trace.x = spec.data;
+          } else {
+            trace.x = combined.keys.slice();
+            trace.y = spec.data;
+          }
+          // Error bars and unweighted-n hovers describe one selection only
+          delete trace.error_x;
+          delete trace.error_y;
+          delete trace.customdata;
+          if (typeof trace.hovertemplate === 'string' && trace.hovertemplate.indexOf('customdata') >= 0) {
+            delete trace.hovertemplate;
+          }
+          if (spec.slot === 'b') {
+            trace.opacity = 0.55;
+            trace.line = Object.assign({}, trace.line, { dash: 'dash' });
+          }
+          return trace;
+        });
+        const layout = gd.layout || {};
+        ['xaxis', 'yaxis'].forEach(axis => {
+          if (layout[axis] && layout[axis].categoryarray) layout[axis].categoryarray = combined.keys.slice();
+        });
+        if (traces.some(t => t.type === 'bar')) layout.barmode = 'group';
+        Plotly.react(gd, traces, layout);
+      }
+    },
+    echarts4r: {
+      target: entry => (entry && entry.el && typeof echarts !== 'undefined' ? echarts.getInstanceByDom(entry.el) : null),
+      read: inst => {
+        const option = inst.getOption() || {};
+        const categoryAxis = _echartsCategoryAxis(option);
+        const keys = ((categoryAxis && categoryAxis.data) || []).map(d => String(d && typeof d === 'object' ? d.value : d));
+        const series = (option.series || []).filter(s => s && (s.type === 'bar' || s.type === 'line')).map(s => {
+          const values = {};
+          (s.data || []).forEach((point, i) => {
+            const key = Array.isArray(point) && !categoryAxis ? String(point[0]) : keys[i];
+            if (key === undefined) return;
+            if (!keys.includes(key)) keys.push(key);
+            values[key] = _comparisonY(point);
+          });
+          return { name: String(s.name), values: values };
+        });
+        return { keys: keys, series: series };
+      },
+      write: (inst, combined) => {
+        const option = _cloneOption(inst.getOption() || {});
+        const bases = {};
+        (option.series || []).forEach(s => { if (s && s.name !== undefined) bases[String(s.name)] = s; });
+        const categoryAxis = _echartsCategoryAxis(option);
+        if (categoryAxis) categoryAxis.data = combined.keys.slice();
+        option.series = combined.series.map(spec => {
+          const s = _cloneOption(bases[spec.base] || { type: 'bar' });
+          s.name = spec.name;
+          s.data = categoryAxis ? spec.data : combined.keys.map((k, i) => [k, spec.data[i]]);
+          delete s.stack;
+          if (spec.slot === 'b') {
+            s.itemStyle = Object.assign({}, s.itemStyle, { opacity: 0.55 });
+            s.lineStyle = Object.assign({}, s.lineStyle, { type: 'dashed' });
+          }
+          return s;
+        });
+        syncEchartsLegend(option, combined.series.map(s => s.name));
+        inst.setOption(option, true);
+      }
+    }
+  };
+
+  /** The category axis of an ECharts option (y for horizontal bars) */
+  function _echartsCategoryAxis(option) {
+    const xAxis = Array.isArray(option.xAxis) ? option.xAxis[0] : option.xAxis;
+    const yAxis = Array.isArray(option.yAxis) ? option.yAxis[0] : option.yAxis;
+    if (yAxis && yAxis.type === 'category' && !(xAxis && xAxis.type === 'category')) return yAxis;
+    return xAxis && Array.isArray(xAxis.data) ? xAxis : null;
+  }
+
   // =================================================================
   // Filter Application Engine
   // =================================================================
@@ -936,53 +1705,135 @@
 
   /**
    * Apply all filters together
+   * @returns {Promise} Settles once lazy and worker-filtered charts are drawn
    */
   function applyAllFilters() {
     const entries = getChartEntries() || [];
     const hasTables = chartRegistry && (
       (chartRegistry.getTables && chartRegistry.getTables().length > 0) ||
       (chartRegistry.getDTs && chartRegistry.getDTs().length > 0) ||
-      (chartRegistry.getReactables && chartRegistry.getReactables().length > 0)
+      (chartRegistry.getReactables && chartRegistry.getReactables().length > 0) ||
+      (chartRegistry.getMetrics && chartRegistry.getMetrics().length > 0)
     );
-    if (entries.length === 0 && !hasTables) {
-      return setTimeout(applyAllFilters, 200);
-    }
+    // Nothing registered yet: charts announce themselves when they are
+    // (dashboardr:chart-registered) and get filtered then
+    if (entries.length === 0 && !hasTables) return Promise.resolve();
 
-    // Collect all active filters with their metadata
-    const filters = {};
-    const sliderFilters = {};
-    const switchFilters = {};
-    const textFilters = {};
-    const numberFilters = {};
-    const dateFilters = {};
-    const daterangeFilters = {};
-    const periodFilters = {};  // Special handling for period presets
+    // Forget chart selections that inputs or a reset have overridden
+    syncChartSelections();
 
-    Object.keys(inputState).forEach(id => {
-      const state = inputState[id];
-      if (state.inputType === 'slider') {
-        sliderFilters[state.filterVar] = {
-          value: state.value,
-          min: state.min,
-          max: state.max,
-          step: state.step || 1,
-          labels: state.labels
-        };
-      } else if (state.inputType === 'switch') {
-        switchFilters[state.filterVar] = state.value;
-      } else if (state.inputType === 'text') {
-        if (state.value && state.value.trim()) {
-          textFilters[state.filterVar] = state.value.trim().toLowerCase();
-        }
-      } else if (state.inputType === 'number') {
-        const rawValue = Array.isArray(state.selected) ? state.selected[0] : '';
-        if (rawValue !== '' && rawValue !== null && rawValue !== undefined) {
-          numberFilters[state.filterVar] = state.value;
-        }
-      } else if (state.inputType === 'date') {
-        if (state.value && state.value.trim()) {
-          dateFilters[state.filterVar] = state.value.trim();
-        }
+    // Mirror changes across synced scopes before reading the state
+    syncScopeInputs();
+
+    // Each scope is filtered by the unscoped inputs plus its own
+    const lazyPromises = [];
+    filterScopes().forEach(scope => {
+      applyScopeFilters(scope, entries.filter(e => entryScope(e) === scope), lazyPromises);
+    });
+
+    // Update any charts that have dynamic title templates
+    updateDynamicTitles();
+
+    // Option counts of add_input(facet = ...) inputs
+    updateFacets();
+
+    // Chart-as-input: bind click handlers on newly registered charts and
+    // show the current selections on their source charts
+    bindChartCrossFilters();
+    bindChartBrushes();
+    highlightChartSelections();
+    renderChartSelectionChips();
+    let settled = Promise.resolve();
+    if (lazyPromises.length > 0) {
+      settled = Promise.all(lazyPromises).then(() => {
+        highlightChartSelections();
+        updateFacets();
+      });
+    }
+
+    // Reveal all deferred charts by fading out the loading overlay.
+    // deferred_charts.js creates a white overlay on top while the chart renders underneath.
+    document.querySelectorAll('.dashboardr-deferred-pending-filters').forEach(function(el) {
+      el.classList.remove('dashboardr-deferred-pending-filters');
+      // Fade out the overlay to smoothly reveal the chart underneath
+      var overlay = el.querySelector('.dashboardr-deferred-overlay');
+      if (overlay) {
+        overlay.style.opacity = '0';
+        // Remove overlay from DOM after transition completes
+        setTimeout(function() {
+          if (overlay.parentNode) overlay.parentNode.removeChild(overlay);
+        }, 400);
+      }
+      // Reflow charts now that they're visible with correct data
+      var container = el.querySelector('[id$="_container"]');
+      if (container && container._hcChart) {
+        try { container._hcChart.reflow(); } catch(e) {}
+      }
+    });
+
+    // Dispatch event for URL params and accessibility modules
+    try {
+      document.dispatchEvent(new CustomEvent('dashboardr:filter-changed', {
+        detail: { inputState: inputState }
+      }));
+    } catch (e) {
+      // CustomEvent not supported in very old browsers
+    }
+
+    // Also dispatch a standard change event so show_when.js re-evaluates
+    // (show_when.js listens for 'change' events on the document)
+    try {
+      document.dispatchEvent(new Event('change', { bubbles: true }));
+    } catch (e) {
+      // Fallback for old browsers
+    }
+
+    return settled;
+  }
+
+  /**
+   * Sort inputState-shaped entries into the filter objects the chart,
+   * table and metric filters take (one object per kind of input).
+   * @param {Object} stateMap - inputId -> inputState entry
+   */
+  function collectFilterSets(stateMap) {
+    // Collect all active filters with their metadata
+    const filters = {};
+    const sliderFilters = {};
+    const switchFilters = {};
+    const textFilters = {};
+    const numberFilters = {};
+    const dateFilters = {};
+    const daterangeFilters = {};
+    const rangeFilters = {};   // Brushed ranges from timeline/scatter charts
+    const periodFilters = {};  // Special handling for period presets
+
+    Object.keys(stateMap).forEach(id => {
+      const state = stateMap[id];
+      if (state.inputType === 'slider') {
+        sliderFilters[state.filterVar] = {
+          value: state.value,
+          upper: state.upper !== undefined ? state.upper : null,
+          min: state.min,
+          max: state.max,
+          step: state.step || 1,
+          labels: state.labels
+        };
+      } else if (state.inputType === 'switch') {
+        switchFilters[state.filterVar] = state.value;
+      } else if (state.inputType === 'text') {
+        if (state.value && state.value.trim()) {
+          textFilters[state.filterVar] = state.value.trim().toLowerCase();
+        }
+      } else if (state.inputType === 'number') {
+        const rawValue = Array.isArray(state.selected) ? state.selected[0] : '';
+        if (rawValue !== '' && rawValue !== null && rawValue !== undefined) {
+          numberFilters[state.filterVar] = state.value;
+        }
+      } else if (state.inputType === 'date') {
+        if (state.value && state.value.trim()) {
+          dateFilters[state.filterVar] = state.value.trim();
+        }
       } else if (state.inputType === 'daterange') {
         if ((state.start && state.start.trim()) || (state.end && state.end.trim())) {
           daterangeFilters[state.filterVar] = {
@@ -990,6 +1841,8 @@
             end: state.end ? state.end.trim() : ''
           };
         }
+      } else if (state.inputType === 'range') {
+        rangeFilters[state.filterVar] = state.range;
       } else if (state.filterVar === 'period') {
         // Handle period presets (maps to year ranges)
         periodFilters[state.filterVar] = state.selected;
@@ -998,25 +1851,11 @@
         filters[state.filterVar] = state.selected;
       }
     });
-    debugLog('apply-all-filters', {
-      filters: filters,
-      sliderFilters: sliderFilters,
-      switchFilters: switchFilters,
-      textFilters: textFilters,
-      numberFilters: numberFilters,
-      dateFilters: dateFilters,
-      daterangeFilters: daterangeFilters,
-      periodFilters: periodFilters,
-      chartEntries: entries.map(function(e) {
-        return { id: e.id, backend: e.backend, x: e.x, filterVars: e.filterVars };
-      }),
-      crossTabKeys: window.dashboardrCrossTab ? Object.keys(window.dashboardrCrossTab) : []
-    });
 
     // Collect switch overrides for cross-tab rebuilds
     const switchOverrides = {};
-    Object.keys(inputState).forEach(id => {
-      const state = inputState[id];
+    Object.keys(stateMap).forEach(id => {
+      const state = stateMap[id];
       if (state.inputType === 'switch' && state.toggleSeries && state.filterVar) {
         if (!switchOverrides[state.filterVar]) {
           switchOverrides[state.filterVar] = [];
@@ -1029,9 +1868,51 @@
       }
     });
 
-    // Rebuild charts from cross-tab data (all backends that support it)
+    return {
+      filters, sliderFilters, switchFilters, textFilters, numberFilters,
+      dateFilters, daterangeFilters, rangeFilters, periodFilters, switchOverrides
+    };
+  }
+
+  /**
+   * Filter the charts, tables and metrics of one scope with the inputs
+   * that reach it (see stateForScope()). Lazy cross-tab fetches are
+   * collected in lazyPromises.
+   */
+  function applyScopeFilters(scope, entries, lazyPromises) {
+    const scopedState = stateForScope(scope);
+
+    const sets = collectFilterSets(scopedState);
+    const {
+      filters, sliderFilters, switchFilters, textFilters, numberFilters,
+      dateFilters, daterangeFilters, rangeFilters, periodFilters, switchOverrides
+    } = sets;
+    // Comparison mode: the same filters for the selection not being edited
+    const compareSets = comparison.active ? collectFilterSets(comparedState(scopedState)) : null;
+
+    debugLog('apply-all-filters', {
+      scope: scope,
+      filters: filters,
+      sliderFilters: sliderFilters,
+      switchFilters: switchFilters,
+      textFilters: textFilters,
+      numberFilters: numberFilters,
+      dateFilters: dateFilters,
+      daterangeFilters: daterangeFilters,
+      rangeFilters: rangeFilters,
+      periodFilters: periodFilters,
+      chartEntries: entries.map(function(e) {
+        return { id: e.id, backend: e.backend, x: e.x, filterVars: e.filterVars };
+      }),
+      crossTabKeys: window.dashboardrCrossTab ? Object.keys(window.dashboardrCrossTab) : []
+    });
+
+    // Rebuild charts from cross-tab data (all backends that support it).
+    // Charts rebuilt asynchronously (lazy cross-tabs, the filter worker) are
+    // pending until their promise settles: true when drawn, null when a
+    // newer draw took over and false when they fall back to applyInPlace().
     const crossTabHandled = new Set();
-    const lazyPromises = [];
+    const crossTabPending = new Map();
     if (window.dashboardrCrossTab) {
       entries.forEach(entry => {
         if (!entry || !entry.id) return;
@@ -1040,415 +1921,474 @@
 
         if (crossTabInfo._lazy && !crossTabInfo.data) {
           // Lazy entry: fetch data first, then rebuild
-          crossTabHandled.add(entry.id); // Mark as handled to prevent fallback
-          const promise = _ensureCrossTabData(entry.id, crossTabInfo).then(function(loaded) {
-            if (loaded && loaded.data) {
-              rebuildFromCrossTab(
-                entry, loaded, filters, sliderFilters,
-                textFilters, numberFilters, switchOverrides,
-                dateFilters, daterangeFilters
-              );
-              // Note: lazy charts are revealed by the bulk reveal at end of applyAllFilters
-            }
-          });
-          lazyPromises.push(promise);
+          crossTabPending.set(entry.id, _ensureCrossTabData(entry.id, crossTabInfo).then(function(loaded) {
+            if (!loaded || !loaded.data) return false;
+            if (compareSets && isComparable(loaded)) return rebuildComparison(entry, loaded, sets, compareSets);
+            // Note: lazy charts are revealed by the bulk reveal at end of applyAllFilters
+            return rebuildFromCrossTab(
+              entry, loaded, filtersForEntry(entry, filters), sliderFilters,
+              textFilters, numberFilters, switchOverrides,
+              dateFilters, daterangeFilters,
+              filtersForEntry(entry, rangeFilters, brushSelections)
+            );
+          }));
+        } else if (compareSets && isComparable(crossTabInfo)) {
+          // Comparison mode: both selections drawn in one chart
+          const result = rebuildComparison(entry, crossTabInfo, sets, compareSets);
+          if (result) crossTabPending.set(entry.id, result);
         } else {
-          // Already loaded: synchronous rebuild
+          // Already loaded: synchronous rebuild, or a promise of one for
+          // cross-tabs filtered in the worker (see _useFilterWorker())
           const result = rebuildFromCrossTab(
             entry,
             crossTabInfo,
-            filters,
+            filtersForEntry(entry, filters),
             sliderFilters,
             textFilters,
             numberFilters,
             switchOverrides,
             dateFilters,
-            daterangeFilters
+            daterangeFilters,
+            filtersForEntry(entry, rangeFilters, brushSelections)
           );
-          if (result) crossTabHandled.add(entry.id);
+          if (result && result.then) crossTabPending.set(entry.id, result);
+          else if (result) crossTabHandled.add(entry.id);
         }
       });
     }
 
-    const highchartEntries = entries.filter(e => e.backend === 'highcharter' && !crossTabHandled.has(e.id));
-    const charts = highchartEntries.map(e => {
-      const chart = chartRegistry && chartRegistry.resolveHighchart ? chartRegistry.resolveHighchart(e) : null;
-      return { entry: e, chart };
-    }).filter(x => x.chart);
-
-    charts.forEach(({ chart, entry }) => {
-      if (!chart || !chart.series) return;
-      debugLog('highcharter-entry', {
-        id: entry && entry.id,
-        backend: entry && entry.backend,
-        x: entry && entry.x,
-        filterVars: entry && entry.filterVars,
-        seriesCount: chart && chart.series ? chart.series.length : 0
-      });
+    // Charts without a cross-tab, or whose cross-tab rebuild did not apply,
+    // are filtered in place by hiding points and series
+    const applyInPlace = inPlaceEntries => {
+      const highchartEntries = inPlaceEntries.filter(e => e.backend === 'highcharter');
+      const charts = highchartEntries.map(e => {
+        const chart = chartRegistry && chartRegistry.resolveHighchart ? chartRegistry.resolveHighchart(e) : null;
+        return { entry: e, chart };
+      }).filter(x => x.chart);
+
+      charts.forEach(({ chart, entry }) => {
+        if (!chart || !chart.series) return;
+        const chartFilters = filtersForEntry(entry, filters);
+        const valueFilter = buildCategoryValueFilter(entry, {
+          sliderFilters,
+          numberFilters,
+          dateFilters,
+          daterangeFilters,
+          rangeFilters: filtersForEntry(entry, rangeFilters, brushSelections)
+        });
+        debugLog('highcharter-entry', {
+          id: entry && entry.id,
+          backend: entry && entry.backend,
+          x: entry && entry.x,
+          filterVars: entry && entry.filterVars,
+          seriesCount: chart && chart.series ? chart.series.length : 0
+        });
       
-      // Store original categories if not already stored
-      if (!chart._originalCategories && chart.xAxis && chart.xAxis[0] && chart.xAxis[0].categories) {
-        var cats = chart.xAxis[0].categories;
-        chart._originalCategories = Array.isArray(cats) ? cats.slice() : null;
-      }
+        // Store original categories if not already stored
+        if (!chart._originalCategories && chart.xAxis && chart.xAxis[0] && chart.xAxis[0].categories) {
+          var cats = chart.xAxis[0].categories;
+          chart._originalCategories = Array.isArray(cats) ? cats.slice() : null;
+        }
       
-      // Get original x-axis categories (ensure it's always an array or null)
-      const rawCats = chart._originalCategories ||
-        (chart.xAxis && chart.xAxis[0] && chart.xAxis[0].categories ? chart.xAxis[0].categories : null);
-      const originalCategories = Array.isArray(rawCats) ? rawCats : null;
+        // Get original x-axis categories (ensure it's always an array or null)
+        const rawCats = chart._originalCategories ||
+          (chart.xAxis && chart.xAxis[0] && chart.xAxis[0].categories ? chart.xAxis[0].categories : null);
+        const originalCategories = Array.isArray(rawCats) ? rawCats : null;
       
-      // Also check for numeric x-axis (no categories, but has point.x values)
-      const firstNumericSeries = (chart.series || []).find(s =>
-        s &&
-        Array.isArray(s.data) &&
-        s.data.length > 0 &&
-        s.data[0] &&
-        typeof s.data[0].x === 'number'
-      );
-      const hasNumericXAxis = !originalCategories && !!firstNumericSeries;
+        // Also check for numeric x-axis (no categories, but has point.x values)
+        const firstNumericSeries = (chart.series || []).find(s =>
+          s &&
+          Array.isArray(s.data) &&
+          s.data.length > 0 &&
+          s.data[0] &&
+          typeof s.data[0].x === 'number'
+        );
+        const hasNumericXAxis = !originalCategories && !!firstNumericSeries;
       
-      // Determine which filters apply to series names vs categories
-      const seriesNames = (chart.series || [])
-        .filter(s => s && typeof s === 'object')
-        .map(s => s.name);
+        // Determine which filters apply to series names vs categories
+        const seriesNames = (chart.series || [])
+          .filter(s => s && typeof s === 'object')
+          .map(s => s.name);
       
-      // Convert categories to strings for comparison (they might be numbers)
-      const categoryStrings = originalCategories ? originalCategories.map(c => String(c)) : [];
+        // Convert categories to strings for comparison (they might be numbers)
+        const categoryStrings = originalCategories ? originalCategories.map(c => String(c)) : [];
       
-      // Calculate which categories should be visible
-      let visibleCategoryIndices = originalCategories ? originalCategories.map((_, i) => i) : [];
+        // Calculate which categories should be visible
+        let visibleCategoryIndices = originalCategories ? originalCategories.map((_, i) => i) : [];
       
-      if (originalCategories) {
-        // Apply period preset filters first (converts to year ranges)
-        Object.keys(periodFilters).forEach(filterVar => {
-          const selected = periodFilters[filterVar];
-          if (selected && selected.length > 0) {
-            const periodValue = selected[0];  // Radio returns array with one value
+        if (originalCategories) {
+          // Apply period preset filters first (converts to year ranges)
+          Object.keys(periodFilters).forEach(filterVar => {
+            const selected = periodFilters[filterVar];
+            if (selected && selected.length > 0) {
+              const periodValue = selected[0];  // Radio returns array with one value
             
-            if (periodValue && !periodValue.includes('All')) {
-              // Parse period preset and filter years
-              visibleCategoryIndices = visibleCategoryIndices.filter(idx => {
-                const catNum = parseFloat(originalCategories[idx]);
-                if (isNaN(catNum)) return true;
+              if (periodValue && !periodValue.includes('All')) {
+                // Parse period preset and filter years
+                visibleCategoryIndices = visibleCategoryIndices.filter(idx => {
+                  const catNum = parseFloat(originalCategories[idx]);
+                  if (isNaN(catNum)) return true;
                 
-                if (periodValue.includes('Pre-COVID') || periodValue.includes('2015-2019')) {
-                  return catNum >= 2015 && catNum <= 2019;
-                } else if (periodValue.includes('Post-COVID') || periodValue.includes('2020')) {
-                  return catNum >= 2020;
-                }
-                return true;
-              });
+                  if (periodValue.includes('Pre-COVID') || periodValue.includes('2015-2019')) {
+                    return catNum >= 2015 && catNum <= 2019;
+                  } else if (periodValue.includes('Post-COVID') || periodValue.includes('2020')) {
+                    return catNum >= 2020;
+                  }
+                  return true;
+                });
+              }
             }
-          }
-        });
+          });
         
-        // Apply discrete category filters to determine visible categories
-        Object.keys(filters).forEach(filterVar => {
-          const selectedValues = filters[filterVar];
-          if (selectedValues && selectedValues.length > 0) {
-            const selectedStrings = selectedValues.map(v => String(v));
-            const isCategoryFilter = selectedStrings.some(v => categoryStrings.includes(v)) ||
-                                     categoryStrings.some(c => selectedStrings.includes(c));
+          // Apply discrete category filters to determine visible categories
+          Object.keys(chartFilters).forEach(filterVar => {
+            const selectedValues = chartFilters[filterVar];
+            if (selectedValues && selectedValues.length > 0) {
+              const selectedStrings = selectedValues.map(v => String(v));
+              const isCategoryFilter = selectedStrings.some(v => categoryStrings.includes(v)) ||
+                                       categoryStrings.some(c => selectedStrings.includes(c));
             
-            if (isCategoryFilter) {
-              visibleCategoryIndices = visibleCategoryIndices.filter(idx => {
-                const category = String(originalCategories[idx]);
-                return selectedStrings.includes(category);
-              });
+              if (isCategoryFilter) {
+                visibleCategoryIndices = visibleCategoryIndices.filter(idx => {
+                  const category = String(originalCategories[idx]);
+                  return selectedStrings.includes(category);
+                });
+              }
             }
-          }
-        });
+          });
         
-        // Apply slider filters to determine visible categories
-        Object.keys(sliderFilters).forEach(filterVar => {
-          if (entry && entry.x && String(filterVar) !== String(entry.x)) {
-            return;
-          }
-          const sliderInfo = sliderFilters[filterVar];
+          // Apply label slider filters to determine visible categories
+          Object.keys(sliderFilters).forEach(filterVar => {
+            if (!appliesToCategories(entry, filterVar)) {
+              return;
+            }
+            const sliderInfo = sliderFilters[filterVar];
           
-          // If slider has labels, use label-based filtering
-          if (sliderInfo.labels && sliderInfo.labels.length > 0) {
-            // Get the label at current slider position
-            const labelIdx = Math.round((sliderInfo.value - sliderInfo.min) / (sliderInfo.step || 1));
-            const startLabel = sliderInfo.labels[labelIdx];
+            // If slider has labels, use label-based filtering
+            if (sliderInfo.labels && sliderInfo.labels.length > 0) {
+              // Locate the kept label window in the original categories
+              const labelWindow = sliderCategoryWindow(originalCategories, sliderInfo);
             
-            if (startLabel) {
-              // Find the index of this label in the original categories
-              const startCategoryIdx = originalCategories.findIndex(cat => String(cat) === String(startLabel));
-              
-              if (startCategoryIdx >= 0) {
-                // Keep only categories at or after this index
-                visibleCategoryIndices = visibleCategoryIndices.filter(idx => idx >= startCategoryIdx);
+              if (labelWindow.start >= 0) {
+                // Keep only categories at or after the (lower) handle
+                visibleCategoryIndices = visibleCategoryIndices.filter(idx => idx >= labelWindow.start);
               }
-            }
-          } else {
-            // Fallback: try numeric comparison
-            visibleCategoryIndices = visibleCategoryIndices.filter(idx => {
-              const catNum = parseFloat(originalCategories[idx]);
-              if (!isNaN(catNum)) {
-                return catNum >= sliderInfo.value;
+              if (labelWindow.end >= 0) {
+                // Range sliders also stop at the upper handle
+                visibleCategoryIndices = visibleCategoryIndices.filter(idx => idx <= labelWindow.end);
               }
-              return true;
-            });
+            }
+          });
+        
+          // Numeric slider, number, date, date range and brushed range filters
+          if (valueFilter) {
+            visibleCategoryIndices = visibleCategoryIndices.filter(idx => valueFilter(originalCategories[idx]));
           }
-        });
-      }
+        }
       
-      // Get new categories list
-      const newCategories = visibleCategoryIndices.map(idx => originalCategories[idx]);
+        // Get new categories list
+        const newCategories = visibleCategoryIndices.map(idx => originalCategories[idx]);
       
-      // Handle special switch filters (legend toggle)
-      Object.keys(inputState).forEach(id => {
-        const state = inputState[id];
-        if (state.inputType !== 'switch') return;
+        // Handle special switch filters (legend toggle)
+        Object.keys(scopedState).forEach(id => {
+          const state = scopedState[id];
+          if (state.inputType !== 'switch') return;
         
-        if (state.filterVar === 'show_legend') {
-          chart.legend.update({ enabled: state.value }, false);
-        }
-      });
+          if (state.filterVar === 'show_legend') {
+            chart.legend.update({ enabled: state.value }, false);
+          }
+        });
       
-      // Handle chart type changes
-      Object.keys(filters).forEach(filterVar => {
-        if (filterVar === 'chart_type') {
-          const chartType = filters[filterVar][0];
-          if (chartType) {
-            const typeMap = {
-              'Line': 'line',
-              'Area': 'area', 
-              'Column': 'column'
-            };
-            const hcType = typeMap[chartType] || 'line';
-            (chart.series || []).forEach(series => {
-              if (!series || typeof series !== 'object') return;
-              series.update({ type: hcType }, false);
-            });
+        // Handle chart type changes
+        Object.keys(chartFilters).forEach(filterVar => {
+          if (filterVar === 'chart_type') {
+            const chartType = chartFilters[filterVar][0];
+            if (chartType) {
+              const typeMap = {
+                'Line': 'line',
+                'Area': 'area', 
+                'Column': 'column'
+              };
+              const hcType = typeMap[chartType] || 'line';
+              (chart.series || []).forEach(series => {
+                if (!series || typeof series !== 'object') return;
+                series.update({ type: hcType }, false);
+              });
+            }
           }
-        }
-      });
+        });
       
-      // Handle metric switching FIRST - rebuild series data from embedded data
-      // This must happen before other filtering to set up the base data
-      let metricSwitched = false;
-      if (filters['metric'] && window.dashboardrMetricData) {
-        const selectedMetric = filters['metric'][0];
-        if (selectedMetric) {
-          const allData = window.dashboardrMetricData;
+        // Handle metric switching FIRST - rebuild series data from embedded data
+        // This must happen before other filtering to set up the base data
+        let metricSwitched = false;
+        if (chartFilters['metric'] && window.dashboardrMetricData) {
+          const selectedMetric = chartFilters['metric'][0];
+          if (selectedMetric) {
+            const allData = window.dashboardrMetricData;
           
-          // Detect time variable - use configured value or auto-detect
-          const timeVar = window.dashboardrTimeVar || 
-                          (allData[0].year !== undefined ? 'year' : 
-                          allData[0].decade !== undefined ? 'decade' : 
-                          allData[0].time !== undefined ? 'time' : 
-                          allData[0].date !== undefined ? 'date' : null);
+            // Detect time variable - use configured value or auto-detect
+            const timeVar = window.dashboardrTimeVar || 
+                            (allData[0].year !== undefined ? 'year' : 
+                            allData[0].decade !== undefined ? 'decade' : 
+                            allData[0].time !== undefined ? 'time' : 
+                            allData[0].date !== undefined ? 'date' : null);
           
-          // Use chart's x-axis categories if available, otherwise extract from data
-          const timeValues = originalCategories || 
-            (timeVar ? [...new Set(allData.map(d => d[timeVar]))].sort() : []);
+            // Use chart's x-axis categories if available, otherwise extract from data
+            const timeValues = originalCategories || 
+              (timeVar ? [...new Set(allData.map(d => d[timeVar]))].sort() : []);
           
-          (chart.series || []).forEach(series => {
-            if (!series || typeof series !== 'object') return;
-            const countryName = series.name;
-            const countryData = allData.filter(d => 
-              d.country === countryName && d.metric === selectedMetric
-            );
+            (chart.series || []).forEach(series => {
+              if (!series || typeof series !== 'object') return;
+              const countryName = series.name;
+              const countryData = allData.filter(d => 
+                d.country === countryName && d.metric === selectedMetric
+              );
             
-            if (countryData.length > 0) {
-              const newData = timeValues.map(timeVal => {
-                const point = countryData.find(d => 
-                  timeVar ? d[timeVar] === timeVal : false
-                );
-                return point ? point.value : null;
-              });
-              series.setData(newData, false);
+              if (countryData.length > 0) {
+                const newData = timeValues.map(timeVal => {
+                  const point = countryData.find(d => 
+                    timeVar ? d[timeVar] === timeVal : false
+                  );
+                  return point ? point.value : null;
+                });
+                series.setData(newData, false);
               
-              // Update the original data store for this series
-              originalSeriesData.set(series, {
-                data: JSON.parse(JSON.stringify(newData)),
-                name: series.name
-              });
-            }
-          });
+                // Update the original data store for this series
+                originalSeriesData.set(series, {
+                  data: JSON.parse(JSON.stringify(newData)),
+                  name: series.name
+                });
+              }
+            });
           
-          // Update chart title dynamically based on selected metric
-          chart.setTitle(
-            { text: selectedMetric + ' by Country' }, 
-            { text: 'Trends over time' }, 
-            false
-          );
-          chart.yAxis[0].setTitle({ text: selectedMetric }, false);
+            // Update chart title dynamically based on selected metric
+            chart.setTitle(
+              { text: selectedMetric + ' by Country' }, 
+              { text: 'Trends over time' }, 
+              false
+            );
+            chart.yAxis[0].setTitle({ text: selectedMetric }, false);
           
-          metricSwitched = true;
+            metricSwitched = true;
+          }
         }
-      }
       
-      // Build sets for switch-controlled series
-      const switchHiddenSeries = new Set();  // Series to HIDE (switch is OFF)
-      const switchShownSeries = new Set();   // Series to SHOW with override (switch is ON + override=true)
-      Object.keys(inputState).forEach(id => {
-        const state = inputState[id];
-        if (state.inputType === 'switch' && state.toggleSeries) {
-          if (!state.value) {
-            // Switch is OFF - hide this series
-            switchHiddenSeries.add(state.toggleSeries);
-          } else if (state.override) {
-            // Switch is ON + override=true - show this series regardless of other filters
-            switchShownSeries.add(state.toggleSeries);
+        // Build sets for switch-controlled series
+        const switchHiddenSeries = new Set();  // Series to HIDE (switch is OFF)
+        const switchShownSeries = new Set();   // Series to SHOW with override (switch is ON + override=true)
+        Object.keys(scopedState).forEach(id => {
+          const state = scopedState[id];
+          if (state.inputType === 'switch' && state.toggleSeries) {
+            if (!state.value) {
+              // Switch is OFF - hide this series
+              switchHiddenSeries.add(state.toggleSeries);
+            } else if (state.override) {
+              // Switch is ON + override=true - show this series regardless of other filters
+              switchShownSeries.add(state.toggleSeries);
+            }
           }
-        }
-      });
+        });
       
-      (chart.series || []).forEach(series => {
-        if (!series || typeof series !== 'object') return;
-        const seriesName = series.name;
-        const original = originalSeriesData.get(series);
+        (chart.series || []).forEach(series => {
+          if (!series || typeof series !== 'object') return;
+          const seriesName = series.name;
+          const original = originalSeriesData.get(series);
         
-        // Check if hidden by switch toggle (switch OFF)
-        if (switchHiddenSeries.has(seriesName)) {
-          series.setVisible(false, false);
-          series.update({ showInLegend: false }, false);
-          return;
-        }
+          // Check if hidden by switch toggle (switch OFF)
+          if (switchHiddenSeries.has(seriesName)) {
+            series.setVisible(false, false);
+            series.update({ showInLegend: false }, false);
+            return;
+          }
         
-        // Check if shown by switch with override (switch ON + override=true)
-        if (switchShownSeries.has(seriesName)) {
-          series.setVisible(true, false);
-          series.update({ showInLegend: true }, false);
-          // Continue to filter data points, but series stays visible
-        } else {
-          // Check series-level visibility (e.g., country filter from selectize/checkbox)
-          let showSeries = true;
-          
-          // Apply text search filter to series names
-          Object.keys(textFilters).forEach(filterVar => {
-            const searchText = textFilters[filterVar];
-            // Check if this filter applies to series names
-            if (seriesNames.some(n => n.toLowerCase().includes(searchText))) {
-              if (!seriesName.toLowerCase().includes(searchText)) {
-                showSeries = false;
-              }
-            }
-          });
+          // Check if shown by switch with override (switch ON + override=true)
+          if (switchShownSeries.has(seriesName)) {
+            series.setVisible(true, false);
+            series.update({ showInLegend: true }, false);
+            // Continue to filter data points, but series stays visible
+          } else {
+            // Check series-level visibility (e.g., country filter from selectize/checkbox)
+            let showSeries = true;
           
-          Object.keys(filters).forEach(filterVar => {
-            const selectedValues = filters[filterVar];
-            if (selectedValues && selectedValues.length > 0) {
+            // Apply text search filter to series names
+            Object.keys(textFilters).forEach(filterVar => {
+              const searchText = textFilters[filterVar];
               // Check if this filter applies to series names
-              const isSeriesFilter = selectedValues.some(v => seriesNames.includes(v)) || 
-                                     seriesNames.some(n => selectedValues.includes(n));
-              if (isSeriesFilter) {
-                if (!selectedValues.includes(seriesName)) {
+              if (seriesNames.some(n => n.toLowerCase().includes(searchText))) {
+                if (!seriesName.toLowerCase().includes(searchText)) {
                   showSeries = false;
                 }
               }
+            });
+          
+            Object.keys(chartFilters).forEach(filterVar => {
+              const selectedValues = chartFilters[filterVar];
+              if (selectedValues && selectedValues.length > 0) {
+                // Check if this filter applies to series names
+                const isSeriesFilter = selectedValues.some(v => seriesNames.includes(v)) || 
+                                       seriesNames.some(n => selectedValues.includes(n));
+                if (isSeriesFilter) {
+                  if (!selectedValues.includes(seriesName)) {
+                    showSeries = false;
+                  }
+                }
+              }
+            });
+          
+            // If series should be hidden entirely
+            if (!showSeries) {
+              series.setVisible(false, false);
+              series.update({ showInLegend: false }, false);
+              return;
             }
-          });
           
-          // If series should be hidden entirely
-          if (!showSeries) {
-            series.setVisible(false, false);
-            series.update({ showInLegend: false }, false);
-            return;
+            // Series should be visible - show in legend too
+            series.setVisible(true, false);
+            series.update({ showInLegend: true }, false);
           }
-          
-          // Series should be visible - show in legend too
-          series.setVisible(true, false);
-          series.update({ showInLegend: true }, false);
-        }
         
-        // Filter data to only include visible categories
-        if (original && originalCategories) {
-          const filteredData = visibleCategoryIndices.map(idx => {
-            const point = original.data[idx];
-            return point !== undefined ? JSON.parse(JSON.stringify(point)) : null;
-          });
+          // Filter data to only include visible categories
+          if (original && originalCategories) {
+            const filteredData = visibleCategoryIndices.map(idx => {
+              const point = original.data[idx];
+              return point !== undefined ? JSON.parse(JSON.stringify(point)) : null;
+            });
           
-          series.setData(filteredData, false, false, false);
-        } else if (original && hasNumericXAxis) {
-          // Handle charts with numeric x-axis (no categories)
-          let filteredData = JSON.parse(JSON.stringify(original.data));
-          Object.keys(sliderFilters).forEach(filterVar => {
-            if (entry && entry.x && String(filterVar) !== String(entry.x)) {
-              return;
-            }
-            const sliderInfo = sliderFilters[filterVar];
+            series.setData(filteredData, false, false, false);
+          } else if (original && hasNumericXAxis) {
+            // Handle charts with numeric x-axis (no categories)
+            let filteredData = JSON.parse(JSON.stringify(original.data));
             filteredData = filteredData.filter(point => {
               if (point === null) return false;
               const xVal = typeof point === 'object' ? point.x : null;
-              if (xVal !== null && xVal < sliderInfo.value) {
-                return false;
-              }
-              return true;
+              return xVal === null || xVal === undefined || !valueFilter || valueFilter(xVal);
             });
-          });
-          series.setData(filteredData, false, false, false);
-        }
-      });
+            series.setData(filteredData, false, false, false);
+          }
+        });
       
-      // Update x-axis categories to only show visible ones
-      if (originalCategories && newCategories.length > 0) {
-        chart.xAxis[0].setCategories(newCategories, false);
-      }
+        // Update x-axis categories to only show visible ones
+        if (originalCategories && newCategories.length > 0) {
+          chart.xAxis[0].setCategories(newCategories, false);
+        }
       
-      chart.redraw();
-    });
-
-    // Apply filters to Plotly charts
-    const plotlyEntries = entries.filter(e => e.backend === 'plotly' && !crossTabHandled.has(e.id));
-    plotlyEntries.forEach(entry => {
-      applyPlotlyFilters(entry, filters, sliderFilters, textFilters, numberFilters, periodFilters);
-    });
+        chart.redraw();
+      });
 
-    // Apply filters to ECharts charts
-    const echartsEntries = entries.filter(e => e.backend === 'echarts4r' && !crossTabHandled.has(e.id));
-    echartsEntries.forEach(entry => {
-      applyEchartsFilters(entry, filters, sliderFilters, textFilters, numberFilters, periodFilters);
-    });
+      // Apply filters to Plotly charts
+      const plotlyEntries = inPlaceEntries.filter(e => e.backend === 'plotly');
+      plotlyEntries.forEach(entry => {
+        applyPlotlyFilters(entry, filtersForEntry(entry, filters), sliderFilters, textFilters, numberFilters, periodFilters,
+          dateFilters, daterangeFilters, filtersForEntry(entry, rangeFilters, brushSelections)
+        );
+      });
 
-    // Apply filters to tables and widgets
-    applyTableFilters(filters, sliderFilters, textFilters, numberFilters, periodFilters);
-
-    // Update any charts that have dynamic title templates
-    updateDynamicTitles();
+      // Apply filters to ECharts charts
+      const echartsEntries = inPlaceEntries.filter(e => e.backend === 'echarts4r');
+      echartsEntries.forEach(entry => {
+        applyEchartsFilters(entry, filtersForEntry(entry, filters), sliderFilters, textFilters, numberFilters, periodFilters,
+          dateFilters, daterangeFilters, filtersForEntry(entry, rangeFilters, brushSelections)
+        );
+      });
+    };
+    applyInPlace(entries.filter(e => !crossTabHandled.has(e.id) && !crossTabPending.has(e.id)));
+    crossTabPending.forEach((promise, id) => {
+      lazyPromises.push(promise.then(drawn => {
+        if (drawn === false) applyInPlace(entries.filter(e => e.id === id));
+      }));
+    });
 
-    // Reveal all deferred charts by fading out the loading overlay.
-    // deferred_charts.js creates a white overlay on top while the chart renders underneath.
-    document.querySelectorAll('.dashboardr-deferred-pending-filters').forEach(function(el) {
-      el.classList.remove('dashboardr-deferred-pending-filters');
-      // Fade out the overlay to smoothly reveal the chart underneath
-      var overlay = el.querySelector('.dashboardr-deferred-overlay');
-      if (overlay) {
-        overlay.style.opacity = '0';
-        // Remove overlay from DOM after transition completes
-        setTimeout(function() {
-          if (overlay.parentNode) overlay.parentNode.removeChild(overlay);
-        }, 400);
-      }
-      // Reflow charts now that they're visible with correct data
-      var container = el.querySelector('[id$="_container"]');
-      if (container && container._hcChart) {
-        try { container._hcChart.reflow(); } catch(e) {}
-      }
+    // Filter markers and shapes of Leaflet maps
+    entries.filter(e => e.backend === 'leaflet').forEach(entry => {
+      const mapShown = applyLeafletFilters(entry, filtersForEntry(entry, filters), sliderFilters, textFilters, numberFilters,
+        dateFilters, daterangeFilters, filtersForEntry(entry, rangeFilters, brushSelections)
+      );
+      if (mapShown) lazyPromises.push(mapShown);
     });
 
-    // Dispatch event for URL params and accessibility modules
-    try {
-      document.dispatchEvent(new CustomEvent('dashboardr:filter-changed', {
-        detail: { inputState: inputState }
-      }));
-    } catch (e) {
-      // CustomEvent not supported in very old browsers
-    }
+    // Apply filters to tables and widgets
+    applyTableFilters(filters, sliderFilters, textFilters, numberFilters, periodFilters, rangeFilters, dateFilters, daterangeFilters, scope);
 
-    // Also dispatch a standard change event so show_when.js re-evaluates
-    // (show_when.js listens for 'change' events on the document)
-    try {
-      document.dispatchEvent(new Event('change', { bubbles: true }));
-    } catch (e) {
-      // Fallback for old browsers
-    }
+    // Recompute filter-reactive value boxes, metrics and sparkline cards
+    const metricsShown = applyMetricFilters(filters, sliderFilters, textFilters, numberFilters, dateFilters, daterangeFilters, rangeFilters, scope);
+    if (metricsShown) lazyPromises.push(metricsShown);
+  }
+
+  /**
+   * Whether a value filter on filterVar applies to a chart's category/x
+   * values. Cross-tab configs name the axis variable; otherwise the chart
+   * must list the variable in its filterVars. Entries registered without
+   * a widget config keep the legacy behaviour of applying every filter.
+   */
+  function appliesToCategories(entry, filterVar) {
+    if (!entry) return true;
+    if (typeof entry.x === 'string') return String(filterVar) === entry.x;
+    const config = getCrossTabConfig(entry.id);
+    const xVar = config ? (config.xVar || config.timeVar) : null;
+    if (xVar) return String(filterVar) === String(xVar);
+    let vars = entry.filterVars;
+    if (typeof vars === 'string') vars = [vars];
+    if (Array.isArray(vars) && vars.length > 0) return vars.includes(filterVar);
+    return !entry.x;
+  }
+
+  /**
+   * Build one predicate for the value-based filters (numeric slider,
+   * number, date, date range, brushed range) on category/x values.
+   * Highcharts, Plotly and ECharts all use it on their non-cross-tab
+   * paths, with the same semantics as the cross-tab engine, so a filter
+   * state keeps the same categories on every backend.
+   * @returns {Function|null} value => boolean, or null if nothing applies
+   */
+  function buildCategoryValueFilter(entry, valueFilters) {
+    const checks = [];
+    const sliderFilters = valueFilters.sliderFilters || {};
+    const numberFilters = valueFilters.numberFilters || {};
+    const dateFilters = valueFilters.dateFilters || {};
+    const daterangeFilters = valueFilters.daterangeFilters || {};
+    const rangeFilters = valueFilters.rangeFilters || {};
+
+    Object.keys(sliderFilters).forEach(filterVar => {
+      const info = sliderFilters[filterVar];
+      // Label sliders are positional; computeVisibleCategories handles them
+      if (!appliesToCategories(entry, filterVar) || (info.labels && info.labels.length > 0)) return;
+      checks.push(v => {
+        const num = parseFloat(v);
+        return isNaN(num) || sliderAllowsNumber(info, num);
+      });
+    });
+    Object.keys(numberFilters).forEach(filterVar => {
+      const num = numberFilters[filterVar];
+      if (!appliesToCategories(entry, filterVar) || num === undefined || num === null || num === '') return;
+      checks.push(v => String(v) === String(num));
+    });
+    Object.keys(dateFilters).forEach(filterVar => {
+      if (!appliesToCategories(entry, filterVar)) return;
+      const dateValue = dateFilters[filterVar];
+      checks.push(v => _toIsoDate(v) === dateValue);
+    });
+    Object.keys(daterangeFilters).forEach(filterVar => {
+      if (!appliesToCategories(entry, filterVar)) return;
+      const dr = daterangeFilters[filterVar];
+      checks.push(v => {
+        const parsed = _toIsoDate(v);
+        if (!parsed) return false;
+        if (dr.start && parsed < dr.start) return false;
+        if (dr.end && parsed > dr.end) return false;
+        return true;
+      });
+    });
+    Object.keys(rangeFilters).forEach(filterVar => {
+      if (!appliesToCategories(entry, filterVar)) return;
+      const range = rangeFilters[filterVar];
+      checks.push(v => valueInRange(range.type === 'date' ? _toIsoDate(v) : v, range));
+    });
+
+    if (checks.length === 0) return null;
+    return value => checks.every(check => check(value));
   }
 
-  function computeVisibleCategories(allCategories, filters, sliderFilters, periodFilters, xVarName) {
+  function computeVisibleCategories(allCategories, filters, sliderFilters, periodFilters, entry, valueFilter) {
     if (!allCategories || allCategories.length === 0) return null;
     let visible = allCategories.slice();
     const categoryStrings = visible.map(c => String(c));
@@ -1486,32 +2426,25 @@
       }
     });
 
-    // Slider filters
+    // Label sliders (keep categories from the selected label onwards, or
+    // between the two handles of a range slider)
     Object.keys(sliderFilters).forEach(filterVar => {
-      if (xVarName && String(filterVar) !== String(xVarName)) {
+      if (!appliesToCategories(entry, filterVar)) {
         return;
       }
       const sliderInfo = sliderFilters[filterVar];
       if (sliderInfo.labels && sliderInfo.labels.length > 0) {
-        const labelIdx = Math.round((sliderInfo.value - sliderInfo.min) / (sliderInfo.step || 1));
-        const startLabel = sliderInfo.labels[labelIdx];
-        if (startLabel) {
-          const startIdx = visible.findIndex(cat => String(cat) === String(startLabel));
-          if (startIdx >= 0) {
-            visible = visible.filter((_, idx) => idx >= startIdx);
-          }
-        }
-      } else {
-        visible = visible.filter(cat => {
-          const catNum = parseFloat(cat);
-          if (!isNaN(catNum)) {
-            return catNum >= sliderInfo.value;
-          }
-          return true;
-        });
+        const labelWindow = sliderCategoryWindow(visible, sliderInfo);
+        visible = visible.filter((_, idx) =>
+          (labelWindow.start < 0 || idx >= labelWindow.start) && (labelWindow.end < 0 || idx <= labelWindow.end));
       }
     });
 
+    // Numeric slider, number, date, date range and brushed range filters
+    if (valueFilter) {
+      visible = visible.filter(cat => valueFilter(cat));
+    }
+
     return visible;
   }
 
@@ -1613,7 +2546,7 @@
     return { low, q1, median, q3, high, outliers };
   }
 
-  function applyPlotlyFilters(entry, filters, sliderFilters, textFilters, numberFilters, periodFilters) {
+  function applyPlotlyFilters(entry, filters, sliderFilters, textFilters, numberFilters, periodFilters, dateFilters, daterangeFilters, rangeFilters) {
     if (!entry || !entry.el || typeof Plotly === 'undefined') return;
     if (!entry.original || !entry.original.data) {
       if (chartRegistry && chartRegistry.adapters && chartRegistry.adapters.plotly) {
@@ -1643,12 +2576,16 @@
         }
       });
     }
+    const valueFilter = buildCategoryValueFilter(entry, {
+      sliderFilters, numberFilters, dateFilters, daterangeFilters, rangeFilters
+    });
     const visibleCategories = computeVisibleCategories(
       allCategories,
       filters,
       sliderFilters,
       periodFilters,
-      entry && entry.x ? entry.x : null
+      entry,
+      valueFilter
     );
     const visibleSet = visibleCategories ? new Set(visibleCategories.map(c => String(c))) : null;
 
@@ -1672,17 +2609,16 @@
       if (!show) t.visible = 'legendonly';
 
       if (visibleSet && t.x && t.y) {
-        const newX = [];
-        const newY = [];
-        for (let i = 0; i < t.x.length; i++) {
-          const xVal = String(t.x[i]);
-          if (visibleSet.has(xVal)) {
-            newX.push(t.x[i]);
-            newY.push(t.y[i]);
+        const keep = t.x.map(x => visibleSet.has(String(x)));
+        const n = t.x.length;
+        t.x = t.x.filter((_, i) => keep[i]);
+        t.y = t.y.filter((_, i) => keep[i]);
+        // Keep per-point arrays aligned with the filtered x/y
+        ['text', 'hovertext', 'customdata', 'ids'].forEach(key => {
+          if (Array.isArray(t[key]) && t[key].length === n) {
+            t[key] = t[key].filter((_, i) => keep[i]);
           }
-        }
-        t.x = newX;
-        t.y = newY;
+        });
       }
       return t;
     });
@@ -1690,7 +2626,7 @@
     Plotly.react(entry.el, newData, original.layout || entry.el.layout || {});
   }
 
-  function applyEchartsFilters(entry, filters, sliderFilters, textFilters, numberFilters, periodFilters) {
+  function applyEchartsFilters(entry, filters, sliderFilters, textFilters, numberFilters, periodFilters, dateFilters, daterangeFilters, rangeFilters) {
     if (!entry || !entry.el || typeof echarts === 'undefined') return;
     if (!entry.original || !entry.original.option) {
       if (chartRegistry && chartRegistry.adapters && chartRegistry.adapters.echarts4r) {
@@ -1705,12 +2641,16 @@
     const option = chartRegistry && chartRegistry.deepClone ? chartRegistry.deepClone(original) : JSON.parse(JSON.stringify(original));
     const xAxis = option.xAxis && option.xAxis.length ? option.xAxis[0] : null;
     const allCategories = xAxis && xAxis.data ? xAxis.data.slice() : null;
+    const valueFilter = buildCategoryValueFilter(entry, {
+      sliderFilters, numberFilters, dateFilters, daterangeFilters, rangeFilters
+    });
     const visibleCategories = computeVisibleCategories(
       allCategories,
       filters,
       sliderFilters,
       periodFilters,
-      entry && entry.x ? entry.x : null
+      entry,
+      valueFilter
     );
     const visibleSet = visibleCategories ? new Set(visibleCategories.map(c => String(c))) : null;
 
@@ -1754,6 +2694,12 @@
         }
         if (xAxis) xAxis.data = newCats;
         s.data = newData;
+      } else if (!allCategories && valueFilter && Array.isArray(s.data)) {
+        // Value x-axis: data points are [x, y] pairs (or { value: [x, y] })
+        s.data = s.data.filter(point => {
+          const pair = Array.isArray(point) ? point : (point && Array.isArray(point.value) ? point.value : null);
+          return !pair || valueFilter(pair[0]);
+        });
       }
       return s;
     }).filter(Boolean);
@@ -1763,77 +2709,136 @@
     inst.setOption(option, true);
   }
 
-  function filterRowsByInputs(data, filterVars, filters, sliderFilters, textFilters, numberFilters, periodFilters) {
+  /**
+   * Normalise a table cell (or an input value) by its column type so that
+   * cells and inputs compare with the column's semantics: numbers
+   * numerically (4 matches "4.0"), dates as ISO days, logicals
+   * case-insensitively, factors and strings as text. Missing cells are null
+   * and never match an active input.
+   * @param {*} value
+   * @param {string} [type] - From .table_column_types() in R/utils_core.R
+   */
+  function _typedCell(value, type) {
+    if (value === null || value === undefined || value === '') return null;
+    if (type === 'number') {
+      const num = Number(value);
+      return Number.isFinite(num) ? num : null;
+    }
+    if (type === 'date') {
+      // POSIXct cells arrive as "YYYY-MM-DD HH:MM:SS"; keep their day
+      const text = String(value);
+      if (/^\d{4}-\d{2}-\d{2}[ T]/.test(text)) return text.substring(0, 10);
+      return _toIsoDate(value) || null;
+    }
+    if (type === 'logical') return String(value).toLowerCase();
+    return String(value);
+  }
+
+  /**
+   * Filter table rows (filterable tables, DT, reactable) by the current
+   * inputs. Each input type has its own operator: selections keep listed
+   * values, sliders keep values at or above the handle (or between the
+   * handles), text keeps substrings, numbers and dates keep equal values,
+   * date ranges and brushed ranges keep values inside the range.
+   * @param {Object} [columnTypes] - {types, levels} registered with the table
+   */
+  function filterRowsByInputs(data, filterVars, filters, sliderFilters, textFilters, numberFilters, periodFilters, rangeFilters,
+                              dateFilters, daterangeFilters, columnTypes) {
     if (!Array.isArray(data)) return [];
     if (data.length === 0) return data;
-    let rows = data.slice();
+    const clauses = _tableClauses(filterVars, filters, sliderFilters, textFilters, numberFilters, rangeFilters,
+      dateFilters, daterangeFilters, columnTypes);
+    return data.filter(row => _rowMatches(row, clauses));
+  }
+
+  /**
+   * The inputs on `filterVars` as single-cell clauses (see
+   * _crossTabClauses()), compared through the table's column types.
+   */
+  function _tableClauses(filterVars, filters, sliderFilters, textFilters, numberFilters, rangeFilters,
+                         dateFilters, daterangeFilters, columnTypes) {
+    const clauses = [];
     const allLabels = ['all', 'alle', 'tous', 'todo', 'tutti', 'すべて', '全部'];
+    const types = (columnTypes && columnTypes.types) || {};
 
     (filterVars || []).forEach(filterVar => {
+      const type = types[filterVar];
+      const cell = value => _typedCell(value, type);
+      const add = test => clauses.push({ col: filterVar, test });
       const selectedValues = filters[filterVar];
       if (selectedValues && selectedValues.length > 0) {
         const hasAll = selectedValues.some(v => allLabels.includes(String(v).toLowerCase()));
         if (!hasAll) {
-          rows = rows.filter(row => selectedValues.includes(String(row[filterVar])));
+          const selected = selectedValues.map(v => _typedCell(v, type));
+          add(value => selected.includes(cell(value)));
         }
       }
       const sliderInfo = sliderFilters[filterVar];
       if (sliderInfo) {
         if (sliderInfo.labels && sliderInfo.labels.length > 0) {
-          const selectedIndex = resolveSliderLabelIndex(sliderInfo);
-          const allowedLabels = sliderInfo.labels.slice(selectedIndex);
-          rows = rows.filter(row => allowedLabels.includes(String(row[filterVar])));
+          const allowedLabels = sliderAllowedLabels(sliderInfo).map(v => _typedCell(v, type));
+          add(value => allowedLabels.includes(cell(value)));
         } else {
-          rows = rows.filter(row => {
-            const rowValue = Number(row[filterVar]);
-            return !isNaN(rowValue) && rowValue >= sliderInfo.value;
-          });
+          add(value => sliderAllowsNumber(sliderInfo, Number(value)));
         }
       }
       const text = textFilters[filterVar];
       if (text) {
-        rows = rows.filter(row => String(row[filterVar]).toLowerCase().includes(text));
+        add(value => cell(value) !== null && String(value).toLowerCase().includes(text));
       }
       const num = numberFilters[filterVar];
       if (num !== undefined && num !== null && num !== '') {
-        rows = rows.filter(row => String(row[filterVar]) === String(num));
+        const target = _typedCell(num, type || 'number');
+        add(value => target !== null && _typedCell(value, type || 'number') === target);
+      }
+      const dateValue = dateFilters && dateFilters[filterVar];
+      if (dateValue) {
+        add(value => _typedCell(value, 'date') === dateValue);
+      }
+      const dr = daterangeFilters && daterangeFilters[filterVar];
+      if (dr) {
+        add(value => {
+          const day = _typedCell(value, 'date');
+          if (!day) return false;
+          if (dr.start && day < dr.start) return false;
+          if (dr.end && day > dr.end) return false;
+          return true;
+        });
+      }
+      const range = rangeFilters && rangeFilters[filterVar];
+      if (range) {
+        add(value => valueInRange(value, range));
       }
     });
 
-    return rows;
+    return clauses;
   }
 
-  function applyTableFilters(filters, sliderFilters, textFilters, numberFilters, periodFilters) {
+  function applyTableFilters(filters, sliderFilters, textFilters, numberFilters, periodFilters, rangeFilters, dateFilters, daterangeFilters, scope) {
     if (!chartRegistry) return;
+    const inScope = el => scope === undefined || _elementScope(el) === scope;
 
-    // Basic HTML tables
+    // Filterable tables: keep the filtered rows, show their first page
     chartRegistry.getTables().forEach(tbl => {
-      const filtered = filterRowsByInputs(tbl.data, tbl.filterVars || [], filters, sliderFilters, textFilters, numberFilters, periodFilters);
       const tableEl = document.querySelector(`[data-dashboardr-table-id='${tbl.id}']`);
-      if (!tableEl) return;
-      const tbody = tableEl.querySelector('tbody');
-      if (!tbody) return;
-      tbody.innerHTML = '';
-      filtered.forEach(row => {
-        const tr = document.createElement('tr');
-        tbl.columns.forEach(col => {
-          const td = document.createElement('td');
-          td.textContent = row[col] !== undefined ? row[col] : '';
-          tr.appendChild(td);
-        });
-        tbody.appendChild(tr);
-      });
+      if (!tableEl || !inScope(tableEl)) return;
+      tbl.filtered = _maskSmallTableRows(filterRowsByInputs(tbl.data, tbl.filterVars || [], filters, sliderFilters, textFilters, numberFilters, periodFilters, rangeFilters,
+        dateFilters, daterangeFilters, tbl.columnTypes));
+      tbl.page = 0;
+      _bindFilterTable(tableEl, tbl);
+      _renderFilterTable(tableEl, tbl);
     });
 
     // DT widgets
     chartRegistry.getDTs().forEach(dt => {
-      if (!dt.el || !dt.data || typeof $ === 'undefined' || !$.fn || !$.fn.dataTable) return;
+      if (!dt.el || !dt.data || !inScope(dt.el) || typeof $ === 'undefined' || !$.fn || !$.fn.dataTable) return;
 
       const root = $(dt.el);
       const tableNode = root.is('table') ? root[0] : root.find('table').first()[0];
       if (!tableNode || !$.fn.dataTable.isDataTable(tableNode)) return;
 
-      const filtered = filterRowsByInputs(dt.data, dt.filterVars || [], filters, sliderFilters, textFilters, numberFilters, periodFilters);
+      const filtered = _maskSmallTableRows(filterRowsByInputs(dt.data, dt.filterVars || [], filters, sliderFilters, textFilters, numberFilters, periodFilters, rangeFilters,
+        dateFilters, daterangeFilters, dt.columnTypes));
       const cols = Array.isArray(dt.data) && dt.data.length ? Object.keys(dt.data[0]) : [];
       const rows = Array.isArray(filtered) ? filtered.map(r => cols.map(c => r[c])) : [];
       try {
@@ -1846,376 +2851,1146 @@
 
     // Reactable widgets
     chartRegistry.getReactables().forEach(rt => {
-      if (!rt.el || !rt.data || typeof Reactable === 'undefined') return;
-      const filtered = filterRowsByInputs(rt.data, rt.filterVars || [], filters, sliderFilters, textFilters, numberFilters, periodFilters);
+      if (!rt.el || !rt.data || !inScope(rt.el) || typeof Reactable === 'undefined') return;
+      const filtered = _maskSmallTableRows(filterRowsByInputs(rt.data, rt.filterVars || [], filters, sliderFilters, textFilters, numberFilters, periodFilters, rangeFilters,
+        dateFilters, daterangeFilters, rt.columnTypes));
       try {
         Reactable.setData(rt.el, filtered);
       } catch (e) { /* ignore */ }
     });
   }
 
+  // =================================================================
+  // Filterable tables: sorting, paging, formatting, CSV download
+  // =================================================================
+  //
+  // add_table() / add_gt() with filter_vars render the first page in R
+  // (.render_filterable_table() in R/utils_core.R). From then on the
+  // registry entry holds the filtered rows (tbl.filtered), the sort column
+  // and direction (tbl.sort) and the current page (tbl.page); only the rows
+  // of that page are in the DOM, so long tables stay fast.
+
+  function _bindFilterTable(tableEl, tbl) {
+    if (tableEl.__dashboardrTable) return;
+    tableEl.__dashboardrTable = true;
+    tableEl.addEventListener('click', e => {
+      const sortBtn = e.target.closest('.dashboardr-table-sort');
+      if (sortBtn) {
+        const col = sortBtn.closest('th').getAttribute('data-column');
+        // Cycle ascending -> descending -> unsorted
+        if (!tbl.sort || tbl.sort.column !== col) tbl.sort = { column: col, dir: 'asc' };
+        else if (tbl.sort.dir === 'asc') tbl.sort = { column: col, dir: 'desc' };
+        else tbl.sort = null;
+        tbl.page = 0;
+        _renderFilterTable(tableEl, tbl);
+        return;
+      }
+      const pageBtn = e.target.closest('.dashboardr-table-page-btn');
+      if (pageBtn) {
+        tbl.page += pageBtn.getAttribute('data-page-action') === 'next' ? 1 : -1;
+        _renderFilterTable(tableEl, tbl);
+        return;
+      }
+      if (e.target.closest('.dashboardr-table-download')) _downloadTableCsv(tbl);
+    });
+  }
+
   /**
-   * Replace {var} placeholders in chart titles with current input values.
-   * Looks up values by both input_id (name) and filter_var so users can
-   * reference either in their title template.
+   * Filtered rows in the current sort order: factors by level, dates by
+   * day, numbers numerically, text naturally; missing values sort last.
    */
-  function updateDynamicTitles() {
-    if (!window.dashboardrCrossTab) return;
-    var hasHighcharts = (typeof Highcharts !== 'undefined');
+  function _sortedTableRows(tbl) {
+    const rows = tbl.filtered || tbl.data || [];
+    if (!tbl.sort) return rows;
+    const col = tbl.sort.column;
+    const sign = tbl.sort.dir === 'desc' ? -1 : 1;
+    const meta = tbl.columnTypes || {};
+    const type = (meta.types || {})[col];
+    const levels = (meta.levels || {})[col];
+    const key = type === 'factor' && Array.isArray(levels)
+      ? v => { const i = levels.indexOf(String(v)); return i < 0 ? null : i; }
+      : v => _typedCell(v, type);
+    return rows.slice().sort((a, b) => {
+      const x = key(a[col]);
+      const y = key(b[col]);
+      if (x === null || y === null) return x === y ? 0 : (x === null ? 1 : -1);
+      if (typeof x === 'number' && typeof y === 'number') return sign * (x - y);
+      return sign * String(x).localeCompare(String(y), undefined, { numeric: true, sensitivity: 'base' });
+    });
+  }
 
-    // Build a combined lookup: input_id → value  AND  filter_var → value
-    var lookup = {};
+  function _renderFilterTable(tableEl, tbl) {
+    const tbody = tableEl.querySelector('tbody');
+    if (!tbody) return;
+    const rows = _sortedTableRows(tbl);
+    const total = (tbl.data || []).length;
+    const pageSize = tbl.pageSize || 25;
+    const pages = Math.max(1, Math.ceil(rows.length / pageSize));
+    tbl.page = Math.min(Math.max(tbl.page || 0, 0), pages - 1);
+    const start = tbl.page * pageSize;
+    const pageRows = rows.slice(start, start + pageSize);
+
+    const fragment = document.createDocumentFragment();
+    pageRows.forEach(row => {
+      const tr = document.createElement('tr');
+      tbl.columns.forEach(col => {
+        const td = document.createElement('td');
+        td.textContent = _formatTableValue(row[col], tbl.formats[col]);
+        tr.appendChild(td);
+      });
+      fragment.appendChild(tr);
+    });
+    tbody.innerHTML = '';
+    tbody.appendChild(fragment);
 
-    var setLookup = function(key, value) {
-      if (!key) return;
-      if (value === undefined || value === null) return;
-      var text = String(value).trim();
-      if (!text) return;
-      lookup[key] = text;
-    };
+    tableEl.querySelectorAll('th[data-column]').forEach(th => {
+      const sorted = tbl.sort && tbl.sort.column === th.getAttribute('data-column');
+      th.setAttribute('aria-sort', sorted ? (tbl.sort.dir === 'asc' ? 'ascending' : 'descending') : 'none');
+    });
 
-    // Primary source: normalized dashboardr input state (covers all input types)
-    Object.keys(inputState).forEach(function(inputId) {
-      var state = inputState[inputId] || {};
-      var filterVar = state.filterVar;
-      var value = null;
+    const summary = tableEl.querySelector('.dashboardr-table-summary');
+    if (summary) summary.textContent = _tableSummaryText(pageRows.length, rows.length, total, start + 1);
+    const pager = tableEl.querySelector('.dashboardr-table-pager');
+    if (pager) {
+      pager.hidden = pages <= 1;
+      const label = pager.querySelector('.dashboardr-table-page');
+      if (label) label.textContent = 'Page ' + (tbl.page + 1) + ' of ' + pages;
+      const prev = pager.querySelector('[data-page-action="prev"]');
+      const next = pager.querySelector('[data-page-action="next"]');
+      if (prev) prev.disabled = tbl.page === 0;
+      if (next) next.disabled = tbl.page >= pages - 1;
+    }
+  }
 
-      if (state.inputType === 'slider') {
-        if (Array.isArray(state.labels) && state.labels.length > 0) {
-          var idx = resolveSliderLabelIndex(state);
-          value = state.labels[idx] !== undefined ? state.labels[idx] : state.value;
-        } else {
-          value = state.value;
-        }
-      } else if (state.inputType === 'switch') {
-        value = state.value ? 'true' : 'false';
-      } else if (state.inputType === 'daterange') {
-        var start = state.start || '';
-        var end = state.end || '';
-        if (start || end) value = start + ' to ' + end;
-      } else if (Array.isArray(state.selected)) {
-        if (state.selected.length === 1) {
-          value = state.selected[0];
-        } else if (state.selected.length > 1) {
-          value = state.selected.join(', ');
-        }
-      } else if (Object.prototype.hasOwnProperty.call(state, 'value')) {
-        value = state.value;
-      }
+  /** Same output as .format_table_value() in R */
+  function _formatTableValue(value, fmt) {
+    if (value === null || value === undefined || value === '') return '';
+    if (!fmt || typeof value !== 'number' || !isFinite(value)) return String(value);
+    const scaled = value * (fmt.scale !== undefined ? fmt.scale : 1);
+    const bigMark = fmt.big_mark !== undefined ? fmt.big_mark : ',';
+    const text = fmt.digits !== undefined && fmt.digits !== null
+      ? scaled.toFixed(fmt.digits)
+      : String(Number(scaled.toPrecision(7)));
+    const parts = text.split('.');
+    parts[0] = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, bigMark);
+    return (fmt.prefix || '') + parts.join('.') + (fmt.suffix || '');
+  }
 
-      setLookup(inputId, value);
-      setLookup(filterVar, value);
-    });
+  /** Same wording as .table_summary_text() in R */
+  function _tableSummaryText(shown, filtered, total, first) {
+    if (filtered === 0) return 'No matching rows';
+    const count = n => n.toLocaleString('en-US');
+    const range = shown < filtered ? count(first) + '\u2013' + count(first + shown - 1) + ' of ' : '';
+    let text = 'Showing ' + range + count(filtered) + (filtered === 1 ? ' row' : ' rows');
+    if (filtered < total) text += ' (filtered from ' + count(total) + ')';
+    return text;
+  }
 
-    // From select elements
-    document.querySelectorAll('select').forEach(function(el) {
-      var id = el.id;
-      var fv = el.getAttribute('data-filter-var');
-      var val = el.value;
-      setLookup(id, val);
-      setLookup(fv, val);
-    });
+  function _csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+  }
 
-    // From checked radio buttons
-    document.querySelectorAll('input[type="radio"]:checked').forEach(function(el) {
-      var id = el.name || el.id;
-      var val = el.value;
-      setLookup(id, val);
-      // Also resolve filter_var from the parent radio group container
-      var group = el.closest('[data-filter-var]');
-      if (group) {
-        var fv = group.getAttribute('data-filter-var');
-        setLookup(fv, val);
-      }
+  /** Download exactly the filtered rows, in the current sort order */
+  function _downloadTableCsv(tbl) {
+    if (!tbl.download) return;
+    const lines = [tbl.columns.map(_csvCell).join(',')];
+    _sortedTableRows(tbl).forEach(row => {
+      lines.push(tbl.columns.map(col => _csvCell(row[col])).join(','));
     });
+    const blob = new Blob([lines.join('\r\n') + '\r\n'], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = tbl.download;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
 
-    // Iterate over all cross-tab configs looking for titleTemplate
-    var chartIds = Object.keys(window.dashboardrCrossTab);
-    for (var i = 0; i < chartIds.length; i++) {
-      var info = window.dashboardrCrossTab[chartIds[i]];
-      if (!info.config || !info.config.titleTemplate) continue;
-
-      // Build an extended lookup that includes titleLookups (derived values)
-      var extLookup = Object.assign({}, lookup);
-      if (info.config.titleLookups) {
-        var tl = info.config.titleLookups;
-        Object.keys(tl).forEach(function(placeholderName) {
-          var mapping = tl[placeholderName];
-          if (!mapping || !mapping.values) return;
-          // Auto-detect: check every current input value against the mapping keys
-          var resolved = null;
-          Object.keys(lookup).forEach(function(inputId) {
-            var inputVal = lookup[inputId];
-            if (inputVal && mapping.values[inputVal] !== undefined) {
-              resolved = mapping.values[inputVal];
-            }
-          });
-          if (resolved !== null) {
-            extLookup[placeholderName] = resolved;
-          }
-        });
-      }
+  // =================================================================
+  // Filter-reactive value boxes, metrics and sparkline cards
+  // =================================================================
+  //
+  // add_value_box(agg = ...), add_metric(agg = ...) and
+  // add_sparkline_card(filter_vars = ...) register a small cross-tab
+  // (row count n, plus value_n / value_sum of value_var, per filter/x
+  // cell) with an aggregation spec. After every filter change the value,
+  // delta and sparkline are recomputed from the matching rows, following
+  // .metric_summary() in R/value_box_render.R.
 
-      var title = info.config.titleTemplate.replace(/\{(\w+)\}/g, function(match, varName) {
-        return extLookup[varName] !== undefined ? extLookup[varName] : match;
+  /**
+   * @returns {Promise|null} Settles once every card in scope shows its new
+   *   value; null when the scope has none
+   */
+  function applyMetricFilters(filters, sliderFilters, textFilters, numberFilters, dateFilters, daterangeFilters, rangeFilters, scope) {
+    if (!chartRegistry || !chartRegistry.getMetrics) return null;
+    // Comparison mode: the other selection's value is shown as a change
+    const other = comparison.active ? collectFilterSets(comparedState(stateForScope(scope || ''))) : null;
+
+    const pending = chartRegistry.getMetrics().map(metric => {
+      const el = document.querySelector(`[data-dashboardr-metric-id='${metric.id}']`);
+      if (!el || (scope !== undefined && _elementScope(el) !== scope)) return null;
+      let filterVars = metric.config.filterVars;
+      if (typeof filterVars === 'string') filterVars = [filterVars];
+      if (!Array.isArray(filterVars)) filterVars = [];
+
+      return Promise.all([
+        _filterRowsAsync(metric.data, filterVars, null, [filters, sliderFilters,
+          textFilters, numberFilters, null, dateFilters, daterangeFilters, rangeFilters]),
+        other ? _filterRowsAsync(metric.data, filterVars, null, [other.filters, other.sliderFilters,
+          other.textFilters, other.numberFilters, null, other.dateFilters, other.daterangeFilters, other.rangeFilters]) : null
+      ]).then(([rows, otherRows]) => {
+        const summary = _metricSummary(rows, metric.config);
+        _showMetricSummary(el, metric.config, summary);
+        const versus = otherRows ? _comparisonDelta(summary.value, _metricSummary(otherRows, metric.config).value) : null;
+        _showMetricComparison(el, versus);
       });
+    }).filter(Boolean);
+    return pending.length > 0 ? Promise.all(pending) : null;
+  }
 
-      // Find the Highcharts chart by its chart.id option (set via hc_chart(id = ...))
-      if (hasHighcharts) {
-        for (var j = 0; j < Highcharts.charts.length; j++) {
-          var c = Highcharts.charts[j];
-          if (!c) continue;
-          var cid = c.options && c.options.chart && c.options.chart.id;
-          if (cid === chartIds[i]) {
-            c.setTitle({ text: title });
-            break;
-          }
-        }
-      }
-
-      // Update other backends if registered
-      if (chartRegistry && chartRegistry.getCharts) {
-        var entries = chartRegistry.getCharts();
-        var entry = entries.find(function(e) { return e.id === chartIds[i]; });
-        if (entry && entry.backend === 'plotly' && typeof Plotly !== 'undefined' && entry.el) {
-          try { Plotly.relayout(entry.el, { 'title.text': title }); } catch (e) { /* ignore */ }
-        }
-        if (entry && entry.backend === 'echarts4r' && typeof echarts !== 'undefined' && entry.el) {
-          try {
-            var inst = echarts.getInstanceByDom(entry.el);
-            if (inst) inst.setOption({ title: { text: title } }, false);
-          } catch (e) { /* ignore */ }
-        }
-      }
-    }
+  /** Change of the edited selection's value against the other selection's */
+  function _comparisonDelta(value, otherValue) {
+    if (value === null || otherValue === null || !isFinite(value) || !isFinite(otherValue)) return null;
+    return {
+      change: value - otherValue,
+      percent: otherValue !== 0 ? (value - otherValue) / Math.abs(otherValue) * 100 : null,
+      since: comparison.editing === 'a' ? comparison.labels.b : comparison.labels.a
+    };
   }
 
-  function reapplyFilters() {
-    applyAllFilters();
+  /** Add, update or remove a value box's "vs B" line */
+  function _showMetricComparison(el, delta) {
+    let line = el.querySelector('[data-metric-role="comparison"]');
+    if (!comparison.active) {
+      if (line) line.remove();
+      return;
+    }
+    const valueEl = el.querySelector('[data-metric-role="value"]');
+    if (!line && valueEl) {
+      line = document.createElement('div');
+      line.className = 'dashboardr-metric-comparison';
+      line.setAttribute('data-metric-role', 'comparison');
+      valueEl.insertAdjacentElement('afterend', line);
+    }
+    if (!line) return;
+    line.textContent = delta ? _formatMetricDelta(delta) : '\u2013';
+    const change = delta ? delta.change : 0;
+    line.setAttribute('data-direction', change > 0 ? 'up' : (change < 0 ? 'down' : 'flat'));
   }
 
-  function selectAll(inputId) {
-    const input = document.getElementById(inputId);
-    if (!input) return;
-    if (choicesInstances[inputId]) {
-      const allValues = Array.from(input.querySelectorAll('option')).map(o => o.value);
-      choicesInstances[inputId].setChoiceByValue(allValues);
-    } else {
-      Array.from(input.options).forEach(o => o.selected = true);
+  /** Rows, summed value_var or its mean over a set of cross-tab rows */
+  function _metricMeasure(rows, measure) {
+    if (measure === 'count') {
+      return rows.reduce((acc, row) => acc + (Number(row.n) || 0), 0);
     }
-    input.dispatchEvent(new Event('change'));
+    const sum = rows.reduce((acc, row) => acc + (Number(row.value_sum) || 0), 0);
+    if (measure === 'sum') return sum;
+    const k = rows.reduce((acc, row) => acc + (Number(row.value_n) || 0), 0);
+    return k > 0 ? sum / k : null;
   }
 
-  function clearAll(inputId) {
-    const input = document.getElementById(inputId);
-    if (!input) return;
-    if (choicesInstances[inputId]) {
-      choicesInstances[inputId].removeActiveItems();
+  /**
+   * Value, series and delta of the filtered rows.
+   * The series has one point per xLevels entry present in the rows; the
+   * headline is either the measure over all rows ("total") or the last
+   * series point ("last").
+   */
+  function _metricSummary(rows, config) {
+    let series = null;
+    if (config.xVar) {
+      const byX = {};
+      rows.forEach(row => {
+        const key = String(row[config.xVar]);
+        (byX[key] = byX[key] || []).push(row);
+      });
+      let running = 0;
+      series = (config.xLevels || []).filter(x => byX[x]).map(x => {
+        let value = _metricMeasure(byX[x], config.measure);
+        if (config.cumulative) {
+          running += value;
+          value = running;
+        }
+        return { x: x, value: value };
+      });
+    }
+
+    let value;
+    if (config.headline === 'last') {
+      value = series && series.length > 0 ? series[series.length - 1].value : null;
     } else {
-      Array.from(input.options).forEach(o => o.selected = false);
+      value = _metricMeasure(rows, config.measure);
     }
-    input.dispatchEvent(new Event('change'));
+    return { value: value, series: series, delta: _metricDelta(series) };
   }
-  
+
+  /** Change between the last two series points (percent is null after a zero) */
+  function _metricDelta(series) {
+    if (!series || series.length < 2) return null;
+    const last = series[series.length - 1];
+    const prev = series[series.length - 2];
+    if (last.value === null || prev.value === null) return null;
+    return {
+      change: last.value - prev.value,
+      percent: prev.value !== 0 ? (last.value - prev.value) / Math.abs(prev.value) * 100 : null,
+      since: prev.x
+    };
+  }
+
+  /** Same rounding and grouping as format(round(x, 1), big.mark = ",") in R */
+  function _formatMetricNumber(value) {
+    return (Math.round(value * 10) / 10).toLocaleString('en-US', { maximumFractionDigits: 1 });
+  }
+
+  function _formatMetricValue(value, config) {
+    if (value === null || value === undefined || !isFinite(value)) return '\u2013';
+    return (config.prefix || '') + _formatMetricNumber(value) + (config.suffix || '');
+  }
+
+  function _formatMetricDelta(delta) {
+    if (!delta) return '';
+    const arrow = delta.change > 0 ? '\u25b2' : (delta.change < 0 ? '\u25bc' : '\u25cf');
+    const pct = delta.percent !== null
+      ? ' (' + (delta.percent >= 0 ? '+' : '') + delta.percent.toFixed(1) + '%)'
+      : '';
+    return arrow + ' ' + _formatMetricNumber(Math.abs(delta.change)) + pct + ' vs ' + delta.since;
+  }
+
+  function _showMetricSummary(el, config, summary) {
+    const valueEl = el.querySelector('[data-metric-role="value"]');
+    if (valueEl && !config.fixedValue) {
+      valueEl.textContent = _formatMetricValue(summary.value, config);
+    }
+
+    const deltaEl = el.querySelector('[data-metric-role="delta"]');
+    if (deltaEl && config.delta) {
+      const change = summary.delta ? summary.delta.change : 0;
+      deltaEl.textContent = _formatMetricDelta(summary.delta);
+      deltaEl.setAttribute('data-direction', change > 0 ? 'up' : (change < 0 ? 'down' : 'flat'));
+    }
+
+    if (summary.series && config.backend) _updateSparkline(el, config, summary.series);
+  }
+
+  /** Redraw a sparkline card's chart (ggiraph sparklines stay static) */
+  function _updateSparkline(el, config, series) {
+    const host = el.querySelector('.sparkline-chart');
+    const widget = host ? host.querySelector('.html-widget') : null;
+    if (!widget) return;
+    const xs = series.map(p => p.x);
+    const ys = series.map(p => p.value);
+
+    try {
+      if (config.backend === 'echarts4r' && typeof echarts !== 'undefined') {
+        const inst = echarts.getInstanceByDom(widget);
+        if (inst) {
+          inst.setOption({ xAxis: [{ data: xs }], series: [{ data: series.map(p => [p.x, p.value]) }] });
+        }
+      } else if (config.backend === 'plotly' && typeof Plotly !== 'undefined') {
+        Plotly.restyle(widget, { x: [xs], y: [ys] }, [0]);
+      } else if (config.backend === 'highcharter' && typeof Highcharts !== 'undefined') {
+        const chart = Highcharts.charts.find(c => c && host.contains(c.renderTo));
+        if (chart && chart.series[0]) {
+          const data = config.xDate ? series.map(p => [Date.parse(p.x), p.value]) : ys;
+          chart.series[0].setData(data, true);
+        }
+      }
+    } catch (e) {
+      // Keep the previous sparkline if the widget rejects the update
+    }
+  }
+
   // =================================================================
-  // Utility Functions: Reset, Select All, Clear All
+  // Faceted options: per-option counts, empty options disabled/hidden
   // =================================================================
+  //
+  // add_input(facet = "disable" | "hide") wraps a select, checkbox, radio
+  // or button group in a [data-facet] container. After every filter pass
+  // each option is counted (respondents: n_unweighted, else n) in a
+  // cross-tab that has the input's filter_var, under every filter except the
+  // input's own, as in a faceted search. Options without rows are disabled
+  // or hidden; selected options always stay available so they can be
+  // deselected. Counts below min_cell_size, and options whose rows are all
+  // masked (cell_suppression = "mask"), show "<k" instead of a number.
+
+  const facetOptions = {};  // inputId -> [{ value, label, disabled }] as rendered
+
+  /** Record the rendered options before Choices.js takes over the selects */
+  function initFacets() {
+    document.querySelectorAll('[data-facet]').forEach(wrapper => {
+      const el = wrapper.querySelector('[data-filter-var]');
+      if (!el || facetOptions[el.id]) return;
+      facetOptions[el.id] = _facetTargets(el).map(target => ({
+        value: target.value,
+        label: target.label,
+        disabled: target.disabled
+      }));
+    });
+  }
+
+  /** The options of a select, checkbox/radio group or button group */
+  function _facetTargets(el) {
+    if (el.tagName === 'SELECT') {
+      return Array.from(el.options).map(opt => ({
+        value: opt.value, label: opt.dataset.facetLabel || opt.textContent, disabled: opt.disabled, node: opt
+      }));
+    }
+    if (el.classList.contains('dashboardr-button-group')) {
+      return Array.from(el.querySelectorAll('.dashboardr-button-option')).map(btn => ({
+        value: btn.dataset.value, label: btn.dataset.facetLabel || btn.textContent, disabled: btn.disabled, node: btn, control: btn
+      }));
+    }
+    return Array.from(el.querySelectorAll('input[type="checkbox"], input[type="radio"]')).map(input => ({
+      value: input.value, label: input.value, disabled: input.disabled,
+      node: input.closest('label') || input, control: input
+    }));
+  }
+
+  function updateFacets() {
+    if (!window.dashboardrCrossTab) return;
+    document.querySelectorAll('[data-facet]').forEach(wrapper => {
+      const el = wrapper.querySelector('[data-filter-var]');
+      const state = el ? inputState[el.id] : null;
+      if (!state || !facetOptions[el.id]) return;
+      const counted = facetCounts(el.id, state);
+      if (counted) counted.then(facets => showFacetCounts(el, state, facets, wrapper.getAttribute('data-facet')));
+    });
+  }
 
   /**
-   * Reset filters to their default values
+   * Rows per value of an input's filter_var under the filters of the other
+   * inputs in its scope, or null when no loaded cross-tab has the variable.
+   * Of the cross-tabs that do, the one covering most active filters is used.
+   * @returns {Promise<Object>|null} {counts: value -> raw count,
+   *   suppressed: value -> true when masked rows were counted}
    */
-  function resetFilters(button) {
-    const targetsAttr = button.dataset.targets;
-    const targets = targetsAttr === 'all' ? Object.keys(defaultValues) : 
-                    targetsAttr.split(',').map(t => t.trim());
-    
-    targets.forEach(inputId => {
-      const defaults = defaultValues[inputId];
-      const state = inputState[inputId];
-      if (!defaults || !state) return;
-      
-      const element = document.getElementById(inputId);
-      if (!element) return;
-      
-      if (state.inputType === 'select') {
-        // Reset select to default values
-        if (choicesInstances[inputId]) {
-          choicesInstances[inputId].removeActiveItems();
-          if (defaults.selected && defaults.selected.length > 0) {
-            choicesInstances[inputId].setChoiceByValue(defaults.selected);
-          }
-        } else if (element.tagName === 'SELECT') {
-          Array.from(element.options).forEach(opt => {
-            opt.selected = defaults.selected.includes(opt.value);
-          });
-        }
-        inputState[inputId].selected = defaults.selected.slice();
-      } else if (state.inputType === 'checkbox') {
-        const checkboxes = element.querySelectorAll('input[type="checkbox"]');
-        checkboxes.forEach(cb => {
-          cb.checked = defaults.selected.includes(cb.value);
-        });
-        inputState[inputId].selected = defaults.selected.slice();
-      } else if (state.inputType === 'radio') {
-        const radios = element.querySelectorAll('input[type="radio"]');
-        radios.forEach(radio => {
-          radio.checked = defaults.selected.includes(radio.value);
-        });
-        inputState[inputId].selected = defaults.selected.slice();
-      } else if (state.inputType === 'switch') {
-        element.checked = defaults.value;
-        inputState[inputId].value = defaults.value;
-        inputState[inputId].selected = defaults.value ? ['true'] : ['false'];
-      } else if (state.inputType === 'slider') {
-        element.value = defaults.value;
-        inputState[inputId].value = defaults.value;
-        inputState[inputId].selected = [String(defaults.value)];
-        updateSliderTrack(element);
-        updateSliderDisplay(inputId, element, state.labels, defaults.value, state.min, state.step);
-      } else if (state.inputType === 'text' || state.inputType === 'number') {
-        element.value = defaults.value;
-        inputState[inputId].value = defaults.value;
-        inputState[inputId].selected = [String(defaults.value)];
-      } else if (state.inputType === 'button_group') {
-        const buttons = element.querySelectorAll('.dashboardr-button-option');
-        buttons.forEach(btn => {
-          btn.classList.toggle('active', defaults.selected.includes(btn.dataset.value));
-        });
-        inputState[inputId].selected = defaults.selected.slice();
+  function facetCounts(inputId, state) {
+    const filterVar = state.filterVar;
+    const scopedState = stateForScope(inputScope(inputId));
+    const others = {};
+    Object.keys(scopedState).forEach(id => {
+      if (scopedState[id].filterVar !== filterVar) others[id] = scopedState[id];
+    });
+    const sets = collectFilterSets(others);
+    const active = [sets.filters, sets.sliderFilters, sets.textFilters, sets.numberFilters,
+      sets.dateFilters, sets.daterangeFilters, sets.rangeFilters]
+      .reduce((vars, set) => vars.concat(Object.keys(set)), []);
+
+    let source = null;
+    let sourceVars = null;
+    let best = -1;
+    Object.keys(window.dashboardrCrossTab).forEach(id => {
+      const info = window.dashboardrCrossTab[id];
+      if (!info || !Array.isArray(info.data) || !info.config) return;
+      let vars = info.config.filterVars;
+      if (typeof vars === 'string') vars = [vars];
+      if (!Array.isArray(vars) || !vars.includes(filterVar)) return;
+      const covered = active.filter(v => vars.includes(v)).length;
+      if (covered > best) {
+        source = info;
+        sourceVars = vars;
+        best = covered;
       }
     });
-    
-    applyAllFilters();
+    if (!source) return null;
+
+    return _filterRowsAsync(source.data, sourceVars.filter(v => v !== filterVar), null, [
+      sets.filters, sets.sliderFilters, sets.textFilters, sets.numberFilters, null,
+      sets.dateFilters, sets.daterangeFilters, sets.rangeFilters
+    ]).then(rows => {
+      const counts = {};
+      const suppressed = {};
+      rows.forEach(row => {
+        const key = String(row[filterVar]);
+        counts[key] = (counts[key] || 0) + _rawCount(row);
+        if (_isSuppressedRow(row)) suppressed[key] = true;
+      });
+      return { counts: counts, suppressed: suppressed };
+    });
   }
 
-  /**
-   * Rebuild chart from cross-tab data based on current filters
-   * This enables true client-side data filtering by re-aggregating from pre-computed cross-tab
-   * 
-   * @param {Object} entry - Chart registry entry
-   * @param {Object} crossTabInfo - Object with data array and config
-   * @param {Object} filters - Current filter selections (filterVar -> selected values)
-   * @param {Object} sliderFilters - Current slider filter states (filterVar -> {value, min, max, step, labels})
-   * @param {Object} textFilters - Current text filters (filterVar -> lowercase text)
-   * @param {Object} numberFilters - Current number filters (filterVar -> numeric value)
-   * @param {Object} switchOverrides - Switch-controlled series per filterVar ({filterVar -> [{seriesName, visible, override}]})
-   * @returns {boolean} True if chart was rebuilt, false if cross-tab doesn't apply
-   */
-  function rebuildFromCrossTab(entry, crossTabInfo, filters, sliderFilters, textFilters, numberFilters, switchOverrides, dateFilters, daterangeFilters) {
-    if (!crossTabInfo || !crossTabInfo.data || !crossTabInfo.config) {
-      return false;
+  function showFacetCounts(el, state, facets, mode) {
+    const allLabels = ['all', 'alle', 'tous', 'todo', 'tutti', 'すべて', '全部'];
+    const { counts, suppressed } = facets;
+    const k = _privacyMinCellSize();
+    const total = Object.keys(counts).reduce((acc, key) => acc + counts[key], 0);
+    const selected = (state.selected || []).map(String);
+    const options = facetOptions[el.id].map(opt => {
+      const all = allLabels.includes(String(opt.value).toLowerCase());
+      const count = all ? total : (counts[opt.value] || 0);
+      // Masked rows arrive with a raw count of 0 (see _planSuppression())
+      const masked = count === 0 && (all ? Object.keys(suppressed).length > 0 : suppressed[opt.value] === true);
+      const small = k > 0 && (masked || (count > 0 && count < k));
+      const empty = count === 0 && !masked && !selected.includes(opt.value);
+      const countText = '(' + (small ? '<' + k : Math.round(count).toLocaleString('en-US')) + ')';
+      return {
+        value: opt.value,
+        label: opt.label + ' ' + countText,
+        countText: countText,
+        disabled: opt.disabled || (empty && mode === 'disable'),
+        hidden: empty && mode === 'hide',
+        selected: selected.includes(opt.value)
+      };
+    });
+
+    // Skip the DOM work when nothing changed since the last pass
+    const signature = JSON.stringify(options);
+    if (el.dataset.facetSignature === signature) return;
+    el.dataset.facetSignature = signature;
+
+    const choices = choicesInstances[el.id];
+    if (choices && el.tagName === 'SELECT') {
+      choices.clearStore();
+      choices.setChoices(options.filter(opt => !opt.hidden).map(opt => ({
+        value: opt.value, label: opt.label, selected: opt.selected, disabled: opt.disabled
+      })), 'value', 'label', true);
+      return;
     }
-    
-    const { data, config } = crossTabInfo;
-    let filterVars = config.filterVars;
-    if (typeof filterVars === 'string') filterVars = [filterVars];
-    if (!Array.isArray(filterVars)) filterVars = [];
 
-    // ---- Shared Step 1: Filter the cross-tab data based on filter selections ----
-    let filteredData = data.slice();
+    const byValue = {};
+    options.forEach(opt => { byValue[opt.value] = opt; });
+    _facetTargets(el).forEach(target => {
+      const opt = byValue[target.value];
+      if (!opt) return;
+      if (!target.node.dataset.facetLabel) target.node.dataset.facetLabel = target.label;
+      if (target.node.tagName === 'OPTION') {
+        target.node.textContent = opt.label;
+        target.node.disabled = opt.disabled;
+        target.node.hidden = opt.hidden;
+        return;
+      }
+      let badge = target.node.querySelector('.dashboardr-facet-count');
+      if (!badge) {
+        badge = document.createElement('span');
+        badge.className = 'dashboardr-facet-count';
+        target.node.appendChild(badge);
+      }
+      badge.textContent = opt.countText;
+      target.control.disabled = opt.disabled;
+      target.node.classList.toggle('dashboardr-facet-empty', opt.disabled);
+      target.node.hidden = opt.hidden;
+    });
+  }
 
-    // Common "All" labels that mean "don't filter" (case-insensitive)
-    const allLabels = ['all', 'alle', 'tous', 'todo', 'tutti', 'すべて', '全部'];
+  // =================================================================
+  // Leaflet maps
+  // =================================================================
+  //
+  // add_leaflet(filter_vars = ...) stores, per filterable layer call, the
+  // layerIds of its features and their filter columns (see
+  // R/leaflet_filter.R). Features whose properties fail the current inputs
+  // are taken out of their layer group and put back once they match again.
+  // Choropleth polygons are recoloured from the re-aggregated page data,
+  // and the map is fitted to the features that remain.
 
-    for (const filterVar of filterVars) {
-      // Collect switch-overridden series names for this filterVar
-      // These series should always be included in the data when their switch is ON
-      const overrideSeriesNames = new Set();
-      if (switchOverrides && switchOverrides[filterVar]) {
-        switchOverrides[filterVar].forEach(sw => {
-          if (sw.visible && sw.override) {
-            overrideSeriesNames.add(sw.seriesName);
+  /**
+   * @returns {Promise|null} Settles once the map shows the filtered
+   *   features; null when the entry is not a filterable map
+   */
+  function applyLeafletFilters(entry, filters, sliderFilters, textFilters, numberFilters, dateFilters, daterangeFilters, rangeFilters) {
+    const adapter = chartRegistry && chartRegistry.adapters && chartRegistry.adapters.leaflet;
+    const spec = entry.x && entry.x.dashboardr_leaflet;
+    if (!adapter || !spec || typeof L === 'undefined') return null;
+    adapter.storeOriginal(entry);
+    const map = adapter.resolve(entry);
+    if (!map || !entry.original) return null;
+
+    const filterRows = (rows, filterVars) => _filterRowsAsync(rows, [].concat(filterVars || []), null,
+      [filters, sliderFilters, textFilters, numberFilters, null, dateFilters, daterangeFilters, rangeFilters]);
+
+    const choropleth = spec.choropleth;
+    if (choropleth) choropleth.rows = choropleth.rows || _leafletRows(choropleth.data);
+    const layers = entry.original.layers;
+    layers.forEach(({ spec: layer, features }) => {
+      layer.rows = layer.rows || _leafletRows(layer.properties, features.length);
+    });
+
+    return Promise.all([choropleth ? filterRows(choropleth.rows, choropleth.filterVars) : null]
+      .concat(layers.map(({ spec: layer }) => filterRows(layer.rows, layer.filterVars)))
+    ).then(([choroplethRows, ...layerRows]) => {
+      let bounds = null;
+      let visibility = '';
+      layers.forEach(({ spec: layer, features }, l) => {
+        const visible = new Set(layerRows[l]);
+        const keys = choropleth && layer.keys ? [].concat(layer.keys) : null;
+        const colors = keys ? _leafletChoroplethColors(choropleth, choroplethRows, keys) : null;
+
+        features.forEach((feature, i) => {
+          if (!feature) return;
+          const show = visible.has(layer.rows[i]);
+          const onMap = feature.container.hasLayer(feature.layer);
+          if (show && !onMap) feature.container.addLayer(feature.layer);
+          if (!show && onMap) feature.container.removeLayer(feature.layer);
+          if (colors && typeof feature.layer.setStyle === 'function') {
+            feature.layer.setStyle({ fillColor: colors[keys[i]] || choropleth.naColor });
           }
+          if (show) bounds = _extendLeafletBounds(bounds, feature.layer);
+          visibility += show ? '1' : '0';
         });
+      });
+
+      if (spec.fitBounds) _fitLeafletMap(entry, map, bounds, visibility);
+    });
+  }
+
+  /** Row objects from a column-oriented data frame, as htmlwidgets serialises them */
+  function _leafletRows(columns, n) {
+    if (Array.isArray(columns) && columns.length > 0) return columns;
+    const names = Object.keys(columns || {});
+    const values = names.map(name => [].concat(columns[name]));
+    const length = n !== undefined ? n : (values.length > 0 ? values[0].length : 0);
+    const rows = [];
+    for (let i = 0; i < length; i++) {
+      const row = {};
+      names.forEach((name, k) => { row[name] = values[k][i]; });
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  /**
+   * Fill colour per polygon key from the filtered choropleth cross-tab,
+   * scaled to the range of this layer's keys as in .leaflet_filter_layers().
+   */
+  function _leafletChoroplethColors(choropleth, rows, keys) {
+    const levels = Array.from(new Set(keys));
+    const series = _metricSummary(rows, {
+      measure: choropleth.measure,
+      xVar: choropleth.keyVar,
+      xLevels: levels,
+      headline: 'total'
+    }).series.filter(p => p.value !== null && isFinite(p.value));
+    const colors = {};
+    if (series.length === 0) return colors;
+    const min = Math.min.apply(null, series.map(p => p.value));
+    const max = Math.max.apply(null, series.map(p => p.value));
+    const palette = [].concat(choropleth.palette);
+    series.forEach(p => {
+      colors[p.x] = _leafletRampColor(max > min ? (p.value - min) / (max - min) : 0.5, palette);
+    });
+    return colors;
+  }
+
+  /** Linear RGB ramp, matching grDevices::colorRamp() in .leaflet_ramp_colors() */
+  function _leafletRampColor(pos, palette) {
+    const stops = palette.map(hex => [1, 3, 5].map(k => parseInt(hex.substr(k, 2), 16)));
+    const scaled = pos * (stops.length - 1);
+    const i = Math.min(Math.floor(scaled), stops.length - 2);
+    const frac = scaled - i;
+    return '#' + stops[i].map((c, k) => {
+      const v = Math.round(c + (stops[i + 1][k] - c) * frac);
+      return (v < 16 ? '0' : '') + v.toString(16);
+    }).join('').toUpperCase();
+  }
+
+  function _extendLeafletBounds(bounds, layer) {
+    let layerBounds = null;
+    try {
+      if (typeof layer.getBounds === 'function') {
+        layerBounds = layer.getBounds();
+      } else if (typeof layer.getLatLng === 'function') {
+        const latLng = layer.getLatLng();
+        layerBounds = L.latLngBounds(latLng, latLng);
       }
-      // Determine which column holds the series/group name for override matching
-      const groupCol = config.groupVar || config.stackVar;
-      
-      // First check regular filters (select, checkbox, radio)
-      const selectedValues = filters[filterVar];
-      if (selectedValues && selectedValues.length > 0) {
-        const hasAllOption = selectedValues.some(v => 
-          allLabels.includes(String(v).toLowerCase())
-        );
-        if (hasAllOption) {
-          continue; // Don't filter on this variable
-        }
-        
-        filteredData = filteredData.filter(row => {
-          const rowValue = String(row[filterVar]);
-          // Include if value is selected OR if it's an override series that's toggled on
-          if (selectedValues.includes(rowValue)) return true;
-          if (overrideSeriesNames.size > 0 && groupCol) {
-            const groupValue = String(row[groupCol]);
-            if (overrideSeriesNames.has(groupValue)) return true;
+    } catch (e) {
+      // Circles outside the map (e.g. in a hidden group) have no bounds
+      return bounds;
+    }
+    if (!layerBounds || !layerBounds.isValid()) return bounds;
+    return bounds ? bounds.extend(layerBounds) : L.latLngBounds(layerBounds.getSouthWest(), layerBounds.getNorthEast());
+  }
+
+  /**
+   * Fit the map to the visible features whenever the visible set changes.
+   * The first pass only records it, so the initial view is kept; showing
+   * every feature again returns to that view.
+   */
+  function _fitLeafletMap(entry, map, bounds, visibility) {
+    if (visibility === entry.leafletVisibility) return;
+    const first = entry.leafletVisibility === undefined;
+    entry.leafletVisibility = visibility;
+    const size = map.getSize();
+    if (first || size.x === 0 || size.y === 0) return;
+    if (visibility.indexOf('0') === -1) {
+      map.setView(entry.original.center, entry.original.zoom);
+    } else if (bounds) {
+      map.fitBounds(bounds, { padding: [20, 20], maxZoom: 14 });
+    }
+  }
+
+  /**
+   * Replace {var} placeholders in chart titles with current input values.
+   * Looks up values by both input_id (name) and filter_var so users can
+   * reference either in their title template.
+   */
+  function updateDynamicTitles() {
+    if (!window.dashboardrCrossTab) return;
+    var hasHighcharts = (typeof Highcharts !== 'undefined');
+
+    // Build a combined lookup: input_id → value  AND  filter_var → value
+    var lookup = {};
+
+    var setLookup = function(key, value) {
+      if (!key) return;
+      if (value === undefined || value === null) return;
+      var text = String(value).trim();
+      if (!text) return;
+      lookup[key] = text;
+    };
+
+    // Primary source: normalized dashboardr input state (covers all input types)
+    Object.keys(inputState).forEach(function(inputId) {
+      var state = inputState[inputId] || {};
+      var filterVar = state.filterVar;
+      var value = null;
+
+      if (state.inputType === 'slider') {
+        if (Array.isArray(state.labels) && state.labels.length > 0) {
+          var kept = sliderAllowedLabels(state);
+          if (kept.length === 0) {
+            value = state.value;
+          } else if (isRangeSlider(state)) {
+            value = kept[0] + ' to ' + kept[kept.length - 1];
+          } else {
+            value = kept[0];
           }
-          return false;
-        });
-        continue;
-      }
-      
-      // Then check slider filters
-      const sliderInfo = sliderFilters && sliderFilters[filterVar];
-      if (sliderInfo) {
-        const sliderValue = sliderInfo.value;
-        if (sliderInfo.labels && sliderInfo.labels.length > 0) {
-          // Slider with labels: include values from the selected position onwards
-          // Use slider min/step metadata when available to resolve label index.
-          const selectedIndex = resolveSliderLabelIndex(sliderInfo);
-          const allowedLabels = sliderInfo.labels.slice(selectedIndex);
-          filteredData = filteredData.filter(row => {
-            const rowValue = String(row[filterVar]);
-            return allowedLabels.includes(rowValue);
-          });
+        } else if (isRangeSlider(state)) {
+          value = state.value + ' to ' + state.upper;
         } else {
-          // Numeric slider: filter rows where value >= slider value
-          filteredData = filteredData.filter(row => {
-            const rowValue = Number(row[filterVar]);
-            return !isNaN(rowValue) && rowValue >= sliderValue;
-          });
+          value = state.value;
+        }
+      } else if (state.inputType === 'switch') {
+        value = state.value ? 'true' : 'false';
+      } else if (state.inputType === 'daterange') {
+        var start = state.start || '';
+        var end = state.end || '';
+        if (start || end) value = start + ' to ' + end;
+      } else if (Array.isArray(state.selected)) {
+        if (state.selected.length === 1) {
+          value = state.selected[0];
+        } else if (state.selected.length > 1) {
+          value = state.selected.join(', ');
         }
+      } else if (Object.prototype.hasOwnProperty.call(state, 'value')) {
+        value = state.value;
       }
 
-      // Then text filters (partial match, case-insensitive)
-      const textValue = textFilters && textFilters[filterVar];
-      if (textValue) {
-        filteredData = filteredData.filter(row =>
-          String(row[filterVar]).toLowerCase().includes(textValue)
-        );
-      }
+      setLookup(inputId, value);
+      setLookup(filterVar, value);
+    });
 
-      // Then number filters (exact match)
-      const numberValue = numberFilters && numberFilters[filterVar];
-      if (numberValue !== undefined && numberValue !== null && numberValue !== '') {
-        filteredData = filteredData.filter(row =>
-          String(row[filterVar]) === String(numberValue)
-        );
-      }
+    // From select elements
+    document.querySelectorAll('select').forEach(function(el) {
+      var id = el.id;
+      var fv = el.getAttribute('data-filter-var');
+      var val = el.value;
+      setLookup(id, val);
+      setLookup(fv, val);
+    });
 
-      // Date filter (exact match on parsed date)
-      var dateValue = dateFilters && dateFilters[filterVar];
-      if (dateValue) {
-        filteredData = filteredData.filter(function(row) {
-          var parsed = _parseDateLike(String(row[filterVar]));
-          return parsed === dateValue;
-        });
+    // From checked radio buttons
+    document.querySelectorAll('input[type="radio"]:checked').forEach(function(el) {
+      var id = el.name || el.id;
+      var val = el.value;
+      setLookup(id, val);
+      // Also resolve filter_var from the parent radio group container
+      var group = el.closest('[data-filter-var]');
+      if (group) {
+        var fv = group.getAttribute('data-filter-var');
+        setLookup(fv, val);
       }
+    });
 
-      // Date range filter (start <= date <= end)
-      var drInfo = daterangeFilters && daterangeFilters[filterVar];
-      if (drInfo) {
-        filteredData = filteredData.filter(function(row) {
-          var parsed = _parseDateLike(String(row[filterVar]));
-          if (!parsed) return false;
-          if (drInfo.start && parsed < drInfo.start) return false;
-          if (drInfo.end && parsed > drInfo.end) return false;
-          return true;
-        });
+    // Iterate over all cross-tab configs looking for titleTemplate
+    var chartIds = Object.keys(window.dashboardrCrossTab);
+    for (var i = 0; i < chartIds.length; i++) {
+      var info = window.dashboardrCrossTab[chartIds[i]];
+      if (!info.config || !info.config.titleTemplate) continue;
+
+      // Build an extended lookup that includes titleLookups (derived values)
+      var extLookup = Object.assign({}, lookup);
+      if (info.config.titleLookups) {
+        var tl = info.config.titleLookups;
+        Object.keys(tl).forEach(function(placeholderName) {
+          var mapping = tl[placeholderName];
+          if (!mapping || !mapping.values) return;
+          // Auto-detect: check every current input value against the mapping keys
+          var resolved = null;
+          Object.keys(lookup).forEach(function(inputId) {
+            var inputVal = lookup[inputId];
+            if (inputVal && mapping.values[inputVal] !== undefined) {
+              resolved = mapping.values[inputVal];
+            }
+          });
+          if (resolved !== null) {
+            extLookup[placeholderName] = resolved;
+          }
+        });
+      }
+
+      var title = info.config.titleTemplate.replace(/\{(\w+)\}/g, function(match, varName) {
+        return extLookup[varName] !== undefined ? extLookup[varName] : match;
+      });
+
+      // Find the Highcharts chart by its chart.id option (set via hc_chart(id = ...))
+      if (hasHighcharts) {
+        for (var j = 0; j < Highcharts.charts.length; j++) {
+          var c = Highcharts.charts[j];
+          if (!c) continue;
+          var cid = c.options && c.options.chart && c.options.chart.id;
+          if (cid === chartIds[i]) {
+            c.setTitle({ text: title });
+            break;
+          }
+        }
+      }
+
+      // Update other backends if registered
+      if (chartRegistry && chartRegistry.getCharts) {
+        var entries = chartRegistry.getCharts();
+        var entry = entries.find(function(e) { return e.id === chartIds[i]; });
+        if (entry && entry.backend === 'plotly' && typeof Plotly !== 'undefined' && entry.el) {
+          try { Plotly.relayout(entry.el, { 'title.text': title }); } catch (e) { /* ignore */ }
+        }
+        if (entry && entry.backend === 'echarts4r' && typeof echarts !== 'undefined' && entry.el) {
+          try {
+            var inst = echarts.getInstanceByDom(entry.el);
+            if (inst) inst.setOption({ title: { text: title } }, false);
+          } catch (e) { /* ignore */ }
+        }
+      }
+    }
+  }
+
+  function reapplyFilters() {
+    applyAllFilters();
+  }
+
+  function selectAll(inputId) {
+    const input = document.getElementById(inputId);
+    if (!input) return;
+    if (choicesInstances[inputId]) {
+      const allValues = Array.from(input.querySelectorAll('option')).map(o => o.value);
+      choicesInstances[inputId].setChoiceByValue(allValues);
+    } else {
+      Array.from(input.options).forEach(o => o.selected = true);
+    }
+    input.dispatchEvent(new Event('change'));
+  }
+
+  function clearAll(inputId) {
+    const input = document.getElementById(inputId);
+    if (!input) return;
+    if (choicesInstances[inputId]) {
+      choicesInstances[inputId].removeActiveItems();
+    } else {
+      Array.from(input.options).forEach(o => o.selected = false);
+    }
+    input.dispatchEvent(new Event('change'));
+  }
+  
+  // =================================================================
+  // Utility Functions: Reset, Select All, Clear All
+  // =================================================================
+
+  /**
+   * Reset filters to their default values. A button with
+   * data-filter-scope only resets "all" inputs of that scope.
+   */
+  function resetFilters(button) {
+    const targetsAttr = button.dataset.targets;
+    const scope = button.getAttribute(SCOPE_ATTR);
+    const inResetScope = id => scope === null || inputScope(id) === scope;
+    const targets = targetsAttr === 'all' ? Object.keys(defaultValues).filter(inResetScope) :
+                    targetsAttr.split(',').map(t => t.trim());
+    
+    targets.forEach(inputId => setInputValue(inputId, defaultValues[inputId]));
+
+    // Chart selections and brushes have no default to return to
+    if (targetsAttr === 'all') {
+      Object.keys(inputState).forEach(id => {
+        const type = inputState[id].inputType;
+        if ((type === 'chart' || type === 'range') && inResetScope(id)) delete inputState[id];
+      });
+    }
+    
+    applyAllFilters();
+  }
+
+  /**
+   * Set an input's UI and state to a stored value without firing its
+   * change handler. `target` has the shape of defaultValues[inputId]
+   * (an inputState entry of the same input works too).
+   */
+  function setInputValue(inputId, target) {
+    const state = inputState[inputId];
+    if (!target || !state) return;
+
+    const element = document.getElementById(inputId);
+    if (!element) return;
+
+    if (['select', 'checkbox', 'radio', 'button_group'].includes(state.inputType)) {
+      setInputSelection(inputId, (target.selected || []).slice());
+    } else if (state.inputType === 'switch') {
+      element.checked = target.value;
+      inputState[inputId].value = target.value;
+      inputState[inputId].selected = target.value ? ['true'] : ['false'];
+    } else if (state.inputType === 'slider' && isRangeSlider(state)) {
+      const lowInput = element.querySelector('input[data-role="min"]');
+      const highInput = element.querySelector('input[data-role="max"]');
+      if (lowInput) lowInput.value = target.value;
+      if (highInput) highInput.value = target.upper;
+      inputState[inputId].value = target.value;
+      inputState[inputId].upper = target.upper;
+      inputState[inputId].selected = [String(target.value), String(target.upper)];
+      updateRangeSliderTrack(element);
+      updateSliderDisplay(inputId, element, state.labels, target.value, state.min, state.step, target.upper);
+    } else if (state.inputType === 'slider') {
+      element.value = target.value;
+      inputState[inputId].value = target.value;
+      inputState[inputId].selected = [String(target.value)];
+      updateSliderTrack(element);
+      updateSliderDisplay(inputId, element, state.labels, target.value, state.min, state.step);
+    } else if (state.inputType === 'text' || state.inputType === 'number') {
+      element.value = target.value;
+      inputState[inputId].value = target.value;
+      inputState[inputId].selected = [String(target.value)];
+    } else if (state.inputType === 'date') {
+      element.value = target.value || '';
+      inputState[inputId].value = target.value || '';
+    } else if (state.inputType === 'daterange') {
+      const startInput = element.querySelector('[data-role="start"]');
+      const endInput = element.querySelector('[data-role="end"]');
+      if (startInput) startInput.value = target.start || '';
+      if (endInput) endInput.value = target.end || '';
+      inputState[inputId].start = target.start || '';
+      inputState[inputId].end = target.end || '';
+    }
+  }
+
+  /**
+   * Restore a snapshot of inputState (e.g. a saved view) and re-apply
+   * filters. Inputs missing from the snapshot return to their defaults;
+   * chart selections and brushes are cleared, as they belong to a chart
+   * interaction rather than to the inputs.
+   * @param {Object} snapshot - inputId -> inputState entry
+   */
+  function applyInputState(snapshot) {
+    snapshot = snapshot || {};
+    Object.keys(chartSelections).forEach(fv => delete chartSelections[fv]);
+    Object.keys(brushSelections).forEach(fv => delete brushSelections[fv]);
+    Object.keys(inputState).forEach(inputId => {
+      const type = inputState[inputId].inputType;
+      if (type === 'chart' || type === 'range') {
+        delete inputState[inputId];
+        return;
+      }
+      setInputValue(inputId, snapshot[inputId] || defaultValues[inputId]);
+    });
+    applyAllFilters();
+  }
+
+  /**
+   * Keep the cross-tab rows that match the current inputs on `filterVars`.
+   * Shared by chart rebuilds and filter-reactive metrics.
+   *
+   * @param {Object[]} data - Cross-tab rows
+   * @param {string[]} filterVars - Columns the element responds to
+   * @param {string|null} groupCol - Series column matched by switch overrides
+   * @returns {Object[]} The matching rows (other params as in rebuildFromCrossTab)
+   */
+  function _filterCrossTabRows(data, filterVars, groupCol, filters, sliderFilters, textFilters, numberFilters, switchOverrides, dateFilters, daterangeFilters, rangeFilters) {
+    const clauses = _crossTabClauses(filterVars, groupCol, filters, sliderFilters, textFilters, numberFilters,
+      switchOverrides, dateFilters, daterangeFilters, rangeFilters);
+    return data.filter(row => _rowMatches(row, clauses));
+  }
+
+  /**
+   * The inputs on `filterVars` as clauses {col, test, orCol, orValues}: a
+   * row matches a clause when test(row[col]) holds or, for selections with
+   * switch-overridden series, when String(row[orCol]) is in orValues.
+   * Each test looks at a single cell, so the filter worker can run it once
+   * per distinct value (params as in _filterCrossTabRows).
+   */
+  function _crossTabClauses(filterVars, groupCol, filters, sliderFilters, textFilters, numberFilters, switchOverrides, dateFilters, daterangeFilters, rangeFilters) {
+    const clauses = [];
+
+    // Common "All" labels that mean "don't filter" (case-insensitive)
+    const allLabels = ['all', 'alle', 'tous', 'todo', 'tutti', 'すべて', '全部'];
+
+    for (const filterVar of filterVars) {
+      // Collect switch-overridden series names for this filterVar
+      // These series should always be included in the data when their switch is ON
+      const overrideSeriesNames = new Set();
+      if (switchOverrides && switchOverrides[filterVar]) {
+        switchOverrides[filterVar].forEach(sw => {
+          if (sw.visible && sw.override) {
+            overrideSeriesNames.add(sw.seriesName);
+          }
+        });
+      }
+      
+      // First check regular filters (select, checkbox, radio)
+      const selectedValues = filters[filterVar];
+      if (selectedValues && selectedValues.length > 0) {
+        const hasAllOption = selectedValues.some(v => 
+          allLabels.includes(String(v).toLowerCase())
+        );
+        if (hasAllOption) {
+          continue; // Don't filter on this variable
+        }
+        
+        // Include if value is selected OR if it's an override series that's toggled on
+        clauses.push({
+          col: filterVar,
+          test: value => selectedValues.includes(String(value)),
+          orCol: overrideSeriesNames.size > 0 && groupCol ? groupCol : null,
+          orValues: overrideSeriesNames
+        });
+        continue;
+      }
+      
+      // Then check slider filters
+      const sliderInfo = sliderFilters && sliderFilters[filterVar];
+      if (sliderInfo) {
+        if (sliderInfo.labels && sliderInfo.labels.length > 0) {
+          // Slider with labels: include values from the selected position onwards
+          // (up to the upper handle for range sliders). Use slider min/step
+          // metadata when available to resolve label index.
+          const allowedLabels = sliderAllowedLabels(sliderInfo);
+          clauses.push({ col: filterVar, test: value => allowedLabels.includes(String(value)) });
+        } else {
+          // Numeric slider: value >= slider value, or inside [value, upper]
+          clauses.push({ col: filterVar, test: value => sliderAllowsNumber(sliderInfo, Number(value)) });
+        }
+      }
+
+      // Then text filters (partial match, case-insensitive)
+      const textValue = textFilters && textFilters[filterVar];
+      if (textValue) {
+        clauses.push({ col: filterVar, test: value => String(value).toLowerCase().includes(textValue) });
+      }
+
+      // Then number filters (exact match)
+      const numberValue = numberFilters && numberFilters[filterVar];
+      if (numberValue !== undefined && numberValue !== null && numberValue !== '') {
+        clauses.push({ col: filterVar, test: value => String(value) === String(numberValue) });
+      }
+
+      // Date filter (exact match on parsed date)
+      var dateValue = dateFilters && dateFilters[filterVar];
+      if (dateValue) {
+        clauses.push({ col: filterVar, test: function(value) {
+          return _parseDateLike(String(value)) === dateValue;
+        } });
+      }
+
+      // Date range filter (start <= date <= end)
+      var drInfo = daterangeFilters && daterangeFilters[filterVar];
+      if (drInfo) {
+        clauses.push({ col: filterVar, test: function(value) {
+          var parsed = _parseDateLike(String(value));
+          if (!parsed) return false;
+          if (drInfo.start && parsed < drInfo.start) return false;
+          if (drInfo.end && parsed > drInfo.end) return false;
+          return true;
+        } });
+      }
+
+      // Brushed range from a timeline/scatter chart
+      var rangeInfo = rangeFilters && rangeFilters[filterVar];
+      if (rangeInfo) {
+        clauses.push({ col: filterVar, test: function(value) {
+          return valueInRange(value, rangeInfo);
+        } });
       }
     }
+
+    return clauses;
+  }
+
+  /** Whether a row passes every clause of _crossTabClauses() / _tableClauses() */
+  function _rowMatches(row, clauses) {
+    for (const clause of clauses) {
+      if (clause.test(row[clause.col])) continue;
+      if (clause.orCol && clause.orValues.has(String(row[clause.orCol]))) continue;
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Rebuild chart from cross-tab data based on current filters
+   * This enables true client-side data filtering by re-aggregating from pre-computed cross-tab
+   * 
+   * @param {Object} entry - Chart registry entry
+   * @param {Object} crossTabInfo - Object with data array and config
+   * @param {Object} filters - Current filter selections (filterVar -> selected values)
+   * @param {Object} sliderFilters - Current slider filter states (filterVar -> {value, upper, min, max, step, labels})
+   * @param {Object} textFilters - Current text filters (filterVar -> lowercase text)
+   * @param {Object} numberFilters - Current number filters (filterVar -> numeric value)
+   * @param {Object} switchOverrides - Switch-controlled series per filterVar ({filterVar -> [{seriesName, visible, override}]})
+   * @param {Object} dateFilters - Current date filters (filterVar -> ISO date)
+   * @param {Object} daterangeFilters - Current date range filters (filterVar -> {start, end})
+   * @param {Object} rangeFilters - Brushed chart ranges (filterVar -> range, see toBrushRange)
+   * @returns {boolean|Promise<boolean|null>} True if chart was rebuilt, false if cross-tab
+   *   doesn't apply; a Promise of that when the filter worker filters the rows,
+   *   resolving null when a newer draw of the chart has taken over
+   */
+  function rebuildFromCrossTab(entry, crossTabInfo, filters, sliderFilters, textFilters, numberFilters, switchOverrides, dateFilters, daterangeFilters, rangeFilters) {
+    if (!crossTabInfo || !crossTabInfo.data || !crossTabInfo.config) {
+      return false;
+    }
     
-    // ---- Branch by backend + chart type ----
+    const { data, config } = crossTabInfo;
+    let filterVars = config.filterVars;
+    if (typeof filterVars === 'string') filterVars = [filterVars];
+    if (!Array.isArray(filterVars)) filterVars = [];
+    const drawId = _nextCrossTabDraw(entry);
+
+    const draw = filteredData => {
+      // ---- Shared Step 2: Find masked cells (cell_suppression = "mask") ----
+      const suppression = _planSuppression(filteredData, config);
+
+      // Drop the series a comparison added before the normal redraw
+      _clearComparison(entry);
+      const ok = _dispatchCrossTabRebuild(entry, filteredData, config, switchOverrides);
+      _showSuppression(entry, suppression, config, ok);
+      return ok;
+    };
+
+    // ---- Shared Step 1: Filter the cross-tab data based on filter selections ----
+    if (_useFilterWorker(crossTabInfo)) {
+      // Drawn when the worker answers, unless the chart was redrawn since
+      const filterArgs = [filters, sliderFilters, textFilters, numberFilters, switchOverrides, dateFilters, daterangeFilters, rangeFilters];
+      return _workerCrossTabRows(crossTabInfo, filterVars, filterArgs)
+        .catch(() => _filterCrossTabRows.apply(null, [data, filterVars, config.groupVar || config.stackVar].concat(filterArgs)))
+        .then(rows => crossTabDraws.get(entry.id) === drawId ? draw(rows) : null);
+    }
+    return draw(_filterCrossTabRows(data, filterVars, config.groupVar || config.stackVar,
+      filters, sliderFilters, textFilters, numberFilters, switchOverrides, dateFilters, daterangeFilters, rangeFilters));
+  }
+
+  /**
+   * Hand filtered cross-tab rows to the rebuilder for the entry's backend
+   * and chart type (stacked bars when the config names no chartType).
+   * @returns {boolean} True if a rebuilder redrew the chart
+   */
+  function _dispatchCrossTabRebuild(entry, filteredData, config, switchOverrides) {
     const backend = entry && entry.backend ? entry.backend : 'highcharter';
+    const typeRebuilders = CROSS_TAB_REBUILDERS[config.chartType];
+    if (typeRebuilders) {
+      const rebuild = typeRebuilders[backend];
+      if (!rebuild) return false;
+      if (backend === 'highcharter') {
+        const chart = chartRegistry && chartRegistry.resolveHighchart ? chartRegistry.resolveHighchart(entry) : null;
+        return chart ? rebuild(chart, filteredData, config, entry) : false;
+      }
+      return rebuild(entry, filteredData, config);
+    }
     if (backend === 'highcharter') {
       const chart = chartRegistry && chartRegistry.resolveHighchart ? chartRegistry.resolveHighchart(entry) : null;
       if (!chart) return false;
@@ -2293,362 +4068,881 @@
     return false;
   }
 
-  function _rebuildBarPlotly(entry, filteredData, config, switchOverrides) {
-    if (!entry || !entry.el || typeof Plotly === 'undefined') return false;
-    if (!entry.original || !entry.original.data) {
-      if (chartRegistry && chartRegistry.adapters && chartRegistry.adapters.plotly) {
-        chartRegistry.adapters.plotly.storeOriginal(entry);
-      }
-    }
-    const original = entry.original && entry.original.data ? entry.original : { data: entry.el.data || [], layout: entry.el.layout || {} };
-    const data = original.data || [];
-    const xVar = config.xVar;
-    let groupVar = config.groupVar;
-    if (groupVar && typeof groupVar === 'object' && !Array.isArray(groupVar) && Object.keys(groupVar).length === 0) {
-      groupVar = null;
-    }
-    const xOrder = config.xOrder;
-    const groupOrder = config.groupOrder;
-    const isHorizontal = data.some(t => t && t.orientation === 'h');
+  // -----------------------------------------------------------------
+  // Filter Worker
+  // -----------------------------------------------------------------
+  // Cross-tabs of WORKER_MIN_ROWS rows or more are filtered in a Web
+  // Worker (filter_worker.js, served next to this script) so typing in a
+  // text filter doesn't stall the page. Each data array is posted to the
+  // worker once and shared by every chart that uses it; asset-mode charts
+  // with identical data share one file and so one array (see
+  // _fetchCrossTabFile()). The inputs become the same clauses as on the
+  // main thread, but their tests run once per distinct value of a column
+  // and the worker combines the bitsets of the values that pass. Chart
+  // types whose rows add up (WORKER_SUMS) get back one summed row per
+  // combination of the columns they draw, the others their matching rows;
+  // so do comparisons, drill-downs, facet counts, value boxes and maps
+  // (_filterRowsAsync()).
+  // Without a worker (no Worker support, file:// pages, embedded assets)
+  // or after a worker error the rows are filtered here instead.
+
+  const WORKER_MIN_ROWS = 5000;
+
+  // filter_worker.js, from the src of this script (null when inlined)
+  const FILTER_WORKER_URL = (() => {
+    const src = document.currentScript && document.currentScript.src;
+    const file = /input_filter\.js(?=[?#]|$)/;
+    return src && file.test(src) ? src.replace(file, 'filter_worker.js') : null;
+  })();
+
+  // Columns that add up across cross-tab rows, per chart type
+  const MOMENT_SUMS = ['n', 'n_unweighted', 'value_sum', 'value_sumsq', 'weight_sum', 'weight_sumsq', '_suppressed'];
+  const VALUE_SUMS = ['value', 'n', '_suppressed'];
+  const WORKER_SUMS = {
+    bar: MOMENT_SUMS,
+    stackedbar: MOMENT_SUMS,
+    pie: MOMENT_SUMS,
+    heatmap: VALUE_SUMS,
+    treemap: VALUE_SUMS,
+    sankey: VALUE_SUMS,
+    waffle: VALUE_SUMS,
+    funnel: VALUE_SUMS,
+    map: VALUE_SUMS,
+    gauge: VALUE_SUMS,
+    dumbbell: ['low', 'high', 'low_sumsq', 'high_sumsq', 'n', '_suppressed']
+  };
 
-    const switchHidden = new Set();
-    const switchShown = new Set();
-    if (switchOverrides) {
-      Object.keys(switchOverrides).forEach(filterVar => {
-        switchOverrides[filterVar].forEach(sw => {
-          const seriesName = normalizeSeriesName(sw.seriesName);
-          if (!seriesName) return;
-          if (!sw.visible) switchHidden.add(seriesName);
-          else if (sw.override) switchShown.add(seriesName);
-        });
-      });
-    }
+  const filterWorker = {
+    worker: null,
+    failed: false,
+    datasets: new WeakMap(),  // data array -> {key, names, dictionaries, requested, ready}
+    datasetCount: 0,
+    requests: new Map(),      // request id -> {resolve, reject}
+    requestCount: 0
+  };
 
-    let traces = [];
+  // entry.id -> number of its latest cross-tab rebuild
+  const crossTabDraws = new Map();
 
-    if (groupVar) {
-      const summed = {};
-      filteredData.forEach(row => {
-        const xVal = String(row[xVar]);
-        const rawGroup = row[groupVar];
-        const gVal = normalizeSeriesName(rawGroup);
-        if (!gVal) return;
-        const key = xVal + '|||' + gVal;
-        if (!summed[key]) summed[key] = { xVal, gVal, n: 0 };
-        summed[key].n += row.n;
-      });
+  function _nextCrossTabDraw(entry) {
+    const n = (crossTabDraws.get(entry.id) || 0) + 1;
+    crossTabDraws.set(entry.id, n);
+    return n;
+  }
 
-      const byX = {};
-      Object.values(summed).forEach(item => {
-        if (!byX[item.xVal]) byX[item.xVal] = {};
-        byX[item.xVal][item.gVal] = item.n;
-      });
+  function _useFilterWorker(crossTabInfo) {
+    return !filterWorker.failed && !!FILTER_WORKER_URL && typeof Worker !== 'undefined' &&
+      Array.isArray(crossTabInfo.data) && crossTabInfo.data.length >= WORKER_MIN_ROWS;
+  }
 
-      const activeXValues = new Set(Object.keys(byX));
-      const orderedX = xOrder && xOrder.length > 0
-        ? xOrder.filter(xv => activeXValues.has(xv))
-        : Object.keys(byX);
-      const activeGroups = uniqueNonEmptyNames(Object.values(summed).map(s => s.gVal));
-      const orderedGroupsRaw = groupOrder && groupOrder.length > 0
-        ? groupOrder.filter(g => activeGroups.includes(g))
-        : activeGroups;
-      const orderedGroups = uniqueNonEmptyNames(orderedGroupsRaw);
-      const traceOrder = uniqueNonEmptyNames(data.map(t => t && t.name));
-      const seriesOrder = traceOrder.length
-        ? traceOrder.filter(name => orderedGroups.includes(name))
-        : orderedGroups;
-      const allGroups = uniqueNonEmptyNames([...seriesOrder, ...orderedGroups, ...Array.from(switchShown)]);
+  /** Stop using the worker; pending requests fall back to the main thread */
+  function _failFilterWorker(err) {
+    debugLog('filter-worker-failed', { message: String(err && err.message || err) });
+    filterWorker.failed = true;
+    if (filterWorker.worker) filterWorker.worker.terminate();
+    filterWorker.worker = null;
+    filterWorker.requests.forEach(request => request.reject(err));
+    filterWorker.requests.clear();
+  }
 
-      traces = allGroups.map(groupName => {
-        const orig = data.find(t => normalizeSeriesName(t && t.name) === groupName);
-        const trace = orig ? (chartRegistry && chartRegistry.deepClone ? chartRegistry.deepClone(orig) : JSON.parse(JSON.stringify(orig))) : {};
-        trace.type = trace.type || 'bar';
-        trace.name = groupName;
+  function _filterWorkerInstance() {
+    if (filterWorker.worker) return filterWorker.worker;
+    const worker = new Worker(FILTER_WORKER_URL);
+    worker.addEventListener('message', event => {
+      const reply = event.data || {};
+      if (reply.type === 'error') {
+        _failFilterWorker(new Error(reply.message));
+        return;
+      }
+      const request = filterWorker.requests.get(reply.id);
+      if (!request) return;
+      filterWorker.requests.delete(reply.id);
+      request.resolve(reply);
+    });
+    // A worker script that fails to load or run
+    worker.addEventListener('error', event => {
+      _failFilterWorker(new Error(event.message || 'filter worker failed'));
+    });
+    filterWorker.worker = worker;
+    return worker;
+  }
 
-        if (orderedGroups.includes(groupName)) {
-          const values = orderedX.map(xVal => (byX[xVal] && byX[xVal][groupName]) ? byX[xVal][groupName] : 0);
-          if (isHorizontal) {
-            trace.y = orderedX;
-            trace.x = values;
-            trace.orientation = 'h';
-          } else {
-            trace.x = orderedX;
-            trace.y = values;
-          }
-          trace.visible = true;
-          trace.showlegend = true;
-        } else {
-          if (isHorizontal) {
-            trace.y = orderedX;
-            trace.x = orderedX.map(() => 0);
-            trace.orientation = 'h';
-          } else {
-            trace.x = orderedX;
-            trace.y = orderedX.map(() => 0);
-          }
-          trace.visible = 'legendonly';
-        }
+  /** Post a message to the worker; resolves with its reply */
+  function _workerRequest(message) {
+    return new Promise((resolve, reject) => {
+      if (filterWorker.failed) {
+        reject(new Error('filter worker unavailable'));
+        return;
+      }
+      const id = ++filterWorker.requestCount;
+      filterWorker.requests.set(id, { resolve, reject });
+      try {
+        _filterWorkerInstance().postMessage(Object.assign({ id }, message));
+      } catch (err) {
+        _failFilterWorker(err);
+      }
+    });
+  }
 
-        if (switchHidden.has(groupName)) trace.visible = 'legendonly';
-        if (switchShown.has(groupName)) trace.visible = true;
-        return trace;
+  /**
+   * The worker's copy of a cross-tab data array, with the dictionaries
+   * (distinct values, by code) of `columns`. The rows are posted with the
+   * first request only.
+   */
+  function _workerDataset(data, columns) {
+    let dataset = filterWorker.datasets.get(data);
+    if (!dataset) {
+      dataset = {
+        key: 'crosstab' + (++filterWorker.datasetCount),
+        posted: false,
+        names: [],
+        dictionaries: {},
+        requested: new Set(),
+        ready: null
+      };
+      filterWorker.datasets.set(data, dataset);
+    }
+    const missing = columns.filter(col => !dataset.requested.has(col));
+    if (!dataset.posted || missing.length > 0) {
+      missing.forEach(col => dataset.requested.add(col));
+      const message = { type: 'load', key: dataset.key, columns: missing };
+      if (!dataset.posted) message.rows = data;
+      dataset.posted = true;
+      // Replies come back in order, so the latest load covers earlier ones
+      dataset.ready = _workerRequest(message).then(reply => {
+        dataset.names = reply.names;
+        Object.assign(dataset.dictionaries, reply.dictionaries);
       });
+    }
+    return dataset.ready.then(() => dataset);
+  }
 
-      const layoutGrouped = original.layout || entry.el.layout || {};
-      if (isHorizontal) {
-        layoutGrouped.yaxis = layoutGrouped.yaxis || {};
-        layoutGrouped.yaxis.categoryorder = 'array';
-        layoutGrouped.yaxis.categoryarray = orderedX;
-      } else {
-        layoutGrouped.xaxis = layoutGrouped.xaxis || {};
-        layoutGrouped.xaxis.categoryorder = 'array';
-        layoutGrouped.xaxis.categoryarray = orderedX;
-      }
-      layoutGrouped.barmode = layoutGrouped.barmode || 'group';
-      Plotly.react(entry.el, traces, layoutGrouped);
-      return true;
+  /**
+   * A clause as codes of the worker's dictionaries: the values whose test
+   * passes, plus the overridden series' codes. Null when every value passes.
+   */
+  function _workerClause(dataset, clause) {
+    const values = dataset.dictionaries[clause.col];
+    const codes = [];
+    values.forEach((value, code) => {
+      if (clause.test(value)) codes.push(code);
+    });
+    if (codes.length === values.length) return null;
+    const out = { col: clause.col, codes };
+    if (clause.orCol) {
+      out.orCol = clause.orCol;
+      out.orCodes = [];
+      dataset.dictionaries[clause.orCol].forEach((value, code) => {
+        if (clause.orValues.has(String(value))) out.orCodes.push(code);
+      });
     }
+    return out;
+  }
 
-    // Simple (ungrouped) bar
-    const counts = {};
-    filteredData.forEach(row => {
-      const xVal = String(row[xVar]);
-      if (!counts[xVal]) counts[xVal] = 0;
-      counts[xVal] += row.n;
+  /**
+   * Columns the summed rows keep: all but the sums and the filter
+   * variables no config field names (those are summed over).
+   */
+  function _workerKeys(names, sums, config, filterVars) {
+    const named = new Set(Object.keys(config).map(field => config[field]).filter(v => typeof v === 'string'));
+    return names.filter(name => !sums.includes(name) && (!filterVars.includes(name) || named.has(name)));
+  }
+
+  /**
+   * The rows of `data` that pass the inputs, from the worker.
+   * @param {Array} filterArgs - The filter arguments of _filterCrossTabRows()
+   *   after groupCol
+   * @param {Function} aggregateOf - dataset -> the query's aggregate (summed
+   *   rows come back) or null (the matching rows themselves come back)
+   * @returns {Promise<Object[]>} Rejects when the worker is unavailable
+   */
+  function _workerRows(data, filterVars, groupCol, filterArgs, aggregateOf) {
+    const clauses = _crossTabClauses.apply(null, [filterVars, groupCol].concat(filterArgs));
+    const columns = new Set();
+    clauses.forEach(clause => {
+      columns.add(clause.col);
+      if (clause.orCol) columns.add(clause.orCol);
     });
+    return _workerDataset(data, Array.from(columns)).then(dataset => _workerRequest({
+      type: 'query',
+      key: dataset.key,
+      clauses: clauses.map(clause => _workerClause(dataset, clause)).filter(Boolean),
+      aggregate: aggregateOf(dataset)
+    })).then(reply => reply.rows || Array.from(reply.indices, i => data[i]));
+  }
 
-    const activeX = new Set(Object.keys(counts));
-    const orderedXSimple = xOrder && xOrder.length > 0
-      ? xOrder.filter(xv => activeX.has(xv))
-      : Object.keys(counts);
-    const seriesValues = orderedXSimple.map(xVal => counts[xVal] || 0);
-    const origSimple = data[0] || {};
-    const traceSimple = chartRegistry && chartRegistry.deepClone
-      ? chartRegistry.deepClone(origSimple)
-      : JSON.parse(JSON.stringify(origSimple));
-    traceSimple.type = traceSimple.type || 'bar';
-    traceSimple.visible = true;
-    if (isHorizontal) {
-      traceSimple.y = orderedXSimple;
-      traceSimple.x = seriesValues;
-      traceSimple.orientation = 'h';
-    } else {
-      traceSimple.x = orderedXSimple;
-      traceSimple.y = seriesValues;
-    }
+  /**
+   * The rows of a cross-tab that pass the inputs, from the worker: summed
+   * per drawn combination for WORKER_SUMS chart types, else as they are.
+   * @param {Array} filterArgs - The filter arguments of rebuildFromCrossTab()
+   * @returns {Promise<Object[]>} Rejects when the worker is unavailable
+   */
+  function _workerCrossTabRows(crossTabInfo, filterVars, filterArgs) {
+    const { data, config } = crossTabInfo;
+    return _workerRows(data, filterVars, config.groupVar || config.stackVar, filterArgs, dataset => {
+      const sums = (WORKER_SUMS[config.chartType || 'stackedbar'] || []).filter(f => dataset.names.includes(f));
+      return sums.length > 0 ? { keys: _workerKeys(dataset.names, sums, config, filterVars), sums } : null;
+    });
+  }
 
-    const layoutSimple = original.layout || entry.el.layout || {};
-    if (isHorizontal) {
-      layoutSimple.yaxis = layoutSimple.yaxis || {};
-      layoutSimple.yaxis.categoryorder = 'array';
-      layoutSimple.yaxis.categoryarray = orderedXSimple;
-    } else {
-      layoutSimple.xaxis = layoutSimple.xaxis || {};
-      layoutSimple.xaxis.categoryorder = 'array';
-      layoutSimple.xaxis.categoryarray = orderedXSimple;
-    }
-    Plotly.react(entry.el, [traceSimple], layoutSimple);
-    return true;
+  /**
+   * _filterCrossTabRows() for comparisons, drill-downs, value boxes, facet
+   * counts and maps: the matching rows of large arrays come from the worker
+   * (unsummed), those of small ones, or after a worker error, from here.
+   * @param {Array} filterArgs - The filter arguments of _filterCrossTabRows()
+   *   after groupCol
+   * @returns {Promise<Object[]>}
+   */
+  function _filterRowsAsync(data, filterVars, groupCol, filterArgs) {
+    const filterHere = () => _filterCrossTabRows.apply(null, [data, filterVars, groupCol].concat(filterArgs));
+    if (!_useFilterWorker({ data: data })) return Promise.resolve(filterHere());
+    return _workerRows(data, filterVars, groupCol, filterArgs, () => null).catch(filterHere);
   }
 
-  function _rebuildPiePlotly(entry, filteredData, config) {
-    if (!entry || !entry.el || typeof Plotly === 'undefined') return false;
-    if (!entry.original || !entry.original.data) {
-      if (chartRegistry && chartRegistry.adapters && chartRegistry.adapters.plotly) {
-        chartRegistry.adapters.plotly.storeOriginal(entry);
-      }
-    }
-    const original = entry.original && entry.original.data ? entry.original : { data: entry.el.data || [], layout: entry.el.layout || {} };
-    const data = original.data || [];
-    const xVar = config.xVar;
-    if (!xVar) return false;
+  // -----------------------------------------------------------------
+  // Small-cell suppression
+  // -----------------------------------------------------------------
+  // With create_dashboard(cell_suppression = "mask") the page sets
+  // window.dashboardrPrivacy.minCellSize and small cross-tab rows are kept
+  // instead of dropped. Which rows to mask is decided once, in R, on the
+  // unfiltered cross-tab (.mask_cross_tab_cells()): small rows plus the
+  // rows that complement them, so no filter state can be differenced
+  // against another. Masked rows arrive with their numbers zeroed and
+  // `_suppressed: 1`. After every filter the cells a chart is about to
+  // draw that are made up of masked rows only are relabelled "Suppressed".
+
+  const SUPPRESSED_LABEL = 'Suppressed';
+
+  // Config fields naming the variables that make up one drawn cell
+  const SUPPRESSION_CELL_VARS = {
+    bar: ['xVar', 'groupVar'],
+    stackedbar: ['xVar', 'stackVar'],
+    pie: ['xVar'],
+    timeline: ['timeVar', 'groupVar'],
+    heatmap: ['xVar', 'yVar'],
+    treemap: ['groupVar', 'subgroupVar'],
+    sankey: ['fromVar', 'toVar'],
+    funnel: ['xVar'],
+    waffle: ['xVar'],
+    dumbbell: ['xVar'],
+    map: ['joinVar'],
+    gauge: []
+  };
 
-    const counts = {};
-    filteredData.forEach(row => {
-      const label = String(row[xVar]);
-      if (!counts[label]) counts[label] = 0;
-      counts[label] += Number(row.n) || 0;
+  // Chart types whose points are relabelled; the rest only get the note
+  const SUPPRESSION_MARKED_TYPES = ['bar', 'stackedbar', 'pie', 'timeline'];
+
+  function _privacyMinCellSize() {
+    const privacy = window.dashboardrPrivacy;
+    const k = privacy ? Number(privacy.minCellSize) : 0;
+    return isFinite(k) && k > 0 ? k : 0;
+  }
+
+  function _suppressionCellVars(config) {
+    const fields = SUPPRESSION_CELL_VARS[config.chartType || 'stackedbar'];
+    if (!fields) return null;
+    return fields.map(field => config[field]).filter(v => {
+      if (!v || Array.isArray(v)) return false;
+      return typeof v !== 'object' || Object.keys(v).length > 0;
     });
+  }
 
-    const activeLabels = new Set(Object.keys(counts));
-    const labels = Array.isArray(config.xOrder) && config.xOrder.length > 0
-      ? config.xOrder.filter(lbl => activeLabels.has(lbl))
-      : Object.keys(counts);
-    const values = labels.map(lbl => counts[lbl] || 0);
+  function _suppressionCellKey(row, cellVars) {
+    return cellVars.map(v => String(row[v])).join('|||');
+  }
 
-    const trace = data[0]
-      ? (chartRegistry && chartRegistry.deepClone ? chartRegistry.deepClone(data[0]) : JSON.parse(JSON.stringify(data[0])))
-      : {};
-    trace.type = 'pie';
-    trace.labels = labels;
-    trace.values = values;
-    trace.visible = true;
-    if (config.colorMap && typeof config.colorMap === 'object') {
-      trace.marker = trace.marker || {};
-      trace.marker.colors = labels.map(lbl => config.colorMap[lbl] || null).filter(v => v !== null);
-    }
+  /** Raw size of a cross-tab row: `n_unweighted` for weighted cross-tabs */
+  function _rawCount(row) {
+    const raw = row.n_unweighted !== undefined && row.n_unweighted !== null ? row.n_unweighted : row.n;
+    return Number(raw) || 0;
+  }
 
-    const layout = original.layout || entry.el.layout || {};
-    Plotly.react(entry.el, [trace], layout);
-    return true;
+  function _isSuppressedRow(row) {
+    return Number(row._suppressed) > 0;
   }
 
-  function _rebuildScatterPlotly(entry, filteredData, config) {
-    if (!entry || !entry.el || typeof Plotly === 'undefined') return false;
-    if (!entry.original || !entry.original.data) {
-      if (chartRegistry && chartRegistry.adapters && chartRegistry.adapters.plotly) {
-        chartRegistry.adapters.plotly.storeOriginal(entry);
+  /**
+   * Find the cells of the filtered chart that consist of masked rows only.
+   * Masked rows have a raw count of 0, every other row at least
+   * minCellSize, so a cell is masked when its rows count 0 but include a
+   * masked one (summed worker rows carry the number of masked rows).
+   * @returns {Object|null} {minCellSize, cellVars, masked: Set of cell keys,
+   *   cells: [{key, parts}] of masked cells}, or null when nothing is
+   *   masked or the page is not in mask mode
+   */
+  function _planSuppression(filteredData, config) {
+    const k = _privacyMinCellSize();
+    if (!k) return null;
+    const cellVars = _suppressionCellVars(config);
+    if (!cellVars) return null;
+
+    const cells = {};
+    filteredData.forEach(row => {
+      if (row.n === undefined || row.n === null) return;
+      const key = _suppressionCellKey(row, cellVars);
+      if (!cells[key]) cells[key] = { key: key, parts: cellVars.map(v => String(row[v])), count: 0, suppressed: 0 };
+      cells[key].count += _rawCount(row);
+      cells[key].suppressed += Number(row._suppressed) || 0;
+    });
+
+    const list = Object.values(cells).filter(c => c.count === 0 && c.suppressed > 0);
+    if (list.length === 0) return null;
+    return {
+      minCellSize: k,
+      cellVars: cellVars,
+      masked: new Set(list.map(c => c.key)),
+      cells: list
+    };
+  }
+
+  /**
+   * Cell key of a drawn point: its x label, plus the series name when the
+   * chart has a second cell variable.
+   */
+  function _suppressionPointKey(suppression, xLabel, seriesName) {
+    if (suppression.cellVars.length < 2) return String(xLabel);
+    return String(xLabel) + '|||' + String(seriesName);
+  }
+
+  /**
+   * Relabel masked points after a rebuild and list them in a note below
+   * the chart. Called for every rebuild so a note left by an earlier
+   * filter state is cleared.
+   */
+  function _showSuppression(entry, suppression, config, rebuilt) {
+    if (!entry || !entry.el) return;
+    if (rebuilt && suppression && SUPPRESSION_MARKED_TYPES.includes(config.chartType || 'stackedbar')) {
+      const backend = entry.backend || 'highcharter';
+      if (backend === 'highcharter') {
+        const chart = chartRegistry && chartRegistry.resolveHighchart ? chartRegistry.resolveHighchart(entry) : null;
+        if (chart) _markSuppressedHC(chart, suppression);
+      } else if (backend === 'plotly') {
+        _markSuppressedPlotly(entry, suppression);
+      } else if (backend === 'echarts4r') {
+        _markSuppressedEcharts(entry, suppression);
       }
+    } else if (rebuilt && (entry.backend || 'highcharter') === 'highcharter') {
+      const chart = chartRegistry && chartRegistry.resolveHighchart ? chartRegistry.resolveHighchart(entry) : null;
+      if (chart && chart._dashboardrSuppressedTooltip) _markSuppressedHC(chart, null);
     }
-    const original = entry.original && entry.original.data ? entry.original : { data: entry.el.data || [], layout: entry.el.layout || {} };
-    const data = original.data || [];
 
-    const xVar = config.xVar;
-    const yVar = config.yVar;
-    const groupVar = config.groupVar;
-    const sizeVar = config.sizeVar;
-    if (!xVar || !yVar) return false;
+    let note = entry._suppressionNote;
+    if (!rebuilt || !suppression) {
+      if (note) note.hidden = true;
+      return;
+    }
+    if (!note) {
+      note = document.createElement('div');
+      note.className = 'dashboardr-suppression-note';
+      note.setAttribute('role', 'note');
+      entry.el.parentNode.insertBefore(note, entry.el.nextSibling);
+      entry._suppressionNote = note;
+    }
+    const count = suppression.cells.length;
+    note.textContent = count + (count === 1 ? ' cell' : ' cells') + ' suppressed (n < ' +
+      suppression.minCellSize + '): ' + suppression.cells.map(c => c.parts.join(' / ')).join(', ');
+    note.hidden = false;
+  }
 
-    const rows = filteredData.filter(row => _toFiniteNumber(row[xVar]) !== null && _toFiniteNumber(row[yVar]) !== null);
-    let traces = [];
+  function _hcPointXLabel(point) {
+    if (point.category !== undefined && typeof point.category !== 'number') return point.category;
+    if (point.name !== undefined && point.name !== null) return point.name;
+    return point.x;
+  }
 
-    if (groupVar) {
-      const activeGroups = uniqueNonEmptyNames(rows.map(row => row[groupVar]));
-      const orderedGroups = Array.isArray(config.groupOrder) && config.groupOrder.length > 0
-        ? uniqueNonEmptyNames(config.groupOrder).filter(g => activeGroups.includes(g))
-        : activeGroups;
-      const traceOrder = uniqueNonEmptyNames(data.map(t => t && t.name));
-      const groups = traceOrder.length
-        ? uniqueNonEmptyNames([...traceOrder.filter(g => orderedGroups.includes(g)), ...orderedGroups])
-        : orderedGroups;
+  /**
+   * Flag masked Highcharts points (`suppressed: true`, "Suppressed" data
+   * label and tooltip) and clear the flag from points a later filter state
+   * no longer masks. Pass null to clear every flag.
+   */
+  function _markSuppressedHC(chart, suppression) {
+    (chart.series || []).forEach(series => {
+      if (!series || typeof series !== 'object' || series.type === 'errorbar') return;
+      (series.points || []).forEach(point => {
+        const isMasked = !!suppression &&
+          suppression.masked.has(_suppressionPointKey(suppression, _hcPointXLabel(point), series.name));
+        const wasMasked = !!(point.options && point.options.suppressed);
+        if (isMasked && !wasMasked) {
+          point.update({ suppressed: true, dataLabels: { enabled: true, format: SUPPRESSED_LABEL } }, false);
+        } else if (!isMasked && wasMasked) {
+          point.update({ suppressed: false, dataLabels: null }, false);
+        }
+      });
+    });
+    if (suppression) _ensureSuppressedTooltipHC(chart);
+    chart.redraw();
+  }
 
-      traces = groups.map(groupName => {
-        const orig = data.find(t => normalizeSeriesName(t && t.name) === groupName);
-        const trace = orig ? (chartRegistry && chartRegistry.deepClone ? chartRegistry.deepClone(orig) : JSON.parse(JSON.stringify(orig))) : {};
-        const groupRows = rows.filter(row => normalizeSeriesName(row[groupVar]) === groupName);
-        trace.type = 'scatter';
-        trace.mode = trace.mode || 'markers';
-        trace.name = groupName;
-        trace.x = groupRows.map(row => Number(row[xVar]));
-        trace.y = groupRows.map(row => Number(row[yVar]));
-        trace.marker = trace.marker || {};
-        if (sizeVar) {
-          trace.marker.size = groupRows.map(row => {
-            const val = _toFiniteNumber(row[sizeVar]);
-            return val !== null ? val : (config.pointSize || 4);
-          });
-        } else if (!trace.marker.size) {
-          trace.marker.size = config.pointSize || 4;
-        }
-        if (config.alpha != null && trace.marker.opacity == null) {
-          trace.marker.opacity = config.alpha;
-        }
-        if (config.colorMap && config.colorMap[groupName]) {
-          trace.marker.color = config.colorMap[groupName];
+  function _ensureSuppressedTooltipHC(chart) {
+    if (chart._dashboardrSuppressedTooltip) return;
+    chart._dashboardrSuppressedTooltip = true;
+    const original = chart.options && chart.options.tooltip ? chart.options.tooltip.formatter : null;
+    const isMasked = point => !!(point && point.options && point.options.suppressed);
+    chart.update({
+      tooltip: {
+        formatter: function(tooltip) {
+          const points = this.points ? this.points.map(p => p.point) : [this.point];
+          if (!points.some(isMasked)) {
+            return original ? original.call(this, tooltip) : tooltip.defaultFormatter.call(this, tooltip);
+          }
+          const header = '<b>' + (this.key !== undefined ? this.key : this.x) + '</b>';
+          return header + points.map(point => {
+            const value = isMasked(point) ? SUPPRESSED_LABEL : Number(point.y).toLocaleString();
+            return '<br/>' + point.series.name + ': ' + value;
+          }).join('');
         }
-        trace.visible = true;
-        return trace;
+      }
+    }, false);
+  }
+
+  /**
+   * Relabel masked Plotly points: per-point hover templates, and
+   * "Suppressed" text on bars. Rebuilt traces start from clones of the
+   * original figure, so nothing needs clearing between filter states.
+   */
+  function _markSuppressedPlotly(entry, suppression) {
+    if (typeof Plotly === 'undefined' || !Array.isArray(entry.el.data)) return;
+    let changed = false;
+    entry.el.data.forEach(trace => {
+      if (!trace) return;
+      const isPie = trace.type === 'pie';
+      const horizontal = trace.orientation === 'h';
+      const xs = isPie ? trace.labels : (horizontal ? trace.y : trace.x);
+      if (!Array.isArray(xs)) return;
+      const maskedAt = xs.map(x => suppression.masked.has(_suppressionPointKey(suppression, x, trace.name)));
+      if (!maskedAt.some(Boolean)) return;
+      changed = true;
+      const template = isPie
+        ? '%{label}: ' + SUPPRESSED_LABEL + '<extra></extra>'
+        : '<b>%{' + (horizontal ? 'y' : 'x') + '}</b><br>%{fullData.name}: ' + SUPPRESSED_LABEL + '<extra></extra>';
+      const ownTemplate = trace.hovertemplate;
+      trace.hovertemplate = maskedAt.map((m, idx) => {
+        if (m) return template;
+        return Array.isArray(ownTemplate) ? ownTemplate[idx] : (ownTemplate || '');
       });
-    } else {
-      const orig = data[0] || {};
-      const trace = chartRegistry && chartRegistry.deepClone
-        ? chartRegistry.deepClone(orig)
-        : JSON.parse(JSON.stringify(orig));
-      trace.type = 'scatter';
-      trace.mode = trace.mode || 'markers';
-      trace.x = rows.map(row => Number(row[xVar]));
-      trace.y = rows.map(row => Number(row[yVar]));
-      trace.marker = trace.marker || {};
-      if (sizeVar) {
-        trace.marker.size = rows.map(row => {
-          const val = _toFiniteNumber(row[sizeVar]);
-          return val !== null ? val : (config.pointSize || 4);
+      if (trace.type === 'bar') {
+        const ownText = trace.text;
+        trace.text = maskedAt.map((m, idx) => {
+          if (m) return SUPPRESSED_LABEL;
+          return Array.isArray(ownText) ? ownText[idx] : (ownText || '');
         });
-      } else if (!trace.marker.size) {
-        trace.marker.size = config.pointSize || 4;
+        trace.textposition = 'outside';
       }
-      if (config.alpha != null && trace.marker.opacity == null) {
-        trace.marker.opacity = config.alpha;
+    });
+    if (changed) Plotly.react(entry.el, entry.el.data, entry.el.layout);
+  }
+
+  /**
+   * Relabel masked ECharts items with a "Suppressed" label and tooltip
+   * line. setOption(…, true) in the rebuilders drops these again.
+   */
+  function _markSuppressedEcharts(entry, suppression) {
+    if (typeof echarts === 'undefined') return;
+    const inst = echarts.getInstanceByDom(entry.el);
+    if (!inst) return;
+    const option = inst.getOption();
+    const xAxis = (option.xAxis || [])[0] || {};
+    const yAxis = (option.yAxis || [])[0] || {};
+    const categoryAxis = yAxis.type === 'category' ? yAxis : xAxis;
+    const categories = Array.isArray(categoryAxis.data)
+      ? categoryAxis.data.map(c => (c && typeof c === 'object' ? c.value : c))
+      : null;
+
+    let changed = false;
+    const series = (option.series || []).map(s => {
+      if (!s || s.type === 'custom' || !Array.isArray(s.data)) return {};
+      const isPie = s.type === 'pie';
+      const data = s.data.map((item, idx) => {
+        const obj = item && typeof item === 'object' && !Array.isArray(item) ? item : { value: item };
+        let xLabel = isPie ? obj.name : (categories ? categories[idx] : undefined);
+        if (xLabel === undefined && Array.isArray(obj.value)) xLabel = obj.value[0];
+        if (!suppression.masked.has(_suppressionPointKey(suppression, xLabel, s.name))) return item;
+        changed = true;
+        return Object.assign({}, obj, {
+          suppressed: true,
+          label: { show: true, formatter: SUPPRESSED_LABEL, position: isPie ? 'outside' : 'top' }
+        });
+      });
+      return { data: data };
+    });
+    if (!changed) return;
+
+    const tooltip = (option.tooltip || [])[0] || {};
+    const original = typeof tooltip.formatter === 'function' ? tooltip.formatter : null;
+    inst.setOption({
+      series: series,
+      tooltip: {
+        formatter: function(params) {
+          const list = Array.isArray(params) ? params : [params];
+          const isMasked = p => !!(p && p.data && typeof p.data === 'object' && p.data.suppressed);
+          if (original && !list.some(isMasked)) return original.apply(this, arguments);
+          const header = list[0] && list[0].axisValueLabel !== undefined ? list[0].axisValueLabel + '<br/>' : '';
+          return header + list.map(p => {
+            const label = p.seriesType === 'pie' || !header ? p.name : p.seriesName;
+            const raw = Array.isArray(p.value) ? p.value[p.value.length - 1] : p.value;
+            const value = isMasked(p) ? SUPPRESSED_LABEL : Number(raw).toLocaleString();
+            return (p.marker || '') + label + ': ' + value;
+          }).join('<br/>');
+        }
       }
-      traces = [trace];
-    }
+    });
+  }
 
-    const layout = original.layout || entry.el.layout || {};
-    Plotly.react(entry.el, traces, layout);
-    return true;
+  /**
+   * Mask numeric cells of table rows whose `n` column is below the page's
+   * minimum cell size (mask mode only); other rows pass through untouched.
+   */
+  function _maskSmallTableRows(rows) {
+    const k = _privacyMinCellSize();
+    if (!k || !Array.isArray(rows)) return rows;
+    return rows.map(row => {
+      const n = row ? Number(row.n) : NaN;
+      if (!(n > 0 && n < k)) return row;
+      const copy = {};
+      Object.keys(row).forEach(field => {
+        copy[field] = typeof row[field] === 'number' ? SUPPRESSED_LABEL : row[field];
+      });
+      return copy;
+    });
   }
 
-  function _rebuildBoxplotPlotly(entry, filteredData, config) {
-    if (!entry || !entry.el || typeof Plotly === 'undefined') return false;
-    if (!entry.original || !entry.original.data) {
-      if (chartRegistry && chartRegistry.adapters && chartRegistry.adapters.plotly) {
-        chartRegistry.adapters.plotly.storeOriginal(entry);
-      }
-    }
-    const original = entry.original && entry.original.data ? entry.original : { data: entry.el.data || [], layout: entry.el.layout || {} };
-    const data = original.data || [];
-    const xVar = config.xVar;
-    const yVar = config.yVar;
-    if (!xVar || !yVar) return false;
+  // -----------------------------------------------------------------
+  // Weighted counts
+  // -----------------------------------------------------------------
+  // Cross-tabs built with weight_var store the summed weights in `n` and
+  // the raw row count in `n_unweighted`, so every rebuilder below sums
+  // weights and its percentages are weighted. With showUnweightedN the
+  // raw counts are summed alongside and shown in tooltips.
 
-    const grouped = {};
+  /**
+   * Bar value for a summed (weighted) count. Percent bars divide by the
+   * total of their x category (grouped) or of all bars (simple), like
+   * viz_bar() does in R.
+   */
+  function _barDisplayValue(count, total, isPercent) {
+    if (!isPercent) return count;
+    return total > 0 ? Math.round((count / total * 100) * 10) / 10 : 0;
+  }
+
+  /**
+   * Sum `n_unweighted` per key for tooltips.
+   * @param {Function} keyOf - row => key (same keys the rebuilder sums by)
+   * @returns {Object|null} key -> unweighted n, or null when the chart does
+   *   not ask for it or the cross-tab is unweighted
+   */
+  function _unweightedCounts(filteredData, config, keyOf) {
+    if (!config.showUnweightedN) return null;
+    const hasRaw = filteredData.some(row => row.n_unweighted !== undefined && row.n_unweighted !== null);
+    if (!hasRaw) return null;
+    const counts = {};
     filteredData.forEach(row => {
-      const group = String(row[xVar]);
-      const y = _toFiniteNumber(row[yVar]);
-      if (y === null) return;
-      if (!grouped[group]) grouped[group] = [];
-      grouped[group].push(y);
+      const key = keyOf(row);
+      counts[key] = (counts[key] || 0) + (Number(row.n_unweighted) || 0);
     });
+    return counts;
+  }
 
-    const activeGroups = Object.keys(grouped);
-    const groups = Array.isArray(config.xOrder) && config.xOrder.length > 0
-      ? config.xOrder.filter(g => activeGroups.includes(g))
-      : activeGroups;
-    const horizontal = !!config.horizontal;
-    const showOutliers = config.showOutliers !== false;
+  function _unweightedLabel(nRaw) {
+    return 'Unweighted n: ' + Math.round(Number(nRaw) || 0).toLocaleString();
+  }
 
-    const traces = groups.map(group => {
-      const orig = data.find(t => normalizeSeriesName(t && t.name) === normalizeSeriesName(group));
-      const trace = orig ? (chartRegistry && chartRegistry.deepClone ? chartRegistry.deepClone(orig) : JSON.parse(JSON.stringify(orig))) : {};
-      const values = grouped[group] || [];
-      trace.type = 'box';
-      trace.name = group;
-      trace.boxpoints = showOutliers ? 'outliers' : false;
-      if (horizontal) {
-        trace.orientation = 'h';
-        trace.x = values;
-        trace.y = Array(values.length).fill(group);
-      } else {
-        trace.orientation = 'v';
-        trace.x = Array(values.length).fill(group);
-        trace.y = values;
-      }
-      if (config.colorMap && config.colorMap[group]) {
-        trace.marker = trace.marker || {};
-        trace.line = trace.line || {};
-        trace.marker.color = config.colorMap[group];
-        trace.line.color = config.colorMap[group];
+  /**
+   * Append the unweighted n of the hovered point(s) to a Highcharts
+   * tooltip, keeping the chart's own formatter. Points carry it as
+   * `nUnweighted` in their options.
+   */
+  function _ensureUnweightedTooltipHC(chart) {
+    if (!chart || chart._dashboardrUnweightedTooltip) return;
+    chart._dashboardrUnweightedTooltip = true;
+    const original = chart.options && chart.options.tooltip ? chart.options.tooltip.formatter : null;
+    const lineFor = point => {
+      const nRaw = point && point.options ? point.options.nUnweighted : undefined;
+      return nRaw === undefined ? '' : '<br/>' + _unweightedLabel(nRaw);
+    };
+    chart.update({
+      tooltip: {
+        formatter: function(tooltip) {
+          let base = original ? original.call(this, tooltip) : tooltip.defaultFormatter.call(this, tooltip);
+          if (Array.isArray(base)) {
+            if (tooltip.split) return base;
+            base = base.join('');
+          }
+          if (typeof base !== 'string') return base;
+          if (this.points) return base + this.points.map(p => lineFor(p.point)).join('');
+          return base + lineFor(this.point);
+        }
       }
-      return trace;
+    }, false);
+  }
+
+  /**
+   * Point data with unweighted n attached (Highcharts `y` or ECharts
+   * `value` objects); plain values when there is nothing to attach.
+   */
+  function _withUnweightedN(values, nValues, valueKey) {
+    if (!nValues) return values;
+    return values.map((v, idx) => {
+      const point = {};
+      point[valueKey] = v;
+      point.nUnweighted = nValues[idx];
+      return point;
     });
+  }
 
-    const layout = original.layout || entry.el.layout || {};
-    if (horizontal) {
-      layout.yaxis = layout.yaxis || {};
-      layout.yaxis.type = 'category';
-      layout.yaxis.categoryorder = 'array';
-      layout.yaxis.categoryarray = groups;
+  /**
+   * Replace a Plotly trace's hover text with value + unweighted n.
+   * Rebuilt traces cannot reuse R-side customdata (it described the
+   * unfiltered data), so the template is rebuilt from scratch.
+   * @param {string} kind - 'pie', 'h' (horizontal bar) or 'v'
+   */
+  function _plotlyUnweightedHover(trace, nValues, kind) {
+    if (!nValues) return;
+    trace.customdata = nValues;
+    const nLine = '<br>Unweighted n: %{customdata:,.0f}<extra></extra>';
+    if (kind === 'pie') {
+      trace.hovertemplate = '%{label}: %{value} (%{percent})' + nLine;
+    } else if (kind === 'h') {
+      trace.hovertemplate = '<b>%{y}</b><br>%{fullData.name}: %{x}' + nLine;
     } else {
-      layout.xaxis = layout.xaxis || {};
-      layout.xaxis.type = 'category';
-      layout.xaxis.categoryorder = 'array';
-      layout.xaxis.categoryarray = groups;
+      trace.hovertemplate = '<b>%{x}</b><br>%{fullData.name}: %{y}' + nLine;
     }
-    Plotly.react(entry.el, traces, layout);
-    return true;
   }
 
-  function _rebuildStackedBarPlotly(entry, filteredData, config, switchOverrides) {
+  /**
+   * Show unweighted n in an ECharts tooltip. Rebuilt options are JSON
+   * clones, so R-side formatter functions are gone; the default
+   * "marker series: value" lines are rebuilt here, one per hovered item.
+   */
+  function _ensureUnweightedTooltipEcharts(option, valueIndex) {
+    const tooltip = Array.isArray(option.tooltip)
+      ? (option.tooltip[0] = option.tooltip[0] || {})
+      : (option.tooltip = option.tooltip || {});
+    const original = typeof tooltip.formatter === 'function' ? tooltip.formatter : null;
+    tooltip.formatter = function(params) {
+      const list = Array.isArray(params) ? params : [params];
+      const nLine = p => {
+        const nRaw = p && p.data && typeof p.data === 'object' ? p.data.nUnweighted : undefined;
+        return nRaw === undefined ? '' : '<br/>' + _unweightedLabel(nRaw);
+      };
+      if (original) {
+        return original.apply(this, arguments) + list.map(nLine).join('');
+      }
+      const header = list[0] && list[0].axisValueLabel !== undefined ? list[0].axisValueLabel + '<br/>' : '';
+      return header + list.map(p => {
+        const raw = Array.isArray(p.value) ? p.value[valueIndex] : p.value;
+        const label = p.seriesType === 'pie' || !header ? p.name : p.seriesName;
+        const pct = p.percent !== undefined ? ' (' + p.percent + '%)' : '';
+        return (p.marker || '') + label + ': ' + Number(raw).toLocaleString() + pct + nLine(p);
+      }).join('<br/>');
+    };
+  }
+
+  // -----------------------------------------------------------------
+  // Confidence intervals
+  // -----------------------------------------------------------------
+  // Mean bars, mean timelines and dumbbells carry the sufficient
+  // statistics of each cross-tab cell (R: .cross_tab_moments()): the row
+  // count `n`, the weighted sum and sum of squares of the value and, for
+  // weighted data, `weight_sum` / `weight_sumsq`. Summed over the
+  // filtered rows they give the exact mean and spread of the filtered
+  // data, so error bars follow the filters. config.errorBars picks 'sd',
+  // 'se' or 'ci' (at config.ciLevel).
+
+  function _emptyMoments() {
+    return { n: 0, sum: 0, sumsq: 0, w: 0, w2: 0 };
+  }
+
+  /**
+   * Add one cross-tab row to a moment accumulator. Rows without weight
+   * columns count every observation with weight 1.
+   */
+  function _addMoments(acc, row, sumField, sumsqField) {
+    const n = Number(row.n) || 0;
+    acc.n += n;
+    acc.sum += Number(row[sumField]) || 0;
+    acc.sumsq += Number(row[sumsqField]) || 0;
+    acc.w += row.weight_sum !== undefined ? (Number(row.weight_sum) || 0) : n;
+    acc.w2 += row.weight_sumsq !== undefined ? (Number(row.weight_sumsq) || 0) : n;
+    return acc;
+  }
+
+  /**
+   * Two-sided critical value for config.ciLevel. R ships qt() for 1-30
+   * degrees of freedom (config.ciCritical); beyond that a Cornish-Fisher
+   * expansion around the normal quantile config.ciZ is accurate to 1e-4.
+   */
+  function _ciCritical(df, config) {
+    const d = Math.max(1, Math.round(df));
+    const table = config.ciCritical;
+    if (Array.isArray(table) && d <= table.length) return Number(table[d - 1]);
+    const z = Number(config.ciZ) || 1.959964;
+    const z3 = z * z * z;
+    return z + (z3 + z) / (4 * d) + (5 * z3 * z * z + 16 * z3 + 3 * z) / (96 * d * d);
+  }
+
+  /**
+   * Mean and error-bar bounds from accumulated moments. Weighted data use
+   * the effective sample size (sum w)^2 / sum w^2, which is n for
+   * unweighted data, so the SD matches R's sd(). Bounds are null below two
+   * observations, where sd() is NA.
+   * @returns {{mean: number, low: ?number, high: ?number, n: number}|null}
+   */
+  function _momentInterval(acc, config) {
+    if (!acc || !(acc.w > 0)) return null;
+    const mean = acc.sum / acc.w;
+    const nEff = acc.w2 > 0 ? (acc.w * acc.w) / acc.w2 : 0;
+    if (nEff <= 1) return { mean, low: null, high: null, n: acc.n };
+    const variance = Math.max(0, acc.sumsq / acc.w - mean * mean) * nEff / (nEff - 1);
+    const sd = Math.sqrt(variance);
+    const se = sd / Math.sqrt(nEff);
+    let margin = se;
+    if (config.errorBars === 'sd') margin = sd;
+    else if (config.errorBars === 'ci') margin = _ciCritical(nEff - 1, config) * se;
+    return { mean, low: mean - margin, high: mean + margin, n: acc.n };
+  }
+
+  /** key -> interval of the rows sharing keyOf(row). */
+  function _intervalsBy(rows, config, keyOf, sumField, sumsqField) {
+    const acc = {};
+    (rows || []).forEach(row => {
+      const key = keyOf(row);
+      acc[key] = _addMoments(acc[key] || _emptyMoments(), row, sumField, sumsqField);
+    });
+    const out = {};
+    Object.keys(acc).forEach(key => { out[key] = _momentInterval(acc[key], config); });
+    return out;
+  }
+
+  function _hasErrorBars(config) {
+    return !!config.errorBars && config.errorBars !== 'none';
+  }
+
+  /**
+   * Error-bar series name as viz_bar() writes it: "CI Error" for simple
+   * bars, "<series> CI" otherwise.
+   */
+  function _errorBarName(config, seriesName) {
+    const label = String(config.errorBars || '').toUpperCase();
+    return seriesName ? seriesName + ' ' + label : label + ' Error';
+  }
+
+  /**
+   * Means of `barType: 'mean'` bars, key -> interval; null for count and
+   * percent bars.
+   */
+  function _barMeans(filteredData, config, keyOf) {
+    if (config.barType !== 'mean') return null;
+    return _intervalsBy(filteredData, config, keyOf, 'value_sum', 'value_sumsq');
+  }
+
+  /** Bar height: recomputed mean (2 decimals, as in R) or the count. */
+  function _barCellValue(means, key, count, total, isPercent) {
+    if (means) return means[key] ? Math.round(means[key].mean * 100) / 100 : null;
+    return _barDisplayValue(count, total, isPercent);
+  }
+
+  /**
+   * Set the Highcharts errorbar series `name` to `points` ({low, high},
+   * [x, low, high] or null per point), adding one linked to `parent` when
+   * the chart has none yet. Errorbar series need highcharts-more, which
+   * highcharter always loads.
+   */
+  function _setErrorBarsHC(chart, parent, name, points, color) {
+    const existing = (chart.series || []).find(s => s && s.type === 'errorbar' && s.name === name);
+    const visible = !parent || parent.visible !== false;
+    if (existing) {
+      existing.setData(points, false);
+      existing.setVisible(visible, false);
+      return;
+    }
+    if (!parent) return;
+    // linkedTo needs an id; linked series share the legend toggle
+    if (!parent.options.id) parent.update({ id: 'dashboardr-ci-' + name }, false);
+    chart.addSeries({
+      type: 'errorbar',
+      name: name,
+      data: points,
+      linkedTo: parent.options.id,
+      visible: visible,
+      showInLegend: false,
+      color: color || parent.color || '#333333',
+      stemWidth: 1.5,
+      whiskerLength: '40%',
+      dataLabels: { enabled: false }
+    }, false);
+  }
+
+  /** Highcharts errorbar point, rounded to 2 decimals like viz_bar(). */
+  function _hcErrorPoint(iv) {
+    if (!iv || iv.low === null) return null;
+    return { low: Math.round(iv.low * 100) / 100, high: Math.round(iv.high * 100) / 100 };
+  }
+
+  /**
+   * Plotly error bars (error_y, or error_x for horizontal traces) from
+   * intervals aligned with the trace's points.
+   */
+  function _plotlyErrorBars(trace, intervals, horizontal) {
+    const key = horizontal ? 'error_x' : 'error_y';
+    trace[key] = Object.assign({}, trace[key] || {}, {
+      type: 'data',
+      symmetric: false,
+      visible: true,
+      array: intervals.map(iv => (iv && iv.high !== null ? iv.high - iv.mean : null)),
+      arrayminus: intervals.map(iv => (iv && iv.low !== null ? iv.mean - iv.low : null))
+    });
+  }
+
+  function _echartsErrorPoint(category, iv) {
+    return iv && iv.low !== null ? [category, iv.low, iv.high] : null;
+  }
+
+  /**
+   * ECharts has no errorbar series, so whiskers are drawn by a custom
+   * series. Rebuilt options are JSON clones, which drops the renderItem
+   * of echarts4r's e_error_bar(); this builds a fresh one. `points` are
+   * [category, low, high]. `slot` of `slots` shifts the whiskers onto one
+   * bar of a grouped bar chart (ECharts' default barGap 30% and
+   * barCategoryGap 20%).
+   */
+  function _echartsErrorBarSeries(name, points, horizontal, color, slot, slots) {
+    const k = slots || 1;
+    return {
+      type: 'custom',
+      name: name,
+      silent: true,
+      z: 10,
+      data: points.filter(p => p && p[1] !== null && p[2] !== null),
+      encode: horizontal ? { x: [1, 2], y: 0 } : { x: 0, y: [1, 2] },
+      renderItem: function(params, api) {
+        const cat = api.value(0);
+        const at = v => api.coord(horizontal ? [v, cat] : [cat, v]);
+        const band = horizontal ? api.size([0, 1])[1] : api.size([1, 0])[0];
+        const barWidth = band * 0.8 / (k + 0.3 * (k - 1));
+        const shift = k > 1 ? -band * 0.4 + barWidth / 2 + (slot || 0) * barWidth * 1.3 : 0;
+        const half = Math.max(3, Math.min(barWidth, band) * 0.2);
+        const lo = at(api.value(1));
+        const hi = at(api.value(2));
+        const axis = horizontal ? 1 : 0;
+        lo[axis] += shift;
+        hi[axis] += shift;
+        const whisker = p => horizontal
+          ? { x1: p[0], y1: p[1] - half, x2: p[0], y2: p[1] + half }
+          : { x1: p[0] - half, y1: p[1], x2: p[0] + half, y2: p[1] };
+        const style = { stroke: color || '#333333', lineWidth: 1.5 };
+        return {
+          type: 'group',
+          children: [
+            { type: 'line', shape: { x1: lo[0], y1: lo[1], x2: hi[0], y2: hi[1] }, style },
+            { type: 'line', shape: whisker(lo), style },
+            { type: 'line', shape: whisker(hi), style }
+          ]
+        };
+      }
+    };
+  }
+
+  function _rebuildBarPlotly(entry, filteredData, config, switchOverrides) {
     if (!entry || !entry.el || typeof Plotly === 'undefined') return false;
     if (!entry.original || !entry.original.data) {
       if (chartRegistry && chartRegistry.adapters && chartRegistry.adapters.plotly) {
@@ -2657,38 +4951,15 @@
     }
     const original = entry.original && entry.original.data ? entry.original : { data: entry.el.data || [], layout: entry.el.layout || {} };
     const data = original.data || [];
-
-    const { xVar, stackVar, stackedType, stackOrder, xOrder, colorMap } = config;
-    const seriesVar = stackVar || config.groupVar;
-    var labelDec = (config.labelDecimals != null) ? config.labelDecimals : (stackedType === 'percent' ? 1 : 0);
-    var labelMinPct = 5;
-    const summed = {};
-    filteredData.forEach(row => {
-      const xVal = String(row[xVar]);
-      const rawSeries = row[seriesVar];
-      const stackVal = normalizeSeriesName(rawSeries);
-      if (!stackVal) return;
-      const key = xVal + '|||' + stackVal;
-      if (!summed[key]) summed[key] = { xVal, stackVal, n: 0 };
-      summed[key].n += row.n;
-    });
-    const byX = {};
-    Object.values(summed).forEach(item => {
-      if (!byX[item.xVal]) byX[item.xVal] = {};
-      byX[item.xVal][item.stackVal] = item.n;
-    });
-    const xTotals = {};
-    Object.keys(byX).forEach(xVal => {
-      xTotals[xVal] = Object.values(byX[xVal]).reduce((sum, n) => sum + n, 0);
-    });
-    const isPercent = stackedType === 'percent';
-    const activeXValues = new Set(Object.keys(byX));
-    const orderedX = xOrder && xOrder.length > 0 ? xOrder.filter(xv => activeXValues.has(xv)) : Object.keys(byX);
-    const activeStackValues = new Set(Object.values(summed).map(s => s.stackVal));
-    const orderedStackRaw = stackOrder && stackOrder.length > 0
-      ? stackOrder.filter(sv => activeStackValues.has(sv))
-      : [...activeStackValues];
-    const orderedStack = uniqueNonEmptyNames(orderedStackRaw);
+    const xVar = config.xVar;
+    let groupVar = config.groupVar;
+    if (groupVar && typeof groupVar === 'object' && !Array.isArray(groupVar) && Object.keys(groupVar).length === 0) {
+      groupVar = null;
+    }
+    const xOrder = config.xOrder;
+    const groupOrder = config.groupOrder;
+    const isHorizontal = data.some(t => t && t.orientation === 'h');
+    const isPercent = config.barType === 'percent';
 
     const switchHidden = new Set();
     const switchShown = new Set();
@@ -2702,81 +4973,157 @@
         });
       });
     }
-    const traceOrder = uniqueNonEmptyNames(data.map(t => t && t.name));
-    const seriesOrder = traceOrder.length
-      ? traceOrder.filter(name => orderedStack.includes(name))
-      : orderedStack;
-    const allSeries = uniqueNonEmptyNames([...seriesOrder, ...orderedStack, ...Array.from(switchShown)]);
-    const isHorizontal = data.some(t => t && t.orientation === 'h');
 
-    const newData = allSeries.map(name => {
-      const orig = data.find(t => t.name === name);
-      const trace = orig ? (chartRegistry && chartRegistry.deepClone ? chartRegistry.deepClone(orig) : JSON.parse(JSON.stringify(orig))) : {};
-      trace.type = trace.type || 'bar';
-      trace.name = name;
-      if (orderedStack.includes(name)) {
-        var factor = Math.pow(10, labelDec);
-        const values = orderedX.map(xVal => {
-          const count = (byX[xVal] && byX[xVal][name]) ? byX[xVal][name] : 0;
-          if (isPercent && xTotals[xVal] > 0) {
-            return Math.round(((count / xTotals[xVal]) * 100) * factor) / factor;
+    let traces = [];
+
+    if (groupVar) {
+      const summed = {};
+      filteredData.forEach(row => {
+        const xVal = String(row[xVar]);
+        const rawGroup = row[groupVar];
+        const gVal = normalizeSeriesName(rawGroup);
+        if (!gVal) return;
+        const key = xVal + '|||' + gVal;
+        if (!summed[key]) summed[key] = { xVal, gVal, n: 0 };
+        summed[key].n += row.n;
+      });
+
+      const byX = {};
+      Object.values(summed).forEach(item => {
+        if (!byX[item.xVal]) byX[item.xVal] = {};
+        byX[item.xVal][item.gVal] = item.n;
+      });
+
+      const activeXValues = new Set(Object.keys(byX));
+      const orderedX = xOrder && xOrder.length > 0
+        ? xOrder.filter(xv => activeXValues.has(xv))
+        : Object.keys(byX);
+      const activeGroups = uniqueNonEmptyNames(Object.values(summed).map(s => s.gVal));
+      const orderedGroupsRaw = groupOrder && groupOrder.length > 0
+        ? groupOrder.filter(g => activeGroups.includes(g))
+        : activeGroups;
+      const orderedGroups = uniqueNonEmptyNames(orderedGroupsRaw);
+      const traceOrder = uniqueNonEmptyNames(data.map(t => t && t.name));
+      const seriesOrder = traceOrder.length
+        ? traceOrder.filter(name => orderedGroups.includes(name))
+        : orderedGroups;
+      const allGroups = uniqueNonEmptyNames([...seriesOrder, ...orderedGroups, ...Array.from(switchShown)]);
+      const xTotals = {};
+      Object.keys(byX).forEach(xVal => {
+        xTotals[xVal] = Object.values(byX[xVal]).reduce((sum, n) => sum + n, 0);
+      });
+      const nRaw = _unweightedCounts(filteredData, config, row =>
+        String(row[xVar]) + '|||' + normalizeSeriesName(row[groupVar]));
+      const means = _barMeans(filteredData, config, row =>
+        String(row[xVar]) + '|||' + normalizeSeriesName(row[groupVar]));
+
+      traces = allGroups.map(groupName => {
+        const orig = data.find(t => normalizeSeriesName(t && t.name) === groupName);
+        const trace = orig ? (chartRegistry && chartRegistry.deepClone ? chartRegistry.deepClone(orig) : JSON.parse(JSON.stringify(orig))) : {};
+        trace.type = trace.type || 'bar';
+        trace.name = groupName;
+
+        if (orderedGroups.includes(groupName)) {
+          const values = orderedX.map(xVal => _barCellValue(means, xVal + '|||' + groupName,
+            (byX[xVal] && byX[xVal][groupName]) ? byX[xVal][groupName] : 0, xTotals[xVal], isPercent));
+          if (isHorizontal) {
+            trace.y = orderedX;
+            trace.x = values;
+            trace.orientation = 'h';
+          } else {
+            trace.x = orderedX;
+            trace.y = values;
           }
-          return count;
-        });
-        // Generate text labels, hiding small segments
-        const labels = values.map((v, i) => {
-          var pct = xTotals[orderedX[i]] > 0 ? (v / (isPercent ? 100 : xTotals[orderedX[i]])) * 100 : 0;
-          if (isPercent) pct = v;
-          if (pct < labelMinPct) return '';
-          return v.toFixed(labelDec) + (isPercent ? '%' : '');
-        });
-        if (isHorizontal) {
-          trace.y = orderedX;
-          trace.x = values;
-          trace.orientation = 'h';
+          if (means && _hasErrorBars(config)) {
+            _plotlyErrorBars(trace, orderedX.map(xVal => means[xVal + '|||' + groupName]), isHorizontal);
+          }
+          _plotlyUnweightedHover(trace, nRaw && orderedX.map(xVal => nRaw[xVal + '|||' + groupName] || 0),
+            isHorizontal ? 'h' : 'v');
+          trace.visible = true;
+          trace.showlegend = true;
         } else {
-          trace.x = orderedX;
-          trace.y = values;
-        }
-        trace.text = labels;
-        trace.textposition = 'inside';
-        trace.visible = true;
-        trace.showlegend = true;
-        if (colorMap && colorMap[name]) {
-          trace.marker = trace.marker || {};
-          trace.marker.color = colorMap[name];
+          if (isHorizontal) {
+            trace.y = orderedX;
+            trace.x = orderedX.map(() => 0);
+            trace.orientation = 'h';
+          } else {
+            trace.x = orderedX;
+            trace.y = orderedX.map(() => 0);
+          }
+          trace.visible = 'legendonly';
         }
+
+        if (switchHidden.has(groupName)) trace.visible = 'legendonly';
+        if (switchShown.has(groupName)) trace.visible = true;
+        return trace;
+      });
+
+      const layoutGrouped = original.layout || entry.el.layout || {};
+      if (isHorizontal) {
+        layoutGrouped.yaxis = layoutGrouped.yaxis || {};
+        layoutGrouped.yaxis.categoryorder = 'array';
+        layoutGrouped.yaxis.categoryarray = orderedX;
       } else {
-        if (isHorizontal) {
-          trace.y = orderedX;
-          trace.x = orderedX.map(() => 0);
-          trace.orientation = 'h';
-        } else {
-          trace.x = orderedX;
-          trace.y = orderedX.map(() => 0);
-        }
-        trace.visible = 'legendonly';
+        layoutGrouped.xaxis = layoutGrouped.xaxis || {};
+        layoutGrouped.xaxis.categoryorder = 'array';
+        layoutGrouped.xaxis.categoryarray = orderedX;
       }
-      if (switchHidden.has(name)) trace.visible = 'legendonly';
-      if (switchShown.has(name)) trace.visible = true;
-      return trace;
+      layoutGrouped.barmode = layoutGrouped.barmode || 'group';
+      Plotly.react(entry.el, traces, layoutGrouped);
+      return true;
+    }
+
+    // Simple (ungrouped) bar
+    const counts = {};
+    filteredData.forEach(row => {
+      const xVal = String(row[xVar]);
+      if (!counts[xVal]) counts[xVal] = 0;
+      counts[xVal] += row.n;
     });
 
-    const layout = original.layout || entry.el.layout || {};
+    const activeX = new Set(Object.keys(counts));
+    const orderedXSimple = xOrder && xOrder.length > 0
+      ? xOrder.filter(xv => activeX.has(xv))
+      : Object.keys(counts);
+    const totalSimple = Object.values(counts).reduce((sum, n) => sum + n, 0);
+    const meansSimple = _barMeans(filteredData, config, row => String(row[xVar]));
+    const seriesValues = orderedXSimple.map(xVal => _barCellValue(meansSimple, xVal, counts[xVal] || 0, totalSimple, isPercent));
+    const nRawSimple = _unweightedCounts(filteredData, config, row => String(row[xVar]));
+    const origSimple = data[0] || {};
+    const traceSimple = chartRegistry && chartRegistry.deepClone
+      ? chartRegistry.deepClone(origSimple)
+      : JSON.parse(JSON.stringify(origSimple));
+    traceSimple.type = traceSimple.type || 'bar';
+    traceSimple.visible = true;
     if (isHorizontal) {
-      layout.yaxis = layout.yaxis || {};
-      layout.yaxis.categoryorder = 'array';
-      layout.yaxis.categoryarray = orderedX;
+      traceSimple.y = orderedXSimple;
+      traceSimple.x = seriesValues;
+      traceSimple.orientation = 'h';
     } else {
-      layout.xaxis = layout.xaxis || {};
-      layout.xaxis.categoryorder = 'array';
-      layout.xaxis.categoryarray = orderedX;
+      traceSimple.x = orderedXSimple;
+      traceSimple.y = seriesValues;
     }
-    Plotly.react(entry.el, newData, layout);
+    if (meansSimple && _hasErrorBars(config)) {
+      _plotlyErrorBars(traceSimple, orderedXSimple.map(xVal => meansSimple[xVal]), isHorizontal);
+    }
+    _plotlyUnweightedHover(traceSimple, nRawSimple && orderedXSimple.map(xVal => nRawSimple[xVal] || 0),
+      isHorizontal ? 'h' : 'v');
+
+    const layoutSimple = original.layout || entry.el.layout || {};
+    if (isHorizontal) {
+      layoutSimple.yaxis = layoutSimple.yaxis || {};
+      layoutSimple.yaxis.categoryorder = 'array';
+      layoutSimple.yaxis.categoryarray = orderedXSimple;
+    } else {
+      layoutSimple.xaxis = layoutSimple.xaxis || {};
+      layoutSimple.xaxis.categoryorder = 'array';
+      layoutSimple.xaxis.categoryarray = orderedXSimple;
+    }
+    Plotly.react(entry.el, [traceSimple], layoutSimple);
     return true;
   }
 
-  function _rebuildTimelinePlotly(entry, filteredData, config, switchOverrides) {
+  function _rebuildPiePlotly(entry, filteredData, config) {
     if (!entry || !entry.el || typeof Plotly === 'undefined') return false;
     if (!entry.original || !entry.original.data) {
       if (chartRegistry && chartRegistry.adapters && chartRegistry.adapters.plotly) {
@@ -2785,97 +5132,225 @@
     }
     const original = entry.original && entry.original.data ? entry.original : { data: entry.el.data || [], layout: entry.el.layout || {} };
     const data = original.data || [];
+    const xVar = config.xVar;
+    if (!xVar) return false;
 
-    const timeVar = config.timeVar;
-    const groupVar = config.groupVar;
-    const valueCol = 'value';
-
-    const timeValues = Array.from(new Set(filteredData.map(r => r[timeVar]))).map(v => v);
-    const numericTime = timeValues.every(v => v !== null && v !== '' && !isNaN(Number(v)));
-    if (numericTime) timeValues.sort((a, b) => Number(a) - Number(b));
+    const counts = {};
+    filteredData.forEach(row => {
+      const label = String(row[xVar]);
+      if (!counts[label]) counts[label] = 0;
+      counts[label] += Number(row.n) || 0;
+    });
 
-    const activeGroups = groupVar
-      ? uniqueNonEmptyNames(filteredData.map(r => r[groupVar]))
-      : [];
-    let groupValues = groupVar
-      ? (Array.isArray(config.groupOrder) && config.groupOrder.length
-          ? uniqueNonEmptyNames(config.groupOrder).filter(g => activeGroups.includes(g))
-          : activeGroups)
-      : [String(config.yVar || 'value')];
+    const activeLabels = new Set(Object.keys(counts));
+    const labels = Array.isArray(config.xOrder) && config.xOrder.length > 0
+      ? config.xOrder.filter(lbl => activeLabels.has(lbl))
+      : Object.keys(counts);
+    const values = labels.map(lbl => counts[lbl] || 0);
 
-    const switchHidden = new Set();
-    const switchShown = new Set();
-    if (switchOverrides) {
-      Object.keys(switchOverrides).forEach(filterVar => {
-        switchOverrides[filterVar].forEach(sw => {
-          const seriesName = normalizeSeriesName(sw.seriesName);
-          if (!seriesName) return;
-          if (!sw.visible) switchHidden.add(seriesName);
-          else if (sw.override) switchShown.add(seriesName);
-        });
-      });
-    }
-    if (groupVar && switchShown.size > 0) {
-      groupValues = uniqueNonEmptyNames([...groupValues, ...Array.from(switchShown)]);
+    const trace = data[0]
+      ? (chartRegistry && chartRegistry.deepClone ? chartRegistry.deepClone(data[0]) : JSON.parse(JSON.stringify(data[0])))
+      : {};
+    trace.type = 'pie';
+    trace.labels = labels;
+    trace.values = values;
+    trace.visible = true;
+    const nRaw = _unweightedCounts(filteredData, config, row => String(row[xVar]));
+    _plotlyUnweightedHover(trace, nRaw && labels.map(lbl => nRaw[lbl] || 0), 'pie');
+    if (config.colorMap && typeof config.colorMap === 'object') {
+      trace.marker = trace.marker || {};
+      trace.marker.colors = labels.map(lbl => config.colorMap[lbl] || null).filter(v => v !== null);
     }
 
-    const traces = [];
-    groupValues.forEach(group => {
-      const orig = data.find(t => t.name === String(group));
-      const trace = orig ? (chartRegistry && chartRegistry.deepClone ? chartRegistry.deepClone(orig) : JSON.parse(JSON.stringify(orig))) : {};
-      trace.name = String(group);
-      const rows = groupVar ? filteredData.filter(r => String(r[groupVar]) === String(group)) : filteredData;
-      const byTime = {};
-      rows.forEach(r => { byTime[String(r[timeVar])] = r[valueCol]; });
-      trace.x = timeValues;
-      trace.y = timeValues.map(t => {
-        const v = byTime[String(t)];
-        return v !== undefined ? v : null;
-      });
-      if (switchHidden.has(trace.name)) trace.visible = 'legendonly';
-      if (switchShown.has(trace.name)) trace.visible = true;
-      traces.push(trace);
-    });
-
     const layout = original.layout || entry.el.layout || {};
-    layout.xaxis = layout.xaxis || {};
-    layout.xaxis.categoryorder = 'array';
-    layout.xaxis.categoryarray = timeValues;
-    Plotly.react(entry.el, traces, layout);
+    Plotly.react(entry.el, [trace], layout);
     return true;
   }
 
-  function _rebuildStackedBarEcharts(entry, filteredData, config, switchOverrides) {
-    if (!entry || !entry.el || typeof echarts === 'undefined') return false;
-    const inst = echarts.getInstanceByDom(entry.el);
-    if (!inst) return false;
-    if (!entry.original || !entry.original.option) {
-      if (chartRegistry && chartRegistry.adapters && chartRegistry.adapters.echarts4r) {
-        chartRegistry.adapters.echarts4r.storeOriginal(entry);
+  function _rebuildScatterPlotly(entry, filteredData, config) {
+    if (!entry || !entry.el || typeof Plotly === 'undefined') return false;
+    if (!entry.original || !entry.original.data) {
+      if (chartRegistry && chartRegistry.adapters && chartRegistry.adapters.plotly) {
+        chartRegistry.adapters.plotly.storeOriginal(entry);
       }
     }
-    const original = entry.original && entry.original.option ? entry.original.option : inst.getOption();
-    if (!original) return false;
+    const original = entry.original && entry.original.data ? entry.original : { data: entry.el.data || [], layout: entry.el.layout || {} };
+    const data = original.data || [];
 
-    const { xVar, stackVar, stackedType, stackOrder, xOrder, colorMap } = config;
-    const seriesVar = stackVar || config.groupVar;
-    var labelDec = (config.labelDecimals != null) ? config.labelDecimals : (stackedType === 'percent' ? 1 : 0);
-    var labelMinPct = 5; // hide labels on segments < 5% of their stack
-    const summed = {};
-    filteredData.forEach(row => {
-      const xVal = String(row[xVar]);
-      const rawSeries = row[seriesVar];
-      const stackVal = normalizeSeriesName(rawSeries);
-      if (!stackVal) return;
-      const key = xVal + '|||' + stackVal;
-      if (!summed[key]) summed[key] = { xVal, stackVal, n: 0 };
-      summed[key].n += row.n;
-    });
-    const byX = {};
-    Object.values(summed).forEach(item => {
-      if (!byX[item.xVal]) byX[item.xVal] = {};
-      byX[item.xVal][item.stackVal] = item.n;
-    });
+    const xVar = config.xVar;
+    const yVar = config.yVar;
+    const groupVar = config.groupVar;
+    const sizeVar = config.sizeVar;
+    if (!xVar || !yVar) return false;
+
+    const rows = filteredData.filter(row => _toFiniteNumber(row[xVar]) !== null && _toFiniteNumber(row[yVar]) !== null);
+    let traces = [];
+
+    if (groupVar) {
+      const activeGroups = uniqueNonEmptyNames(rows.map(row => row[groupVar]));
+      const orderedGroups = Array.isArray(config.groupOrder) && config.groupOrder.length > 0
+        ? uniqueNonEmptyNames(config.groupOrder).filter(g => activeGroups.includes(g))
+        : activeGroups;
+      const traceOrder = uniqueNonEmptyNames(data.map(t => t && t.name));
+      const groups = traceOrder.length
+        ? uniqueNonEmptyNames([...traceOrder.filter(g => orderedGroups.includes(g)), ...orderedGroups])
+        : orderedGroups;
+
+      traces = groups.map(groupName => {
+        const orig = data.find(t => normalizeSeriesName(t && t.name) === groupName);
+        const trace = orig ? (chartRegistry && chartRegistry.deepClone ? chartRegistry.deepClone(orig) : JSON.parse(JSON.stringify(orig))) : {};
+        const groupRows = rows.filter(row => normalizeSeriesName(row[groupVar]) === groupName);
+        trace.type = 'scatter';
+        trace.mode = trace.mode || 'markers';
+        trace.name = groupName;
+        trace.x = groupRows.map(row => Number(row[xVar]));
+        trace.y = groupRows.map(row => Number(row[yVar]));
+        trace.marker = trace.marker || {};
+        if (sizeVar) {
+          trace.marker.size = groupRows.map(row => {
+            const val = _toFiniteNumber(row[sizeVar]);
+            return val !== null ? val : (config.pointSize || 4);
+          });
+        } else if (!trace.marker.size) {
+          trace.marker.size = config.pointSize || 4;
+        }
+        if (config.alpha != null && trace.marker.opacity == null) {
+          trace.marker.opacity = config.alpha;
+        }
+        if (config.colorMap && config.colorMap[groupName]) {
+          trace.marker.color = config.colorMap[groupName];
+        }
+        trace.visible = true;
+        return trace;
+      });
+    } else {
+      const orig = data[0] || {};
+      const trace = chartRegistry && chartRegistry.deepClone
+        ? chartRegistry.deepClone(orig)
+        : JSON.parse(JSON.stringify(orig));
+      trace.type = 'scatter';
+      trace.mode = trace.mode || 'markers';
+      trace.x = rows.map(row => Number(row[xVar]));
+      trace.y = rows.map(row => Number(row[yVar]));
+      trace.marker = trace.marker || {};
+      if (sizeVar) {
+        trace.marker.size = rows.map(row => {
+          const val = _toFiniteNumber(row[sizeVar]);
+          return val !== null ? val : (config.pointSize || 4);
+        });
+      } else if (!trace.marker.size) {
+        trace.marker.size = config.pointSize || 4;
+      }
+      if (config.alpha != null && trace.marker.opacity == null) {
+        trace.marker.opacity = config.alpha;
+      }
+      traces = [trace];
+    }
+
+    const layout = original.layout || entry.el.layout || {};
+    Plotly.react(entry.el, traces, layout);
+    return true;
+  }
+
+  function _rebuildBoxplotPlotly(entry, filteredData, config) {
+    if (!entry || !entry.el || typeof Plotly === 'undefined') return false;
+    if (!entry.original || !entry.original.data) {
+      if (chartRegistry && chartRegistry.adapters && chartRegistry.adapters.plotly) {
+        chartRegistry.adapters.plotly.storeOriginal(entry);
+      }
+    }
+    const original = entry.original && entry.original.data ? entry.original : { data: entry.el.data || [], layout: entry.el.layout || {} };
+    const data = original.data || [];
+    const xVar = config.xVar;
+    const yVar = config.yVar;
+    if (!xVar || !yVar) return false;
+
+    const grouped = {};
+    filteredData.forEach(row => {
+      const group = String(row[xVar]);
+      const y = _toFiniteNumber(row[yVar]);
+      if (y === null) return;
+      if (!grouped[group]) grouped[group] = [];
+      grouped[group].push(y);
+    });
+
+    const activeGroups = Object.keys(grouped);
+    const groups = Array.isArray(config.xOrder) && config.xOrder.length > 0
+      ? config.xOrder.filter(g => activeGroups.includes(g))
+      : activeGroups;
+    const horizontal = !!config.horizontal;
+    const showOutliers = config.showOutliers !== false;
+
+    const traces = groups.map(group => {
+      const orig = data.find(t => normalizeSeriesName(t && t.name) === normalizeSeriesName(group));
+      const trace = orig ? (chartRegistry && chartRegistry.deepClone ? chartRegistry.deepClone(orig) : JSON.parse(JSON.stringify(orig))) : {};
+      const values = grouped[group] || [];
+      trace.type = 'box';
+      trace.name = group;
+      trace.boxpoints = showOutliers ? 'outliers' : false;
+      if (horizontal) {
+        trace.orientation = 'h';
+        trace.x = values;
+        trace.y = Array(values.length).fill(group);
+      } else {
+        trace.orientation = 'v';
+        trace.x = Array(values.length).fill(group);
+        trace.y = values;
+      }
+      if (config.colorMap && config.colorMap[group]) {
+        trace.marker = trace.marker || {};
+        trace.line = trace.line || {};
+        trace.marker.color = config.colorMap[group];
+        trace.line.color = config.colorMap[group];
+      }
+      return trace;
+    });
+
+    const layout = original.layout || entry.el.layout || {};
+    if (horizontal) {
+      layout.yaxis = layout.yaxis || {};
+      layout.yaxis.type = 'category';
+      layout.yaxis.categoryorder = 'array';
+      layout.yaxis.categoryarray = groups;
+    } else {
+      layout.xaxis = layout.xaxis || {};
+      layout.xaxis.type = 'category';
+      layout.xaxis.categoryorder = 'array';
+      layout.xaxis.categoryarray = groups;
+    }
+    Plotly.react(entry.el, traces, layout);
+    return true;
+  }
+
+  function _rebuildStackedBarPlotly(entry, filteredData, config, switchOverrides) {
+    if (!entry || !entry.el || typeof Plotly === 'undefined') return false;
+    if (!entry.original || !entry.original.data) {
+      if (chartRegistry && chartRegistry.adapters && chartRegistry.adapters.plotly) {
+        chartRegistry.adapters.plotly.storeOriginal(entry);
+      }
+    }
+    const original = entry.original && entry.original.data ? entry.original : { data: entry.el.data || [], layout: entry.el.layout || {} };
+    const data = original.data || [];
+
+    const { xVar, stackVar, stackedType, stackOrder, xOrder, colorMap } = config;
+    const seriesVar = stackVar || config.groupVar;
+    var labelDec = (config.labelDecimals != null) ? config.labelDecimals : (stackedType === 'percent' ? 1 : 0);
+    var labelMinPct = 5;
+    const summed = {};
+    filteredData.forEach(row => {
+      const xVal = String(row[xVar]);
+      const rawSeries = row[seriesVar];
+      const stackVal = normalizeSeriesName(rawSeries);
+      if (!stackVal) return;
+      const key = xVal + '|||' + stackVal;
+      if (!summed[key]) summed[key] = { xVal, stackVal, n: 0 };
+      summed[key].n += row.n;
+    });
+    const byX = {};
+    Object.values(summed).forEach(item => {
+      if (!byX[item.xVal]) byX[item.xVal] = {};
+      byX[item.xVal][item.stackVal] = item.n;
+    });
     const xTotals = {};
     Object.keys(byX).forEach(xVal => {
       xTotals[xVal] = Object.values(byX[xVal]).reduce((sum, n) => sum + n, 0);
@@ -2901,81 +5376,20 @@
         });
       });
     }
-
-    const option = chartRegistry && chartRegistry.deepClone ? chartRegistry.deepClone(original) : JSON.parse(JSON.stringify(original));
-
-    // Rebuilt series use explicit arrays; avoid stale dataset/encode mappings from htmlwidgets.
-    if (option.dataset) delete option.dataset;
-
-    const xAxisCfg = Array.isArray(option.xAxis)
-      ? (option.xAxis[0] = option.xAxis[0] || {})
-      : (option.xAxis = option.xAxis || {});
-    const yAxisCfg = Array.isArray(option.yAxis)
-      ? (option.yAxis[0] = option.yAxis[0] || {})
-      : (option.yAxis = option.yAxis || {});
-
-    const originalXAxis = Array.isArray(original.xAxis) ? (original.xAxis[0] || {}) : (original.xAxis || {});
-    const originalYAxis = Array.isArray(original.yAxis) ? (original.yAxis[0] || {}) : (original.yAxis || {});
-    const isHorizontal = String(originalYAxis.type || '').toLowerCase() === 'category' ||
-      (String(originalXAxis.type || '').toLowerCase() === 'value' &&
-       String(originalYAxis.type || '').toLowerCase() === 'category');
-
-    if (isHorizontal) {
-      yAxisCfg.type = 'category';
-      yAxisCfg.data = orderedX;
-      xAxisCfg.type = 'value';
-      xAxisCfg.data = null;
-      if (isPercent) {
-        xAxisCfg.min = 0;
-        xAxisCfg.max = 100;
-      } else {
-        if (xAxisCfg.max === 100) delete xAxisCfg.max;
-      }
-    } else {
-      xAxisCfg.type = 'category';
-      xAxisCfg.data = orderedX;
-      yAxisCfg.type = 'value';
-      yAxisCfg.data = null;
-      if (isPercent) {
-        yAxisCfg.min = 0;
-        yAxisCfg.max = 100;
-      } else {
-        if (yAxisCfg.max === 100) delete yAxisCfg.max;
-      }
-    }
-
-    const baseSeries = (option.series || [])
-      .filter(s => s && typeof s === 'object')
-      .map(series => {
-        const name = normalizeSeriesName(series.name);
-        if (!name) return null;
-        series.name = name;
-        return series;
-      })
-      .filter(Boolean);
-    const originalSeries = (original.series || [])
-      .filter(s => s && typeof s === 'object')
-      .map(series => {
-        const name = normalizeSeriesName(series.name);
-        if (!name) return null;
-        series.name = name;
-        return series;
-      })
-      .filter(Boolean);
-    const series = baseSeries.map(s => s.name);
-    const seriesOrder = series.length
-      ? series.filter(name => orderedStack.includes(name))
+    const traceOrder = uniqueNonEmptyNames(data.map(t => t && t.name));
+    const seriesOrder = traceOrder.length
+      ? traceOrder.filter(name => orderedStack.includes(name))
       : orderedStack;
     const allSeries = uniqueNonEmptyNames([...seriesOrder, ...orderedStack, ...Array.from(switchShown)]);
-    const visibleSeries = allSeries.filter(name => !switchHidden.has(name) || switchShown.has(name));
+    const isHorizontal = data.some(t => t && t.orientation === 'h');
+    const nRaw = _unweightedCounts(filteredData, config, row =>
+      String(row[xVar]) + '|||' + normalizeSeriesName(row[seriesVar]));
 
-    option.series = visibleSeries.map(name => {
-      const orig = originalSeries.find(s => s && s.name === name) || {};
-      const s = chartRegistry && chartRegistry.deepClone ? chartRegistry.deepClone(orig) : JSON.parse(JSON.stringify(orig));
-      s.name = name;
-      s.type = s.type || 'bar';
-      if (s.encode) delete s.encode;
-      if (s.datasetIndex !== undefined) delete s.datasetIndex;
+    const newData = allSeries.map(name => {
+      const orig = data.find(t => t.name === name);
+      const trace = orig ? (chartRegistry && chartRegistry.deepClone ? chartRegistry.deepClone(orig) : JSON.parse(JSON.stringify(orig))) : {};
+      trace.type = trace.type || 'bar';
+      trace.name = name;
       if (orderedStack.includes(name)) {
         var factor = Math.pow(10, labelDec);
         const values = orderedX.map(xVal => {
@@ -2985,11 +5399,270 @@
           }
           return count;
         });
-        if (isHorizontal) {
+        // Generate text labels, hiding small segments
+        const labels = values.map((v, i) => {
+          var pct = xTotals[orderedX[i]] > 0 ? (v / (isPercent ? 100 : xTotals[orderedX[i]])) * 100 : 0;
+          if (isPercent) pct = v;
+          if (pct < labelMinPct) return '';
+          return v.toFixed(labelDec) + (isPercent ? '%' : '');
+        });
+        if (isHorizontal) {
+          trace.y = orderedX;
+          trace.x = values;
+          trace.orientation = 'h';
+        } else {
+          trace.x = orderedX;
+          trace.y = values;
+        }
+        trace.text = labels;
+        trace.textposition = 'inside';
+        _plotlyUnweightedHover(trace, nRaw && orderedX.map(xVal => nRaw[xVal + '|||' + name] || 0),
+          isHorizontal ? 'h' : 'v');
+        trace.visible = true;
+        trace.showlegend = true;
+        if (colorMap && colorMap[name]) {
+          trace.marker = trace.marker || {};
+          trace.marker.color = colorMap[name];
+        }
+      } else {
+        if (isHorizontal) {
+          trace.y = orderedX;
+          trace.x = orderedX.map(() => 0);
+          trace.orientation = 'h';
+        } else {
+          trace.x = orderedX;
+          trace.y = orderedX.map(() => 0);
+        }
+        trace.visible = 'legendonly';
+      }
+      if (switchHidden.has(name)) trace.visible = 'legendonly';
+      if (switchShown.has(name)) trace.visible = true;
+      return trace;
+    });
+
+    const layout = original.layout || entry.el.layout || {};
+    if (isHorizontal) {
+      layout.yaxis = layout.yaxis || {};
+      layout.yaxis.categoryorder = 'array';
+      layout.yaxis.categoryarray = orderedX;
+    } else {
+      layout.xaxis = layout.xaxis || {};
+      layout.xaxis.categoryorder = 'array';
+      layout.xaxis.categoryarray = orderedX;
+    }
+    Plotly.react(entry.el, newData, layout);
+    return true;
+  }
+
+  function _rebuildTimelinePlotly(entry, filteredData, config, switchOverrides) {
+    if (!entry || !entry.el || typeof Plotly === 'undefined') return false;
+    if (!entry.original || !entry.original.data) {
+      if (chartRegistry && chartRegistry.adapters && chartRegistry.adapters.plotly) {
+        chartRegistry.adapters.plotly.storeOriginal(entry);
+      }
+    }
+    const original = entry.original && entry.original.data ? entry.original : { data: entry.el.data || [], layout: entry.el.layout || {} };
+    const data = original.data || [];
+
+    const groupVar = config.groupVar;
+    const agg = _aggregateTimelineData(filteredData, config);
+    const timeValues = agg.isNumericTime ? agg.times.map(Number) : agg.times;
+    const seriesLabel = String(config.yVar || 'value');
+    const valuesFor = group => agg.values[groupVar ? String(group) : '__all__'] || {};
+
+    let groupValues = groupVar
+      ? uniqueNonEmptyNames(agg.groups)
+      : [seriesLabel];
+
+    const switchHidden = new Set();
+    const switchShown = new Set();
+    if (switchOverrides) {
+      Object.keys(switchOverrides).forEach(filterVar => {
+        switchOverrides[filterVar].forEach(sw => {
+          const seriesName = normalizeSeriesName(sw.seriesName);
+          if (!seriesName) return;
+          if (!sw.visible) switchHidden.add(seriesName);
+          else if (sw.override) switchShown.add(seriesName);
+        });
+      });
+    }
+    if (groupVar && switchShown.size > 0) {
+      groupValues = uniqueNonEmptyNames([...groupValues, ...Array.from(switchShown)]);
+    }
+
+    const traces = [];
+    groupValues.forEach(group => {
+      const orig = data.find(t => t.name === String(group));
+      const trace = orig ? (chartRegistry && chartRegistry.deepClone ? chartRegistry.deepClone(orig) : JSON.parse(JSON.stringify(orig))) : {};
+      trace.name = String(group);
+      const byTime = valuesFor(group);
+      trace.x = timeValues;
+      trace.y = agg.times.map(t => (byTime[t] !== undefined ? byTime[t] : null));
+      const groupIntervals = agg.intervals && agg.intervals[groupVar ? String(group) : '__all__'];
+      if (groupIntervals) _plotlyErrorBars(trace, agg.times.map(t => groupIntervals[t]), false);
+      if (switchHidden.has(trace.name)) trace.visible = 'legendonly';
+      if (switchShown.has(trace.name)) trace.visible = true;
+      traces.push(trace);
+    });
+
+    const layout = original.layout || entry.el.layout || {};
+    layout.xaxis = layout.xaxis || {};
+    layout.xaxis.categoryorder = 'array';
+    layout.xaxis.categoryarray = timeValues;
+    Plotly.react(entry.el, traces, layout);
+    return true;
+  }
+
+  function _rebuildStackedBarEcharts(entry, filteredData, config, switchOverrides) {
+    if (!entry || !entry.el || typeof echarts === 'undefined') return false;
+    const inst = echarts.getInstanceByDom(entry.el);
+    if (!inst) return false;
+    if (!entry.original || !entry.original.option) {
+      if (chartRegistry && chartRegistry.adapters && chartRegistry.adapters.echarts4r) {
+        chartRegistry.adapters.echarts4r.storeOriginal(entry);
+      }
+    }
+    const original = entry.original && entry.original.option ? entry.original.option : inst.getOption();
+    if (!original) return false;
+
+    const { xVar, stackVar, stackedType, stackOrder, xOrder, colorMap } = config;
+    const seriesVar = stackVar || config.groupVar;
+    var labelDec = (config.labelDecimals != null) ? config.labelDecimals : (stackedType === 'percent' ? 1 : 0);
+    var labelMinPct = 5; // hide labels on segments < 5% of their stack
+    const summed = {};
+    filteredData.forEach(row => {
+      const xVal = String(row[xVar]);
+      const rawSeries = row[seriesVar];
+      const stackVal = normalizeSeriesName(rawSeries);
+      if (!stackVal) return;
+      const key = xVal + '|||' + stackVal;
+      if (!summed[key]) summed[key] = { xVal, stackVal, n: 0 };
+      summed[key].n += row.n;
+    });
+    const byX = {};
+    Object.values(summed).forEach(item => {
+      if (!byX[item.xVal]) byX[item.xVal] = {};
+      byX[item.xVal][item.stackVal] = item.n;
+    });
+    const xTotals = {};
+    Object.keys(byX).forEach(xVal => {
+      xTotals[xVal] = Object.values(byX[xVal]).reduce((sum, n) => sum + n, 0);
+    });
+    const isPercent = stackedType === 'percent';
+    const activeXValues = new Set(Object.keys(byX));
+    const orderedX = xOrder && xOrder.length > 0 ? xOrder.filter(xv => activeXValues.has(xv)) : Object.keys(byX);
+    const activeStackValues = new Set(Object.values(summed).map(s => s.stackVal));
+    const orderedStackRaw = stackOrder && stackOrder.length > 0
+      ? stackOrder.filter(sv => activeStackValues.has(sv))
+      : [...activeStackValues];
+    const orderedStack = uniqueNonEmptyNames(orderedStackRaw);
+
+    const switchHidden = new Set();
+    const switchShown = new Set();
+    if (switchOverrides) {
+      Object.keys(switchOverrides).forEach(filterVar => {
+        switchOverrides[filterVar].forEach(sw => {
+          const seriesName = normalizeSeriesName(sw.seriesName);
+          if (!seriesName) return;
+          if (!sw.visible) switchHidden.add(seriesName);
+          else if (sw.override) switchShown.add(seriesName);
+        });
+      });
+    }
+
+    const option = chartRegistry && chartRegistry.deepClone ? chartRegistry.deepClone(original) : JSON.parse(JSON.stringify(original));
+    const nRaw = _unweightedCounts(filteredData, config, row =>
+      String(row[xVar]) + '|||' + normalizeSeriesName(row[seriesVar]));
+
+    // Rebuilt series use explicit arrays; avoid stale dataset/encode mappings from htmlwidgets.
+    if (option.dataset) delete option.dataset;
+
+    const xAxisCfg = Array.isArray(option.xAxis)
+      ? (option.xAxis[0] = option.xAxis[0] || {})
+      : (option.xAxis = option.xAxis || {});
+    const yAxisCfg = Array.isArray(option.yAxis)
+      ? (option.yAxis[0] = option.yAxis[0] || {})
+      : (option.yAxis = option.yAxis || {});
+
+    const originalXAxis = Array.isArray(original.xAxis) ? (original.xAxis[0] || {}) : (original.xAxis || {});
+    const originalYAxis = Array.isArray(original.yAxis) ? (original.yAxis[0] || {}) : (original.yAxis || {});
+    const isHorizontal = String(originalYAxis.type || '').toLowerCase() === 'category' ||
+      (String(originalXAxis.type || '').toLowerCase() === 'value' &&
+       String(originalYAxis.type || '').toLowerCase() === 'category');
+
+    if (isHorizontal) {
+      yAxisCfg.type = 'category';
+      yAxisCfg.data = orderedX;
+      xAxisCfg.type = 'value';
+      xAxisCfg.data = null;
+      if (isPercent) {
+        xAxisCfg.min = 0;
+        xAxisCfg.max = 100;
+      } else {
+        if (xAxisCfg.max === 100) delete xAxisCfg.max;
+      }
+    } else {
+      xAxisCfg.type = 'category';
+      xAxisCfg.data = orderedX;
+      yAxisCfg.type = 'value';
+      yAxisCfg.data = null;
+      if (isPercent) {
+        yAxisCfg.min = 0;
+        yAxisCfg.max = 100;
+      } else {
+        if (yAxisCfg.max === 100) delete yAxisCfg.max;
+      }
+    }
+
+    const baseSeries = (option.series || [])
+      .filter(s => s && typeof s === 'object')
+      .map(series => {
+        const name = normalizeSeriesName(series.name);
+        if (!name) return null;
+        series.name = name;
+        return series;
+      })
+      .filter(Boolean);
+    const originalSeries = (original.series || [])
+      .filter(s => s && typeof s === 'object')
+      .map(series => {
+        const name = normalizeSeriesName(series.name);
+        if (!name) return null;
+        series.name = name;
+        return series;
+      })
+      .filter(Boolean);
+    const series = baseSeries.map(s => s.name);
+    const seriesOrder = series.length
+      ? series.filter(name => orderedStack.includes(name))
+      : orderedStack;
+    const allSeries = uniqueNonEmptyNames([...seriesOrder, ...orderedStack, ...Array.from(switchShown)]);
+    const visibleSeries = allSeries.filter(name => !switchHidden.has(name) || switchShown.has(name));
+
+    option.series = visibleSeries.map(name => {
+      const orig = originalSeries.find(s => s && s.name === name) || {};
+      const s = chartRegistry && chartRegistry.deepClone ? chartRegistry.deepClone(orig) : JSON.parse(JSON.stringify(orig));
+      s.name = name;
+      s.type = s.type || 'bar';
+      if (s.encode) delete s.encode;
+      if (s.datasetIndex !== undefined) delete s.datasetIndex;
+      if (orderedStack.includes(name)) {
+        var factor = Math.pow(10, labelDec);
+        const values = orderedX.map(xVal => {
+          const count = (byX[xVal] && byX[xVal][name]) ? byX[xVal][name] : 0;
+          if (isPercent && xTotals[xVal] > 0) {
+            return Math.round(((count / xTotals[xVal]) * 100) * factor) / factor;
+          }
+          return count;
+        });
+        if (isHorizontal) {
           s.data = orderedX.map((xVal, idx) => [values[idx], xVal]);
         } else {
           s.data = values;
         }
+        if (nRaw) {
+          s.data = _withUnweightedN(s.data, orderedX.map(xVal => nRaw[xVal + '|||' + name] || 0), 'value');
+        }
         s.show = true;
         if (colorMap && colorMap[name]) {
           s.itemStyle = s.itemStyle || {};
@@ -3015,6 +5688,7 @@
       return s;
     });
     syncEchartsLegend(option, visibleSeries);
+    if (nRaw) _ensureUnweightedTooltipEcharts(option, isHorizontal ? 0 : 1);
 
     inst.setOption(option, true);
     return true;
@@ -3032,22 +5706,15 @@
     const original = entry.original && entry.original.option ? entry.original.option : inst.getOption();
     if (!original) return false;
 
-    const timeVar = config.timeVar;
     const groupVar = config.groupVar;
-    const valueCol = 'value';
+    const agg = _aggregateTimelineData(filteredData, config);
+    const timeValues = agg.isNumericTime ? agg.times.map(Number) : agg.times;
+    const seriesLabel = String(config.yVar || 'value');
+    const valuesFor = group => agg.values[groupVar ? String(group) : '__all__'] || {};
 
-    const timeValues = Array.from(new Set(filteredData.map(r => r[timeVar]))).map(v => v);
-    const numericTime = timeValues.every(v => v !== null && v !== '' && !isNaN(Number(v)));
-    if (numericTime) timeValues.sort((a, b) => Number(a) - Number(b));
-
-    const activeGroups = groupVar
-      ? uniqueNonEmptyNames(filteredData.map(r => r[groupVar]))
-      : [];
     let groupValues = groupVar
-      ? (Array.isArray(config.groupOrder) && config.groupOrder.length
-          ? uniqueNonEmptyNames(config.groupOrder).filter(g => activeGroups.includes(g))
-          : activeGroups)
-      : [String(config.yVar || 'value')];
+      ? uniqueNonEmptyNames(agg.groups)
+      : [seriesLabel];
 
     const switchHidden = new Set();
     const switchShown = new Set();
@@ -3073,15 +5740,18 @@
       const orig = (original.series || []).find(s => s && s.name === String(group)) || {};
       const s = chartRegistry && chartRegistry.deepClone ? chartRegistry.deepClone(orig) : JSON.parse(JSON.stringify(orig));
       s.name = String(group);
-      const rows = groupVar ? filteredData.filter(r => String(r[groupVar]) === String(group)) : filteredData;
-      const byTime = {};
-      rows.forEach(r => { byTime[String(r[timeVar])] = r[valueCol]; });
-      s.data = timeValues.map(t => {
-        const v = byTime[String(t)];
-        return v !== undefined ? v : null;
-      });
+      const byTime = valuesFor(group);
+      s.data = agg.times.map(t => (byTime[t] !== undefined ? byTime[t] : null));
       return s;
     });
+    if (agg.intervals) {
+      visibleGroupValues.forEach(group => {
+        const groupIntervals = agg.intervals[groupVar ? String(group) : '__all__'] || {};
+        const color = config.colorMap && config.colorMap[String(group)];
+        option.series.push(_echartsErrorBarSeries(_errorBarName(config, String(group)),
+          agg.times.map((t, idx) => _echartsErrorPoint(idx, groupIntervals[t])), false, color));
+      });
+    }
     syncEchartsLegend(option, visibleGroupValues);
 
     inst.setOption(option, true);
@@ -3110,6 +5780,7 @@
     }
     const xOrder = config.xOrder;
     const groupOrder = config.groupOrder;
+    const isPercent = config.barType === 'percent';
 
     const xAxisCfg = Array.isArray(option.xAxis)
       ? (option.xAxis[0] = option.xAxis[0] || {})
@@ -3186,6 +5857,14 @@
         .filter(name => orderedGroups.includes(name));
       const allGroups = uniqueNonEmptyNames([...seriesOrder, ...orderedGroups, ...Array.from(switchShown)]);
       const visibleGroups = allGroups.filter(name => !switchHidden.has(name) || switchShown.has(name));
+      const xTotals = {};
+      Object.keys(byX).forEach(xVal => {
+        xTotals[xVal] = Object.values(byX[xVal]).reduce((sum, n) => sum + n, 0);
+      });
+      const nRaw = _unweightedCounts(filteredData, config, row =>
+        String(row[xVar]) + '|||' + normalizeSeriesName(row[groupVar]));
+      const means = _barMeans(filteredData, config, row =>
+        String(row[xVar]) + '|||' + normalizeSeriesName(row[groupVar]));
 
       if (isHorizontal) {
         yAxisCfg.type = 'category';
@@ -3206,892 +5885,2869 @@
         s.type = s.type || 'bar';
         if (s.encode) delete s.encode;
         if (s.datasetIndex !== undefined) delete s.datasetIndex;
-        const values = orderedX.map(xVal => (byX[xVal] && byX[xVal][groupName]) ? byX[xVal][groupName] : 0);
+        const values = orderedX.map(xVal => _barCellValue(means, xVal + '|||' + groupName,
+          (byX[xVal] && byX[xVal][groupName]) ? byX[xVal][groupName] : 0, xTotals[xVal], isPercent));
         if (isHorizontal) {
           s.data = orderedX.map((xVal, idx) => [values[idx], xVal]);
         } else {
           s.data = values;
         }
-        s.show = true;
-        return s;
-      });
-      syncEchartsLegend(option, visibleGroups);
-      inst.setOption(option, true);
-      return true;
-    }
+        if (nRaw) {
+          s.data = _withUnweightedN(s.data, orderedX.map(xVal => nRaw[xVal + '|||' + groupName] || 0), 'value');
+        }
+        s.show = true;
+        return s;
+      });
+      if (means && _hasErrorBars(config)) {
+        visibleGroups.forEach((groupName, idx) => {
+          option.series.push(_echartsErrorBarSeries(_errorBarName(config, groupName),
+            orderedX.map(xVal => _echartsErrorPoint(xVal, means[xVal + '|||' + groupName])),
+            isHorizontal, config.errorBarColor, idx, visibleGroups.length));
+        });
+      }
+      syncEchartsLegend(option, visibleGroups);
+      if (nRaw) _ensureUnweightedTooltipEcharts(option, isHorizontal ? 0 : 1);
+      inst.setOption(option, true);
+      return true;
+    }
+
+    // Simple (ungrouped) bar
+    const counts = {};
+    filteredData.forEach(row => {
+      const xVal = String(row[xVar]);
+      if (!counts[xVal]) counts[xVal] = 0;
+      counts[xVal] += row.n;
+    });
+    const activeX = new Set(Object.keys(counts));
+    const orderedXSimple = xOrder && xOrder.length > 0
+      ? xOrder.filter(xv => activeX.has(xv))
+      : Object.keys(counts);
+    const totalSimple = Object.values(counts).reduce((sum, n) => sum + n, 0);
+    const meansSimple = _barMeans(filteredData, config, row => String(row[xVar]));
+    const valuesSimple = orderedXSimple.map(xVal => _barCellValue(meansSimple, xVal, counts[xVal] || 0, totalSimple, isPercent));
+    const nRawSimple = _unweightedCounts(filteredData, config, row => String(row[xVar]));
+
+    if (isHorizontal) {
+      yAxisCfg.type = 'category';
+      yAxisCfg.data = orderedXSimple;
+      xAxisCfg.type = 'value';
+      xAxisCfg.data = null;
+    } else {
+      xAxisCfg.type = 'category';
+      xAxisCfg.data = orderedXSimple;
+      yAxisCfg.type = 'value';
+      yAxisCfg.data = null;
+    }
+
+    const origSeriesSimple = ((original.series || []).find(s => s && typeof s === 'object')) || {};
+    const simpleSeries = chartRegistry && chartRegistry.deepClone
+      ? chartRegistry.deepClone(origSeriesSimple)
+      : JSON.parse(JSON.stringify(origSeriesSimple));
+    simpleSeries.type = simpleSeries.type || 'bar';
+    if (simpleSeries.encode) delete simpleSeries.encode;
+    if (simpleSeries.datasetIndex !== undefined) delete simpleSeries.datasetIndex;
+    if (isHorizontal) {
+      simpleSeries.data = orderedXSimple.map((xVal, idx) => [valuesSimple[idx], xVal]);
+    } else {
+      simpleSeries.data = valuesSimple;
+    }
+    if (nRawSimple) {
+      simpleSeries.data = _withUnweightedN(simpleSeries.data, orderedXSimple.map(xVal => nRawSimple[xVal] || 0), 'value');
+      _ensureUnweightedTooltipEcharts(option, isHorizontal ? 0 : 1);
+    }
+    option.series = [simpleSeries];
+    if (meansSimple && _hasErrorBars(config)) {
+      option.series.push(_echartsErrorBarSeries(_errorBarName(config),
+        orderedXSimple.map(xVal => _echartsErrorPoint(xVal, meansSimple[xVal])), isHorizontal, config.errorBarColor));
+    }
+    syncEchartsLegend(option, []);
+    inst.setOption(option, true);
+    return true;
+  }
+
+  function _rebuildPieEcharts(entry, filteredData, config) {
+    if (!entry || !entry.el || typeof echarts === 'undefined') return false;
+    const inst = echarts.getInstanceByDom(entry.el);
+    if (!inst) return false;
+    if (!entry.original || !entry.original.option) {
+      if (chartRegistry && chartRegistry.adapters && chartRegistry.adapters.echarts4r) {
+        chartRegistry.adapters.echarts4r.storeOriginal(entry);
+      }
+    }
+    const original = entry.original && entry.original.option ? entry.original.option : inst.getOption();
+    if (!original) return false;
+
+    const option = chartRegistry && chartRegistry.deepClone ? chartRegistry.deepClone(original) : JSON.parse(JSON.stringify(original));
+    const xVar = config.xVar;
+    if (!xVar) return false;
+
+    const counts = {};
+    filteredData.forEach(row => {
+      const label = String(row[xVar]);
+      if (!counts[label]) counts[label] = 0;
+      counts[label] += Number(row.n) || 0;
+    });
+
+    const activeLabels = new Set(Object.keys(counts));
+    const labels = Array.isArray(config.xOrder) && config.xOrder.length > 0
+      ? config.xOrder.filter(lbl => activeLabels.has(lbl))
+      : Object.keys(counts);
+
+    const nRaw = _unweightedCounts(filteredData, config, row => String(row[xVar]));
+    const seriesData = labels.map(label => {
+      const item = { name: label, value: counts[label] || 0 };
+      if (config.colorMap && config.colorMap[label]) {
+        item.itemStyle = { color: config.colorMap[label] };
+      }
+      if (nRaw) item.nUnweighted = nRaw[label] || 0;
+      return item;
+    });
+
+    if (!option.series || !option.series.length) option.series = [{}];
+    const series = option.series[0];
+    series.type = 'pie';
+    series.data = seriesData;
+    series.name = series.name || xVar;
+    if (series.encode) delete series.encode;
+    if (series.datasetIndex !== undefined) delete series.datasetIndex;
+    if (option.dataset) delete option.dataset;
+    syncEchartsLegend(option, labels);
+    if (nRaw) _ensureUnweightedTooltipEcharts(option, 0);
+    inst.setOption(option, true);
+    return true;
+  }
+
+  function _rebuildScatterEcharts(entry, filteredData, config) {
+    if (!entry || !entry.el || typeof echarts === 'undefined') return false;
+    const inst = echarts.getInstanceByDom(entry.el);
+    if (!inst) return false;
+    if (!entry.original || !entry.original.option) {
+      if (chartRegistry && chartRegistry.adapters && chartRegistry.adapters.echarts4r) {
+        chartRegistry.adapters.echarts4r.storeOriginal(entry);
+      }
+    }
+    const original = entry.original && entry.original.option ? entry.original.option : inst.getOption();
+    if (!original) return false;
+
+    const option = chartRegistry && chartRegistry.deepClone ? chartRegistry.deepClone(original) : JSON.parse(JSON.stringify(original));
+    if (option.dataset) delete option.dataset;
+
+    const xVar = config.xVar;
+    const yVar = config.yVar;
+    const groupVar = config.groupVar;
+    const sizeVar = config.sizeVar;
+    if (!xVar || !yVar) return false;
+
+    const rows = filteredData.filter(row => _toFiniteNumber(row[xVar]) !== null && _toFiniteNumber(row[yVar]) !== null);
+    let groups;
+    if (groupVar) {
+      const active = uniqueNonEmptyNames(rows.map(row => row[groupVar]));
+      groups = Array.isArray(config.groupOrder) && config.groupOrder.length > 0
+        ? uniqueNonEmptyNames(config.groupOrder).filter(g => active.includes(g))
+        : active;
+    } else {
+      groups = ['__all__'];
+    }
+
+    option.series = groups.map(groupName => {
+      const orig = (original.series || []).find(s => normalizeSeriesName(s && s.name) === normalizeSeriesName(groupName)) || {};
+      const s = chartRegistry && chartRegistry.deepClone ? chartRegistry.deepClone(orig) : JSON.parse(JSON.stringify(orig));
+      const groupRows = groupVar ? rows.filter(row => normalizeSeriesName(row[groupVar]) === groupName) : rows;
+      s.type = 'scatter';
+      s.name = groupVar ? groupName : (s.name || 'Values');
+      if (s.encode) delete s.encode;
+      if (s.datasetIndex !== undefined) delete s.datasetIndex;
+      s.data = groupRows.map(row => {
+        const x = Number(row[xVar]);
+        const y = Number(row[yVar]);
+        if (sizeVar) {
+          const sz = _toFiniteNumber(row[sizeVar]);
+          return [x, y, sz !== null ? sz : (config.pointSize || 4)];
+        }
+        return [x, y];
+      });
+      s.symbolSize = sizeVar
+        ? function(params) {
+            const val = Array.isArray(params.value) ? Number(params.value[2]) : Number(params.value);
+            return Number.isFinite(val) ? val : (config.pointSize || 4);
+          }
+        : (s.symbolSize || config.pointSize || 4);
+      if (config.colorMap && config.colorMap[groupName]) {
+        s.itemStyle = s.itemStyle || {};
+        s.itemStyle.color = config.colorMap[groupName];
+      }
+      return s;
+    });
+    syncEchartsLegend(option, groupVar ? groups : []);
+    inst.setOption(option, true);
+    return true;
+  }
+
+  function _rebuildBoxplotEcharts(entry, filteredData, config) {
+    if (!entry || !entry.el || typeof echarts === 'undefined') return false;
+    const inst = echarts.getInstanceByDom(entry.el);
+    if (!inst) return false;
+    if (!entry.original || !entry.original.option) {
+      if (chartRegistry && chartRegistry.adapters && chartRegistry.adapters.echarts4r) {
+        chartRegistry.adapters.echarts4r.storeOriginal(entry);
+      }
+    }
+    const original = entry.original && entry.original.option ? entry.original.option : inst.getOption();
+    if (!original) return false;
+
+    const option = chartRegistry && chartRegistry.deepClone ? chartRegistry.deepClone(original) : JSON.parse(JSON.stringify(original));
+    if (option.dataset) delete option.dataset;
+
+    const xVar = config.xVar;
+    const yVar = config.yVar;
+    if (!xVar || !yVar) return false;
+
+    const grouped = {};
+    filteredData.forEach(row => {
+      const group = String(row[xVar]);
+      const value = _toFiniteNumber(row[yVar]);
+      if (value === null) return;
+      if (!grouped[group]) grouped[group] = [];
+      grouped[group].push(value);
+    });
+
+    const activeGroups = Object.keys(grouped);
+    const groups = Array.isArray(config.xOrder) && config.xOrder.length > 0
+      ? config.xOrder.filter(g => activeGroups.includes(g))
+      : activeGroups;
+
+    const boxData = groups.map(group => {
+      const stats = _computeBoxStats(grouped[group]);
+      return stats ? {
+        name: group,
+        value: [stats.low, stats.q1, stats.median, stats.q3, stats.high]
+      } : null;
+    }).filter(Boolean);
+
+    const outlierRows = [];
+    if (config.showOutliers !== false) {
+      groups.forEach(group => {
+        const stats = _computeBoxStats(grouped[group]);
+        if (!stats || !stats.outliers || !stats.outliers.length) return;
+        stats.outliers.forEach(outlier => {
+          outlierRows.push([group, outlier]);
+        });
+      });
+    }
+
+    const xAxisCfg = Array.isArray(option.xAxis)
+      ? (option.xAxis[0] = option.xAxis[0] || {})
+      : (option.xAxis = option.xAxis || {});
+    const yAxisCfg = Array.isArray(option.yAxis)
+      ? (option.yAxis[0] = option.yAxis[0] || {})
+      : (option.yAxis = option.yAxis || {});
+    const horizontal = !!config.horizontal;
+    if (horizontal) {
+      yAxisCfg.type = 'category';
+      yAxisCfg.data = groups;
+      xAxisCfg.type = 'value';
+      xAxisCfg.data = null;
+    } else {
+      xAxisCfg.type = 'category';
+      xAxisCfg.data = groups;
+      yAxisCfg.type = 'value';
+      yAxisCfg.data = null;
+    }
+
+    const baseSeries = (option.series || []).filter(s => s && typeof s === 'object');
+    const boxSeriesOrig = baseSeries.find(s => String(s.type || '').toLowerCase() === 'boxplot') || baseSeries[0] || {};
+    const boxSeries = chartRegistry && chartRegistry.deepClone ? chartRegistry.deepClone(boxSeriesOrig) : JSON.parse(JSON.stringify(boxSeriesOrig));
+    boxSeries.type = 'boxplot';
+    boxSeries.name = boxSeries.name || (yVar || 'Values');
+    boxSeries.data = boxData.map(item => item.value);
+    if (boxSeries.encode) delete boxSeries.encode;
+    if (boxSeries.datasetIndex !== undefined) delete boxSeries.datasetIndex;
+
+    const seriesList = [boxSeries];
+    if (outlierRows.length > 0) {
+      const outlierOrig = baseSeries.find(s => String(s.type || '').toLowerCase() === 'scatter') || {};
+      const outlierSeries = chartRegistry && chartRegistry.deepClone ? chartRegistry.deepClone(outlierOrig) : JSON.parse(JSON.stringify(outlierOrig));
+      outlierSeries.type = 'scatter';
+      outlierSeries.name = outlierSeries.name || 'Outliers';
+      outlierSeries.data = horizontal
+        ? outlierRows.map(item => [item[1], item[0]])
+        : outlierRows;
+      if (outlierSeries.encode) delete outlierSeries.encode;
+      if (outlierSeries.datasetIndex !== undefined) delete outlierSeries.datasetIndex;
+      seriesList.push(outlierSeries);
+    }
+    option.series = seriesList;
+    syncEchartsLegend(option, seriesList.map(s => s && s.name));
+    inst.setOption(option, true);
+    return true;
+  }
+
+  function _rebuildPieSeries(chart, filteredData, config) {
+    const xVar = config.xVar;
+    if (!xVar) return false;
+
+    const counts = {};
+    filteredData.forEach(row => {
+      const label = String(row[xVar]);
+      if (!counts[label]) counts[label] = 0;
+      counts[label] += Number(row.n) || 0;
+    });
+
+    const activeLabels = new Set(Object.keys(counts));
+    const labels = Array.isArray(config.xOrder) && config.xOrder.length > 0
+      ? config.xOrder.filter(lbl => activeLabels.has(lbl))
+      : Object.keys(counts);
+
+    const nRaw = _unweightedCounts(filteredData, config, row => String(row[xVar]));
+    const seriesData = labels.map(label => {
+      const point = { name: label, y: counts[label] || 0 };
+      if (config.colorMap && config.colorMap[label]) point.color = config.colorMap[label];
+      if (nRaw) point.nUnweighted = nRaw[label] || 0;
+      return point;
+    });
+
+    const pieSeries = (chart.series || []).find(s => s && String(s.type || '').toLowerCase() === 'pie');
+    if (!pieSeries) return false;
+    if (nRaw) _ensureUnweightedTooltipHC(chart);
+    pieSeries.setData(seriesData, false);
+    pieSeries.setVisible(true, false);
+    pieSeries.update({ showInLegend: true }, false);
+    chart.redraw();
+    return true;
+  }
+
+  function _rebuildScatterSeries(chart, filteredData, config) {
+    const xVar = config.xVar;
+    const yVar = config.yVar;
+    const groupVar = config.groupVar;
+    if (!xVar || !yVar) return false;
+
+    const rows = filteredData.filter(row => _toFiniteNumber(row[xVar]) !== null && _toFiniteNumber(row[yVar]) !== null);
+    let groups;
+    if (groupVar) {
+      const active = uniqueNonEmptyNames(rows.map(row => row[groupVar]));
+      groups = Array.isArray(config.groupOrder) && config.groupOrder.length > 0
+        ? uniqueNonEmptyNames(config.groupOrder).filter(g => active.includes(g))
+        : active;
+    } else {
+      groups = ['__all__'];
+    }
+
+    const seriesNamesHandled = new Set();
+    const scatterSeries = (chart.series || []).filter(s => s && String(s.type || '').toLowerCase() === 'scatter');
+
+    groups.forEach(groupName => {
+      const seriesName = groupVar
+        ? groupName
+        : ((scatterSeries[0] && scatterSeries[0].name) || String(config.yVar || 'Value'));
+      const groupRows = groupVar ? rows.filter(row => normalizeSeriesName(row[groupVar]) === groupName) : rows;
+      const points = groupRows.map(row => [Number(row[xVar]), Number(row[yVar])]);
+      let series = (chart.series || []).find(s => s && s.name === seriesName && String(s.type || '').toLowerCase() === 'scatter');
+      if (series) {
+        series.setData(points, false);
+        series.setVisible(true, false);
+        series.update({ showInLegend: !!groupVar }, false);
+      } else {
+        chart.addSeries({
+          type: 'scatter',
+          name: seriesName,
+          data: points,
+          marker: {
+            radius: config.pointSize || 4,
+            fillOpacity: config.alpha != null ? config.alpha : 0.7
+          },
+          showInLegend: !!groupVar
+        }, false);
+      }
+      seriesNamesHandled.add(seriesName);
+    });
+
+    scatterSeries.forEach(series => {
+      if (!series || typeof series !== 'object') return;
+      if (!seriesNamesHandled.has(series.name)) {
+        series.setData([], false);
+        series.setVisible(false, false);
+        series.update({ showInLegend: false }, false);
+      }
+    });
+
+    chart.redraw();
+    return true;
+  }
+
+  function _rebuildBoxplotSeries(chart, filteredData, config) {
+    const xVar = config.xVar;
+    const yVar = config.yVar;
+    if (!xVar || !yVar) return false;
+
+    const grouped = {};
+    filteredData.forEach(row => {
+      const group = String(row[xVar]);
+      const value = _toFiniteNumber(row[yVar]);
+      if (value === null) return;
+      if (!grouped[group]) grouped[group] = [];
+      grouped[group].push(value);
+    });
+
+    const activeGroups = Object.keys(grouped);
+    const groups = Array.isArray(config.xOrder) && config.xOrder.length > 0
+      ? config.xOrder.filter(g => activeGroups.includes(g))
+      : activeGroups;
+
+    if (chart.xAxis && chart.xAxis[0] && typeof chart.xAxis[0].setCategories === 'function') {
+      chart.xAxis[0].setCategories(groups, false);
+    }
+
+    const boxSeries = (chart.series || []).find(s => s && String(s.type || '').toLowerCase() === 'boxplot');
+    if (!boxSeries) return false;
+
+    const boxData = groups.map(group => {
+      const stats = _computeBoxStats(grouped[group]);
+      if (!stats) return null;
+      if (config.colorMap && config.colorMap[group]) {
+        return {
+          low: stats.low,
+          q1: stats.q1,
+          median: stats.median,
+          q3: stats.q3,
+          high: stats.high,
+          color: config.colorMap[group]
+        };
+      }
+      return [stats.low, stats.q1, stats.median, stats.q3, stats.high];
+    }).filter(Boolean);
+    boxSeries.setData(boxData, false);
+    boxSeries.setVisible(true, false);
+    boxSeries.update({ showInLegend: false }, false);
+
+    const showOutliers = config.showOutliers !== false;
+    const outlierPoints = [];
+    if (showOutliers) {
+      groups.forEach((group, idx) => {
+        const stats = _computeBoxStats(grouped[group]);
+        if (!stats || !stats.outliers || !stats.outliers.length) return;
+        stats.outliers.forEach(outlier => {
+          outlierPoints.push({ x: idx, y: outlier });
+        });
+      });
+    }
+
+    let outlierSeries = (chart.series || []).find(s => s && String(s.type || '').toLowerCase() === 'scatter');
+    if (showOutliers && outlierPoints.length > 0) {
+      if (!outlierSeries) {
+        chart.addSeries({
+          type: 'scatter',
+          name: 'Outliers',
+          data: outlierPoints,
+          showInLegend: false,
+          marker: {
+            fillColor: 'white',
+            lineWidth: 1,
+            lineColor: 'black',
+            symbol: 'circle'
+          }
+        }, false);
+      } else {
+        outlierSeries.setData(outlierPoints, false);
+        outlierSeries.setVisible(true, false);
+        outlierSeries.update({ showInLegend: false }, false);
+      }
+    } else if (outlierSeries) {
+      outlierSeries.setData([], false);
+      outlierSeries.setVisible(false, false);
+      outlierSeries.update({ showInLegend: false }, false);
+    }
+
+    chart.redraw();
+    return true;
+  }
+
+  /**
+   * Rebuild a simple bar chart's series from filtered cross-tab data.
+   */
+  function _rebuildBarSeries(chart, filteredData, config) {
+    var xVar = config.xVar;
+    var groupVar = config.groupVar;
+    // Guard against R NULL serialized as {} (empty object) which is truthy in JS
+    if (groupVar && typeof groupVar === 'object' && !Array.isArray(groupVar) && Object.keys(groupVar).length === 0) groupVar = null;
+    var xOrder = config.xOrder;
+    var groupOrder = config.groupOrder;
+    var labelDec = (config.labelDecimals != null) ? config.labelDecimals : 0;
+    var barType = config.barType || 'count';
+    var isPercent = (barType === 'percent');
+
+    if (groupVar) {
+      // Grouped bar chart: sum by xVar + groupVar
+      var summed = {};
+      filteredData.forEach(function(row) {
+        var xVal = String(row[xVar]);
+        var gVal = String(row[groupVar]);
+        var key = xVal + '|||' + gVal;
+        if (!summed[key]) summed[key] = { xVal: xVal, gVal: gVal, n: 0 };
+        summed[key].n += row.n;
+      });
+
+      var byX = {};
+      Object.values(summed).forEach(function(item) {
+        if (!byX[item.xVal]) byX[item.xVal] = {};
+        byX[item.xVal][item.gVal] = item.n;
+      });
+
+      // Totals per x category for percentage mode
+      var xTotals = {};
+      Object.keys(byX).forEach(function(xVal) {
+        xTotals[xVal] = Object.values(byX[xVal]).reduce(function(sum, n) { return sum + n; }, 0);
+      });
+      var nRawGrouped = _unweightedCounts(filteredData, config, function(row) {
+        return String(row[xVar]) + '|||' + String(row[groupVar]);
+      });
+      var meansGrouped = _barMeans(filteredData, config, function(row) {
+        return String(row[xVar]) + '|||' + String(row[groupVar]);
+      });
+
+      var activeXValues = new Set(Object.keys(byX));
+      var orderedX = xOrder && xOrder.length > 0
+        ? xOrder.filter(function(xv) { return activeXValues.has(xv); })
+        : Object.keys(byX);
+
+      var activeGroups = new Set(Object.values(summed).map(function(s) { return s.gVal; }));
+      var orderedGroups = groupOrder && groupOrder.length > 0
+        ? groupOrder.filter(function(g) { return activeGroups.has(g); })
+        : Array.from(activeGroups);
+
+      if (chart.xAxis && chart.xAxis[0]) {
+        chart.xAxis[0].setCategories(orderedX, false);
+      }
+
+      orderedGroups.forEach(function(gVal) {
+        var seriesData = orderedX.map(function(xVal) {
+          var count = (byX[xVal] && byX[xVal][gVal]) ? byX[xVal][gVal] : 0;
+          return _barCellValue(meansGrouped, xVal + '|||' + gVal, count, xTotals[xVal], isPercent);
+        });
+        if (nRawGrouped) {
+          seriesData = _withUnweightedN(seriesData, orderedX.map(function(xVal) {
+            return nRawGrouped[xVal + '|||' + gVal] || 0;
+          }), 'y');
+        }
+        var series = (chart.series || []).find(function(s) { return s && s.name === gVal; });
+        if (series) {
+          series.setData(seriesData, false);
+          series.setVisible(true, false);
+          series.update({ showInLegend: true }, false);
+          if (meansGrouped && _hasErrorBars(config)) {
+            _setErrorBarsHC(chart, series, _errorBarName(config, gVal), orderedX.map(function(xVal) {
+              return _hcErrorPoint(meansGrouped[xVal + '|||' + gVal]);
+            }));
+          }
+        }
+      });
+
+      // Hide series not in filtered data (error bars follow their linked bars)
+      (chart.series || []).forEach(function(series) {
+        if (!series || typeof series !== 'object' || series.type === 'errorbar') return;
+        if (!activeGroups.has(series.name)) {
+          series.setVisible(false, false);
+          series.update({ showInLegend: false }, false);
+        }
+      });
+    } else {
+      // Simple bar chart: sum by xVar only
+      var counts = {};
+      var total = 0;
+      filteredData.forEach(function(row) {
+        var xVal = String(row[xVar]);
+        if (!counts[xVal]) counts[xVal] = 0;
+        counts[xVal] += row.n;
+        total += row.n;
+      });
+
+      var activeX = new Set(Object.keys(counts));
+      var orderedXSimple = xOrder && xOrder.length > 0
+        ? xOrder.filter(function(xv) { return activeX.has(xv); })
+        : Object.keys(counts);
+
+      if (chart.xAxis && chart.xAxis[0]) {
+        chart.xAxis[0].setCategories(orderedXSimple, false);
+      }
+
+      var meansSimple = _barMeans(filteredData, config, function(row) { return String(row[xVar]); });
+      var seriesData = orderedXSimple.map(function(xVal) {
+        return _barCellValue(meansSimple, xVal, counts[xVal] || 0, total, isPercent);
+      });
+      var nRawSimple = _unweightedCounts(filteredData, config, function(row) { return String(row[xVar]); });
+      if (nRawSimple) {
+        seriesData = _withUnweightedN(seriesData, orderedXSimple.map(function(xVal) {
+          return nRawSimple[xVal] || 0;
+        }), 'y');
+      }
+
+      if (chart.series && chart.series[0]) {
+        chart.series[0].setData(seriesData, false);
+        if (meansSimple && _hasErrorBars(config)) {
+          _setErrorBarsHC(chart, chart.series[0], _errorBarName(config), orderedXSimple.map(function(xVal) {
+            return _hcErrorPoint(meansSimple[xVal]);
+          }));
+        }
+      }
+    }
+
+    if (config.showUnweightedN) _ensureUnweightedTooltipHC(chart);
+
+    // Update title if template
+    if (config.titleTemplate) {
+      var newTitle = config.titleTemplate;
+      if (chart.setTitle) {
+        chart.setTitle({ text: newTitle }, null, false);
+      }
+    }
+
+    chart.redraw();
+
+    // Force yAxis to start at 0 for bar charts (prevents floating bars)
+    if (chart.yAxis && chart.yAxis[0]) {
+      try {
+        chart.yAxis[0].update({ min: 0, startOnTick: false }, true);
+      } catch(e) {}
+    }
+
+    // Schedule a reflow to handle cases where chart was hidden during redraw
+    requestAnimationFrame(function() {
+      try { chart.reflow(); } catch(e) {}
+    });
+
+    return true;
+  }
+
+  /**
+   * Rebuild a stacked-bar chart's series from filtered cross-tab data.
+   */
+  function _rebuildStackedBarSeries(chart, filteredData, config) {
+    const { xVar, stackVar, stackedType, stackOrder, xOrder } = config;
+    var labelDec = (config.labelDecimals != null) ? config.labelDecimals : (stackedType === 'percent' ? 1 : 0);
+    var factor = Math.pow(10, labelDec);
+    
+    // Sum by x_var and stack_var (drop filter dimensions)
+    const summed = {};
+    filteredData.forEach(row => {
+      const xVal = String(row[xVar]);
+      const stackVal = String(row[stackVar]);
+      const key = xVal + '|||' + stackVal;
+      
+      if (!summed[key]) {
+        summed[key] = { xVal, stackVal, n: 0 };
+      }
+      summed[key].n += row.n;
+    });
+    
+    // Organize by x_var for percentage calculation
+    const byX = {};
+    Object.values(summed).forEach(item => {
+      if (!byX[item.xVal]) {
+        byX[item.xVal] = {};
+      }
+      byX[item.xVal][item.stackVal] = item.n;
+    });
+    
+    // Calculate totals per x for percentage mode
+    const xTotals = {};
+    Object.keys(byX).forEach(xVal => {
+      xTotals[xVal] = Object.values(byX[xVal]).reduce((sum, n) => sum + n, 0);
+    });
+    
+    const isPercent = stackedType === 'percent';
+    const nRaw = _unweightedCounts(filteredData, config, row => String(row[xVar]) + '|||' + String(row[stackVar]));
+    
+    // Determine which x values actually exist in the filtered data
+    const activeXValues = new Set(Object.keys(byX));
+    const orderedX = xOrder && xOrder.length > 0
+      ? xOrder.filter(xv => activeXValues.has(xv))
+      : Object.keys(byX);
+    
+    // Determine which stack values actually exist
+    const activeStackValues = new Set(Object.values(summed).map(s => s.stackVal));
+    const orderedStack = stackOrder && stackOrder.length > 0
+      ? stackOrder.filter(sv => activeStackValues.has(sv))
+      : [...activeStackValues];
+    
+    // Update chart categories (x-axis)
+    if (chart.xAxis && chart.xAxis[0]) {
+      chart.xAxis[0].setCategories(orderedX, false);
+    }
+    
+    const activeSeriesNames = new Set(orderedStack);
+    
+    // Update active series with data
+    orderedStack.forEach((stackVal) => {
+      let seriesData = orderedX.map(xVal => {
+        const count = (byX[xVal] && byX[xVal][stackVal]) ? byX[xVal][stackVal] : 0;
+        if (isPercent && xTotals[xVal] > 0) {
+          return Math.round(((count / xTotals[xVal]) * 100) * factor) / factor;
+        }
+        return count;
+      });
+      if (nRaw) {
+        seriesData = _withUnweightedN(seriesData, orderedX.map(xVal => nRaw[xVal + '|||' + stackVal] || 0), 'y');
+      }
+      
+      let series = (chart.series || []).find(s => s && s.name === stackVal);
+      if (series) {
+        var updateOpts = { showInLegend: true };
+        if (config.colorMap && config.colorMap[stackVal]) {
+          updateOpts.color = config.colorMap[stackVal];
+        }
+        series.setData(seriesData, false);
+        series.setVisible(true, false);
+        series.update(updateOpts, false);
+      }
+    });
+    
+    // Hide series that are NOT in the filtered data
+    (chart.series || []).forEach(series => {
+      if (!series || typeof series !== 'object') return;
+      if (!activeSeriesNames.has(series.name)) {
+        series.setData(orderedX.map(() => 0), false);
+        series.setVisible(false, false);
+        series.update({ showInLegend: false }, false);
+      }
+    });
+    
+    if (nRaw) _ensureUnweightedTooltipHC(chart);
+    chart.redraw();
+    return true;
+  }
+
+  /**
+   * Aggregate filtered cross-tab rows into one value per time + group.
+   * Shared by the Highcharts, Plotly and ECharts timeline rebuilders so
+   * the same filter state yields the same lines on every backend.
+   * Values come from yVar, falling back to the 'value' column and then to
+   * 1 (counts); config.agg selects 'sum' or 'mean' (default). Rows with
+   * moments (value_sum, see "Confidence intervals") are summed as such,
+   * which keeps weighted means exact and yields `intervals` (group ->
+   * time -> interval) when config.errorBars is set. Times keep
+   * the R-side factor order (timeCategories) when given, otherwise they
+   * are sorted numerically or alphabetically. Ungrouped data uses the
+   * group key '__all__'.
+   * @returns {{times: string[], isNumericTime: boolean, groups: string[], values: Object, intervals: ?Object}}
+   */
+  function _aggregateTimelineData(filteredData, config) {
+    var timeVar = config.timeVar;
+    var groupVar = config.groupVar;
+    var yVar = config.yVar;
+    var aggMethod = config.agg || 'mean';
+
+    var aggBuckets = {};
+    var bucketOrder = [];
+    (filteredData || []).forEach(function(row) {
+      var tVal = String(row[timeVar]);
+      var gVal = groupVar ? String(row[groupVar]) : '__all__';
+      var key = tVal + '|||' + gVal;
+
+      if (!aggBuckets[key]) {
+        aggBuckets[key] = { time: tVal, group: gVal, sum: 0, count: 0, moments: null };
+        bucketOrder.push(aggBuckets[key]);
+      }
+      if (row.value_sum !== undefined) {
+        var bucket = aggBuckets[key];
+        bucket.moments = _addMoments(bucket.moments || _emptyMoments(), row, 'value_sum', 'value_sumsq');
+        bucket.sum = bucket.moments.sum;
+        bucket.count = bucket.moments.w;
+        return;
+      }
+      var rawVal = yVar && row[yVar] !== undefined ? row[yVar] : (row.value !== undefined ? row.value : 1);
+      aggBuckets[key].sum += (typeof rawVal === 'number' ? rawVal : Number(rawVal) || 0);
+      aggBuckets[key].count += 1;
+    });
+
+    var values = {};
+    var intervals = _hasErrorBars(config) ? {} : null;
+    var presentTimes = {};
+    bucketOrder.forEach(function(item) {
+      if (!values[item.group]) values[item.group] = {};
+      values[item.group][item.time] = aggMethod === 'sum'
+        ? item.sum
+        : (item.count > 0 ? item.sum / item.count : 0);
+      if (intervals && item.moments) {
+        if (!intervals[item.group]) intervals[item.group] = {};
+        intervals[item.group][item.time] = _momentInterval(item.moments, config);
+      }
+      presentTimes[item.time] = true;
+    });
+
+    var isNumericTime = bucketOrder.length > 0 && !isNaN(Number(bucketOrder[0].time));
+
+    var times = [];
+    var seenTimes = {};
+    if (config.timeCategories && config.timeCategories.length > 0) {
+      // Use R-side factor order (chronological), only for times in the data
+      config.timeCategories.forEach(function(t) {
+        var ts = String(t);
+        if (!seenTimes[ts] && presentTimes[ts]) { seenTimes[ts] = true; times.push(ts); }
+      });
+    } else {
+      bucketOrder.forEach(function(a) {
+        if (!seenTimes[a.time]) { seenTimes[a.time] = true; times.push(a.time); }
+      });
+      if (isNumericTime) {
+        times.sort(function(a, b) { return Number(a) - Number(b); });
+      } else {
+        times.sort();
+      }
+    }
+
+    var activeGroups = Object.keys(values);
+    var groups;
+    var cfgGroupOrder = config.groupOrder;
+    if (cfgGroupOrder && typeof cfgGroupOrder === 'string') cfgGroupOrder = [cfgGroupOrder];
+    if (Array.isArray(cfgGroupOrder) && cfgGroupOrder.length > 0) {
+      groups = cfgGroupOrder.map(String).filter(function(g) { return activeGroups.indexOf(g) !== -1; });
+    } else {
+      groups = activeGroups;
+    }
+
+    return { times: times, isNumericTime: isNumericTime, groups: groups, values: values, intervals: intervals };
+  }
+
+  /**
+   * Rebuild a timeline (line) chart's series from filtered cross-tab data.
+   */
+  function _rebuildTimelineSeries(chart, filteredData, config) {
+    const yVar = config.yVar;
+
+    if (filteredData.length === 0) {
+      // No data after filtering — hide all series
+      chart.series.slice().forEach(function(s) {
+        s.setData([], false);
+        s.setVisible(false, false);
+        s.update({ showInLegend: false }, false);
+      });
+      chart.redraw();
+      return true;
+    }
+
+    var agg = _aggregateTimelineData(filteredData, config);
+    var allTimes = agg.times;
+    var isNumericTime = agg.isNumericTime;
+    var orderedGroups = agg.groups;
+
+    // Update x-axis categories if categorical
+    if (!isNumericTime && chart.xAxis && chart.xAxis[0]) {
+      chart.xAxis[0].setCategories(allTimes, false);
+    }
+
+    // Build a set of series names we've handled
+    var handledSeries = new Set();
+
+    // Update or add each group's series
+    orderedGroups.forEach(function(groupName, groupIndex) {
+      var lookup = agg.values[groupName];
+
+      var seriesName = (groupName === '__all__') ? (yVar || 'Value') : groupName;
+      handledSeries.add(seriesName);
+
+      var newData;
+      if (isNumericTime) {
+        newData = allTimes.map(function(t) {
+          return [Number(t), lookup[t] !== undefined ? lookup[t] : null];
+        });
+      } else {
+        newData = allTimes.map(function(t) {
+          return lookup[t] !== undefined ? lookup[t] : null;
+        });
+      }
+
+      var series = (chart.series || []).find(function(s) { return s && s.name === seriesName; });
+
+      if (series) {
+        // Update existing series
+        var updateOpts = { showInLegend: true };
+        if (config.colorMap && config.colorMap[groupName]) {
+          updateOpts.color = config.colorMap[groupName];
+        }
+        series.setData(newData, false);
+        series.setVisible(true, false);
+        series.update(updateOpts, false);
+      } else {
+        // Add new series (chart may start empty for cross-tab charts)
+        var addOpts = {
+          name: seriesName,
+          data: newData,
+          visible: true,
+          showInLegend: true
+        };
+        if (config.colorMap && config.colorMap[groupName]) {
+          addOpts.color = config.colorMap[groupName];
+        }
+        // Determine series type from chart type config or chart defaults
+        var chartType = chart.options && chart.options.chart ? chart.options.chart.type : null;
+        if (chartType) {
+          addOpts.type = chartType;
+        }
+        chart.addSeries(addOpts, false);
+      }
 
-    // Simple (ungrouped) bar
-    const counts = {};
-    filteredData.forEach(row => {
-      const xVal = String(row[xVar]);
-      if (!counts[xVal]) counts[xVal] = 0;
-      counts[xVal] += row.n;
+      var groupIntervals = agg.intervals && agg.intervals[groupName];
+      if (groupIntervals) {
+        var lineSeries = (chart.series || []).find(function(s) { return s && s.name === seriesName && s.type !== 'errorbar'; });
+        var errorPoints = allTimes.map(function(t) {
+          var point = _hcErrorPoint(groupIntervals[t]);
+          return point && isNumericTime ? [Number(t), point.low, point.high] : point;
+        });
+        if (isNumericTime) errorPoints = errorPoints.filter(function(p) { return p !== null; });
+        _setErrorBarsHC(chart, lineSeries, _errorBarName(config, seriesName), errorPoints);
+      }
     });
-    const activeX = new Set(Object.keys(counts));
-    const orderedXSimple = xOrder && xOrder.length > 0
-      ? xOrder.filter(xv => activeX.has(xv))
-      : Object.keys(counts);
-    const valuesSimple = orderedXSimple.map(xVal => counts[xVal] || 0);
 
-    if (isHorizontal) {
-      yAxisCfg.type = 'category';
-      yAxisCfg.data = orderedXSimple;
-      xAxisCfg.type = 'value';
-      xAxisCfg.data = null;
-    } else {
-      xAxisCfg.type = 'category';
-      xAxisCfg.data = orderedXSimple;
-      yAxisCfg.type = 'value';
-      yAxisCfg.data = null;
-    }
+    // Hide series that are NOT in the filtered data (error bars follow their lines)
+    chart.series.slice().forEach(function(series) {
+      if (!series || typeof series !== 'object' || series.type === 'errorbar') return;
+      if (!handledSeries.has(series.name)) {
+        series.setData([], false);
+        series.setVisible(false, false);
+        series.update({ showInLegend: false }, false);
+      }
+    });
 
-    const origSeriesSimple = ((original.series || []).find(s => s && typeof s === 'object')) || {};
-    const simpleSeries = chartRegistry && chartRegistry.deepClone
-      ? chartRegistry.deepClone(origSeriesSimple)
-      : JSON.parse(JSON.stringify(origSeriesSimple));
-    simpleSeries.type = simpleSeries.type || 'bar';
-    if (simpleSeries.encode) delete simpleSeries.encode;
-    if (simpleSeries.datasetIndex !== undefined) delete simpleSeries.datasetIndex;
-    if (isHorizontal) {
-      simpleSeries.data = orderedXSimple.map((xVal, idx) => [valuesSimple[idx], xVal]);
-    } else {
-      simpleSeries.data = valuesSimple;
-    }
-    option.series = [simpleSeries];
-    syncEchartsLegend(option, []);
-    inst.setOption(option, true);
+    chart.redraw();
     return true;
   }
 
-  function _rebuildPieEcharts(entry, filteredData, config) {
-    if (!entry || !entry.el || typeof echarts === 'undefined') return false;
+  // =================================================================
+  // Cross-tab rebuilders: heatmap, treemap, sankey, waffle, funnel,
+  // map, gauge, dumbbell
+  // =================================================================
+  // Each chart type has one aggregation step shared by all backends
+  // and a small writer per backend. rebuildFromCrossTab() looks the
+  // writer up in CROSS_TAB_REBUILDERS. Highcharts writers receive
+  // (chart, filteredData, config, entry); Plotly/ECharts writers
+  // receive (entry, filteredData, config).
+
+  function _cloneOption(value) {
+    return chartRegistry && chartRegistry.deepClone ? chartRegistry.deepClone(value) : JSON.parse(JSON.stringify(value));
+  }
+
+  function _plotlyOriginal(entry) {
+    if (!entry || !entry.el || typeof Plotly === 'undefined') return null;
+    if (!entry.original || !entry.original.data) {
+      if (chartRegistry && chartRegistry.adapters && chartRegistry.adapters.plotly) {
+        chartRegistry.adapters.plotly.storeOriginal(entry);
+      }
+    }
+    return entry.original && entry.original.data ? entry.original : { data: entry.el.data || [], layout: entry.el.layout || {} };
+  }
+
+  function _echartsOriginal(entry) {
+    if (!entry || !entry.el || typeof echarts === 'undefined') return null;
     const inst = echarts.getInstanceByDom(entry.el);
-    if (!inst) return false;
+    if (!inst) return null;
     if (!entry.original || !entry.original.option) {
       if (chartRegistry && chartRegistry.adapters && chartRegistry.adapters.echarts4r) {
         chartRegistry.adapters.echarts4r.storeOriginal(entry);
       }
     }
     const original = entry.original && entry.original.option ? entry.original.option : inst.getOption();
-    if (!original) return false;
-
-    const option = chartRegistry && chartRegistry.deepClone ? chartRegistry.deepClone(original) : JSON.parse(JSON.stringify(original));
-    const xVar = config.xVar;
-    if (!xVar) return false;
-
-    const counts = {};
-    filteredData.forEach(row => {
-      const label = String(row[xVar]);
-      if (!counts[label]) counts[label] = 0;
-      counts[label] += Number(row.n) || 0;
-    });
+    if (!original) return null;
+    return { inst, option: _cloneOption(original) };
+  }
 
-    const activeLabels = new Set(Object.keys(counts));
-    const labels = Array.isArray(config.xOrder) && config.xOrder.length > 0
-      ? config.xOrder.filter(lbl => activeLabels.has(lbl))
-      : Object.keys(counts);
+  function _firstAxis(axis) {
+    return Array.isArray(axis) ? axis[0] : axis;
+  }
 
-    const seriesData = labels.map(label => {
-      const item = { name: label, value: counts[label] || 0 };
-      if (config.colorMap && config.colorMap[label]) {
-        item.itemStyle = { color: config.colorMap[label] };
+  /**
+   * Sum numeric cross-tab columns per key.
+   * @param {Array} rows - Filtered cross-tab rows
+   * @param {Function} keyOf - row -> string key
+   * @param {string[]} fields - Columns to sum
+   * @returns {Map} key -> { field: sum }
+   */
+  function _sumRowsBy(rows, keyOf, fields) {
+    const totals = new Map();
+    rows.forEach(row => {
+      const key = keyOf(row);
+      let acc = totals.get(key);
+      if (!acc) {
+        acc = {};
+        fields.forEach(f => { acc[f] = 0; });
+        totals.set(key, acc);
       }
-      return item;
+      fields.forEach(f => { acc[f] += Number(row[f]) || 0; });
     });
+    return totals;
+  }
 
-    if (!option.series || !option.series.length) option.series = [{}];
-    const series = option.series[0];
-    series.type = 'pie';
-    series.data = seriesData;
-    series.name = series.name || xVar;
-    if (series.encode) delete series.encode;
-    if (series.datasetIndex !== undefined) delete series.datasetIndex;
-    if (option.dataset) delete option.dataset;
-    syncEchartsLegend(option, labels);
-    inst.setOption(option, true);
-    return true;
+  /** Labels in config order first, then any present labels not in the order. */
+  function _orderedLabels(order, present) {
+    const active = Array.from(present);
+    if (!Array.isArray(order) || order.length === 0) return active;
+    const known = order.map(String);
+    return known.filter(v => present.has(v)).concat(active.filter(v => !known.includes(v)));
   }
 
-  function _rebuildScatterEcharts(entry, filteredData, config) {
-    if (!entry || !entry.el || typeof echarts === 'undefined') return false;
-    const inst = echarts.getInstanceByDom(entry.el);
-    if (!inst) return false;
-    if (!entry.original || !entry.original.option) {
-      if (chartRegistry && chartRegistry.adapters && chartRegistry.adapters.echarts4r) {
-        chartRegistry.adapters.echarts4r.storeOriginal(entry);
-      }
-    }
-    const original = entry.original && entry.original.option ? entry.original.option : inst.getOption();
-    if (!original) return false;
+  /** R's round() rounds halves to even; match it so unfiltered charts look unchanged. */
+  function _roundHalfEven(x) {
+    const r = Math.round(x);
+    return (Math.abs(x % 1) === 0.5 && r % 2 !== 0) ? r - 1 : r;
+  }
 
-    const option = chartRegistry && chartRegistry.deepClone ? chartRegistry.deepClone(original) : JSON.parse(JSON.stringify(original));
-    if (option.dataset) delete option.dataset;
+  // ---- Heatmap ----
 
+  function _aggregateHeatmapData(filteredData, config) {
     const xVar = config.xVar;
     const yVar = config.yVar;
-    const groupVar = config.groupVar;
-    const sizeVar = config.sizeVar;
-    if (!xVar || !yVar) return false;
+    if (!xVar || !yVar) return null;
+    const cells = _sumRowsBy(filteredData, row => String(row[xVar]) + '\u0000' + String(row[yVar]), ['value', 'n']);
+    // Keep the full grid from R so axes do not jump while filtering
+    const fullAxis = (order, col) => {
+      const present = new Set(filteredData.map(row => String(row[col])));
+      const base = Array.isArray(order) ? order.map(String) : [];
+      return base.concat(Array.from(present).filter(v => !base.includes(v)));
+    };
+    const xs = fullAxis(config.xOrder, xVar);
+    const ys = fullAxis(config.yOrder, yVar);
+    const valueAt = (x, y) => {
+      const cell = cells.get(x + '\u0000' + y);
+      if (!cell) return null;
+      if (config.agg === 'sum') return cell.value;
+      return cell.n > 0 ? cell.value / cell.n : null;
+    };
+    let min = Infinity;
+    let max = -Infinity;
+    xs.forEach(x => ys.forEach(y => {
+      const v = valueAt(x, y);
+      if (v === null) return;
+      if (v < min) min = v;
+      if (v > max) max = v;
+    }));
+    return {
+      xs,
+      ys,
+      valueAt,
+      min: config.colorMin !== undefined && config.colorMin !== null ? config.colorMin : (Number.isFinite(min) ? min : null),
+      max: config.colorMax !== undefined && config.colorMax !== null ? config.colorMax : (Number.isFinite(max) ? max : null)
+    };
+  }
 
-    const rows = filteredData.filter(row => _toFiniteNumber(row[xVar]) !== null && _toFiniteNumber(row[yVar]) !== null);
-    let groups;
-    if (groupVar) {
-      const active = uniqueNonEmptyNames(rows.map(row => row[groupVar]));
-      groups = Array.isArray(config.groupOrder) && config.groupOrder.length > 0
-        ? uniqueNonEmptyNames(config.groupOrder).filter(g => active.includes(g))
-        : active;
-    } else {
-      groups = ['__all__'];
+  function _rebuildHeatmapSeries(chart, filteredData, config) {
+    const agg = _aggregateHeatmapData(filteredData, config);
+    if (!agg) return false;
+    const series = (chart.series || []).find(s => s && String(s.type || '').toLowerCase() === 'heatmap');
+    if (!series) return false;
+    const points = [];
+    agg.xs.forEach((x, xi) => agg.ys.forEach((y, yi) => {
+      points.push({ x: xi, y: yi, value: agg.valueAt(x, y) });
+    }));
+    if (chart.xAxis && chart.xAxis[0]) chart.xAxis[0].setCategories(agg.xs, false);
+    if (chart.yAxis && chart.yAxis[0]) chart.yAxis[0].setCategories(agg.ys, false);
+    if (chart.colorAxis && chart.colorAxis[0] && agg.min !== null && agg.max !== null) {
+      chart.colorAxis[0].update({ min: agg.min, max: agg.max }, false);
     }
-
-    option.series = groups.map(groupName => {
-      const orig = (original.series || []).find(s => normalizeSeriesName(s && s.name) === normalizeSeriesName(groupName)) || {};
-      const s = chartRegistry && chartRegistry.deepClone ? chartRegistry.deepClone(orig) : JSON.parse(JSON.stringify(orig));
-      const groupRows = groupVar ? rows.filter(row => normalizeSeriesName(row[groupVar]) === groupName) : rows;
-      s.type = 'scatter';
-      s.name = groupVar ? groupName : (s.name || 'Values');
-      if (s.encode) delete s.encode;
-      if (s.datasetIndex !== undefined) delete s.datasetIndex;
-      s.data = groupRows.map(row => {
-        const x = Number(row[xVar]);
-        const y = Number(row[yVar]);
-        if (sizeVar) {
-          const sz = _toFiniteNumber(row[sizeVar]);
-          return [x, y, sz !== null ? sz : (config.pointSize || 4)];
-        }
-        return [x, y];
-      });
-      s.symbolSize = sizeVar
-        ? function(params) {
-            const val = Array.isArray(params.value) ? Number(params.value[2]) : Number(params.value);
-            return Number.isFinite(val) ? val : (config.pointSize || 4);
-          }
-        : (s.symbolSize || config.pointSize || 4);
-      if (config.colorMap && config.colorMap[groupName]) {
-        s.itemStyle = s.itemStyle || {};
-        s.itemStyle.color = config.colorMap[groupName];
-      }
-      return s;
-    });
-    syncEchartsLegend(option, groupVar ? groups : []);
-    inst.setOption(option, true);
+    series.setData(points, false);
+    chart.redraw();
     return true;
   }
 
-  function _rebuildBoxplotEcharts(entry, filteredData, config) {
-    if (!entry || !entry.el || typeof echarts === 'undefined') return false;
-    const inst = echarts.getInstanceByDom(entry.el);
-    if (!inst) return false;
-    if (!entry.original || !entry.original.option) {
-      if (chartRegistry && chartRegistry.adapters && chartRegistry.adapters.echarts4r) {
-        chartRegistry.adapters.echarts4r.storeOriginal(entry);
-      }
-    }
-    const original = entry.original && entry.original.option ? entry.original.option : inst.getOption();
+  function _rebuildHeatmapPlotly(entry, filteredData, config) {
+    const original = _plotlyOriginal(entry);
     if (!original) return false;
+    const agg = _aggregateHeatmapData(filteredData, config);
+    if (!agg) return false;
+    const trace = original.data && original.data[0] ? _cloneOption(original.data[0]) : { type: 'heatmap' };
+    trace.x = agg.xs;
+    trace.y = agg.ys;
+    trace.z = agg.ys.map(y => agg.xs.map(x => agg.valueAt(x, y)));
+    Plotly.react(entry.el, [trace], original.layout || entry.el.layout || {});
+    return true;
+  }
 
-    const option = chartRegistry && chartRegistry.deepClone ? chartRegistry.deepClone(original) : JSON.parse(JSON.stringify(original));
+  function _rebuildHeatmapEcharts(entry, filteredData, config) {
+    const ec = _echartsOriginal(entry);
+    if (!ec) return false;
+    const agg = _aggregateHeatmapData(filteredData, config);
+    if (!agg) return false;
+    const option = ec.option;
+    const xAxis = _firstAxis(option.xAxis);
+    const yAxis = _firstAxis(option.yAxis);
+    if (xAxis) xAxis.data = agg.xs;
+    if (yAxis) yAxis.data = agg.ys;
+    if (!option.series || !option.series.length) option.series = [{ type: 'heatmap' }];
+    const series = option.series[0];
+    series.data = [];
+    agg.xs.forEach(x => agg.ys.forEach(y => {
+      const v = agg.valueAt(x, y);
+      series.data.push([x, y, v === null ? '-' : v]);
+    }));
+    if (series.encode) delete series.encode;
+    if (series.datasetIndex !== undefined) delete series.datasetIndex;
     if (option.dataset) delete option.dataset;
+    const visualMap = _firstAxis(option.visualMap);
+    if (visualMap && agg.min !== null && agg.max !== null) {
+      visualMap.min = agg.min;
+      visualMap.max = agg.max;
+    }
+    ec.inst.setOption(option, true);
+    return true;
+  }
 
-    const xVar = config.xVar;
-    const yVar = config.yVar;
-    if (!xVar || !yVar) return false;
-
-    const grouped = {};
-    filteredData.forEach(row => {
-      const group = String(row[xVar]);
-      const value = _toFiniteNumber(row[yVar]);
-      if (value === null) return;
-      if (!grouped[group]) grouped[group] = [];
-      grouped[group].push(value);
-    });
-
-    const activeGroups = Object.keys(grouped);
-    const groups = Array.isArray(config.xOrder) && config.xOrder.length > 0
-      ? config.xOrder.filter(g => activeGroups.includes(g))
-      : activeGroups;
-
-    const boxData = groups.map(group => {
-      const stats = _computeBoxStats(grouped[group]);
-      return stats ? {
-        name: group,
-        value: [stats.low, stats.q1, stats.median, stats.q3, stats.high]
-      } : null;
-    }).filter(Boolean);
+  // ---- Treemap ----
 
-    const outlierRows = [];
-    if (config.showOutliers !== false) {
-      groups.forEach(group => {
-        const stats = _computeBoxStats(grouped[group]);
-        if (!stats || !stats.outliers || !stats.outliers.length) return;
-        stats.outliers.forEach(outlier => {
-          outlierRows.push([group, outlier]);
+  function _aggregateTreemapData(filteredData, config) {
+    const groupVar = config.groupVar;
+    if (!groupVar) return null;
+    const subVar = config.subgroupVar || null;
+    const groups = _sumRowsBy(filteredData, row => String(row[groupVar]), ['value']);
+    const names = _orderedLabels(config.groupOrder, new Set(groups.keys()));
+    const children = {};
+    if (subVar) {
+      _sumRowsBy(filteredData, row => String(row[groupVar]) + '\u0000' + String(row[subVar]), ['value'])
+        .forEach((acc, key) => {
+          const parts = key.split('\u0000');
+          if (!children[parts[0]]) children[parts[0]] = [];
+          children[parts[0]].push({ name: parts[1], value: acc.value });
         });
-      });
     }
+    return {
+      hasSubgroups: !!subVar,
+      groups: names.map(name => ({ name, value: groups.get(name).value, children: children[name] || [] }))
+    };
+  }
 
-    const xAxisCfg = Array.isArray(option.xAxis)
-      ? (option.xAxis[0] = option.xAxis[0] || {})
-      : (option.xAxis = option.xAxis || {});
-    const yAxisCfg = Array.isArray(option.yAxis)
-      ? (option.yAxis[0] = option.yAxis[0] || {})
-      : (option.yAxis = option.yAxis || {});
-    const horizontal = !!config.horizontal;
-    if (horizontal) {
-      yAxisCfg.type = 'category';
-      yAxisCfg.data = groups;
-      xAxisCfg.type = 'value';
-      xAxisCfg.data = null;
-    } else {
-      xAxisCfg.type = 'category';
-      xAxisCfg.data = groups;
-      yAxisCfg.type = 'value';
-      yAxisCfg.data = null;
-    }
+  function _rebuildTreemapSeries(chart, filteredData, config) {
+    const agg = _aggregateTreemapData(filteredData, config);
+    if (!agg) return false;
+    const series = (chart.series || []).find(s => s && String(s.type || '').toLowerCase() === 'treemap');
+    if (!series) return false;
+    const points = [];
+    agg.groups.forEach(group => {
+      if (agg.hasSubgroups) {
+        points.push({ id: group.name, name: group.name, value: group.value, colorValue: group.value });
+        group.children.forEach(child => {
+          points.push({ name: child.name, parent: group.name, value: child.value });
+        });
+      } else {
+        points.push({ name: group.name, value: group.value, colorValue: group.value });
+      }
+    });
+    series.setData(points, false);
+    chart.redraw();
+    return true;
+  }
+
+  function _rebuildTreemapPlotly(entry, filteredData, config) {
+    const original = _plotlyOriginal(entry);
+    if (!original) return false;
+    const agg = _aggregateTreemapData(filteredData, config);
+    if (!agg) return false;
+    const trace = original.data && original.data[0] ? _cloneOption(original.data[0]) : { type: 'treemap' };
+    const ids = [];
+    const labels = [];
+    const parents = [];
+    const values = [];
+    agg.groups.forEach(group => {
+      ids.push(group.name);
+      labels.push(group.name);
+      parents.push('');
+      values.push(group.value);
+      group.children.forEach(child => {
+        ids.push(group.name + '/' + child.name);
+        labels.push(child.name);
+        parents.push(group.name);
+        values.push(child.value);
+      });
+    });
+    trace.ids = ids;
+    trace.labels = labels;
+    trace.parents = parents;
+    trace.values = values;
+    if (agg.hasSubgroups) trace.branchvalues = 'total';
+    Plotly.react(entry.el, [trace], original.layout || entry.el.layout || {});
+    return true;
+  }
 
-    const baseSeries = (option.series || []).filter(s => s && typeof s === 'object');
-    const boxSeriesOrig = baseSeries.find(s => String(s.type || '').toLowerCase() === 'boxplot') || baseSeries[0] || {};
-    const boxSeries = chartRegistry && chartRegistry.deepClone ? chartRegistry.deepClone(boxSeriesOrig) : JSON.parse(JSON.stringify(boxSeriesOrig));
-    boxSeries.type = 'boxplot';
-    boxSeries.name = boxSeries.name || (yVar || 'Values');
-    boxSeries.data = boxData.map(item => item.value);
-    if (boxSeries.encode) delete boxSeries.encode;
-    if (boxSeries.datasetIndex !== undefined) delete boxSeries.datasetIndex;
+  function _rebuildTreemapEcharts(entry, filteredData, config) {
+    const ec = _echartsOriginal(entry);
+    if (!ec) return false;
+    const agg = _aggregateTreemapData(filteredData, config);
+    if (!agg) return false;
+    const option = ec.option;
+    if (!option.series || !option.series.length) option.series = [{ type: 'treemap' }];
+    option.series[0].data = agg.groups.map(group => ({ name: group.name, value: group.value }));
+    ec.inst.setOption(option, true);
+    return true;
+  }
 
-    const seriesList = [boxSeries];
-    if (outlierRows.length > 0) {
-      const outlierOrig = baseSeries.find(s => String(s.type || '').toLowerCase() === 'scatter') || {};
-      const outlierSeries = chartRegistry && chartRegistry.deepClone ? chartRegistry.deepClone(outlierOrig) : JSON.parse(JSON.stringify(outlierOrig));
-      outlierSeries.type = 'scatter';
-      outlierSeries.name = outlierSeries.name || 'Outliers';
-      outlierSeries.data = horizontal
-        ? outlierRows.map(item => [item[1], item[0]])
-        : outlierRows;
-      if (outlierSeries.encode) delete outlierSeries.encode;
-      if (outlierSeries.datasetIndex !== undefined) delete outlierSeries.datasetIndex;
-      seriesList.push(outlierSeries);
+  // ---- Sankey ----
+
+  function _aggregateSankeyData(filteredData, config) {
+    const fromVar = config.fromVar;
+    const toVar = config.toVar;
+    if (!fromVar || !toVar) return null;
+    const links = [];
+    const used = new Set();
+    _sumRowsBy(filteredData, row => String(row[fromVar]) + '\u0000' + String(row[toVar]), ['value'])
+      .forEach((acc, key) => {
+        if (!(acc.value > 0)) return;
+        const parts = key.split('\u0000');
+        links.push({ from: parts[0], to: parts[1], value: acc.value });
+        used.add(parts[0]);
+        used.add(parts[1]);
+      });
+    return { links, nodes: _orderedLabels(config.nodeOrder, used), used };
+  }
+
+  function _rebuildSankeySeries(chart, filteredData, config, entry) {
+    const agg = _aggregateSankeyData(filteredData, config);
+    if (!agg) return false;
+    const series = (chart.series || []).find(s => s && String(s.type || '').toLowerCase() === 'sankey');
+    if (!series) return false;
+    if (entry && !entry.original && chartRegistry && chartRegistry.adapters && chartRegistry.adapters.highcharter) {
+      chartRegistry.adapters.highcharter.storeOriginal(entry);
     }
-    option.series = seriesList;
-    syncEchartsLegend(option, seriesList.map(s => s && s.name));
-    inst.setOption(option, true);
+    // Node options carry the colours from R; keep them for nodes that still have flows
+    const originalSeries = entry && entry.original && Array.isArray(entry.original.series)
+      ? entry.original.series.find(s => s && s.name === series.name)
+      : null;
+    const allNodes = originalSeries && Array.isArray(originalSeries.nodes) ? originalSeries.nodes : (series.options.nodes || []);
+    series.update({
+      nodes: allNodes.filter(node => node && agg.used.has(String(node.id))),
+      data: agg.links.map(link => ({ from: link.from, to: link.to, weight: link.value }))
+    }, false);
+    chart.redraw();
     return true;
   }
 
-  function _rebuildPieSeries(chart, filteredData, config) {
+  function _rebuildSankeyPlotly(entry, filteredData, config) {
+    const original = _plotlyOriginal(entry);
+    if (!original) return false;
+    const agg = _aggregateSankeyData(filteredData, config);
+    if (!agg) return false;
+    const trace = original.data && original.data[0] ? _cloneOption(original.data[0]) : { type: 'sankey' };
+    const node = trace.node || {};
+    const link = trace.link || {};
+    const labels = Array.isArray(node.label) ? node.label.map(String) : agg.nodes;
+    // Link colours follow the source node; reuse the first colour R assigned per source
+    const sourceColor = {};
+    (Array.isArray(link.source) ? link.source : []).forEach((src, i) => {
+      if (Array.isArray(link.color) && sourceColor[src] === undefined) sourceColor[src] = link.color[i];
+    });
+    const kept = agg.links.filter(l => labels.includes(l.from) && labels.includes(l.to));
+    link.source = kept.map(l => labels.indexOf(l.from));
+    link.target = kept.map(l => labels.indexOf(l.to));
+    link.value = kept.map(l => l.value);
+    if (Array.isArray(link.color)) link.color = link.source.map(src => sourceColor[src] || null);
+    trace.node = node;
+    trace.link = link;
+    Plotly.react(entry.el, [trace], original.layout || entry.el.layout || {});
+    return true;
+  }
+
+  function _rebuildSankeyEcharts(entry, filteredData, config) {
+    const ec = _echartsOriginal(entry);
+    if (!ec) return false;
+    const agg = _aggregateSankeyData(filteredData, config);
+    if (!agg) return false;
+    const option = ec.option;
+    if (!option.series || !option.series.length) option.series = [{ type: 'sankey' }];
+    const series = option.series[0];
+    series.data = agg.nodes.map(name => ({ name }));
+    series.links = agg.links.map(l => ({ source: l.from, target: l.to, value: l.value }));
+    ec.inst.setOption(option, true);
+    return true;
+  }
+
+  // ---- Waffle ----
+
+  /**
+   * Recompute the waffle grid the same way viz_waffle() does in R:
+   * proportional squares, rounding remainder added to the largest
+   * category, filled column by column from the top row.
+   */
+  function _buildWaffleSquares(filteredData, config) {
     const xVar = config.xVar;
-    if (!xVar) return false;
+    if (!xVar) return null;
+    const totals = _sumRowsBy(filteredData, row => String(row[xVar]), ['value']);
+    const names = _orderedLabels(config.xOrder, new Set(totals.keys()));
+    const total = Number(config.total) || 100;
+    const rows = Number(config.rows) || 10;
+    const cols = Number(config.cols) || Math.ceil(total / rows);
+    const sum = names.reduce((acc, name) => acc + totals.get(name).value, 0);
+    const order = Array.isArray(config.xOrder) ? config.xOrder.map(String) : names;
+
+    const cats = names.map((name, i) => {
+      const value = totals.get(name).value;
+      const proportion = sum > 0 ? value / sum : 0;
+      const idx = order.indexOf(name);
+      return {
+        name,
+        value,
+        proportion,
+        squares: _roundHalfEven(proportion * total),
+        colorIndex: idx >= 0 ? idx + 1 : i + 1
+      };
+    });
+    if (sum > 0 && cats.length > 0) {
+      const diff = total - cats.reduce((acc, c) => acc + c.squares, 0);
+      if (diff !== 0) {
+        let largest = 0;
+        cats.forEach((c, i) => { if (c.squares > cats[largest].squares) largest = i; });
+        cats[largest].squares += diff;
+      }
+    }
 
-    const counts = {};
-    filteredData.forEach(row => {
-      const label = String(row[xVar]);
-      if (!counts[label]) counts[label] = 0;
-      counts[label] += Number(row.n) || 0;
+    const squares = [];
+    let squareIdx = 0;
+    cats.forEach(cat => {
+      for (let s = 0; s < cat.squares; s++) {
+        squares.push({
+          x: squareIdx % cols,
+          y: rows - 1 - Math.floor(squareIdx / cols),
+          name: cat.name,
+          colorIndex: cat.colorIndex,
+          count: cat.value,
+          pct: Math.round(cat.proportion * 1000) / 10
+        });
+        squareIdx++;
+      }
     });
+    return { squares, categories: cats };
+  }
 
-    const activeLabels = new Set(Object.keys(counts));
-    const labels = Array.isArray(config.xOrder) && config.xOrder.length > 0
-      ? config.xOrder.filter(lbl => activeLabels.has(lbl))
-      : Object.keys(counts);
+  function _rebuildWaffleSeries(chart, filteredData, config) {
+    const waffle = _buildWaffleSquares(filteredData, config);
+    if (!waffle) return false;
+    const series = (chart.series || []).find(s => s && String(s.type || '').toLowerCase() === 'heatmap');
+    if (!series) return false;
+    series.setData(waffle.squares.map(sq => ({
+      x: sq.x,
+      y: sq.y,
+      value: sq.colorIndex,
+      name: sq.name,
+      count: sq.count,
+      pct: sq.pct
+    })), false);
+    chart.redraw();
+    return true;
+  }
 
-    const seriesData = labels.map(label => {
-      const point = { name: label, y: counts[label] || 0 };
-      if (config.colorMap && config.colorMap[label]) point.color = config.colorMap[label];
-      return point;
+  function _rebuildWafflePlotly(entry, filteredData, config) {
+    const original = _plotlyOriginal(entry);
+    if (!original) return false;
+    const waffle = _buildWaffleSquares(filteredData, config);
+    if (!waffle) return false;
+    // plot_ly(color = ~category) draws one trace per category, named after it
+    const traces = (original.data || []).map(t => {
+      const trace = _cloneOption(t);
+      const mine = waffle.squares.filter(sq => sq.name === String(trace.name));
+      trace.x = mine.map(sq => sq.x);
+      trace.y = mine.map(sq => sq.y);
+      trace.text = mine.map(sq => '<b>' + sq.name + '</b><br>Count: ' + sq.count + '<br>' + sq.pct + '% of total');
+      return trace;
     });
+    Plotly.react(entry.el, traces, original.layout || entry.el.layout || {});
+    return true;
+  }
 
-    const pieSeries = (chart.series || []).find(s => s && String(s.type || '').toLowerCase() === 'pie');
-    if (!pieSeries) return false;
-    pieSeries.setData(seriesData, false);
-    pieSeries.setVisible(true, false);
-    pieSeries.update({ showInLegend: true }, false);
-    chart.redraw();
+  function _rebuildWaffleEcharts(entry, filteredData, config) {
+    const ec = _echartsOriginal(entry);
+    if (!ec) return false;
+    const waffle = _buildWaffleSquares(filteredData, config);
+    if (!waffle) return false;
+    const option = ec.option;
+    // The echarts4r backend draws one scatter series of squares per category
+    (option.series || []).forEach(series => {
+      series.data = waffle.squares
+        .filter(sq => sq.name === String(series.name))
+        .map(sq => ({ value: [sq.x, sq.y], name: sq.name, count: sq.count, pct: sq.pct }));
+    });
+    ec.inst.setOption(option, true);
     return true;
   }
 
-  function _rebuildScatterSeries(chart, filteredData, config) {
-    const xVar = config.xVar;
-    const yVar = config.yVar;
-    const groupVar = config.groupVar;
-    if (!xVar || !yVar) return false;
+  // ---- Funnel ----
 
-    const rows = filteredData.filter(row => _toFiniteNumber(row[xVar]) !== null && _toFiniteNumber(row[yVar]) !== null);
-    let groups;
-    if (groupVar) {
-      const active = uniqueNonEmptyNames(rows.map(row => row[groupVar]));
-      groups = Array.isArray(config.groupOrder) && config.groupOrder.length > 0
-        ? uniqueNonEmptyNames(config.groupOrder).filter(g => active.includes(g))
-        : active;
-    } else {
-      groups = ['__all__'];
-    }
+  function _aggregateFunnelData(filteredData, config) {
+    const xVar = config.xVar;
+    if (!xVar) return null;
+    const totals = _sumRowsBy(filteredData, row => String(row[xVar]), ['value']);
+    const stages = _orderedLabels(config.xOrder, new Set(totals.keys()));
+    return { stages, values: stages.map(stage => totals.get(stage).value) };
+  }
 
-    const seriesNamesHandled = new Set();
-    const scatterSeries = (chart.series || []).filter(s => s && String(s.type || '').toLowerCase() === 'scatter');
+  function _rebuildFunnelSeries(chart, filteredData, config) {
+    const agg = _aggregateFunnelData(filteredData, config);
+    if (!agg) return false;
+    const series = (chart.series || []).find(s => s && ['funnel', 'pyramid'].includes(String(s.type || '').toLowerCase()));
+    if (!series) return false;
+    series.setData(agg.stages.map((stage, i) => ({ name: stage, y: agg.values[i] })), false);
+    chart.redraw();
+    return true;
+  }
 
-    groups.forEach(groupName => {
-      const seriesName = groupVar
-        ? groupName
-        : ((scatterSeries[0] && scatterSeries[0].name) || String(config.yVar || 'Value'));
-      const groupRows = groupVar ? rows.filter(row => normalizeSeriesName(row[groupVar]) === groupName) : rows;
-      const points = groupRows.map(row => [Number(row[xVar]), Number(row[yVar])]);
-      let series = (chart.series || []).find(s => s && s.name === seriesName && String(s.type || '').toLowerCase() === 'scatter');
-      if (series) {
-        series.setData(points, false);
-        series.setVisible(true, false);
-        series.update({ showInLegend: !!groupVar }, false);
-      } else {
-        chart.addSeries({
-          type: 'scatter',
-          name: seriesName,
-          data: points,
-          marker: {
-            radius: config.pointSize || 4,
-            fillOpacity: config.alpha != null ? config.alpha : 0.7
-          },
-          showInLegend: !!groupVar
-        }, false);
+  function _rebuildFunnelPlotly(entry, filteredData, config) {
+    const original = _plotlyOriginal(entry);
+    if (!original) return false;
+    const agg = _aggregateFunnelData(filteredData, config);
+    if (!agg) return false;
+    const trace = original.data && original.data[0] ? _cloneOption(original.data[0]) : { type: 'funnel' };
+    const pre = config.tooltipPrefix || '';
+    const suf = config.tooltipSuffix || '';
+    trace.y = agg.stages;
+    trace.x = agg.values;
+    trace.hovertext = agg.stages.map((stage, i) => {
+      let text = '<b>' + stage + '</b><br/>' + pre + Math.round(agg.values[i]).toLocaleString('en-US') + suf;
+      if (config.showConversion && i > 0 && agg.values[i - 1]) {
+        const conv = Math.round(agg.values[i] / agg.values[i - 1] * 1000) / 10;
+        text += "<br/><span style='color:#666;font-size:0.9em'>Conversion: " + conv + '%</span>';
       }
-      seriesNamesHandled.add(seriesName);
+      return text;
     });
+    const layout = _cloneOption(original.layout || entry.el.layout || {});
+    if (layout.yaxis) layout.yaxis.categoryarray = agg.stages.slice().reverse();
+    Plotly.react(entry.el, [trace], layout);
+    return true;
+  }
 
-    scatterSeries.forEach(series => {
-      if (!series || typeof series !== 'object') return;
-      if (!seriesNamesHandled.has(series.name)) {
-        series.setData([], false);
-        series.setVisible(false, false);
-        series.update({ showInLegend: false }, false);
-      }
-    });
+  function _rebuildFunnelEcharts(entry, filteredData, config) {
+    const ec = _echartsOriginal(entry);
+    if (!ec) return false;
+    const agg = _aggregateFunnelData(filteredData, config);
+    if (!agg) return false;
+    const option = ec.option;
+    if (!option.series || !option.series.length) option.series = [{ type: 'funnel' }];
+    const series = option.series[0];
+    series.data = agg.stages.map((stage, i) => ({ name: stage, value: agg.values[i] }));
+    if (series.encode) delete series.encode;
+    if (series.datasetIndex !== undefined) delete series.datasetIndex;
+    if (option.dataset) delete option.dataset;
+    syncEchartsLegend(option, agg.stages);
+    ec.inst.setOption(option, true);
+    return true;
+  }
+
+  // ---- Map ----
+
+  function _aggregateMapData(filteredData, config) {
+    const joinVar = config.joinVar;
+    if (!joinVar) return null;
+    const totals = _sumRowsBy(filteredData, row => String(row[joinVar]), ['value']);
+    const regions = Array.from(totals.keys()).map(code => ({ code, value: totals.get(code).value }));
+    const values = regions.map(r => r.value);
+    return {
+      regions,
+      min: values.length ? Math.min.apply(null, values) : null,
+      max: values.length ? Math.max.apply(null, values) : null
+    };
+  }
 
+  function _rebuildMapSeries(chart, filteredData, config) {
+    const agg = _aggregateMapData(filteredData, config);
+    if (!agg) return false;
+    const series = (chart.series || []).find(s => s && String(s.type || '').toLowerCase() === 'map' && s.options && s.options.joinBy);
+    if (!series) return false;
+    // hcmap() joins on the data column named after join_var
+    series.setData(agg.regions.map(r => {
+      const point = { value: r.value };
+      point[config.joinVar] = r.code;
+      return point;
+    }), false);
     chart.redraw();
     return true;
   }
 
-  function _rebuildBoxplotSeries(chart, filteredData, config) {
-    const xVar = config.xVar;
-    const yVar = config.yVar;
-    if (!xVar || !yVar) return false;
+  function _rebuildMapPlotly(entry, filteredData, config) {
+    const original = _plotlyOriginal(entry);
+    if (!original) return false;
+    const agg = _aggregateMapData(filteredData, config);
+    if (!agg) return false;
+    const trace = original.data && original.data[0] ? _cloneOption(original.data[0]) : { type: 'choropleth' };
+    trace.locations = agg.regions.map(r => r.code);
+    trace.z = agg.regions.map(r => r.value);
+    Plotly.react(entry.el, [trace], original.layout || entry.el.layout || {});
+    return true;
+  }
 
-    const grouped = {};
+  function _rebuildMapEcharts(entry, filteredData, config) {
+    const ec = _echartsOriginal(entry);
+    if (!ec) return false;
+    const agg = _aggregateMapData(filteredData, config);
+    if (!agg) return false;
+    const option = ec.option;
+    if (!option.series || !option.series.length) return false;
+    option.series[0].data = agg.regions.map(r => ({ name: r.code, value: r.value }));
+    const visualMap = _firstAxis(option.visualMap);
+    if (visualMap && !config.fixedScale && agg.min !== null) {
+      visualMap.min = agg.min;
+      visualMap.max = agg.max;
+    }
+    ec.inst.setOption(option, true);
+    return true;
+  }
+
+  // ---- Gauge ----
+
+  function _aggregateGaugeValue(filteredData, config) {
+    let sum = 0;
+    let n = 0;
     filteredData.forEach(row => {
-      const group = String(row[xVar]);
-      const value = _toFiniteNumber(row[yVar]);
-      if (value === null) return;
-      if (!grouped[group]) grouped[group] = [];
-      grouped[group].push(value);
+      sum += Number(row.value) || 0;
+      n += Number(row.n) || 0;
     });
+    if (n === 0) return null;
+    const factor = Math.pow(10, config.decimals !== undefined ? Number(config.decimals) : 1);
+    return Math.round(sum / n * factor) / factor;
+  }
 
-    const activeGroups = Object.keys(grouped);
-    const groups = Array.isArray(config.xOrder) && config.xOrder.length > 0
-      ? config.xOrder.filter(g => activeGroups.includes(g))
-      : activeGroups;
-
-    if (chart.xAxis && chart.xAxis[0] && typeof chart.xAxis[0].setCategories === 'function') {
-      chart.xAxis[0].setCategories(groups, false);
+  function _rebuildGaugeSeries(chart, filteredData, config) {
+    const series = chart.series && chart.series[0];
+    if (!series) return false;
+    const value = _aggregateGaugeValue(filteredData, config);
+    const point = series.points && series.points[0];
+    if (point) {
+      point.update({ y: value }, false);
+    } else {
+      series.setData([{ y: value }], false);
     }
+    chart.redraw();
+    return true;
+  }
 
-    const boxSeries = (chart.series || []).find(s => s && String(s.type || '').toLowerCase() === 'boxplot');
-    if (!boxSeries) return false;
+  function _rebuildGaugePlotly(entry, filteredData, config) {
+    const original = _plotlyOriginal(entry);
+    if (!original || !original.data || !original.data[0]) return false;
+    const trace = _cloneOption(original.data[0]);
+    trace.value = _aggregateGaugeValue(filteredData, config);
+    Plotly.react(entry.el, [trace], original.layout || entry.el.layout || {});
+    return true;
+  }
 
-    const boxData = groups.map(group => {
-      const stats = _computeBoxStats(grouped[group]);
-      if (!stats) return null;
-      if (config.colorMap && config.colorMap[group]) {
-        return {
-          low: stats.low,
-          q1: stats.q1,
-          median: stats.median,
-          q3: stats.q3,
-          high: stats.high,
-          color: config.colorMap[group]
-        };
-      }
-      return [stats.low, stats.q1, stats.median, stats.q3, stats.high];
-    }).filter(Boolean);
-    boxSeries.setData(boxData, false);
-    boxSeries.setVisible(true, false);
-    boxSeries.update({ showInLegend: false }, false);
+  function _rebuildGaugeEcharts(entry, filteredData, config) {
+    const ec = _echartsOriginal(entry);
+    if (!ec) return false;
+    const option = ec.option;
+    if (!option.series || !option.series.length) return false;
+    const series = option.series[0];
+    const first = Array.isArray(series.data) && series.data[0] && typeof series.data[0] === 'object' ? series.data[0] : {};
+    series.data = [{ name: first.name || series.name || '', value: _aggregateGaugeValue(filteredData, config) }];
+    ec.inst.setOption(option, true);
+    return true;
+  }
 
-    const showOutliers = config.showOutliers !== false;
-    const outlierPoints = [];
-    if (showOutliers) {
-      groups.forEach((group, idx) => {
-        const stats = _computeBoxStats(grouped[group]);
-        if (!stats || !stats.outliers || !stats.outliers.length) return;
-        stats.outliers.forEach(outlier => {
-          outlierPoints.push({ x: idx, y: outlier });
-        });
-      });
+  // ---- Dumbbell ----
+
+  function _aggregateDumbbellData(filteredData, config) {
+    const xVar = config.xVar;
+    if (!xVar) return null;
+    const totals = _sumRowsBy(filteredData, row => String(row[xVar]), ['low', 'high', 'n']);
+    let categories = _orderedLabels(config.xOrder, new Set(totals.keys()));
+    const mean = (cat, field) => {
+      const acc = totals.get(cat);
+      return acc.n > 0 ? acc[field] / acc.n : null;
+    };
+    if (config.sortByGap) {
+      const gap = cat => mean(cat, 'high') - mean(cat, 'low');
+      categories = categories.slice().sort((a, b) => config.sortDesc ? gap(b) - gap(a) : gap(a) - gap(b));
     }
+    let lowIntervals = null;
+    let highIntervals = null;
+    if (_hasErrorBars(config)) {
+      const lowBy = _intervalsBy(filteredData, config, row => String(row[xVar]), 'low', 'low_sumsq');
+      const highBy = _intervalsBy(filteredData, config, row => String(row[xVar]), 'high', 'high_sumsq');
+      lowIntervals = categories.map(cat => lowBy[cat]);
+      highIntervals = categories.map(cat => highBy[cat]);
+    }
+    return {
+      categories,
+      lows: categories.map(cat => mean(cat, 'low')),
+      highs: categories.map(cat => mean(cat, 'high')),
+      lowIntervals,
+      highIntervals
+    };
+  }
 
-    let outlierSeries = (chart.series || []).find(s => s && String(s.type || '').toLowerCase() === 'scatter');
-    if (showOutliers && outlierPoints.length > 0) {
-      if (!outlierSeries) {
-        chart.addSeries({
-          type: 'scatter',
-          name: 'Outliers',
-          data: outlierPoints,
-          showInLegend: false,
-          marker: {
-            fillColor: 'white',
-            lineWidth: 1,
-            lineColor: 'black',
-            symbol: 'circle'
-          }
-        }, false);
-      } else {
-        outlierSeries.setData(outlierPoints, false);
-        outlierSeries.setVisible(true, false);
-        outlierSeries.update({ showInLegend: false }, false);
-      }
-    } else if (outlierSeries) {
-      outlierSeries.setData([], false);
-      outlierSeries.setVisible(false, false);
-      outlierSeries.update({ showInLegend: false }, false);
+  function _rebuildDumbbellSeries(chart, filteredData, config) {
+    const agg = _aggregateDumbbellData(filteredData, config);
+    if (!agg) return false;
+    const series = (chart.series || []).find(s => s && String(s.type || '').toLowerCase() === 'dumbbell');
+    if (!series) return false;
+    if (chart.xAxis && chart.xAxis[0]) chart.xAxis[0].setCategories(agg.categories, false);
+    series.setData(agg.categories.map((cat, i) => ({ name: cat, low: agg.lows[i], high: agg.highs[i] })), false);
+    if (agg.lowIntervals) {
+      _setErrorBarsHC(chart, series, _errorBarName(config, config.lowLabel),
+        agg.lowIntervals.map(_hcErrorPoint), series.options.lowColor);
+      _setErrorBarsHC(chart, series, _errorBarName(config, config.highLabel),
+        agg.highIntervals.map(_hcErrorPoint), series.options.color);
+    }
+    chart.redraw();
+    return true;
+  }
+
+  function _rebuildDumbbellPlotly(entry, filteredData, config) {
+    const original = _plotlyOriginal(entry);
+    if (!original) return false;
+    const agg = _aggregateDumbbellData(filteredData, config);
+    if (!agg) return false;
+    const data = original.data || [];
+    const horizontal = config.horizontal !== false;
+    const isMarkers = t => t && String(t.mode || '').indexOf('markers') !== -1;
+    const segmentTemplate = data.find(t => t && !isMarkers(t)) || { type: 'scatter', mode: 'lines', showlegend: false };
+    const pair = (cat, value) => horizontal ? { x: value, y: cat } : { x: cat, y: value };
+
+    const traces = agg.categories.map((cat, i) => {
+      const seg = _cloneOption(segmentTemplate);
+      const a = pair(cat, agg.lows[i]);
+      const b = pair(cat, agg.highs[i]);
+      seg.x = [a.x, b.x];
+      seg.y = [a.y, b.y];
+      return seg;
+    });
+    data.filter(isMarkers).forEach((t, idx) => {
+      const trace = _cloneOption(t);
+      const isHigh = trace.name === config.highLabel || (trace.name !== config.lowLabel && idx > 0);
+      const values = isHigh ? agg.highs : agg.lows;
+      trace.x = agg.categories.map((cat, i) => pair(cat, values[i]).x);
+      trace.y = agg.categories.map((cat, i) => pair(cat, values[i]).y);
+      if (agg.lowIntervals) _plotlyErrorBars(trace, isHigh ? agg.highIntervals : agg.lowIntervals, horizontal);
+      traces.push(trace);
+    });
+    Plotly.react(entry.el, traces, original.layout || entry.el.layout || {});
+    return true;
+  }
+
+  function _rebuildDumbbellEcharts(entry, filteredData, config) {
+    const ec = _echartsOriginal(entry);
+    if (!ec) return false;
+    const agg = _aggregateDumbbellData(filteredData, config);
+    if (!agg) return false;
+    const option = ec.option;
+    const xAxis = _firstAxis(option.xAxis);
+    const yAxis = _firstAxis(option.yAxis);
+    // e_flip_coords() moves the categories to the y axis
+    const flipped = !!(yAxis && yAxis.type === 'category');
+    const catAxis = flipped ? yAxis : xAxis;
+    if (catAxis) catAxis.data = agg.categories;
+    (option.series || []).forEach((series, idx) => {
+      const isHigh = series.name === config.highLabel || (series.name !== config.lowLabel && idx > 0);
+      const values = isHigh ? agg.highs : agg.lows;
+      series.data = agg.categories.map((cat, i) => flipped ? [values[i], cat] : [cat, values[i]]);
+      if (series.encode) delete series.encode;
+      if (series.datasetIndex !== undefined) delete series.datasetIndex;
+    });
+    if (agg.lowIntervals) {
+      (option.series || []).slice().forEach((series, idx) => {
+        const isHigh = series.name === config.highLabel || (series.name !== config.lowLabel && idx > 0);
+        const intervals = isHigh ? agg.highIntervals : agg.lowIntervals;
+        option.series.push(_echartsErrorBarSeries(_errorBarName(config, series.name),
+          agg.categories.map((cat, i) => _echartsErrorPoint(cat, intervals[i])), flipped,
+          series.itemStyle && series.itemStyle.color));
+      });
     }
-
-    chart.redraw();
+    if (option.dataset) delete option.dataset;
+    ec.inst.setOption(option, true);
     return true;
   }
 
-  /**
-   * Rebuild a simple bar chart's series from filtered cross-tab data.
-   */
-  function _rebuildBarSeries(chart, filteredData, config) {
-    var xVar = config.xVar;
-    var groupVar = config.groupVar;
-    // Guard against R NULL serialized as {} (empty object) which is truthy in JS
-    if (groupVar && typeof groupVar === 'object' && !Array.isArray(groupVar) && Object.keys(groupVar).length === 0) groupVar = null;
-    var xOrder = config.xOrder;
-    var groupOrder = config.groupOrder;
-    var labelDec = (config.labelDecimals != null) ? config.labelDecimals : 0;
-    var barType = config.barType || 'count';
-    var isPercent = (barType === 'percent');
+  const CROSS_TAB_REBUILDERS = {
+    heatmap:  { highcharter: _rebuildHeatmapSeries,  plotly: _rebuildHeatmapPlotly,  echarts4r: _rebuildHeatmapEcharts },
+    treemap:  { highcharter: _rebuildTreemapSeries,  plotly: _rebuildTreemapPlotly,  echarts4r: _rebuildTreemapEcharts },
+    sankey:   { highcharter: _rebuildSankeySeries,   plotly: _rebuildSankeyPlotly,   echarts4r: _rebuildSankeyEcharts },
+    waffle:   { highcharter: _rebuildWaffleSeries,   plotly: _rebuildWafflePlotly,   echarts4r: _rebuildWaffleEcharts },
+    funnel:   { highcharter: _rebuildFunnelSeries,   plotly: _rebuildFunnelPlotly,   echarts4r: _rebuildFunnelEcharts },
+    map:      { highcharter: _rebuildMapSeries,      plotly: _rebuildMapPlotly,      echarts4r: _rebuildMapEcharts },
+    gauge:    { highcharter: _rebuildGaugeSeries,    plotly: _rebuildGaugePlotly,    echarts4r: _rebuildGaugeEcharts },
+    dumbbell: { highcharter: _rebuildDumbbellSeries, plotly: _rebuildDumbbellPlotly, echarts4r: _rebuildDumbbellEcharts }
+  };
 
-    if (groupVar) {
-      // Grouped bar chart: sum by xVar + groupVar
-      var summed = {};
-      filteredData.forEach(function(row) {
-        var xVal = String(row[xVar]);
-        var gVal = String(row[groupVar]);
-        var key = xVal + '|||' + gVal;
-        if (!summed[key]) summed[key] = { xVal: xVal, gVal: gVal, n: 0 };
-        summed[key].n += row.n;
-      });
+  // =================================================================
+  // Chart Cross-Filtering (chart-as-input)
+  // =================================================================
+  // Clicking a category (bar, pie slice, point) or a legend item in a
+  // registered chart sets the matching filterVar as if it had been
+  // picked in an input. The variable comes from the chart's cross-tab
+  // config (xVar/timeVar for categories, groupVar/stackVar for legend
+  // items). When inputs exist for that variable their UI is synced;
+  // otherwise a chart-only entry is kept in inputState.
+  //
+  // Shift-click adds/removes values, clicking the only selected value
+  // again clears it. The source chart is not filtered by its own
+  // selection — it highlights the selected points instead and shows a
+  // "clear selection" chip above the chart. On charts with a drill-down
+  // a plain click opens the drill-down modal instead (openDrilldown()).
+  // =================================================================
 
-      var byX = {};
-      Object.values(summed).forEach(function(item) {
-        if (!byX[item.xVal]) byX[item.xVal] = {};
-        byX[item.xVal][item.gVal] = item.n;
-      });
+  const chartSelections = {};  // filterVar -> { sourceId, kind, values, inputIds }
+  const CHART_SELECTION_PREFIX = '__chart__';
+  const CHART_SELECTABLE_TYPES = ['select', 'checkbox', 'radio', 'button_group'];
 
-      // Calculate total for percentage mode
-      var grandTotal = 0;
-      if (isPercent) {
-        Object.values(summed).forEach(function(item) { grandTotal += item.n; });
-      }
+  function getCrossTabConfig(chartId) {
+    const info = window.dashboardrCrossTab && window.dashboardrCrossTab[chartId];
+    return info && info.config ? info.config : null;
+  }
 
-      var activeXValues = new Set(Object.keys(byX));
-      var orderedX = xOrder && xOrder.length > 0
-        ? xOrder.filter(function(xv) { return activeXValues.has(xv); })
-        : Object.keys(byX);
+  function sameValues(a, b) {
+    const left = (a || []).map(String).sort();
+    const right = (b || []).map(String).sort();
+    return left.length === right.length && left.every((v, i) => v === right[i]);
+  }
 
-      var activeGroups = new Set(Object.values(summed).map(function(s) { return s.gVal; }));
-      var orderedGroups = groupOrder && groupOrder.length > 0
-        ? groupOrder.filter(function(g) { return activeGroups.has(g); })
-        : Array.from(activeGroups);
+  /**
+   * Values offered by a discrete input (options, checkboxes, radios, buttons).
+   */
+  function getInputOptionValues(inputId) {
+    const el = document.getElementById(inputId);
+    if (!el) return [];
+    if (el.tagName === 'SELECT') {
+      return Array.from(el.options).map(o => o.value);
+    }
+    const nodes = el.querySelectorAll('input[type="checkbox"], input[type="radio"], .dashboardr-button-option');
+    return Array.from(nodes).map(n => (n.dataset && n.dataset.value !== undefined) ? n.dataset.value : n.value);
+  }
 
-      if (chart.xAxis && chart.xAxis[0]) {
-        chart.xAxis[0].setCategories(orderedX, false);
+  /**
+   * A chart selection only makes sense if something else on the page
+   * responds to the variable: an input, another chart or a table.
+   */
+  function isCrossFilterTarget(filterVar, sourceId) {
+    const hasInput = Object.keys(inputState).some(id =>
+      inputState[id].filterVar === filterVar &&
+      inputState[id].inputType !== 'chart' && inputState[id].inputType !== 'range'
+    );
+    if (hasInput) return true;
+    const listsVar = vars => {
+      if (typeof vars === 'string') vars = [vars];
+      return Array.isArray(vars) && vars.includes(filterVar);
+    };
+    const chartHit = getChartEntries().some(e => {
+      if (!e || e.id === sourceId) return false;
+      const config = getCrossTabConfig(e.id);
+      return listsVar(e.filterVars) || (config && listsVar(config.filterVars));
+    });
+    if (chartHit) return true;
+    if (!chartRegistry) return false;
+    const tables = []
+      .concat(chartRegistry.getTables ? chartRegistry.getTables() : [])
+      .concat(chartRegistry.getDTs ? chartRegistry.getDTs() : [])
+      .concat(chartRegistry.getReactables ? chartRegistry.getReactables() : []);
+    return tables.some(t => t && listsVar(t.filterVars));
+  }
+
+  /**
+   * Map a clicked chart element to the filterVar it represents.
+   * @param {Object} entry - Chart registry entry
+   * @param {string} kind  - 'category' (point/slice) or 'series' (legend item)
+   * @param {string} value - Clicked category or series name
+   * @returns {string|null}
+   */
+  function resolveClickFilterVar(entry, kind, value) {
+    if (!entry || value === undefined || value === null || value === '') return null;
+    const config = getCrossTabConfig(entry.id);
+    if (config && config.crossFilter === false) return null;
+    let filterVar = null;
+    if (config) {
+      if (kind === 'series') {
+        filterVar = config.groupVar || config.stackVar || null;
+      } else if (config.chartType !== 'scatter') {
+        filterVar = config.xVar || config.timeVar || null;
       }
+    } else {
+      // No cross-tab config: use the input that offers this value
+      const key = String(value);
+      const inputId = Object.keys(inputState).find(id =>
+        CHART_SELECTABLE_TYPES.includes(inputState[id].inputType) &&
+        getInputOptionValues(id).includes(key)
+      );
+      filterVar = inputId ? inputState[inputId].filterVar : null;
+    }
+    if (!filterVar || !isCrossFilterTarget(filterVar, entry.id)) return null;
+    return filterVar;
+  }
 
-      orderedGroups.forEach(function(gVal) {
-        var seriesData = orderedX.map(function(xVal) {
-          var count = (byX[xVal] && byX[xVal][gVal]) ? byX[xVal][gVal] : 0;
-          if (isPercent && grandTotal > 0) {
-            return Math.round((count / grandTotal * 100) * 10) / 10;
-          }
-          return count;
+  /**
+   * Set a discrete input's UI and state without firing its change handler.
+   */
+  function setInputSelection(inputId, values) {
+    const state = inputState[inputId];
+    const element = document.getElementById(inputId);
+    if (!state || !element) return;
+    if (state.inputType === 'select') {
+      if (choicesInstances[inputId]) {
+        choicesInstances[inputId].removeActiveItems();
+        if (values.length > 0) choicesInstances[inputId].setChoiceByValue(values);
+      } else if (element.tagName === 'SELECT') {
+        Array.from(element.options).forEach(opt => {
+          opt.selected = values.includes(opt.value);
         });
-        var series = (chart.series || []).find(function(s) { return s && s.name === gVal; });
-        if (series) {
-          series.setData(seriesData, false);
-          series.setVisible(true, false);
-          series.update({ showInLegend: true }, false);
-        }
-      });
-
-      // Hide series not in filtered data
-      (chart.series || []).forEach(function(series) {
-        if (!series || typeof series !== 'object') return;
-        if (!activeGroups.has(series.name)) {
-          series.setVisible(false, false);
-          series.update({ showInLegend: false }, false);
-        }
+      }
+    } else if (state.inputType === 'checkbox') {
+      element.querySelectorAll('input[type="checkbox"]').forEach(cb => {
+        cb.checked = values.includes(cb.value);
       });
-    } else {
-      // Simple bar chart: sum by xVar only
-      var counts = {};
-      var total = 0;
-      filteredData.forEach(function(row) {
-        var xVal = String(row[xVar]);
-        if (!counts[xVal]) counts[xVal] = 0;
-        counts[xVal] += row.n;
-        total += row.n;
+    } else if (state.inputType === 'radio') {
+      element.querySelectorAll('input[type="radio"]').forEach(radio => {
+        radio.checked = values.includes(radio.value);
       });
-
-      var activeX = new Set(Object.keys(counts));
-      var orderedXSimple = xOrder && xOrder.length > 0
-        ? xOrder.filter(function(xv) { return activeX.has(xv); })
-        : Object.keys(counts);
-
-      if (chart.xAxis && chart.xAxis[0]) {
-        chart.xAxis[0].setCategories(orderedXSimple, false);
-      }
-
-      var seriesData = orderedXSimple.map(function(xVal) {
-        var count = counts[xVal] || 0;
-        if (isPercent && total > 0) {
-          return Math.round((count / total * 100) * 10) / 10;
-        }
-        return count;
+    } else if (state.inputType === 'button_group') {
+      element.querySelectorAll('.dashboardr-button-option').forEach(btn => {
+        btn.classList.toggle('active', values.includes(btn.dataset.value));
       });
-
-      if (chart.series && chart.series[0]) {
-        chart.series[0].setData(seriesData, false);
-      }
     }
+    state.selected = values.slice();
+  }
 
-    // Update title if template
-    if (config.titleTemplate) {
-      var newTitle = config.titleTemplate;
-      if (chart.setTitle) {
-        chart.setTitle({ text: newTitle }, null, false);
-      }
+  function acceptsMultiple(inputId) {
+    const state = inputState[inputId];
+    if (!state) return false;
+    if (state.inputType === 'checkbox') return true;
+    if (state.inputType === 'select') {
+      const el = document.getElementById(inputId);
+      return !!(el && el.multiple);
     }
+    return false;
+  }
 
-    chart.redraw();
-
-    // Force yAxis to start at 0 for bar charts (prevents floating bars)
-    if (chart.yAxis && chart.yAxis[0]) {
-      try {
-        chart.yAxis[0].update({ min: 0, startOnTick: false }, true);
-      } catch(e) {}
+  /**
+   * Select values of filterVar from a chart.
+   * @param {string} filterVar - Variable to filter on
+   * @param {string[]} values  - Selected values
+   * @param {string} [sourceId] - Chart that owns the selection (not filtered by it)
+   * @param {string} [kind]     - 'category' or 'series' (what to highlight)
+   */
+  function setChartSelection(filterVar, values, sourceId, kind) {
+    if (!filterVar) return;
+    let applied = (values || []).map(String);
+    if (applied.length === 0) {
+      clearChartSelection(filterVar);
+      return;
+    }
+    // Only inputs of the chart's own scope follow its selection
+    const scope = chartScope(sourceId);
+    const inputIds = Object.keys(inputState).filter(id =>
+      inputState[id].filterVar === filterVar &&
+      CHART_SELECTABLE_TYPES.includes(inputState[id].inputType) &&
+      inputScope(id) === scope
+    );
+    if (inputIds.length > 0) {
+      inputIds.forEach(id => {
+        setInputSelection(id, acceptsMultiple(id) ? applied : applied.slice(-1));
+      });
+      // Single-value inputs keep only the last clicked value
+      applied = inputState[inputIds[0]].selected.slice();
+    } else {
+      inputState[CHART_SELECTION_PREFIX + filterVar] = {
+        filterVar: filterVar,
+        inputType: 'chart',
+        selected: applied.slice(),
+        scope: scope
+      };
     }
+    chartSelections[filterVar] = {
+      sourceId: sourceId || null,
+      kind: kind || 'category',
+      values: applied,
+      inputIds: inputIds
+    };
+    debugLog('chart-selection', { filterVar: filterVar, values: applied, sourceId: sourceId || null });
+    applyAllFilters();
+  }
 
-    // Schedule a reflow to handle cases where chart was hidden during redraw
-    requestAnimationFrame(function() {
-      try { chart.reflow(); } catch(e) {}
+  /**
+   * Clear one chart selection (or all when filterVar is omitted). Inputs
+   * driven by the selection go back to their defaults.
+   */
+  function clearChartSelection(filterVar) {
+    const targets = filterVar ? [filterVar] : Object.keys(chartSelections);
+    targets.forEach(fv => {
+      const sel = chartSelections[fv];
+      if (!sel) return;
+      sel.inputIds.forEach(id => {
+        const defaults = defaultValues[id];
+        if (defaults && defaults.selected) setInputSelection(id, defaults.selected.slice());
+      });
+      delete inputState[CHART_SELECTION_PREFIX + fv];
+      delete chartSelections[fv];
     });
+    applyAllFilters();
+  }
 
+  function handleChartClick(entry, kind, value, additive) {
+    const filterVar = resolveClickFilterVar(entry, kind, value);
+    if (!filterVar) return false;
+    const key = String(value);
+    const current = chartSelections[filterVar];
+    let values = current && current.sourceId === entry.id ? current.values.slice() : [];
+    if (additive) {
+      const idx = values.indexOf(key);
+      if (idx >= 0) values.splice(idx, 1);
+      else values.push(key);
+    } else {
+      values = values.length === 1 && values[0] === key ? [] : [key];
+    }
+    setChartSelection(filterVar, values, entry.id, kind);
     return true;
   }
 
   /**
-   * Rebuild a stacked-bar chart's series from filtered cross-tab data.
+   * Drop selections whose inputs were changed directly by the user, and
+   * chart-only selections when a reset wiped them from inputState.
    */
-  function _rebuildStackedBarSeries(chart, filteredData, config) {
-    const { xVar, stackVar, stackedType, stackOrder, xOrder } = config;
-    var labelDec = (config.labelDecimals != null) ? config.labelDecimals : (stackedType === 'percent' ? 1 : 0);
-    var factor = Math.pow(10, labelDec);
-    
-    // Sum by x_var and stack_var (drop filter dimensions)
-    const summed = {};
-    filteredData.forEach(row => {
-      const xVal = String(row[xVar]);
-      const stackVal = String(row[stackVar]);
-      const key = xVal + '|||' + stackVal;
-      
-      if (!summed[key]) {
-        summed[key] = { xVal, stackVal, n: 0 };
-      }
-      summed[key].n += row.n;
-    });
-    
-    // Organize by x_var for percentage calculation
-    const byX = {};
-    Object.values(summed).forEach(item => {
-      if (!byX[item.xVal]) {
-        byX[item.xVal] = {};
-      }
-      byX[item.xVal][item.stackVal] = item.n;
+  function syncChartSelections() {
+    Object.keys(chartSelections).forEach(fv => {
+      const sel = chartSelections[fv];
+      const first = sel.inputIds[0];
+      const stale = first
+        ? !inputState[first] || !sameValues(inputState[first].selected, sel.values)
+        : !inputState[CHART_SELECTION_PREFIX + fv];
+      if (stale) delete chartSelections[fv];
     });
-    
-    // Calculate totals per x for percentage mode
-    const xTotals = {};
-    Object.keys(byX).forEach(xVal => {
-      xTotals[xVal] = Object.values(byX[xVal]).reduce((sum, n) => sum + n, 0);
+    Object.keys(brushSelections).forEach(fv => {
+      if (!inputState[BRUSH_SELECTION_PREFIX + fv]) delete brushSelections[fv];
     });
-    
-    const isPercent = stackedType === 'percent';
-    
-    // Determine which x values actually exist in the filtered data
-    const activeXValues = new Set(Object.keys(byX));
-    const orderedX = xOrder && xOrder.length > 0
-      ? xOrder.filter(xv => activeXValues.has(xv))
-      : Object.keys(byX);
-    
-    // Determine which stack values actually exist
-    const activeStackValues = new Set(Object.values(summed).map(s => s.stackVal));
-    const orderedStack = stackOrder && stackOrder.length > 0
-      ? stackOrder.filter(sv => activeStackValues.has(sv))
-      : [...activeStackValues];
-    
-    // Update chart categories (x-axis)
-    if (chart.xAxis && chart.xAxis[0]) {
-      chart.xAxis[0].setCategories(orderedX, false);
-    }
-    
-    const activeSeriesNames = new Set(orderedStack);
-    
-    // Update active series with data
-    orderedStack.forEach((stackVal) => {
-      const seriesData = orderedX.map(xVal => {
-        const count = (byX[xVal] && byX[xVal][stackVal]) ? byX[xVal][stackVal] : 0;
-        if (isPercent && xTotals[xVal] > 0) {
-          return Math.round(((count / xTotals[xVal]) * 100) * factor) / factor;
-        }
-        return count;
+  }
+
+  /**
+   * The source chart of a selection keeps showing every category.
+   * Also used with brushSelections for range filters.
+   */
+  function filtersForEntry(entry, filters, selections) {
+    const owned = selections || chartSelections;
+    const own = Object.keys(owned).filter(fv =>
+      entry && owned[fv].sourceId === entry.id && filters[fv]
+    );
+    if (own.length === 0) return filters;
+    const copy = Object.assign({}, filters);
+    own.forEach(fv => { delete copy[fv]; });
+    return copy;
+  }
+
+  function findEntryForHighchart(chart) {
+    return getChartEntries().find(e =>
+      e && e.backend === 'highcharter' && chartRegistry && chartRegistry.resolveHighchart(e) === chart
+    ) || null;
+  }
+
+  function bindChartCrossFilters() {
+    if (typeof Highcharts !== 'undefined' && Highcharts.addEvent && !Highcharts.__dashboardrCrossFilter) {
+      Highcharts.__dashboardrCrossFilter = true;
+      Highcharts.addEvent(Highcharts.Point, 'click', function(e) {
+        const point = this;
+        const entry = point.series ? findEntryForHighchart(point.series.chart) : null;
+        if (!entry) return;
+        const value = point.series.type === 'pie' || point.category === undefined ? point.name : point.category;
+        const shift = !!(e && e.shiftKey);
+        if (!shift && openDrilldown(entry, value, point.series.name)) return;
+        handleChartClick(entry, 'category', value, shift);
       });
-      
-      let series = (chart.series || []).find(s => s && s.name === stackVal);
-      if (series) {
-        var updateOpts = { showInLegend: true };
-        if (config.colorMap && config.colorMap[stackVal]) {
-          updateOpts.color = config.colorMap[stackVal];
-        }
-        series.setData(seriesData, false);
-        series.setVisible(true, false);
-        series.update(updateOpts, false);
+      // Legend items of series (grouped/stacked charts) and of pie slices
+      Highcharts.addEvent(Highcharts.Series, 'legendItemClick', function(e) {
+        const entry = findEntryForHighchart(this.chart);
+        const shift = !!(e && e.browserEvent && e.browserEvent.shiftKey);
+        if (entry && handleChartClick(entry, 'series', this.name, shift)) e.preventDefault();
+      });
+      Highcharts.addEvent(Highcharts.Point, 'legendItemClick', function(e) {
+        const entry = this.series ? findEntryForHighchart(this.series.chart) : null;
+        const shift = !!(e && e.browserEvent && e.browserEvent.shiftKey);
+        if (entry && handleChartClick(entry, 'category', this.name, shift)) e.preventDefault();
+      });
+    }
+
+    getChartEntries().forEach(entry => {
+      if (!entry || !entry.el) return;
+      if (entry.backend === 'echarts4r' && typeof echarts !== 'undefined') {
+        const inst = echarts.getInstanceByDom(entry.el);
+        if (!inst || inst.__dashboardrCrossFilter) return;
+        inst.__dashboardrCrossFilter = true;
+        inst.on('click', params => {
+          if (!params || params.componentType !== 'series') return;
+          const ev = params.event && params.event.event;
+          const shift = !!(ev && ev.shiftKey);
+          if (!shift && openDrilldown(entry, params.name, params.seriesName)) return;
+          handleChartClick(entry, 'category', params.name, shift);
+        });
+        inst.on('legendselectchanged', params => {
+          if (!params || !resolveClickFilterVar(entry, 'series', params.name)) return;
+          // Keep the series visible: the click selects instead of toggling
+          inst.dispatchAction({ type: 'legendSelect', name: params.name });
+          handleChartClick(entry, 'series', params.name, false);
+        });
+      } else if (entry.backend === 'plotly' && typeof entry.el.on === 'function') {
+        if (entry.el.__dashboardrCrossFilter) return;
+        entry.el.__dashboardrCrossFilter = true;
+        entry.el.on('plotly_click', data => {
+          const pt = data && data.points && data.points[0];
+          if (!pt) return;
+          const trace = pt.data || {};
+          let value = pt.label;
+          if (trace.type !== 'pie') value = trace.orientation === 'h' ? pt.y : pt.x;
+          const shift = !!(data.event && data.event.shiftKey);
+          if (!shift && openDrilldown(entry, value, trace.name)) return;
+          handleChartClick(entry, 'category', value, shift);
+        });
+        entry.el.on('plotly_legendclick', data => {
+          const trace = data && data.data ? data.data[data.curveNumber] : null;
+          if (!trace) return true;
+          if (trace.type === 'pie') {
+            const label = data.label !== undefined ? data.label : null;
+            return !handleChartClick(entry, 'category', label, false);
+          }
+          return !handleChartClick(entry, 'series', trace.name, false);
+        });
       }
     });
-    
-    // Hide series that are NOT in the filtered data
-    (chart.series || []).forEach(series => {
-      if (!series || typeof series !== 'object') return;
-      if (!activeSeriesNames.has(series.name)) {
-        series.setData(orderedX.map(() => 0), false);
-        series.setVisible(false, false);
-        series.update({ showInLegend: false }, false);
+  }
+
+  function highlightChartSelections() {
+    getChartEntries().forEach(entry => {
+      if (!entry) return;
+      const categories = new Set();
+      const series = new Set();
+      Object.keys(chartSelections).forEach(fv => {
+        const sel = chartSelections[fv];
+        if (sel.sourceId !== entry.id) return;
+        sel.values.forEach(v => (sel.kind === 'series' ? series : categories).add(String(v)));
+      });
+      const active = categories.size > 0 || series.size > 0;
+      if (!active && !entry._crossFilterHighlighted) return;
+      entry._crossFilterHighlighted = active;
+      const hit = (seriesName, category) => active &&
+        (series.size === 0 || series.has(String(seriesName))) &&
+        (categories.size === 0 || categories.has(String(category)));
+
+      try {
+        if (entry.backend === 'highcharter') {
+          const chart = chartRegistry && chartRegistry.resolveHighchart ? chartRegistry.resolveHighchart(entry) : null;
+          if (!chart) return;
+          (chart.series || []).forEach(s => {
+            if (!s || !Array.isArray(s.points)) return;
+            s.points.forEach(point => {
+              if (!point || typeof point.select !== 'function') return;
+              const category = s.type === 'pie' || point.category === undefined ? point.name : point.category;
+              const on = hit(s.name, category);
+              if (!!point.selected !== on) point.select(on, true);
+            });
+          });
+        } else if (entry.backend === 'echarts4r' && typeof echarts !== 'undefined' && entry.el) {
+          const inst = echarts.getInstanceByDom(entry.el);
+          if (!inst) return;
+          inst.dispatchAction({ type: 'downplay' });
+          if (!active) return;
+          const option = inst.getOption() || {};
+          (option.series || []).forEach((s, seriesIndex) => {
+            if (series.size > 0 && !series.has(String(s.name))) return;
+            if (categories.size === 0) {
+              inst.dispatchAction({ type: 'highlight', seriesIndex: seriesIndex });
+            } else {
+              categories.forEach(name => {
+                inst.dispatchAction({ type: 'highlight', seriesIndex: seriesIndex, name: name });
+              });
+            }
+          });
+        } else if (entry.backend === 'plotly' && typeof Plotly !== 'undefined' && entry.el && entry.el.data) {
+          entry.el.data.forEach((trace, i) => {
+            if (trace.type === 'pie') {
+              const labels = trace.labels || [];
+              Plotly.restyle(entry.el, { pull: [labels.map(l => (hit(trace.name, l) ? 0.08 : 0))] }, [i]);
+              return;
+            }
+            let selected = null;
+            if (active) {
+              const cats = (trace.orientation === 'h' ? trace.y : trace.x) || [];
+              selected = [];
+              cats.forEach((c, idx) => { if (hit(trace.name, c)) selected.push(idx); });
+            }
+            Plotly.restyle(entry.el, { selectedpoints: [selected] }, [i]);
+          });
+        }
+      } catch (e) {
+        debugLog('chart-selection-highlight-error', { id: entry.id, message: String(e && e.message) });
       }
     });
-    
-    chart.redraw();
-    return true;
+  }
+
+  // =================================================================
+  // Chart Drill-down (add_viz(drilldown = ...))
+  // =================================================================
+  // With config.drilldown = {mode, vars} a click on a chart point opens
+  // a modal (modal.js) instead of cross-filtering; shift-click still
+  // cross-filters. The clicked category (and series, for grouped
+  // charts) starts a path of variable = value steps over the chart's
+  // cross-tab rows, filtered like the chart itself:
+  //
+  //   mode 'chart' — a bar chart of the next drill variable, drawn with
+  //                  the chart's backend; clicking a bar drills further,
+  //                  the last level lists the matching rows
+  //   mode 'table' — the matching rows; drill-variable cells drill further
+  //
+  // Breadcrumbs jump back to any step, the back button to the previous
+  // view. With cell_suppression = "mask", groups and rows below the
+  // minimum cell size show "Suppressed" and cannot be drilled into.
+  // =================================================================
+
+  const DRILLDOWN_MAX_ROWS = 200;
+  // Cross-tab columns that are statistics, not dimensions
+  const DRILLDOWN_STAT_COLUMNS = ['n', 'n_unweighted', 'value_sum', 'value_sumsq', 'weight_sum', 'weight_sumsq', '_suppressed'];
+
+  function _drilldownConfig(config) {
+    const drill = config && config.drilldown;
+    if (!drill || (drill.mode !== 'chart' && drill.mode !== 'table')) return null;
+    let vars = drill.vars;
+    if (typeof vars === 'string') vars = [vars];
+    return { mode: drill.mode, vars: Array.isArray(vars) ? vars : [] };
+  }
+
+  /** First path steps for a clicked category and series name */
+  function _drilldownStart(config, rows, category, seriesName) {
+    const has = (variable, value) => rows.some(row => String(row[variable]) === value);
+    const categoryVar = config.chartType === 'scatter' ? null : (config.xVar || config.timeVar);
+    if (typeof categoryVar !== 'string' || category === undefined || category === null) return null;
+    const path = [{ variable: categoryVar, value: String(category) }];
+    if (!has(categoryVar, path[0].value)) return null;
+    // Single-series charts name their series after the measure, not a group
+    const seriesVar = config.groupVar || config.stackVar;
+    if (typeof seriesVar === 'string' && seriesName !== undefined && seriesName !== null &&
+        has(seriesVar, String(seriesName))) {
+      path.push({ variable: seriesVar, value: String(seriesName) });
+    }
+    return path;
+  }
+
+  function _drilldownRows(rows, path) {
+    return rows.filter(row => path.every(step => String(row[step.variable]) === step.value));
+  }
+
+  function _drilldownNextVar(drill, path, rows) {
+    const used = path.map(step => step.variable);
+    return drill.vars.find(v => !used.includes(v) && rows.some(row => row[v] !== undefined)) || null;
   }
 
   /**
-   * Rebuild a timeline (line) chart's series from filtered cross-tab data.
+   * Totals of `n` per value of `variable`, in order of appearance. Groups
+   * made up of masked rows only (see _planSuppression()) are masked.
    */
-  function _rebuildTimelineSeries(chart, filteredData, config) {
-    const { timeVar, groupVar, yVar } = config;
-    var aggMethod = config.agg || 'mean'; // 'sum' or 'mean'
+  function _drilldownCounts(rows, variable) {
+    const groups = new Map();
+    rows.forEach(row => {
+      const key = String(row[variable]);
+      if (!groups.has(key)) groups.set(key, { value: key, n: 0, size: 0, suppressed: 0 });
+      const group = groups.get(key);
+      group.n += Number(row.n) || 0;
+      group.size += _rawCount(row);
+      if (_isSuppressedRow(row)) group.suppressed++;
+    });
+    return Array.from(groups.values()).map(group => ({
+      value: group.value,
+      n: group.n,
+      masked: group.size === 0 && group.suppressed > 0
+    }));
+  }
 
-    if (filteredData.length === 0) {
-      // No data after filtering — hide all series
-      chart.series.slice().forEach(function(s) {
-        s.setData([], false);
-        s.setVisible(false, false);
-        s.update({ showInLegend: false }, false);
+  function _drilldownNumber(value) {
+    return (Math.round(Number(value) * 100) / 100).toLocaleString('en-US', { maximumFractionDigits: 2 });
+  }
+
+  // Detail chart builders: (el, counts, onPick) -> dispose function
+  const DRILLDOWN_CHART_BUILDERS = {
+    highcharter(el, counts, onPick) {
+      if (typeof Highcharts === 'undefined' || !Highcharts.chart) return null;
+      const chart = Highcharts.chart(el, {
+        chart: { type: 'bar', height: Math.max(200, counts.length * 28 + 80) },
+        title: { text: null },
+        credits: { enabled: false },
+        legend: { enabled: false },
+        xAxis: { categories: counts.map(c => c.masked ? c.value + ' (' + SUPPRESSED_LABEL + ')' : c.value) },
+        yAxis: { title: { text: 'n' } },
+        series: [{
+          name: 'n',
+          data: counts.map(c => c.masked ? 0 : c.n),
+          cursor: 'pointer',
+          point: { events: { click() { onPick(this.index); } } }
+        }]
       });
-      chart.redraw();
-      return true;
+      return () => chart.destroy();
+    },
+    plotly(el, counts, onPick) {
+      if (typeof Plotly === 'undefined' || !Plotly.newPlot) return null;
+      const labels = counts.map(c => c.masked ? c.value + ' (' + SUPPRESSED_LABEL + ')' : c.value);
+      Plotly.newPlot(el, [{
+        type: 'bar', orientation: 'h', x: counts.map(c => c.masked ? 0 : c.n), y: labels
+      }], {
+        height: Math.max(200, counts.length * 28 + 80),
+        margin: { l: 140, r: 20, t: 10, b: 40 },
+        yaxis: { autorange: 'reversed', automargin: true }
+      }, { displayModeBar: false, responsive: true });
+      el.on('plotly_click', data => {
+        const pt = data && data.points && data.points[0];
+        if (pt) onPick(labels.indexOf(pt.y));
+      });
+      return () => Plotly.purge(el);
+    },
+    echarts4r(el, counts, onPick) {
+      if (typeof echarts === 'undefined' || !echarts.init) return null;
+      el.style.height = Math.max(200, counts.length * 28 + 80) + 'px';
+      const inst = echarts.init(el);
+      inst.setOption({
+        grid: { left: 10, right: 20, top: 10, bottom: 30, containLabel: true },
+        xAxis: { type: 'value' },
+        yAxis: {
+          type: 'category',
+          inverse: true,
+          data: counts.map(c => c.masked ? c.value + ' (' + SUPPRESSED_LABEL + ')' : c.value)
+        },
+        series: [{ type: 'bar', name: 'n', data: counts.map(c => c.masked ? 0 : c.n) }]
+      });
+      inst.on('click', params => {
+        if (params && params.componentType === 'series') onPick(params.dataIndex);
+      });
+      return () => inst.dispose();
     }
+  };
 
-    // Aggregate value per time + group, using yVar or fallback to 'value'
-    var aggBuckets = {};
-    filteredData.forEach(function(row) {
-      var tVal = String(row[timeVar]);
-      var gVal = groupVar ? String(row[groupVar]) : '__all__';
-      var key = tVal + '|||' + gVal;
+  /** Plain HTML bars when the chart's library can't draw the detail chart */
+  function _drilldownHtmlBars(el, counts, onPick) {
+    const max = Math.max.apply(null, counts.map(c => (c.masked ? 0 : c.n)).concat([1]));
+    counts.forEach((c, i) => {
+      const bar = document.createElement('button');
+      bar.type = 'button';
+      bar.className = 'dashboardr-drilldown-bar';
+      bar.disabled = c.masked;
+      const label = document.createElement('span');
+      label.className = 'dashboardr-drilldown-bar-label';
+      label.textContent = c.value;
+      const track = document.createElement('span');
+      track.className = 'dashboardr-drilldown-bar-track';
+      const fill = document.createElement('span');
+      fill.className = 'dashboardr-drilldown-bar-fill';
+      fill.style.width = (c.masked ? 0 : (c.n / max) * 100) + '%';
+      track.appendChild(fill);
+      const value = document.createElement('span');
+      value.className = 'dashboardr-drilldown-bar-value';
+      value.textContent = c.masked ? SUPPRESSED_LABEL : _drilldownNumber(c.n);
+      bar.appendChild(label);
+      bar.appendChild(track);
+      bar.appendChild(value);
+      bar.addEventListener('click', () => onPick(i));
+      el.appendChild(bar);
+    });
+  }
 
-      if (!aggBuckets[key]) {
-        aggBuckets[key] = { time: tVal, group: gVal, sum: 0, count: 0 };
-      }
-      // Use yVar column if present, fall back to 'value' column, then to 1 for count-based
-      var rawVal = yVar && row[yVar] !== undefined ? row[yVar] : (row.value !== undefined ? row.value : 1);
-      aggBuckets[key].sum += (typeof rawVal === 'number' ? rawVal : Number(rawVal) || 0);
-      aggBuckets[key].count += 1;
+  function _drilldownTable(view, rows, drill) {
+    const columns = [];
+    rows.forEach(row => Object.keys(row).forEach(key => {
+      if (!DRILLDOWN_STAT_COLUMNS.includes(key) && !columns.includes(key)) columns.push(key);
+    }));
+    const used = view.path.map(step => step.variable);
+    const drillable = drill.vars.filter(v => !used.includes(v));
+
+    const table = document.createElement('table');
+    table.className = 'dashboardr-drilldown-table';
+    const head = table.createTHead().insertRow();
+    columns.concat(['n']).forEach(col => {
+      const th = document.createElement('th');
+      th.textContent = col;
+      head.appendChild(th);
+    });
+    const body = table.createTBody();
+    rows.slice(0, DRILLDOWN_MAX_ROWS).forEach(row => {
+      const masked = _isSuppressedRow(row);
+      const tr = body.insertRow();
+      columns.forEach(col => {
+        const td = tr.insertCell();
+        const value = row[col] === undefined || row[col] === null ? '' : String(row[col]);
+        if (!masked && value !== '' && drillable.includes(col)) {
+          const link = document.createElement('button');
+          link.type = 'button';
+          link.className = 'dashboardr-drilldown-cell';
+          link.textContent = value;
+          link.addEventListener('click', () => view.go(view.path.concat([{ variable: col, value: value }])));
+          td.appendChild(link);
+        } else {
+          td.textContent = value;
+        }
+      });
+      const n = tr.insertCell();
+      n.className = 'dashboardr-drilldown-n';
+      n.textContent = masked ? SUPPRESSED_LABEL : _drilldownNumber(row.n);
     });
 
-    // Build per-group series data
-    var byGroup = {};
-    Object.values(aggBuckets).forEach(function(item) {
-      if (!byGroup[item.group]) byGroup[item.group] = [];
-      var val;
-      if (aggMethod === 'sum') {
-        val = item.sum;
+    const wrap = document.createElement('div');
+    wrap.className = 'dashboardr-drilldown-table-wrap';
+    wrap.appendChild(table);
+    if (rows.length > DRILLDOWN_MAX_ROWS) {
+      const note = document.createElement('p');
+      note.className = 'dashboardr-drilldown-note';
+      note.textContent = 'Showing the first ' + DRILLDOWN_MAX_ROWS + ' of ' + rows.length + ' rows';
+      wrap.appendChild(note);
+    }
+    return wrap;
+  }
+
+  /** Draw the current path of a drill-down view into its modal body */
+  function _renderDrilldown(view) {
+    if (view.dispose) {
+      try { view.dispose(); } catch (e) { /* chart already gone */ }
+      view.dispose = null;
+    }
+    const rows = _drilldownRows(view.rows, view.path);
+
+    view.back.disabled = view.history.length === 0;
+    view.crumbs.innerHTML = '';
+    view.path.forEach((step, i) => {
+      if (i > 0) {
+        const sep = document.createElement('span');
+        sep.className = 'dashboardr-drilldown-sep';
+        sep.textContent = '\u203A';
+        view.crumbs.appendChild(sep);
+      }
+      const last = i === view.path.length - 1;
+      const crumb = document.createElement(last ? 'span' : 'button');
+      crumb.className = 'dashboardr-drilldown-crumb';
+      crumb.textContent = step.variable + ': ' + step.value;
+      if (last) {
+        crumb.setAttribute('aria-current', 'true');
       } else {
-        val = item.count > 0 ? item.sum / item.count : 0;
+        crumb.type = 'button';
+        crumb.addEventListener('click', () => view.go(view.path.slice(0, i + 1)));
       }
-      byGroup[item.group].push({ time: item.time, value: val });
+      view.crumbs.appendChild(crumb);
     });
 
-    // Detect if time axis is numeric (years) or categorical (strings)
-    var sampleTime = Object.values(aggBuckets)[0].time;
-    var isNumericTime = !isNaN(Number(sampleTime));
+    view.body.innerHTML = '';
+    const nextVar = view.drill.mode === 'chart' ? _drilldownNextVar(view.drill, view.path, rows) : null;
+    if (!nextVar) {
+      view.heading.textContent = rows.length + (rows.length === 1 ? ' matching row' : ' matching rows');
+      view.body.appendChild(_drilldownTable(view, rows, view.drill));
+      return;
+    }
 
-    // Get unique time values, preserving config order if available
-    var allTimes = [];
-    var seenTimes = {};
-    if (config.timeCategories && config.timeCategories.length > 0) {
-      // Use R-side factor order (chronological)
-      config.timeCategories.forEach(function(t) {
-        var ts = String(t);
-        if (!seenTimes[ts]) {
-          // Only include times that exist in the data
-          var exists = Object.values(aggBuckets).some(function(a) { return a.time === ts; });
-          if (exists) { seenTimes[ts] = true; allTimes.push(ts); }
-        }
-      });
-    } else {
-      Object.values(aggBuckets).forEach(function(a) {
-        if (!seenTimes[a.time]) { seenTimes[a.time] = true; allTimes.push(a.time); }
-      });
-      if (isNumericTime) {
-        allTimes.sort(function(a, b) { return Number(a) - Number(b); });
-      } else {
-        allTimes.sort();
+    view.heading.textContent = 'By ' + nextVar;
+    const counts = _drilldownCounts(rows, nextVar);
+    const onPick = index => {
+      const picked = counts[index];
+      if (!picked || picked.masked) return;
+      view.go(view.path.concat([{ variable: nextVar, value: picked.value }]));
+    };
+    const chartEl = document.createElement('div');
+    chartEl.className = 'dashboardr-drilldown-chart';
+    view.body.appendChild(chartEl);
+    const builder = DRILLDOWN_CHART_BUILDERS[view.entry.backend || 'highcharter'];
+    let dispose = null;
+    try {
+      dispose = builder ? builder(chartEl, counts, onPick) : null;
+    } catch (e) {
+      debugLog('drilldown-chart-error', { id: view.entry.id, message: String(e && e.message) });
+      chartEl.innerHTML = '';
+    }
+    if (dispose) view.dispose = dispose;
+    else _drilldownHtmlBars(chartEl, counts, onPick);
+  }
+
+  function _openDrilldownView(entry, info, rows, category, seriesName) {
+    const config = info.config || {};
+    const drill = _drilldownConfig(config);
+    const path = _drilldownStart(config, rows, category, seriesName);
+    if (!path) return false;
+
+    const root = document.createElement('div');
+    root.className = 'dashboardr-drilldown';
+    root.setAttribute('data-chart-id', entry.id);
+    const header = document.createElement('div');
+    header.className = 'dashboardr-drilldown-header';
+    const back = document.createElement('button');
+    back.type = 'button';
+    back.className = 'dashboardr-drilldown-back';
+    back.textContent = '\u2039 Back';
+    const crumbs = document.createElement('nav');
+    crumbs.className = 'dashboardr-drilldown-breadcrumbs';
+    crumbs.setAttribute('aria-label', 'Drill-down path');
+    header.appendChild(back);
+    header.appendChild(crumbs);
+    if (config.title) {
+      const title = document.createElement('h3');
+      title.className = 'dashboardr-drilldown-title';
+      title.textContent = config.title;
+      root.appendChild(title);
+    }
+    const heading = document.createElement('p');
+    heading.className = 'dashboardr-drilldown-heading';
+    const body = document.createElement('div');
+    body.className = 'dashboardr-drilldown-body';
+    root.appendChild(header);
+    root.appendChild(heading);
+    root.appendChild(body);
+
+    const view = {
+      entry, drill, rows, path, back, crumbs, heading, body,
+      history: [],
+      dispose: null,
+      go(next) {
+        view.history.push(view.path);
+        view.path = next;
+        _renderDrilldown(view);
+      }
+    };
+    back.addEventListener('click', () => {
+      if (view.history.length === 0) return;
+      view.path = view.history.pop();
+      _renderDrilldown(view);
+    });
+
+    window.dashboardrModal.open(root, {
+      onClose() {
+        if (view.dispose) view.dispose();
+        view.dispose = null;
       }
+    });
+    _renderDrilldown(view);
+    debugLog('drilldown-open', { id: entry.id, path: path });
+    return true;
+  }
+
+  /**
+   * Open the drill-down modal for a clicked chart point.
+   * @param {Object|string} entryOrId - Chart registry entry or chart id
+   * @param {string} category - Clicked category (x value or pie slice)
+   * @param {string} [seriesName] - Clicked series, for grouped charts
+   * @returns {boolean} True if the chart drills down (the click is handled)
+   */
+  function openDrilldown(entryOrId, category, seriesName) {
+    const entry = typeof entryOrId === 'string'
+      ? getChartEntries().find(e => e && e.id === entryOrId)
+      : entryOrId;
+    if (!entry || !window.dashboardrModal) return false;
+    const info = window.dashboardrCrossTab && window.dashboardrCrossTab[entry.id];
+    if (!info || !_drilldownConfig(info.config)) return false;
+    const sets = _entryFilterSets(entry, collectFilterSets(stateForScope(entryScope(entry))));
+    const open = loaded => _comparisonRows(loaded, sets).then(rows => {
+      _openDrilldownView(entry, loaded, rows, category, seriesName);
+    });
+    if (info.data) {
+      // The click is taken when the category is in the chart's data; the
+      // modal opens once the filtered rows arrive (from the filter worker
+      // for large cross-tabs)
+      if (!_drilldownStart(info.config, info.data, category, seriesName)) return false;
+      open(info);
+      return true;
     }
+    // Asset mode: the click is taken; the modal opens once the rows arrive
+    _ensureCrossTabData(entry.id, info).then(loaded => {
+      if (loaded.data) open(loaded);
+    });
+    return true;
+  }
 
-    var activeGroups = new Set(Object.keys(byGroup));
+  // =================================================================
+  // Range Brushing (timeline & scatter charts as a filter)
+  // =================================================================
+  // Dragging across a cross-tab timeline (x-range) or scatter
+  // (rectangle) emits a range filter on the brushed variables:
+  // config.timeVar for timelines, config.xSourceVar/ySourceVar for
+  // scatters. Numeric axes give number ranges, datetime axes and
+  // date-like categories give ISO date ranges, other categorical axes
+  // give the list of brushed categories. Ranges are kept in inputState
+  // (inputType 'range') so they flow through applyAllFilters() into
+  // cross-tab charts, tables and show_when like any other input.
+  // =================================================================
 
-    // Respect group_order from config if provided
-    var orderedGroups;
-    var cfgGroupOrder = config.groupOrder;
-    if (cfgGroupOrder && typeof cfgGroupOrder === 'string') cfgGroupOrder = [cfgGroupOrder];
-    if (Array.isArray(cfgGroupOrder) && cfgGroupOrder.length > 0) {
-      orderedGroups = cfgGroupOrder.filter(function(g) { return activeGroups.has(g); });
-    } else {
-      orderedGroups = Array.from(activeGroups);
+  const brushSelections = {};  // filterVar -> { sourceId, range, axis }
+  const BRUSH_SELECTION_PREFIX = '__brush__';
+
+  /**
+   * Variables a chart can brush, keyed by axis. Only variables that
+   * something else on the page responds to are returned.
+   */
+  function getBrushVars(entry) {
+    const config = entry ? getCrossTabConfig(entry.id) : null;
+    if (!config || config.brush === false) return null;
+    let vars = null;
+    if (config.chartType === 'timeline') {
+      vars = { x: config.timeVar || null, y: null };
+    } else if (config.chartType === 'scatter') {
+      vars = { x: config.xSourceVar || null, y: config.ySourceVar || null };
     }
+    if (!vars) return null;
+    if (vars.x && !isCrossFilterTarget(vars.x, entry.id)) vars.x = null;
+    if (vars.y && !isCrossFilterTarget(vars.y, entry.id)) vars.y = null;
+    return vars.x || vars.y ? vars : null;
+  }
 
-    // Update x-axis categories if categorical
-    if (!isNumericTime && chart.xAxis && chart.xAxis[0]) {
-      chart.xAxis[0].setCategories(allTimes, false);
+  /**
+   * Convert brushed axis coordinates into a range filter.
+   * @param {number[]} coords - [from, to] in axis coordinates
+   * @param {Object} axis - { categories: Array|null, datetime: boolean }
+   * @returns {Object|null} { type: 'number'|'date', min, max } or { type: 'values', values }
+   */
+  function toBrushRange(coords, axis) {
+    if (!Array.isArray(coords) || coords.length < 2) return null;
+    const from = Math.min(Number(coords[0]), Number(coords[1]));
+    const to = Math.max(Number(coords[0]), Number(coords[1]));
+    const categories = axis && Array.isArray(axis.categories) && axis.categories.length ? axis.categories : null;
+
+    if (categories) {
+      let labels = categories.filter((_, i) => i >= Math.ceil(from) && i <= Math.floor(to));
+      if (labels.length === 0) {
+        const nearest = categories[Math.max(0, Math.min(categories.length - 1, Math.round(from)))];
+        labels = nearest === undefined ? [] : [nearest];
+      }
+      if (labels.length === 0) return null;
+      const numbers = labels.map(Number);
+      if (numbers.every(Number.isFinite)) {
+        return { type: 'number', min: Math.min.apply(null, numbers), max: Math.max.apply(null, numbers) };
+      }
+      const dates = labels.map(l => _parseDateLike(String(l)));
+      if (dates.every(Boolean)) {
+        dates.sort();
+        return { type: 'date', min: dates[0], max: dates[dates.length - 1] };
+      }
+      return { type: 'values', values: labels.map(String) };
     }
 
-    // Build a set of series names we've handled
-    var handledSeries = new Set();
+    if (axis && axis.datetime) {
+      const min = _toIsoDate(coords[0] <= coords[1] ? coords[0] : coords[1]);
+      const max = _toIsoDate(coords[0] <= coords[1] ? coords[1] : coords[0]);
+      return min && max ? { type: 'date', min: min, max: max } : null;
+    }
 
-    // Update or add each group's series
-    orderedGroups.forEach(function(groupName, groupIndex) {
-      var dataPoints = byGroup[groupName];
-      // Build a time -> value lookup
-      var lookup = {};
-      dataPoints.forEach(function(pt) { lookup[pt.time] = pt.value; });
+    if (!Number.isFinite(from) || !Number.isFinite(to)) return null;
+    return { type: 'number', min: from, max: to };
+  }
 
-      var seriesName = (groupName === '__all__') ? (yVar || 'Value') : groupName;
-      handledSeries.add(seriesName);
+  /**
+   * True if a data value falls inside a brushed range.
+   */
+  function valueInRange(value, range) {
+    if (!range) return true;
+    if (range.type === 'values') {
+      return (range.values || []).includes(String(value));
+    }
+    if (range.type === 'date') {
+      const parsed = _parseDateLike(String(value));
+      if (!parsed) return false;
+      return (!range.min || parsed >= range.min) && (!range.max || parsed <= range.max);
+    }
+    const num = Number(value);
+    if (value === null || value === '' || !Number.isFinite(num)) return false;
+    return num >= range.min && num <= range.max;
+  }
 
-      var newData;
-      if (isNumericTime) {
-        newData = allTimes.map(function(t) {
-          return [Number(t), lookup[t] !== undefined ? lookup[t] : null];
-        });
-      } else {
-        newData = allTimes.map(function(t) {
-          return lookup[t] !== undefined ? lookup[t] : null;
-        });
+  function formatBrushRange(range) {
+    if (!range) return '';
+    if (range.type === 'values') return range.values.join(', ');
+    return range.min + ' – ' + range.max;
+  }
+
+  /**
+   * Replace the brush of a chart with new ranges.
+   * @param {string} sourceId - Brushed chart id
+   * @param {Object} ranges   - filterVar -> range (see toBrushRange)
+   * @param {Object} [axis]   - Raw axis coordinates { x: [a, b], y: [a, b] } for highlighting
+   */
+  function setBrushSelection(sourceId, ranges, axis) {
+    Object.keys(brushSelections).forEach(fv => {
+      if (brushSelections[fv].sourceId !== sourceId) return;
+      delete inputState[BRUSH_SELECTION_PREFIX + fv];
+      delete brushSelections[fv];
+    });
+    Object.keys(ranges || {}).forEach(fv => {
+      const range = ranges[fv];
+      if (!range) return;
+      inputState[BRUSH_SELECTION_PREFIX + fv] = {
+        filterVar: fv,
+        inputType: 'range',
+        range: range,
+        scope: chartScope(sourceId)
+      };
+      brushSelections[fv] = { sourceId: sourceId, range: range, axis: axis || null };
+    });
+    debugLog('chart-brush', { sourceId: sourceId, ranges: ranges || {} });
+    applyAllFilters();
+  }
+
+  /**
+   * Clear a brush by variable, by source chart id, or all brushes.
+   */
+  function clearBrushSelection(key) {
+    Object.keys(brushSelections).forEach(fv => {
+      if (key && fv !== key && brushSelections[fv].sourceId !== key) return;
+      delete inputState[BRUSH_SELECTION_PREFIX + fv];
+      delete brushSelections[fv];
+    });
+    applyAllFilters();
+  }
+
+  function handleChartBrush(entry, coords, axes) {
+    const vars = getBrushVars(entry);
+    if (!vars) return false;
+    const ranges = {};
+    if (vars.x && coords.x) ranges[vars.x] = toBrushRange(coords.x, axes.x);
+    if (vars.y && coords.y) ranges[vars.y] = toBrushRange(coords.y, axes.y);
+    if (!Object.keys(ranges).some(fv => ranges[fv])) {
+      if (Object.keys(brushSelections).some(fv => brushSelections[fv].sourceId === entry.id)) {
+        clearBrushSelection(entry.id);
       }
+      return true;
+    }
+    setBrushSelection(entry.id, ranges, coords);
+    return true;
+  }
 
-      var series = (chart.series || []).find(function(s) { return s && s.name === seriesName; });
+  function ownBrushAxis(entryId) {
+    const fv = Object.keys(brushSelections).find(v => brushSelections[v].sourceId === entryId);
+    return fv ? brushSelections[fv].axis : null;
+  }
 
-      if (series) {
-        // Update existing series
-        var updateOpts = { showInLegend: true };
-        if (config.colorMap && config.colorMap[groupName]) {
-          updateOpts.color = config.colorMap[groupName];
+  function bindHighchartBrush(entry, vars) {
+    const chart = chartRegistry && chartRegistry.resolveHighchart ? chartRegistry.resolveHighchart(entry) : null;
+    if (!chart || typeof Highcharts === 'undefined' || !Highcharts.addEvent) return;
+    if (!chart.__dashboardrBrush) {
+      chart.__dashboardrBrush = true;
+      const zoomType = vars.x && vars.y ? 'xy' : (vars.x ? 'x' : 'y');
+      chart.update({ chart: { zoomType: zoomType, zooming: { type: zoomType } } }, false);
+      Highcharts.addEvent(chart, 'selection', function(e) {
+        if (e.resetSelection) {
+          clearBrushSelection(entry.id);
+          return;
         }
-        series.setData(newData, false);
-        series.setVisible(true, false);
-        series.update(updateOpts, false);
-      } else {
-        // Add new series (chart may start empty for cross-tab charts)
-        var addOpts = {
-          name: seriesName,
-          data: newData,
-          visible: true,
-          showInLegend: true
+        // Brush instead of zooming
+        e.preventDefault();
+        const xAxis = e.xAxis && e.xAxis[0];
+        const yAxis = e.yAxis && e.yAxis[0];
+        const axisX = chart.xAxis && chart.xAxis[0];
+        handleChartBrush(entry, {
+          x: xAxis ? [xAxis.min, xAxis.max] : null,
+          y: yAxis ? [yAxis.min, yAxis.max] : null
+        }, {
+          x: {
+            categories: axisX && Array.isArray(axisX.categories) ? axisX.categories : null,
+            datetime: !!(axisX && axisX.options && axisX.options.type === 'datetime')
+          },
+          y: { categories: null, datetime: false }
+        });
+      });
+    }
+
+    const axis = ownBrushAxis(entry.id);
+    [['x', chart.xAxis && chart.xAxis[0]], ['y', chart.yAxis && chart.yAxis[0]]].forEach(pair => {
+      const hcAxis = pair[1];
+      if (!hcAxis || typeof hcAxis.removePlotBand !== 'function') return;
+      hcAxis.removePlotBand('dashboardr-brush');
+      const coords = axis && axis[pair[0]];
+      if (!coords) return;
+      hcAxis.addPlotBand({
+        id: 'dashboardr-brush',
+        from: Math.min(coords[0], coords[1]),
+        to: Math.max(coords[0], coords[1]),
+        color: 'rgba(59, 130, 246, 0.12)'
+      });
+    });
+  }
+
+  function bindEchartsBrush(entry, vars) {
+    if (typeof echarts === 'undefined' || !entry.el) return;
+    const inst = echarts.getInstanceByDom(entry.el);
+    if (!inst) return;
+    const brushType = vars.x && vars.y ? 'rect' : (vars.x ? 'lineX' : 'lineY');
+
+    // Cross-tab rebuilds replace the whole option, so re-add the brush
+    // component and the active area after every filter pass.
+    const current = inst.getOption() || {};
+    if (!current.brush || current.brush.length === 0) {
+      inst.setOption({ brush: { xAxisIndex: 0, yAxisIndex: 0, brushMode: 'single', throttleType: 'debounce' } });
+      const axis = ownBrushAxis(entry.id);
+      if (axis) {
+        const area = { brushType: brushType, xAxisIndex: 0, yAxisIndex: 0 };
+        if (brushType === 'rect') area.coordRange = [axis.x || [0, 0], axis.y || [0, 0]];
+        else area.coordRange = brushType === 'lineX' ? axis.x : axis.y;
+        if (area.coordRange) inst.dispatchAction({ type: 'brush', areas: [area] });
+      }
+    }
+    inst.dispatchAction({
+      type: 'takeGlobalCursor',
+      key: 'brush',
+      brushOption: { brushType: brushType, brushMode: 'single' }
+    });
+
+    if (inst.__dashboardrBrush) return;
+    inst.__dashboardrBrush = true;
+    inst.on('brushEnd', params => {
+      const area = params && params.areas && params.areas[0];
+      const option = inst.getOption() || {};
+      const axisInfo = list => {
+        const ax = list && list[0] ? list[0] : {};
+        return {
+          categories: ax.type === 'category' && Array.isArray(ax.data) ? ax.data : null,
+          datetime: ax.type === 'time'
         };
-        if (config.colorMap && config.colorMap[groupName]) {
-          addOpts.color = config.colorMap[groupName];
-        }
-        // Determine series type from chart type config or chart defaults
-        var chartType = chart.options && chart.options.chart ? chart.options.chart.type : null;
-        if (chartType) {
-          addOpts.type = chartType;
-        }
-        chart.addSeries(addOpts, false);
+      };
+      if (!area) {
+        handleChartBrush(entry, { x: null, y: null }, {});
+        return;
       }
+      const range = area.coordRange;
+      handleChartBrush(entry, {
+        x: area.brushType === 'rect' ? range[0] : (area.brushType === 'lineX' ? range : null),
+        y: area.brushType === 'rect' ? range[1] : (area.brushType === 'lineY' ? range : null)
+      }, { x: axisInfo(option.xAxis), y: axisInfo(option.yAxis) });
     });
+  }
 
-    // Hide series that are NOT in the filtered data
-    chart.series.slice().forEach(function(series) {
-      if (!series || typeof series !== 'object') return;
-      if (!handledSeries.has(series.name)) {
-        series.setData([], false);
-        series.setVisible(false, false);
-        series.update({ showInLegend: false }, false);
+  function bindPlotlyBrush(entry, vars) {
+    const el = entry.el;
+    if (!el || typeof Plotly === 'undefined' || typeof el.on !== 'function') return;
+
+    // Plotly.react() in the rebuilders resets the layout, so restore the
+    // select drag mode and the brush rectangle after every filter pass.
+    const axis = ownBrushAxis(entry.id);
+    const shapes = ((el.layout && el.layout.shapes) || []).filter(s => s && s.name !== 'dashboardr-brush');
+    if (axis) {
+      shapes.push({
+        name: 'dashboardr-brush',
+        type: 'rect',
+        xref: axis.x ? 'x' : 'paper',
+        yref: axis.y ? 'y' : 'paper',
+        x0: axis.x ? axis.x[0] : 0,
+        x1: axis.x ? axis.x[1] : 1,
+        y0: axis.y ? axis.y[0] : 0,
+        y1: axis.y ? axis.y[1] : 1,
+        fillcolor: 'rgba(59, 130, 246, 0.12)',
+        line: { width: 0 },
+        layer: 'below'
+      });
+    }
+    Plotly.relayout(el, {
+      dragmode: 'select',
+      selectdirection: vars.x && vars.y ? 'any' : (vars.x ? 'h' : 'v'),
+      shapes: shapes
+    });
+
+    if (el.__dashboardrBrush) return;
+    el.__dashboardrBrush = true;
+    const axisInfo = name => {
+      const ax = el._fullLayout && el._fullLayout[name] ? el._fullLayout[name] : {};
+      return {
+        categories: ax.type === 'category' && Array.isArray(ax._categories) ? ax._categories : null,
+        datetime: ax.type === 'date'
+      };
+    };
+    el.on('plotly_selected', eventData => {
+      const range = eventData && eventData.range;
+      if (!range) return;
+      handleChartBrush(entry, { x: range.x || null, y: range.y || null }, {
+        x: axisInfo('xaxis'),
+        y: axisInfo('yaxis')
+      });
+    });
+    el.on('plotly_deselect', () => {
+      handleChartBrush(entry, { x: null, y: null }, {});
+    });
+  }
+
+  function bindChartBrushes() {
+    getChartEntries().forEach(entry => {
+      const vars = getBrushVars(entry);
+      if (!vars) return;
+      try {
+        if (entry.backend === 'highcharter') bindHighchartBrush(entry, vars);
+        else if (entry.backend === 'echarts4r') bindEchartsBrush(entry, vars);
+        else if (entry.backend === 'plotly') bindPlotlyBrush(entry, vars);
+      } catch (e) {
+        debugLog('chart-brush-bind-error', { id: entry.id, message: String(e && e.message) });
       }
     });
+  }
 
-    chart.redraw();
-    return true;
+  // =================================================================
+  // Selection chips
+  // =================================================================
+
+  /**
+   * One chip per chart selection or brush, placed above its source chart.
+   */
+  function renderChartSelectionChips() {
+    document.querySelectorAll('.dashboardr-chart-selection').forEach(el => el.remove());
+    const chips = Object.keys(chartSelections).map(fv => ({
+      filterVar: fv,
+      sourceId: chartSelections[fv].sourceId,
+      text: chartSelections[fv].values.join(', '),
+      clear: () => clearChartSelection(fv)
+    })).concat(Object.keys(brushSelections).map(fv => ({
+      filterVar: fv,
+      sourceId: brushSelections[fv].sourceId,
+      text: formatBrushRange(brushSelections[fv].range),
+      clear: () => clearBrushSelection(fv)
+    })));
+
+    chips.forEach(spec => {
+      const fv = spec.filterVar;
+      const entry = getChartEntries().find(e => e && e.id === spec.sourceId);
+      const anchor = (entry && entry.el) || (spec.sourceId ? document.getElementById(spec.sourceId) : null);
+      if (!anchor || !anchor.parentNode) return;
+
+      const chip = document.createElement('div');
+      chip.className = 'dashboardr-chart-selection';
+      chip.setAttribute('data-selection-var', fv);
+
+      const label = document.createElement('span');
+      label.className = 'dashboardr-chart-selection-label';
+      label.textContent = fv + ': ' + spec.text;
+      chip.appendChild(label);
+
+      const clear = document.createElement('button');
+      clear.type = 'button';
+      clear.className = 'dashboardr-chart-selection-clear';
+      clear.setAttribute('aria-label', 'Clear selection of ' + fv);
+      clear.innerHTML = 'Clear selection <span aria-hidden="true">&times;</span>';
+      clear.addEventListener('click', spec.clear);
+      chip.appendChild(clear);
+
+      anchor.parentNode.insertBefore(chip, anchor);
+    });
   }
 
   // =================================================================
   // Bootstrap: Initialisation & Event Listeners
   // =================================================================
 
-  // Track initialization state
+  // Sequenced by lifecycle.js: inputs are initialised on DOMContentLoaded
+  // (inputs-ready), original chart data is stored once the page's widgets
+  // have registered (charts-registered), and the first full filter pass
+  // runs after url_params.js has restored the URL's values (url-restored),
+  // completing filters-applied once its worker-filtered and lazy charts are
+  // drawn.
+  const lifecycle = window.dashboardrLifecycle;
+  const releaseInputs = lifecycle.claim('inputs-ready');
+  const releaseFilters = lifecycle.claim('filters-applied');
   let initialized = false;
-  let filtersApplied = false;
-  
+
   function safeInit() {
     if (initialized) return;
     initialized = true;
     initDashboardrInputs();
+    releaseInputs();
   }
-  
-  function waitForChartsAndApply() {
-    if (filtersApplied) return;
-    const entries = getChartEntries() || [];
-    const hasTables = chartRegistry && (
-      (chartRegistry.getTables && chartRegistry.getTables().length > 0) ||
-      (chartRegistry.getDTs && chartRegistry.getDTs().length > 0) ||
-      (chartRegistry.getReactables && chartRegistry.getReactables().length > 0)
-    );
-    if (entries.length > 0 || hasTables) {
-      filtersApplied = true;
-      storeOriginalData();
-      applyAllFilters();
-      return;
-    }
-    setTimeout(waitForChartsAndApply, 200);
-  }
-  
+
+  lifecycle.ready('charts-registered').then(storeOriginalData);
+  lifecycle.ready('url-restored').then(() => {
+    storeOriginalData();
+    return applyAllFilters();
+  }).catch(err => {
+    console.error('dashboardr: first filter pass failed:', err);
+  }).then(releaseFilters);
+
   // Initialize once DOM is ready
   if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
-      safeInit();
-      waitForChartsAndApply();
-    });
+    document.addEventListener('DOMContentLoaded', safeInit);
   } else {
     safeInit();
-    waitForChartsAndApply();
   }
 
-  // Re-apply on tab switch (for lazy-loaded tabs)
-  document.addEventListener('click', e => {
-    if (e.target.matches('[role="tab"], .nav-link, .panel-tab')) {
-      setTimeout(() => {
-        // Only re-apply filters, don't re-initialize
-        storeOriginalData();
-        applyAllFilters();
-      }, 300);
-    }
+  // Charts registered later (deferred charts, lazily rendered tabs) pick up
+  // the current filters, in one pass per animation frame
+  let lateChartFrame = null;
+  document.addEventListener('dashboardr:chart-registered', () => {
+    if (!lifecycle.isReady('filters-applied') || lateChartFrame) return;
+    lateChartFrame = requestAnimationFrame(() => {
+      lateChartFrame = null;
+      storeOriginalData();
+      applyAllFilters();
+    });
   });
 
   // =================================================================
@@ -4105,9 +8761,21 @@
     selectAll,
     clearAll,
     resetFilters,
+    setChartSelection,
+    clearChartSelection,
+    setBrushSelection,
+    clearBrushSelection,
+    drilldown: openDrilldown,
+    applyState: applyInputState,
+    scopes: filterScopes,
+    scopeOf: inputScope,
+    compare: setComparisonActive,
+    editSelection: editComparisonSlot,
+    comparison: comparison,
     state: inputState,
     defaults: defaultValues,
-    choices: choicesInstances
+    choices: choicesInstances,
+    chartSelections: chartSelections
   };
 
   window.dashboardrInputDebug = {
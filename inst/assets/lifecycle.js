@@ -0,0 +1,116 @@
+/**
+ * Page Lifecycle for dashboardr
+ *
+ * Sequences the page's scripts through four named phases, in order:
+ *
+ *   inputs-ready      - inputs are initialised (input_filter.js,
+ *                       linked_inputs.js)
+ *   charts-registered - the widgets rendered at load have registered
+ *                       with the chart registry (chart_adapters.js)
+ *   url-restored      - filter values and tabs from the URL or from
+ *                       cross-page persistence are applied (url_params.js)
+ *   filters-applied   - the first full filter pass has run (input_filter.js)
+ *
+ * A module that does the work of a phase claims it while its script loads
+ * and calls the returned function when done; a phase completes once every
+ * claim on it is released and all earlier phases have completed. Phases
+ * nobody claimed complete at DOMContentLoaded, so pages without e.g. URL
+ * parameters never wait on them.
+ *
+ * Each phase is announced once with a `dashboardr:<phase>` event on
+ * document (detail: {phase}) and resolves the promise from ready(phase),
+ * which also works after the fact:
+ *
+ *   dashboardrLifecycle.ready('filters-applied').then(function() { ... });
+ *
+ * Public API (window.dashboardrLifecycle):
+ *   phases          - the phase names, in order
+ *   claim(phase)    - hold a phase back; returns its release function
+ *   ready(phase)    - Promise resolved when the phase completes
+ *   isReady(phase)  - whether it has completed
+ *
+ * The script may be included more than once; the first copy wins.
+ */
+(function() {
+  'use strict';
+
+  if (window.dashboardrLifecycle) return;
+
+  var PHASES = ['inputs-ready', 'charts-registered', 'url-restored', 'filters-applied'];
+
+  var started = false;
+  var state = {};
+  PHASES.forEach(function(phase) {
+    var entry = { claims: 0, done: false, resolve: null };
+    entry.promise = new Promise(function(resolve) { entry.resolve = resolve; });
+    state[phase] = entry;
+  });
+
+  function phaseState(phase) {
+    var entry = state[phase];
+    if (!entry) throw new Error('dashboardr: unknown lifecycle phase "' + phase + '"');
+    return entry;
+  }
+
+  /**
+   * Complete every phase, in order, that has no outstanding claims
+   */
+  function advance() {
+    if (!started) return;
+    for (var i = 0; i < PHASES.length; i++) {
+      var entry = state[PHASES[i]];
+      if (entry.done) continue;
+      if (entry.claims > 0) return;
+      entry.done = true;
+      entry.resolve({ phase: PHASES[i] });
+      try {
+        document.dispatchEvent(new CustomEvent('dashboardr:' + PHASES[i], {
+          detail: { phase: PHASES[i] }
+        }));
+      } catch (e) {
+        // CustomEvent not supported
+      }
+    }
+  }
+
+  function claim(phase) {
+    var entry = phaseState(phase);
+    if (entry.done) return function() {};
+    entry.claims++;
+    var released = false;
+    return function release() {
+      if (released) return;
+      released = true;
+      entry.claims--;
+      advance();
+    };
+  }
+
+  function ready(phase) {
+    return phaseState(phase).promise;
+  }
+
+  function isReady(phase) {
+    return phaseState(phase).done;
+  }
+
+  // Scripts in the page have all run (and claimed their phases) by now
+  function start() {
+    started = true;
+    advance();
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', start);
+  } else {
+    start();
+  }
+
+  window.dashboardrLifecycle = {
+    phases: PHASES.slice(),
+    claim: claim,
+    ready: ready,
+    isReady: isReady
+  };
+
+})();
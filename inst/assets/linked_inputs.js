@@ -1,17 +1,133 @@
 /**
- * Linked (cascading) parent-child select inputs for dashboardr
+ * Linked (cascading) inputs for dashboardr
  *
- * When a parent select has data-linked-child-id and data-options-by-parent,
- * changing the parent updates the child select's options and resets its value.
+ * A wrapper with data-linked-child-id and data-options-by-parent links the
+ * input inside it (a select, checkbox group, radio group or button group)
+ * to a child select. When the parent changes, the child is offered the
+ * options of every selected parent value (their union, in mapping order;
+ * all options when nothing is selected). Child selections that are still
+ * offered are kept; a single select otherwise falls back to its first
+ * option, a multi-select to all of its options.
+ *
+ * Chains of any depth (region -> country -> city) work because a child can
+ * sit in a wrapper of its own: its change event cascades to the next level.
  *
  * Works with both native <select> elements and Choices.js-wrapped selects.
+ * The links are part of the inputs-ready lifecycle phase (lifecycle.js), so
+ * URL values are only restored once children know their parents.
  */
 (function() {
   'use strict';
 
+  var links = [];
+  var releaseInputs = window.dashboardrLifecycle.claim('inputs-ready');
+
+  /** Selected values of the parent input inside a wrapper */
+  function parentValues(wrapper) {
+    var select = wrapper.querySelector('select');
+    if (select) {
+      return Array.prototype.filter.call(select.options, function(opt) { return opt.selected; })
+        .map(function(opt) { return opt.value; });
+    }
+    var buttons = wrapper.querySelectorAll('.dashboardr-button-option.active');
+    if (buttons.length > 0) {
+      return Array.prototype.map.call(buttons, function(btn) { return btn.getAttribute('data-value'); });
+    }
+    var checked = wrapper.querySelectorAll('input[type="checkbox"]:checked, input[type="radio"]:checked');
+    return Array.prototype.map.call(checked, function(input) { return input.value; });
+  }
+
+  /** Union of the child options for the given parent values */
+  function childOptions(optionsByParent, values) {
+    var keys = Object.keys(optionsByParent);
+    if (values.length > 0) {
+      keys = keys.filter(function(key) { return values.indexOf(key) >= 0; });
+    }
+    var options = [];
+    keys.forEach(function(key) {
+      var raw = optionsByParent[key];
+      var list = Array.isArray(raw) ? raw : (raw == null ? [] : [raw]);
+      list.forEach(function(opt) {
+        if (opt === null || opt === undefined) return;
+        opt = String(opt);
+        if (options.indexOf(opt) < 0) options.push(opt);
+      });
+    });
+    return options;
+  }
+
+  function selectedValues(childEl) {
+    return Array.prototype.filter.call(childEl.options, function(opt) { return opt.selected; })
+      .map(function(opt) { return opt.value; });
+  }
+
+  function sameList(a, b) {
+    if (a.length !== b.length) return false;
+    for (var i = 0; i < a.length; i++) {
+      if (a[i] !== b[i]) return false;
+    }
+    return true;
+  }
+
+  /** Child selection after its options change from `before` to `after` */
+  function keptSelection(childEl, before, after, selected) {
+    var kept = selected.filter(function(value) { return after.indexOf(value) >= 0; });
+    if (!childEl.multiple) return kept.length > 0 ? [kept[0]] : after.slice(0, 1);
+    // A multi-select that had everything selected keeps having everything
+    var hadAll = before.length > 0 && before.every(function(value) { return selected.indexOf(value) >= 0; });
+    return hadAll || kept.length === 0 ? after.slice() : kept;
+  }
+
+  function setChildOptions(childEl, options, selected) {
+    var choicesInstances = window.dashboardrChoicesInstances || {};
+    var childChoices = choicesInstances[childEl.id];
+
+    if (childChoices) {
+      // Use Choices.js API: clear all items/choices, then set new ones
+      childChoices.clearStore();
+      childChoices.setChoices(
+        options.map(function(opt) {
+          return { value: opt, label: opt, selected: selected.indexOf(opt) >= 0 };
+        }),
+        'value', 'label', true
+      );
+    } else {
+      // Native select: rebuild via DocumentFragment for atomic DOM update
+      var frag = document.createDocumentFragment();
+      options.forEach(function(opt) {
+        var option = document.createElement('option');
+        option.value = opt;
+        option.textContent = opt;
+        option.selected = selected.indexOf(opt) >= 0;
+        frag.appendChild(option);
+      });
+      childEl.innerHTML = '';
+      childEl.appendChild(frag);
+    }
+  }
+
+  /** Bring a child in line with its parent; no-op when nothing changes */
+  function updateChild(link) {
+    var childEl = document.getElementById(link.childId);
+    if (!childEl) return;
+
+    var options = childOptions(link.optionsByParent, parentValues(link.wrapper));
+    var selected = selectedValues(childEl);
+    var next = keptSelection(childEl, link.options, options, selected);
+    if (sameList(options, link.options) && sameList(next, selected)) return;
+
+    link.options = options;
+    setChildOptions(childEl, options, next);
+
+    // Fire change on the underlying select so input_filter.js picks it up
+    // (and the next level of a chain, if the child is a parent too)
+    childEl.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
   function initLinkedInputs() {
     var wrappers = document.querySelectorAll('[data-linked-child-id]');
     wrappers.forEach(function(wrapper) {
+      if (wrapper.dataset.dashboardrLinked === 'true') return;
       var childId = wrapper.getAttribute('data-linked-child-id');
       var optionsByParentStr = wrapper.getAttribute('data-options-by-parent');
       if (!childId || !optionsByParentStr) return;
@@ -23,60 +139,42 @@
         console.warn('dashboardr linked_inputs: invalid data-options-by-parent', e);
         return;
       }
+      if (!document.getElementById(childId)) return;
+      wrapper.dataset.dashboardrLinked = 'true';
 
-      var childEl = document.getElementById(childId);
-      if (!childEl) return;
-
-      var parentSelect = wrapper.querySelector('select.dashboardr-input, select[id]');
-      if (!parentSelect) return;
-
-      function updateChildOptions() {
-        var parentValue = parentSelect.value;
-        var rawOptions = optionsByParent[parentValue];
-        var newOptions = Array.isArray(rawOptions)
-          ? rawOptions
-          : (rawOptions == null ? [] : [rawOptions]);
-        newOptions = newOptions
-          .filter(function(opt) { return opt !== null && opt !== undefined; })
-          .map(function(opt) { return String(opt); });
-
-        // Check if child is wrapped by Choices.js
-        var choicesInstances = window.dashboardrChoicesInstances || {};
-        var childChoices = choicesInstances[childId];
-
-        if (childChoices) {
-          // Use Choices.js API: clear all items/choices, then set new ones
-          childChoices.clearStore();
-          childChoices.setChoices(
-            newOptions.map(function(opt, idx) {
-              return { value: opt, label: opt, selected: idx === 0 };
-            }),
-            'value', 'label', true
-          );
-        } else {
-          // Native select: rebuild via DocumentFragment for atomic DOM update
-          var frag = document.createDocumentFragment();
-          newOptions.forEach(function(opt) {
-            var option = document.createElement('option');
-            option.value = opt;
-            option.textContent = opt;
-            frag.appendChild(option);
-          });
-          childEl.innerHTML = '';
-          childEl.appendChild(frag);
-        }
-
-        // Fire change on the underlying select so input_filter.js picks it up
-        childEl.dispatchEvent(new Event('change', { bubbles: true }));
-      }
+      var link = {
+        wrapper: wrapper,
+        childId: childId,
+        optionsByParent: optionsByParent,
+        // The page is rendered with the options of the default parent values
+        options: childOptions(optionsByParent, parentValues(wrapper))
+      };
+      links.push(link);
 
-      parentSelect.addEventListener('change', updateChildOptions);
+      // Selects, checkboxes and radios fire change; button groups only click
+      wrapper.addEventListener('change', function() {
+        updateChild(link);
+      });
+      wrapper.addEventListener('click', function(e) {
+        if (e.target && e.target.closest && e.target.closest('.dashboardr-button-option')) updateChild(link);
+      });
     });
   }
 
+  // Resets, saved views and history restores can set parents without a
+  // change event; re-check every link after each filter pass
+  document.addEventListener('dashboardr:filter-changed', function() {
+    links.forEach(updateChild);
+  });
+
+  function init() {
+    initLinkedInputs();
+    releaseInputs();
+  }
+
   if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initLinkedInputs);
+    document.addEventListener('DOMContentLoaded', init);
   } else {
-    initLinkedInputs();
+    init();
   }
 })();
@@ -15,6 +15,25 @@
  *   <img src="image.jpg" alt="Description">
  *   <p>Text content here</p>
  * </div>
+ *
+ * The .modal-content element itself is moved into the modal and put back
+ * on close, so charts and inputs inside it keep working (and stay
+ * registered for filtering); charts are reflowed once they are visible.
+ *
+ * Modals stack: a modal link inside a modal opens a second modal on top,
+ * and Escape or the close button closes the top one. Open modals are
+ * kept in the URL hash as #modal=id (#modal=outer,inner when stacked);
+ * such links open their modals on load and on hashchange.
+ *
+ * Every open/close dispatches 'dashboardr:modal-open' /
+ * 'dashboardr:modal-close' on document with detail {id, overlay, depth}
+ * (accessibility.js moves and restores focus on these).
+ *
+ * From script:
+ * window.dashboardrModal.open(node, { onClose: fn })  - show a DOM node
+ * window.dashboardrModal.openContent('modal-id')      - show .modal-content
+ * window.dashboardrModal.close()                      - close the top modal
+ * window.dashboardrModal.closeAll()
  */
 
 (function() {
@@ -38,114 +57,299 @@
     try { console.log.apply(console, arguments); } catch (e) {}
   }
 
-  // Initialize modals
-  function initializeModals() {
-    debugLog('Initializing dashboardr modals...');
-
-    // Prevent duplicate initialization
-    if (document.getElementById('dashboardr-modal-overlay')) {
-      debugLog('Modal overlay already exists, skipping initialization');
-      return;
+  var HASH_PREFIX = '#modal=';
+
+  // Open modals, bottom first: {overlay, body, id, node, placeholder, onClose}
+  var layers = [];
+  // The base layer is created once and keeps the historical element ids
+  var baseLayer = null;
+  // Hash to put back when the last modal closes
+  var hashBeforeModals = null;
+  // Set while the stack follows a hashchange, so the hash isn't rewritten
+  var followingHash = false;
+
+  // Create an overlay with its container, close button and body
+  function createLayer(isBase) {
+    var overlay = document.createElement('div');
+    overlay.className = 'dashboardr-modal-overlay';
+    overlay.style.display = 'none';
+
+    var container = document.createElement('div');
+    container.className = 'dashboardr-modal-container';
+
+    var close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'dashboardr-modal-close';
+    close.innerHTML = '&times;';
+    close.setAttribute('aria-label', 'Close modal');
+
+    var body = document.createElement('div');
+    body.className = 'dashboardr-modal-body';
+
+    if (isBase) {
+      overlay.id = 'dashboardr-modal-overlay';
+      container.id = 'dashboardr-modal-container';
+      close.id = 'dashboardr-modal-close';
+      body.id = 'dashboardr-modal-body';
     }
 
-    // Create modal overlay and container
-    const modalOverlay = document.createElement('div');
-    modalOverlay.id = 'dashboardr-modal-overlay';
-    modalOverlay.className = 'dashboardr-modal-overlay';
-    modalOverlay.style.display = 'none';
-
-    const modalContainer = document.createElement('div');
-    modalContainer.id = 'dashboardr-modal-container';
-    modalContainer.className = 'dashboardr-modal-container';
-
-    const modalClose = document.createElement('button');
-    modalClose.id = 'dashboardr-modal-close';
-    modalClose.className = 'dashboardr-modal-close';
-    modalClose.innerHTML = '&times;';
-    modalClose.setAttribute('aria-label', 'Close modal');
+    container.appendChild(close);
+    container.appendChild(body);
+    overlay.appendChild(container);
 
-    const modalBody = document.createElement('div');
-    modalBody.id = 'dashboardr-modal-body';
-    modalBody.className = 'dashboardr-modal-body';
+    var layer = { overlay: overlay, body: body, id: null, node: null, placeholder: null, onClose: null };
 
-    modalContainer.appendChild(modalClose);
-    modalContainer.appendChild(modalBody);
-    modalOverlay.appendChild(modalContainer);
+    close.addEventListener('click', function() {
+      closeLayer(layer);
+    });
+    overlay.addEventListener('click', function(e) {
+      if (e.target === overlay) closeLayer(layer);
+    });
 
-    // Ensure document.body exists before appending
     if (document.body) {
-      document.body.appendChild(modalOverlay);
-      debugLog('Modal overlay created and appended to document.body');
+      document.body.appendChild(overlay);
     } else {
       console.error('document.body not available, cannot append modal overlay');
     }
+    return layer;
+  }
 
-    // Close modal function
-    function closeModal() {
-      modalOverlay.style.display = 'none';
-      modalBody.innerHTML = '';
-      document.body.style.overflow = '';
+  // Find a .modal-content element by ID.
+  // Quarto can generate a <section id="..."> from headings that shadows
+  // the dashboardr <div id="..." class="modal-content">, so getElementById
+  // alone may return the wrong element.  Fall back to querySelectorAll.
+  function findModalContent(id) {
+    var el = document.getElementById(id);
+    if (el && el.classList.contains('modal-content')) return el;
+
+    // Fallback: find the .modal-content with this ID (handles duplicate IDs)
+    var candidates = document.querySelectorAll('.modal-content#' + CSS.escape(id));
+    if (candidates.length > 0) return candidates[0];
+
+    // Last resort: case-insensitive scan
+    var all = document.querySelectorAll('.modal-content[id]');
+    for (var i = 0; i < all.length; i++) {
+      if (all[i].id.toLowerCase() === id.toLowerCase()) return all[i];
     }
+    return null;
+  }
 
-    // Find a .modal-content element by ID.
-    // Quarto can generate a <section id="..."> from headings that shadows
-    // the dashboardr <div id="..." class="modal-content">, so getElementById
-    // alone may return the wrong element.  Fall back to querySelectorAll.
-    function findModalContent(id) {
-      var el = document.getElementById(id);
-      if (el && el.classList.contains('modal-content')) return el;
+  /**
+   * Charts drawn while their .modal-content was hidden have zero size;
+   * reflow the ones inside a modal once it is visible.
+   */
+  function reflowCharts(container) {
+    if (typeof Highcharts !== 'undefined' && Highcharts.charts) {
+      Highcharts.charts.forEach(function(chart) {
+        if (!chart || !chart.renderTo || !container.contains(chart.renderTo)) return;
+        try { chart.reflow(); } catch (e) { /* destroyed chart */ }
+      });
+    }
+    if (typeof echarts !== 'undefined' && typeof echarts.getInstanceByDom === 'function') {
+      container.querySelectorAll('.echarts4r, .echarts, [id^="htmlwidget-"]').forEach(function(el) {
+        var inst = echarts.getInstanceByDom(el);
+        if (!inst) return;
+        try { inst.resize(); } catch (e) { /* ignore resize errors */ }
+      });
+    }
+    if (typeof Plotly !== 'undefined' && Plotly.Plots && typeof Plotly.Plots.resize === 'function') {
+      container.querySelectorAll('.js-plotly-plot').forEach(function(el) {
+        try { Plotly.Plots.resize(el); } catch (e) { /* ignore resize errors */ }
+      });
+    }
+  }
+
+  function dispatchModalEvent(name, layer, depth) {
+    try {
+      document.dispatchEvent(new CustomEvent(name, {
+        detail: { id: layer.id, overlay: layer.overlay, depth: depth }
+      }));
+    } catch (e) {
+      // CustomEvent unsupported: nothing to notify
+    }
+  }
 
-      // Fallback: find the .modal-content with this ID (handles duplicate IDs)
-      var candidates = document.querySelectorAll('.modal-content#' + CSS.escape(id));
-      if (candidates.length > 0) return candidates[0];
+  // =========================================================
+  // URL hash (#modal=id)
+  // =========================================================
 
-      // Last resort: case-insensitive scan
-      var all = document.querySelectorAll('.modal-content[id]');
-      for (var i = 0; i < all.length; i++) {
-        if (all[i].id.toLowerCase() === id.toLowerCase()) return all[i];
+  /** Modal ids in a hash, or null when it isn't a modal hash */
+  function modalIdsFromHash(hash) {
+    if (!hash || hash.indexOf(HASH_PREFIX) !== 0) return null;
+    return hash.substring(HASH_PREFIX.length).split(',').map(function(part) {
+      try { return decodeURIComponent(part); } catch (e) { return part; }
+    }).filter(function(id) { return id !== ''; });
+  }
+
+  /** Put the ids of the open content modals in the hash (replaceState) */
+  function writeHash() {
+    if (followingHash || !window.history || !history.replaceState) return;
+    var ids = layers.map(function(layer) { return layer.id; }).filter(Boolean);
+    var hash;
+    if (ids.length > 0) {
+      if (hashBeforeModals === null) {
+        hashBeforeModals = modalIdsFromHash(window.location.hash) ? '' : window.location.hash;
       }
-      return null;
+      hash = HASH_PREFIX + ids.map(encodeURIComponent).join(',');
+    } else {
+      var before = hashBeforeModals;
+      hashBeforeModals = null;
+      // Leave the hash alone if something else (a tab) replaced it meanwhile
+      if (before === null || !modalIdsFromHash(window.location.hash)) return;
+      hash = before;
+    }
+    if (hash === window.location.hash) return;
+    try {
+      // Keep history.state: url_params.js stores its history index there
+      history.replaceState(history.state, '', window.location.pathname + window.location.search + hash);
+    } catch (e) {
+      debugLog('Could not update the modal hash:', e);
     }
+  }
 
-    // Open modal function
-    function openModal(contentId) {
-      debugLog('Attempting to open modal:', contentId);
+  /** Make the stack of content modals match the hash */
+  function followHash() {
+    var wanted = modalIdsFromHash(window.location.hash) || [];
+    var keep = 0;
+    while (keep < layers.length && keep < wanted.length && layers[keep].id === wanted[keep]) keep++;
+    followingHash = true;
+    try {
+      while (layers.length > keep) closeLayer(layers[layers.length - 1]);
+      wanted.slice(keep).forEach(function(id) { openModal(id); });
+    } finally {
+      followingHash = false;
+    }
+    hashBeforeModals = layers.length > 0 ? '' : null;
+  }
 
-      const content = findModalContent(contentId);
-      if (!content) {
-        console.error('Modal content not found: ' + contentId);
-        return;
+  // =========================================================
+  // Opening and closing
+  // =========================================================
+
+  /** Show `node` in a new modal on top of any open ones */
+  function showLayer(node, id, options) {
+    var layer;
+    if (layers.length === 0) {
+      baseLayer = baseLayer || createLayer(true);
+      layer = baseLayer;
+    } else {
+      layer = createLayer(false);
+    }
+    layer.id = id || null;
+    layer.onClose = options && typeof options.onClose === 'function' ? options.onClose : null;
+
+    // Park a placeholder where the node lives so it can be put back
+    layer.node = node;
+    layer.placeholder = null;
+    if (node.parentNode) {
+      layer.placeholder = document.createComment('dashboardr-modal:' + (id || ''));
+      node.parentNode.insertBefore(layer.placeholder, node);
+    }
+    if (id) node.style.display = 'block';
+
+    layer.body.innerHTML = '';
+    layer.body.appendChild(node);
+    layers.push(layer);
+    layer.overlay.style.display = 'flex';
+    document.body.style.overflow = 'hidden';
+
+    reflowCharts(layer.body);
+    writeHash();
+    dispatchModalEvent('dashboardr:modal-open', layer, layers.length - 1);
+    debugLog('Modal open, depth', layers.length);
+    return layer;
+  }
+
+  /** Close `layer` and every modal stacked above it */
+  function closeLayer(layer) {
+    var index = layers.indexOf(layer);
+    if (index < 0) return;
+    while (layers.length > index) {
+      var top = layers[layers.length - 1];
+      var onClose = top.onClose;
+      top.onClose = null;
+      if (onClose) {
+        try { onClose(); } catch (err) { console.error('Error in modal onClose:', err); }
       }
 
-      debugLog('Found modal content:', content);
+      // Content modals go back where they came from, hidden again
+      if (top.placeholder && top.placeholder.parentNode) {
+        if (top.id) top.node.style.display = 'none';
+        top.placeholder.parentNode.insertBefore(top.node, top.placeholder);
+        top.placeholder.parentNode.removeChild(top.placeholder);
+      }
+      top.overlay.style.display = 'none';
+      top.body.innerHTML = '';
+      top.node = null;
+      top.placeholder = null;
+      layers.pop();
+      if (top !== baseLayer && top.overlay.parentNode) top.overlay.parentNode.removeChild(top.overlay);
+
+      dispatchModalEvent('dashboardr:modal-close', top, layers.length);
+      top.id = null;
+    }
+    if (layers.length === 0) document.body.style.overflow = '';
+    writeHash();
+  }
+
+  function closeModal() {
+    if (layers.length > 0) closeLayer(layers[layers.length - 1]);
+  }
+
+  function closeAll() {
+    if (layers.length > 0) closeLayer(layers[0]);
+  }
 
-      // Clone the content to avoid moving it from its original location
-      const clonedContent = content.cloneNode(true);
-      clonedContent.style.display = 'block';
+  // Show a node built by script (e.g. a chart drill-down) in the modal
+  function showModal(node, options) {
+    return showLayer(node, null, options);
+  }
 
-      modalBody.innerHTML = '';
-      modalBody.appendChild(clonedContent);
-      modalOverlay.style.display = 'flex';
-      document.body.style.overflow = 'hidden';
+  // Open modal function
+  function openModal(contentId) {
+    debugLog('Attempting to open modal:', contentId);
 
-      debugLog('Modal visible, overlay display:', window.getComputedStyle(modalOverlay).display);
+    var content = findModalContent(contentId);
+    if (!content) {
+      console.error('Modal content not found: ' + contentId);
+      return;
+    }
+    // Already open (e.g. a link back to a modal further down the stack)
+    for (var i = 0; i < layers.length; i++) {
+      if (layers[i].node === content) return;
     }
 
-    // Event listeners for closing
-    modalClose.addEventListener('click', closeModal);
+    debugLog('Found modal content:', content);
+    showLayer(content, content.id || contentId);
+  }
 
-    modalOverlay.addEventListener('click', function(e) {
-      if (e.target === modalOverlay) {
-        closeModal();
-      }
-    });
+  // Initialize modals
+  function initializeModals() {
+    debugLog('Initializing dashboardr modals...');
+
+    // Prevent duplicate initialization
+    if (baseLayer || !document.body) {
+      debugLog('Modal overlay already exists, skipping initialization');
+      return;
+    }
+    baseLayer = createLayer(true);
 
     document.addEventListener('keydown', function(e) {
-      if (e.key === 'Escape' && modalOverlay.style.display === 'flex') {
+      if (e.key === 'Escape' && layers.length > 0) {
         closeModal();
       }
     });
 
+    // Script access, e.g. input_filter.js drill-downs from chart points
+    window.dashboardrModal = {
+      open: showModal,
+      openContent: openModal,
+      close: closeModal,
+      closeAll: closeAll,
+      isOpen: function() { return layers.length > 0; },
+      depth: function() { return layers.length; }
+    };
+
     // Find all links with data-modal attribute or .modal-link class
     document.addEventListener('click', function(e) {
       const link = e.target.closest('a');
@@ -173,6 +377,9 @@
               modalId = href.substring(hashIndex + 1); // Get everything after '#'
             }
           }
+          // Deep-link form: #modal=id
+          const fromHash = modalId ? modalIdsFromHash('#' + modalId) : null;
+          if (fromHash && fromHash.length > 0) modalId = fromHash[fromHash.length - 1];
 
           if (modalId) {
             debugLog('Extracted modal ID:', modalId);
@@ -194,6 +401,10 @@
         }
       }
     });
+
+    // #modal=id links, typed URLs and back/forward open and close modals
+    window.addEventListener('hashchange', followHash);
+    if (modalIdsFromHash(window.location.hash)) followHash();
   }
 
   // Run initialization when DOM is ready
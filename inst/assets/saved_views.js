@@ -0,0 +1,430 @@
+/**
+ * Saved Views for dashboardr
+ * ==========================
+ *
+ * Builds the "Views" menu rendered by add_saved_views(): readers save the
+ * current filter state (window.dashboardrInputs.state) plus the active
+ * tab (location hash) under a name, switch between saved views, rename
+ * or delete them, and export/import them as a JSON file.
+ *
+ * ## Storage
+ *
+ * Views live in localStorage under "dashboardr:views:<key>", where <key>
+ * is the menu's data-storage-key or, by default, the page path. Every
+ * menu sharing a key shows the same list, also across browser tabs.
+ *
+ * ## Predefined views
+ *
+ * Authors ship views from R as data-views JSON:
+ *   [{ "name": "North", "filters": { "region": ["North"] }, "tab": "Trends" }]
+ * `filters` maps filter variables to values; inputs not listed return to
+ * their defaults. Predefined views are listed first and can't be renamed
+ * or deleted.
+ *
+ * ## Export format
+ *
+ *   { "dashboardrViews": 1, "views": [{ name, state, hash, savedAt }] }
+ *
+ * Import also accepts a bare array of views. Imported views replace saved
+ * views of the same name.
+ */
+
+(function() {
+  'use strict';
+
+  var STORAGE_PREFIX = 'dashboardr:views:';
+  var EXPORT_VERSION = 1;
+  var initialized = false;
+  var menus = [];
+
+  // =========================================================
+  // Storage
+  // =========================================================
+
+  function storageKeyFor(menu) {
+    return STORAGE_PREFIX + (menu.dataset.storageKey || window.location.pathname);
+  }
+
+  function isView(view) {
+    return !!view && typeof view.name === 'string' && view.name.trim() !== '' &&
+      !!view.state && typeof view.state === 'object';
+  }
+
+  function readViews(key) {
+    try {
+      var raw = window.localStorage.getItem(key);
+      var parsed = raw ? JSON.parse(raw) : [];
+      return Array.isArray(parsed) ? parsed.filter(isView) : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function writeViews(key, views) {
+    try {
+      window.localStorage.setItem(key, JSON.stringify(views));
+      return true;
+    } catch (e) {
+      console.warn('dashboardr saved views: could not write to localStorage', e);
+      return false;
+    }
+  }
+
+  // Replace the view of the same name, or append
+  function upsertView(views, view) {
+    var out = views.filter(function(v) { return v.name !== view.name; });
+    var idx = views.findIndex(function(v) { return v.name === view.name; });
+    if (idx < 0) {
+      out.push(view);
+    } else {
+      out.splice(idx, 0, view);
+    }
+    return out;
+  }
+
+  // =========================================================
+  // Capturing and applying views
+  // =========================================================
+
+  function inputsApi() {
+    var api = window.dashboardrInputs;
+    return api && api.state && typeof api.applyState === 'function' ? api : null;
+  }
+
+  function captureView(name) {
+    var api = inputsApi();
+    if (!api) return null;
+    var state = {};
+    Object.keys(api.state).forEach(function(inputId) {
+      var type = api.state[inputId].inputType;
+      // Chart selections and brushes belong to a chart, not to the inputs
+      if (type === 'chart' || type === 'range') return;
+      state[inputId] = JSON.parse(JSON.stringify(api.state[inputId]));
+    });
+    return {
+      name: name,
+      state: state,
+      hash: window.location.hash || '',
+      savedAt: new Date().toISOString()
+    };
+  }
+
+  // Label sliders store positions; accept either a position or a label
+  function sliderPosition(st, value) {
+    if (Array.isArray(st.labels) && st.labels.length > 0 && isNaN(Number(value))) {
+      var idx = st.labels.indexOf(String(value));
+      if (idx < 0) return null;
+      return (Number(st.min) || 0) + idx * (Number(st.step) || 1);
+    }
+    return Number(value);
+  }
+
+  /**
+   * Translate a predefined view's { filterVar: values } into the
+   * inputId -> value snapshot that dashboardrInputs.applyState expects.
+   */
+  function stateFromFilters(api, filters) {
+    var snapshot = {};
+    Object.keys(api.state).forEach(function(inputId) {
+      var st = api.state[inputId];
+      if (!st.filterVar || !Object.prototype.hasOwnProperty.call(filters, st.filterVar)) return;
+      var raw = filters[st.filterVar];
+      var values = (Array.isArray(raw) ? raw : [raw]).map(String);
+
+      if (['select', 'checkbox', 'radio', 'button_group'].indexOf(st.inputType) >= 0) {
+        snapshot[inputId] = { selected: values };
+      } else if (st.inputType === 'switch') {
+        snapshot[inputId] = { value: values[0] === 'true' };
+      } else if (st.inputType === 'slider') {
+        var low = sliderPosition(st, values[0]);
+        if (low === null || isNaN(low)) return;
+        var target = { value: low };
+        if (st.upper !== undefined && st.upper !== null) {
+          var high = values.length > 1 ? sliderPosition(st, values[1]) : null;
+          target.upper = high === null || isNaN(high) ? api.defaults[inputId].upper : high;
+        }
+        snapshot[inputId] = target;
+      } else if (st.inputType === 'daterange') {
+        snapshot[inputId] = { start: values[0] || '', end: values[1] || '' };
+      } else {
+        snapshot[inputId] = { value: values[0] };
+      }
+    });
+    return snapshot;
+  }
+
+  // Activate "#Tab" or "#Parent/Child" the way url_params.js does
+  function activateTab(hash) {
+    if (!hash || hash.length <= 1) return;
+    var parts = decodeURIComponent(hash.substring(1)).split('/');
+    parts.forEach(function(tabName) {
+      var tabs = document.querySelectorAll('[role="tab"]');
+      for (var i = 0; i < tabs.length; i++) {
+        if ((tabs[i].textContent || tabs[i].innerText || '').trim() === tabName) {
+          tabs[i].click();
+          break;
+        }
+      }
+    });
+    try {
+      history.replaceState(null, '', window.location.pathname + window.location.search + hash);
+    } catch (e) {
+      // Some browsers restrict replaceState
+    }
+  }
+
+  function applyView(view) {
+    var api = inputsApi();
+    if (!api) return;
+    var state = view.state || stateFromFilters(api, view.filters || {});
+    api.applyState(state);
+    var hash = view.hash || (view.tab ? '#' + encodeURIComponent(view.tab) : '');
+    activateTab(hash);
+    document.dispatchEvent(new CustomEvent('dashboardr:view-applied', {
+      detail: { name: view.name, predefined: !view.state }
+    }));
+  }
+
+  // =========================================================
+  // Export / import
+  // =========================================================
+
+  function exportViews(views) {
+    var payload = JSON.stringify({ dashboardrViews: EXPORT_VERSION, views: views }, null, 2);
+    var blob = new Blob([payload], { type: 'application/json' });
+    var link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'dashboardr-views.json';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(function() { URL.revokeObjectURL(link.href); }, 0);
+  }
+
+  function parseImport(text) {
+    var parsed = JSON.parse(text);
+    var list = Array.isArray(parsed) ? parsed : (parsed && parsed.views);
+    if (!Array.isArray(list)) throw new Error('no "views" array');
+    return list.filter(isView);
+  }
+
+  // =========================================================
+  // Menu
+  // =========================================================
+
+  function predefinedViews(menu) {
+    var raw = menu.getAttribute('data-views');
+    if (!raw) return [];
+    try {
+      var parsed = JSON.parse(raw);
+      return Array.isArray(parsed) ? parsed.filter(function(v) { return v && v.name; }) : [];
+    } catch (e) {
+      console.warn('dashboardr saved views: invalid data-views', e);
+      return [];
+    }
+  }
+
+  function makeButton(className, text, title) {
+    var btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = className;
+    btn.textContent = text;
+    if (title) {
+      btn.title = title;
+      btn.setAttribute('aria-label', title);
+    }
+    return btn;
+  }
+
+  function setOpen(menu, open) {
+    var panel = menu.querySelector('.dashboardr-views-panel');
+    var toggle = menu.querySelector('.dashboardr-views-toggle');
+    if (!panel || !toggle) return;
+    panel.hidden = !open;
+    toggle.setAttribute('aria-expanded', open ? 'true' : 'false');
+  }
+
+  function renderList(menu) {
+    var list = menu.querySelector('.dashboardr-views-list');
+    if (!list) return;
+    var key = storageKeyFor(menu);
+    var saved = readViews(key);
+    list.innerHTML = '';
+
+    predefinedViews(menu).forEach(function(view) {
+      var item = document.createElement('li');
+      item.className = 'dashboardr-views-item predefined';
+      var apply = makeButton('dashboardr-views-apply', view.name);
+      apply.addEventListener('click', function() {
+        applyView(view);
+        setOpen(menu, false);
+      });
+      item.appendChild(apply);
+      list.appendChild(item);
+    });
+
+    saved.forEach(function(view) {
+      var item = document.createElement('li');
+      item.className = 'dashboardr-views-item';
+
+      var apply = makeButton('dashboardr-views-apply', view.name);
+      apply.addEventListener('click', function() {
+        applyView(view);
+        setOpen(menu, false);
+      });
+
+      var rename = makeButton('dashboardr-views-rename', '\u270e', 'Rename view ' + view.name);
+      rename.addEventListener('click', function() {
+        var name = window.prompt('Rename view', view.name);
+        if (!name || !name.trim() || name.trim() === view.name) return;
+        var renamed = Object.assign({}, view, { name: name.trim() });
+        var views = readViews(key).filter(function(v) { return v.name !== view.name; });
+        writeViews(key, upsertView(views, renamed));
+        renderAll(key);
+      });
+
+      var remove = makeButton('dashboardr-views-delete', '\u00d7', 'Delete view ' + view.name);
+      remove.addEventListener('click', function() {
+        if (!window.confirm('Delete view "' + view.name + '"?')) return;
+        writeViews(key, readViews(key).filter(function(v) { return v.name !== view.name; }));
+        renderAll(key);
+      });
+
+      item.appendChild(apply);
+      item.appendChild(rename);
+      item.appendChild(remove);
+      list.appendChild(item);
+    });
+
+    if (list.children.length === 0) {
+      var empty = document.createElement('li');
+      empty.className = 'dashboardr-views-empty';
+      empty.textContent = 'No saved views yet';
+      list.appendChild(empty);
+    }
+  }
+
+  function renderAll(key) {
+    menus.forEach(function(menu) {
+      if (!key || storageKeyFor(menu) === key) renderList(menu);
+    });
+  }
+
+  function buildMenu(menu) {
+    if (menu.dataset.dashboardrInitialized === 'true') return;
+    menu.dataset.dashboardrInitialized = 'true';
+    var key = storageKeyFor(menu);
+
+    var toggle = makeButton('dashboardr-views-toggle', menu.dataset.label || 'Views');
+    toggle.setAttribute('aria-haspopup', 'true');
+    toggle.setAttribute('aria-expanded', 'false');
+
+    var panel = document.createElement('div');
+    panel.className = 'dashboardr-views-panel';
+    panel.hidden = true;
+
+    var list = document.createElement('ul');
+    list.className = 'dashboardr-views-list';
+    panel.appendChild(list);
+
+    var actions = document.createElement('div');
+    actions.className = 'dashboardr-views-actions';
+
+    var save = makeButton('dashboardr-views-save', 'Save current view');
+    save.addEventListener('click', function() {
+      var name = window.prompt('Name this view');
+      if (!name || !name.trim()) return;
+      var view = captureView(name.trim());
+      if (!view) return;
+      var views = readViews(key);
+      var exists = views.some(function(v) { return v.name === view.name; });
+      if (exists && !window.confirm('Replace view "' + view.name + '"?')) return;
+      writeViews(key, upsertView(views, view));
+      renderAll(key);
+    });
+
+    var exportBtn = makeButton('dashboardr-views-export', 'Export');
+    exportBtn.addEventListener('click', function() {
+      exportViews(readViews(key));
+    });
+
+    var fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = 'application/json,.json';
+    fileInput.hidden = true;
+    fileInput.addEventListener('change', function() {
+      var file = fileInput.files && fileInput.files[0];
+      if (!file) return;
+      var reader = new FileReader();
+      reader.onload = function() {
+        try {
+          var views = readViews(key);
+          parseImport(String(reader.result)).forEach(function(view) {
+            views = upsertView(views, view);
+          });
+          writeViews(key, views);
+          renderAll(key);
+        } catch (e) {
+          window.alert('Could not import views: ' + e.message);
+        }
+        fileInput.value = '';
+      };
+      reader.readAsText(file);
+    });
+
+    var importBtn = makeButton('dashboardr-views-import', 'Import');
+    importBtn.addEventListener('click', function() { fileInput.click(); });
+
+    actions.appendChild(save);
+    actions.appendChild(exportBtn);
+    actions.appendChild(importBtn);
+    actions.appendChild(fileInput);
+    panel.appendChild(actions);
+
+    toggle.addEventListener('click', function() {
+      setOpen(menu, panel.hidden);
+    });
+
+    menu.appendChild(toggle);
+    menu.appendChild(panel);
+    menus.push(menu);
+    renderList(menu);
+  }
+
+  // =========================================================
+  // Initialization
+  // =========================================================
+
+  function initSavedViews() {
+    document.querySelectorAll('.dashboardr-views[data-dashboardr-views]').forEach(buildMenu);
+    if (initialized) return;
+    initialized = true;
+
+    document.addEventListener('click', function(e) {
+      menus.forEach(function(menu) {
+        if (!menu.contains(e.target)) setOpen(menu, false);
+      });
+    });
+    document.addEventListener('keydown', function(e) {
+      if (e.key !== 'Escape') return;
+      menus.forEach(function(menu) { setOpen(menu, false); });
+    });
+    // Keep menus in sync with views saved in other browser tabs
+    window.addEventListener('storage', function(e) {
+      if (e.key && e.key.indexOf(STORAGE_PREFIX) === 0) renderAll(e.key);
+    });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initSavedViews);
+  } else {
+    initSavedViews();
+  }
+
+  window.dashboardrViews = {
+    init: initSavedViews,
+    apply: applyView,
+    capture: captureView
+  };
+
+})();
@@ -31,12 +31,25 @@
  *
  * Supported operators: ==, !=, <, >, <=, >=
  *
+ * Ranges brushed on timeline/scatter charts and two-handle range
+ * sliders are exposed as `{ min, max }`: `==`/`in` test whether the value lies inside the
+ * range, `>`/`>=` require the whole range above the value and
+ * `<`/`<=` the whole range below it.
+ *
  * ## Event Flow
  *
  * input_filter.js dispatches a standard `change` event on `document`
  * after every filter update.  This file listens for that event and
  * calls `evaluate()`.  This decoupling means show_when works with
  * ANY input type, including custom ones.
+ * Conditions are also evaluated at load and once the `filters-applied`
+ * lifecycle phase (lifecycle.js) has completed.
+ *
+ * ## Filter Scopes
+ *
+ * A condition inside a `[data-filter-scope]` container is tested against
+ * the unscoped inputs plus the inputs of that scope (the scope's own win
+ * on a shared variable), matching how input_filter.js filters its charts.
  *
  * ## Debug Mode
  *
@@ -165,12 +178,23 @@
       });
   }
 
-  function collectInputValues() {
+  // Filter scope of an element ('' outside any [data-filter-scope])
+  function scopeOf(el) {
+    var holder = el && el.closest ? el.closest('[data-filter-scope]') : null;
+    return holder ? holder.getAttribute('data-filter-scope') || '' : '';
+  }
+
+  // Values of the inputs in `scope` (all inputs when scope is omitted)
+  function collectInputValues(scope) {
     var values = {};
+    function inScope(el) {
+      return scope === undefined || scopeOf(el) === scope;
+    }
 
     // Collect from <select> elements (Choices.js-aware)
     var choicesMap = window.dashboardrChoicesInstances || {};
     document.querySelectorAll('select').forEach(function(el) {
+      if (!inScope(el)) return;
       var id = el.getAttribute('data-input-id') || el.name || el.id;
       // Read value from Choices.js instance if available (native select may be stale)
       var val = el.value;
@@ -197,6 +221,7 @@
 
     // Collect from checked radio buttons
     document.querySelectorAll('input[type="radio"]:checked').forEach(function(el) {
+      if (!inScope(el)) return;
       var id = el.getAttribute('data-input-id') || el.name || el.id;
       if (id) values[id] = el.value;
       // Also resolve filter_var from the parent radio group container
@@ -209,6 +234,7 @@
 
     // Collect from checkbox groups (multi-select semantics)
     document.querySelectorAll('.dashboardr-checkbox-group[data-filter-var]').forEach(function(group) {
+      if (!inScope(group)) return;
       var fv = group.getAttribute('data-filter-var');
       if (!fv) return;
       var selected = Array.from(group.querySelectorAll('input[type="checkbox"]:checked'))
@@ -219,6 +245,7 @@
 
     // Collect from button groups
     document.querySelectorAll('.dashboardr-button-group[data-filter-var]').forEach(function(group) {
+      if (!inScope(group)) return;
       var fv = group.getAttribute('data-filter-var');
       if (!fv) return;
       var active = group.querySelector('.dashboardr-button-option.active');
@@ -230,6 +257,7 @@
 
     // Collect from non-radio/checkbox inputs (slider, text, number, etc.)
     document.querySelectorAll('input[data-filter-var], textarea[data-filter-var]').forEach(function(el) {
+      if (!inScope(el)) return;
       var fv = el.getAttribute('data-filter-var');
       if (!fv) return;
       var type = String(el.type || '').toLowerCase();
@@ -237,9 +265,62 @@
       values[fv] = el.value;
     });
 
+    // Chart selections and brushed ranges live only in the input state
+    var state = window.dashboardrInputs && window.dashboardrInputs.state;
+    if (state) {
+      Object.keys(state).forEach(function(id) {
+        var st = state[id];
+        if (!st || !st.filterVar) return;
+        if (scope !== undefined && (st.scope || '') !== scope) return;
+        if (st.inputType === 'range' && st.range) {
+          values[st.filterVar] = st.range.type === 'values'
+            ? st.range.values.slice()
+            : { min: st.range.min, max: st.range.max };
+        } else if (st.inputType === 'slider' && st.upper !== undefined && st.upper !== null) {
+          values[st.filterVar] = { min: sliderBound(st, st.value), max: sliderBound(st, st.upper) };
+        } else if (st.inputType === 'chart' && Array.isArray(st.selected)) {
+          values[st.filterVar] = st.selected.length === 1 ? st.selected[0] : st.selected.slice();
+        }
+      });
+    }
+
     return values;
   }
 
+  // Slider handle position -> compared value (its label on label sliders)
+  function sliderBound(st, position) {
+    if (Array.isArray(st.labels) && st.labels.length > 0) {
+      var idx = Math.round((position - st.min) / (st.step || 1));
+      if (idx >= 0 && idx < st.labels.length) return st.labels[idx];
+    }
+    return position;
+  }
+
+  function compareValues(a, b) {
+    var na = parseFloat(a);
+    var nb = parseFloat(b);
+    if (String(a) === String(na) && String(b) === String(nb)) return na - nb;
+    a = String(a);
+    b = String(b);
+    return a < b ? -1 : (a > b ? 1 : 0);
+  }
+
+  function evaluateRangeCondition(op, range, target) {
+    function inside(t) {
+      return compareValues(range.min, t) <= 0 && compareValues(range.max, t) >= 0;
+    }
+    switch (op) {
+      case 'eq': return inside(target);
+      case 'neq': return !inside(target);
+      case 'in': return Array.isArray(target) ? target.some(inside) : inside(target);
+      case 'gt': return compareValues(range.min, target) > 0;
+      case 'lt': return compareValues(range.max, target) < 0;
+      case 'gte': return compareValues(range.min, target) >= 0;
+      case 'lte': return compareValues(range.max, target) <= 0;
+      default: return true;
+    }
+  }
+
   function evaluateCondition(cond, inputs) {
     if (cond.op === 'and') {
       return cond.conditions.every(function(c) { return evaluateCondition(c, inputs); });
@@ -251,6 +332,9 @@
       return !evaluateCondition(cond.condition, inputs);
     }
     var val = inputs[cond.var];
+    if (val && typeof val === 'object' && !Array.isArray(val) && 'min' in val) {
+      return evaluateRangeCondition(cond.op, val, cond.val);
+    }
     // Try numeric comparison for gt/lt/gte/lte operators
     var numVal = parseFloat(val);
     var numCond = parseFloat(cond.val);
@@ -377,8 +461,20 @@
     }
   }
 
+  // Conditions inside a filter scope see the unscoped inputs overridden
+  // by the scope's own, like the charts of that scope
+  function scopedInputValues(cache, scope) {
+    if (!cache[scope]) {
+      cache[scope] = scope
+        ? Object.assign({}, scopedInputValues(cache, ''), collectInputValues(scope))
+        : collectInputValues('');
+    }
+    return cache[scope];
+  }
+
   function evaluateAllShowWhen() {
-    var inputs = collectInputValues();
+    var cache = {};
+    var inputs = scopedInputValues(cache, '');
     var elements = document.querySelectorAll('[data-show-when]');
     var beforeVisible = 0;
     elements.forEach(function(el) {
@@ -388,7 +484,7 @@
     elements.forEach(function(el) {
       try {
         var condition = JSON.parse(el.getAttribute('data-show-when'));
-        var visible = evaluateCondition(condition, inputs);
+        var visible = evaluateCondition(condition, scopedInputValues(cache, scopeOf(el)));
         if (visible) {
           el.classList.remove('dashboardr-sw-hidden');
         } else {
@@ -435,9 +531,13 @@
     evaluateAllShowWhen();
     fixChartMinHeight();
   }
-  // Re-run after short delay for async-rendered charts and bslib init
-  setTimeout(function() { evaluateAllShowWhen(); fixChartMinHeight(); }, 500);
-  setTimeout(function() { evaluateAllShowWhen(); fixChartMinHeight(); }, 2000);
+  // Re-run once the restored filter values have gone through the first
+  // filter pass (lifecycle.js), and again when bslib and the widgets have
+  // finished loading
+  window.dashboardrLifecycle.ready('filters-applied').then(function() {
+    evaluateAllShowWhen();
+    fixChartMinHeight();
+  });
   window.addEventListener('load', function() {
     evaluateAllShowWhen();
     fixChartMinHeight();
@@ -5,7 +5,27 @@
  * updates URL as filters/tabs change, and supports tab deep linking via hash.
  *
  * Query params: ?filterVar=value1,value2&tab=TabName
+ * Two-handle range sliders and date ranges are serialized as "low,high".
+ * Inputs in a filter scope are keyed "scope.filterVar" (?left.country=NL),
+ * so each panel of a scoped dashboard keeps its own selection.
  * Hash: #TabName or #Parent/Child for nested tabs
+ *
+ * History mode (script tag carries data-history="true", set by
+ * create_dashboard(url_history = TRUE)): each committed filter/tab change
+ * pushes a browser history entry instead of replacing the current one.
+ * Back/Forward (and the sidebar undo/redo buttons, Ctrl+Z / Ctrl+Shift+Z)
+ * step through those entries and restore them like a page load would.
+ *
+ * Cross-page persistence (data-persist="true", set by
+ * create_dashboard(persist_filters = TRUE)): values that differ from an
+ * input's default are kept in sessionStorage and appended to the internal
+ * navbar/sidebar links, so the next page opens with the same selection.
+ * The page's own query string wins over stored values; filter variables
+ * listed in data-persist-exclude are never carried over.
+ *
+ * The restore is the url-restored lifecycle phase (lifecycle.js): it runs
+ * once the inputs are ready and the charts registered, and the first
+ * filter pass waits for it.
  */
 
 (function() {
@@ -16,6 +36,29 @@
   // Track whether we are restoring from URL (suppress URL updates during restore)
   var restoring = false;
 
+  // History mode is read from our own script tag while it executes
+  var ownScript = document.currentScript;
+  var historyMode = !!(ownScript && ownScript.getAttribute('data-history') === 'true');
+  // Entries pushed by this page are numbered; historyTop is the newest one
+  // reachable with Forward. Nothing is pushed until the initial restore is done.
+  var historyIndex = 0;
+  var historyTop = 0;
+  var historyReady = false;
+
+  // Cross-page persistence is configured on the same script tag
+  var persistMode = !!(ownScript && ownScript.getAttribute('data-persist') === 'true');
+  var persistExclude = ((ownScript && ownScript.getAttribute('data-persist-exclude')) || '')
+    .split(',').map(function(v) { return v.trim(); }).filter(Boolean);
+  // Pages of one dashboard share a directory, and with it one storage entry
+  var PERSIST_KEY = 'dashboardr:filters:' + window.location.pathname.replace(/[^\/]*$/, '');
+  var PERSIST_LINKS = '.navbar a[href], #quarto-sidebar a[href], .sidebar-navigation a[href]';
+  // Values of the inputs before anything was restored: their defaults
+  var defaultValues = null;
+
+  // This script owns the url-restored lifecycle phase (see lifecycle.js)
+  var lifecycle = window.dashboardrLifecycle;
+  var releaseRestore = lifecycle.claim('url-restored');
+
   // =========================================================
   // Tab Deep Linking (hash-based)
   // =========================================================
@@ -59,7 +102,7 @@
           if (names.length > 0) {
             var newHash = '#' + encodeURIComponent(names.join('/'));
             if (window.location.hash !== newHash) {
-              history.replaceState(null, '', newHash + window.location.search);
+              commitURL(window.location.pathname + window.location.search + newHash);
             }
           }
         }
@@ -67,22 +110,65 @@
     });
   }
 
+  // =========================================================
+  // Filter scopes
+  // =========================================================
+
+  function scopeOf(el) {
+    var holder = el.closest ? el.closest('[data-filter-scope]') : null;
+    return holder ? holder.getAttribute('data-filter-scope') || '' : '';
+  }
+
+  // Query key of an input; filter_scope names contain no dots
+  function paramKey(el) {
+    var scope = scopeOf(el);
+    return scope ? scope + '.' + el.dataset.filterVar : el.dataset.filterVar;
+  }
+
+  function findInput(key) {
+    var inputs = document.querySelectorAll('[data-filter-var]');
+    for (var i = 0; i < inputs.length; i++) {
+      if (paramKey(inputs[i]) === key) return inputs[i];
+    }
+    return null;
+  }
+
   // =========================================================
   // Query Parameter Deserialization (page load)
   // =========================================================
 
   function restoreFromURL() {
-    var params;
+    var params = currentParams();
+    if (!params) return;
+    if (persistMode) addPersistedParams(params);
+    if (params.toString() === '') return;
+
+    beginRestore();
+    restoreFromParams(params);
+    endRestore();
+  }
+
+  function currentParams() {
     try {
-      params = new URLSearchParams(window.location.search);
+      return new URLSearchParams(window.location.search);
     } catch (e) {
-      return; // URLSearchParams not supported
+      return null; // URLSearchParams not supported
     }
+  }
 
-    if (!params || params.toString() === '') return;
-
+  function beginRestore() {
     restoring = true;
+    clearTimeout(updateTimer);
+  }
 
+  function endRestore() {
+    // The change events fired by the restore have been handled by now;
+    // later ones (debounced text inputs) serialize the restored values,
+    // so the first filter pass can write the URL right away
+    restoring = false;
+  }
+
+  function restoreFromParams(params) {
     params.forEach(function(value, key) {
       // Skip internal params
       if (key === 'dashboardr_debug' || key === 'debug') return;
@@ -100,9 +186,8 @@
         return;
       }
 
-      // Find input by filter_var (escape key for safe CSS selector)
-      var escapedKey = typeof CSS !== 'undefined' && CSS.escape ? CSS.escape(key) : key;
-      var input = document.querySelector('[data-filter-var="' + escapedKey + '"]');
+      // Find input by filter_var ("scope.filterVar" for scoped inputs)
+      var input = findInput(key);
       if (!input) return;
 
       var inputType = input.dataset.inputType || input.getAttribute('data-input-type') || '';
@@ -142,13 +227,6 @@
         textInput.dispatchEvent(new Event('input', { bubbles: true }));
       }
     });
-
-    // Trigger a single filter application after all params restored
-    setTimeout(function() {
-      restoring = false;
-      // applyAllFilters is called by individual change events, but we ensure
-      // the URL isn't updated during the restore process
-    }, 300);
   }
 
   // Helper: set select value (supports Choices.js)
@@ -193,8 +271,19 @@
     if (selected) selected.dispatchEvent(new Event('change', { bubbles: true }));
   }
 
-  // Helper: set slider value
+  // Helper: set slider value ("low,high" for two-handle range sliders)
   function setSliderValue(sliderEl, value) {
+    if (sliderEl.dataset.range === 'true') {
+      var bounds = value.split(',');
+      var lowInput = sliderEl.querySelector('input[data-role="min"]');
+      var highInput = sliderEl.querySelector('input[data-role="max"]');
+      if (!lowInput || !highInput || bounds.length !== 2) return;
+      lowInput.value = bounds[0];
+      highInput.value = bounds[1];
+      lowInput.dispatchEvent(new Event('input', { bubbles: true }));
+      highInput.dispatchEvent(new Event('input', { bubbles: true }));
+      return;
+    }
     var rangeInput = sliderEl.querySelector('input[type="range"]') || sliderEl;
     rangeInput.value = value;
     rangeInput.dispatchEvent(new Event('input', { bubbles: true }));
@@ -214,80 +303,312 @@
   // Query Parameter Serialization (on filter change)
   // =========================================================
 
+  // Current value of every filter input as { key, el, value }; empty
+  // inputs have value ''
+  function readFilterValues() {
+    var values = [];
+
+    // Get inputState from the dashboardr filter system
+    // We read DOM state directly to avoid needing a global reference
+    var allInputs = document.querySelectorAll('[data-filter-var]');
+
+    allInputs.forEach(function(el) {
+      var filterVar = el.dataset.filterVar;
+      var inputType = el.dataset.inputType || '';
+      if (!filterVar) return;
+
+      var value = '';
+
+      if (inputType === 'select' || el.tagName === 'SELECT') {
+        var selected = Array.from(el.selectedOptions || []).map(function(o) { return o.value; });
+        // Check Choices.js instance
+        var ci = window.dashboardrChoicesInstances && window.dashboardrChoicesInstances[el.id];
+        if (ci && ci.getValue) {
+          var choiceVals = ci.getValue(true);
+          selected = Array.isArray(choiceVals) ? choiceVals : [choiceVals];
+        }
+        value = selected.join(',');
+      } else if (inputType === 'checkbox') {
+        var checked = Array.from(el.querySelectorAll('input[type="checkbox"]:checked'));
+        value = checked.map(function(c) { return c.value; }).join(',');
+      } else if (inputType === 'radio') {
+        var checkedRadio = el.querySelector('input[type="radio"]:checked');
+        value = checkedRadio ? checkedRadio.value : '';
+      } else if (inputType === 'slider' && el.dataset.range === 'true') {
+        var lo = el.querySelector('input[data-role="min"]');
+        var hi = el.querySelector('input[data-role="max"]');
+        if (!lo || !hi) return;
+        value = lo.value + ',' + hi.value;
+      } else if (inputType === 'slider') {
+        var range = el.querySelector('input[type="range"]') || el;
+        value = range.value || '';
+      } else if (inputType === 'switch') {
+        // Don't serialize switches (they toggle series, not filter values)
+        return;
+      } else if (inputType === 'date') {
+        value = el.value || '';
+      } else if (inputType === 'daterange') {
+        var s = el.querySelector('[data-role="start"]');
+        var e = el.querySelector('[data-role="end"]');
+        value = (s ? s.value : '') + ',' + (e ? e.value : '');
+        if (value === ',') value = ''; // Both empty
+      } else if (inputType === 'button_group') {
+        var active = el.querySelector('.dashboardr-button-option.active');
+        value = active ? (active.dataset.value || '') : '';
+      } else if (inputType === 'number') {
+        var numInput = el.querySelector('input[type="number"]') || el;
+        value = numInput.value || '';
+      } else if (inputType === 'text') {
+        var txtInput = el.querySelector('input[type="text"]') || el;
+        value = txtInput.value || '';
+      }
+
+      values.push({ key: paramKey(el), el: el, value: value });
+    });
+
+    return values;
+  }
+
   function serializeToURL() {
     if (restoring) return;
 
     clearTimeout(updateTimer);
-    updateTimer = setTimeout(function() {
-      var params = new URLSearchParams();
-
-      // Get inputState from the dashboardr filter system
-      // We read DOM state directly to avoid needing a global reference
-      var allInputs = document.querySelectorAll('[data-filter-var]');
-
-      allInputs.forEach(function(el) {
-        var filterVar = el.dataset.filterVar;
-        var inputType = el.dataset.inputType || '';
-        if (!filterVar) return;
-
-        var value = '';
-
-        if (inputType === 'select' || el.tagName === 'SELECT') {
-          var selected = Array.from(el.selectedOptions || []).map(function(o) { return o.value; });
-          // Check Choices.js instance
-          var ci = window.dashboardrChoicesInstances && window.dashboardrChoicesInstances[el.id];
-          if (ci && ci.getValue) {
-            var choiceVals = ci.getValue(true);
-            selected = Array.isArray(choiceVals) ? choiceVals : [choiceVals];
-          }
-          value = selected.join(',');
-        } else if (inputType === 'checkbox') {
-          var checked = Array.from(el.querySelectorAll('input[type="checkbox"]:checked'));
-          value = checked.map(function(c) { return c.value; }).join(',');
-        } else if (inputType === 'radio') {
-          var checkedRadio = el.querySelector('input[type="radio"]:checked');
-          value = checkedRadio ? checkedRadio.value : '';
-        } else if (inputType === 'slider') {
-          var range = el.querySelector('input[type="range"]') || el;
-          value = range.value || '';
-        } else if (inputType === 'switch') {
-          // Don't serialize switches (they toggle series, not filter values)
-          return;
-        } else if (inputType === 'date') {
-          value = el.value || '';
-        } else if (inputType === 'daterange') {
-          var s = el.querySelector('[data-role="start"]');
-          var e = el.querySelector('[data-role="end"]');
-          value = (s ? s.value : '') + ',' + (e ? e.value : '');
-          if (value === ',') return; // Both empty
-        } else if (inputType === 'button_group') {
-          var active = el.querySelector('.dashboardr-button-option.active');
-          value = active ? (active.dataset.value || '') : '';
-        } else if (inputType === 'number') {
-          var numInput = el.querySelector('input[type="number"]') || el;
-          value = numInput.value || '';
-        } else if (inputType === 'text') {
-          var txtInput = el.querySelector('input[type="text"]') || el;
-          value = txtInput.value || '';
-        }
+    updateTimer = setTimeout(writeURL, 300); // 300ms debounce
+  }
 
-        if (value) {
-          params.set(filterVar, value);
-        }
-      });
+  function writeURL() {
+    if (restoring) return;
+    var params = new URLSearchParams();
+    var values = readFilterValues();
+
+    values.forEach(function(entry) {
+      if (entry.value) {
+        params.set(entry.key, entry.value);
+      }
+    });
+
+    var newSearch = params.toString();
+    var currentUrl = window.location.pathname + window.location.hash;
+    if (newSearch) {
+      currentUrl = window.location.pathname + '?' + newSearch + window.location.hash;
+    }
+
+    commitURL(currentUrl);
+    if (persistMode) persistFilters(values);
+  }
+
+  // Write a committed URL: pushed in history mode, replaced otherwise
+  function commitURL(url) {
+    var here = window.location.pathname + window.location.search + window.location.hash;
+    if (url === here) return;
+
+    try {
+      if (historyMode && historyReady && !restoring) {
+        historyIndex += 1;
+        historyTop = historyIndex;
+        history.pushState({ dashboardrHistory: historyIndex }, '', url);
+        updateHistoryControls();
+      } else {
+        history.replaceState(historyMode ? { dashboardrHistory: historyIndex } : null, '', url);
+      }
+    } catch (e) {
+      // Some browsers restrict pushState/replaceState
+    }
+  }
+
+  // =========================================================
+  // Cross-page Persistence
+  // =========================================================
+
+  function readPersisted() {
+    try {
+      var parsed = JSON.parse(window.sessionStorage.getItem(PERSIST_KEY) || '{}');
+      return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  function writePersisted(stored) {
+    try {
+      window.sessionStorage.setItem(PERSIST_KEY, JSON.stringify(stored));
+    } catch (e) {
+      // Storage disabled or full: the rewritten links still carry the values
+    }
+  }
 
-      var newSearch = params.toString();
-      var currentUrl = window.location.pathname + window.location.hash;
-      if (newSearch) {
-        currentUrl = window.location.pathname + '?' + newSearch + window.location.hash;
+  function isPersistedInput(el) {
+    return persistExclude.indexOf(el.dataset.filterVar) === -1;
+  }
+
+  // Stored values fill in inputs the page's query string does not mention
+  function addPersistedParams(params) {
+    var stored = readPersisted();
+    Object.keys(stored).forEach(function(key) {
+      if (params.has(key)) return;
+      var input = findInput(key);
+      if (input && isPersistedInput(input)) params.set(key, stored[key]);
+    });
+  }
+
+  function snapshotDefaults() {
+    defaultValues = {};
+    readFilterValues().forEach(function(entry) {
+      defaultValues[entry.key] = entry.value;
+    });
+  }
+
+  // Store this page's non-default values; keys of inputs on other pages
+  // are kept as they are
+  function persistFilters(values) {
+    var stored = readPersisted();
+    values.forEach(function(entry) {
+      if (!isPersistedInput(entry.el)) return;
+      var isDefault = defaultValues && defaultValues[entry.key] === entry.value;
+      if (entry.value && !isDefault) {
+        stored[entry.key] = entry.value;
+      } else {
+        delete stored[entry.key];
       }
+    });
+    writePersisted(stored);
+    rewriteLinks(stored);
+  }
+
+  function isPageLink(a) {
+    return a.protocol === window.location.protocol &&
+      a.host === window.location.host &&
+      /(\.html?|\/)$/.test(a.pathname);
+  }
 
+  // Append the stored values to internal page links, keeping each link's
+  // own query and hash
+  function rewriteLinks(stored) {
+    document.querySelectorAll(PERSIST_LINKS).forEach(function(a) {
+      if (!a.hasAttribute('data-dashboardr-href')) {
+        if (!isPageLink(a)) return;
+        a.setAttribute('data-dashboardr-href', a.getAttribute('href'));
+      }
+      var path = a.getAttribute('data-dashboardr-href');
+      var hashAt = path.indexOf('#');
+      var hash = hashAt >= 0 ? path.substring(hashAt) : '';
+      if (hashAt >= 0) path = path.substring(0, hashAt);
+      var queryAt = path.indexOf('?');
+      var params = new URLSearchParams(queryAt >= 0 ? path.substring(queryAt + 1) : '');
+      if (queryAt >= 0) path = path.substring(0, queryAt);
+
+      Object.keys(stored).forEach(function(key) {
+        if (!params.has(key)) params.set(key, stored[key]);
+      });
+      var search = params.toString();
+      a.setAttribute('href', path + (search ? '?' + search : '') + hash);
+    });
+  }
+
+  // =========================================================
+  // Filter History (Back/Forward, undo/redo)
+  // =========================================================
+
+  function initHistory() {
+    var state = history.state;
+    if (state && typeof state.dashboardrHistory === 'number') {
+      // Reload of an entry we pushed earlier
+      historyIndex = state.dashboardrHistory;
+      historyTop = historyIndex;
+    } else {
       try {
-        history.replaceState(null, '', currentUrl);
+        history.replaceState({ dashboardrHistory: 0 }, '', window.location.href);
       } catch (e) {
         // Some browsers restrict replaceState
       }
-    }, 300); // 300ms debounce
+    }
+
+    window.addEventListener('popstate', restoreFromHistory);
+    document.addEventListener('keydown', handleHistoryKeys);
+    renderHistoryControls();
+  }
+
+  // Restore an entry through the same path as a page load. Inputs absent
+  // from its query string were empty or at their defaults, so reset first.
+  function restoreFromHistory(e) {
+    var state = e.state;
+    if (!state || typeof state.dashboardrHistory !== 'number') return;
+
+    historyIndex = state.dashboardrHistory;
+    beginRestore();
+    var api = window.dashboardrInputs;
+    if (api && typeof api.applyState === 'function') api.applyState({});
+    var params = currentParams();
+    if (params) restoreFromParams(params);
+    activateTabFromHash();
+    endRestore();
+    updateHistoryControls();
+  }
+
+  function undo() {
+    if (historyIndex > 0) history.back();
+  }
+
+  function redo() {
+    if (historyIndex < historyTop) history.forward();
+  }
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS); text fields keep their own undo
+  function handleHistoryKeys(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    var key = (e.key || '').toLowerCase();
+    if (key !== 'z' && key !== 'y') return;
+
+    var target = e.target;
+    if (target && (target.isContentEditable ||
+        /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName || '')) &&
+        !/^(checkbox|radio|range|button)$/.test(target.type || '')) {
+      return;
+    }
+
+    e.preventDefault();
+    if (key === 'y' || e.shiftKey) {
+      redo();
+    } else {
+      undo();
+    }
+  }
+
+  function renderHistoryControls() {
+    var sidebars = document.querySelectorAll('.sidebar');
+    sidebars.forEach(function(sidebar) {
+      if (sidebar.querySelector('.dashboardr-history-controls')) return;
+      var host = sidebar.querySelector('.sidebar-content') || sidebar;
+
+      var controls = document.createElement('div');
+      controls.className = 'dashboardr-history-controls';
+      controls.setAttribute('role', 'group');
+      controls.setAttribute('aria-label', 'Filter history');
+      controls.appendChild(historyButton('undo', '\u21b6 Undo', 'Undo filter change (Ctrl+Z)', undo));
+      controls.appendChild(historyButton('redo', 'Redo \u21b7', 'Redo filter change (Ctrl+Shift+Z)', redo));
+      host.insertBefore(controls, host.firstChild);
+    });
+    updateHistoryControls();
+  }
+
+  function historyButton(action, label, title, onClick) {
+    var btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'dashboardr-history-btn';
+    btn.setAttribute('data-history-action', action);
+    btn.setAttribute('title', title);
+    btn.setAttribute('aria-label', title);
+    btn.textContent = label;
+    btn.addEventListener('click', onClick);
+    return btn;
+  }
+
+  function updateHistoryControls() {
+    var buttons = document.querySelectorAll('.dashboardr-history-btn');
+    buttons.forEach(function(btn) {
+      var action = btn.getAttribute('data-history-action');
+      btn.disabled = action === 'undo' ? historyIndex <= 0 : historyIndex >= historyTop;
+    });
   }
 
   // =========================================================
@@ -304,12 +625,25 @@
     // Listen for filter changes to update URL
     document.addEventListener('dashboardr:filter-changed', serializeToURL);
 
-    // On page load: restore from URL after inputs are initialized
-    // Use a delay to ensure inputs are ready
-    setTimeout(function() {
+    if (historyMode) initHistory();
+
+    // On page load: restore from URL once the inputs are initialized and
+    // the charts have stored their unfiltered data
+    lifecycle.ready('charts-registered').then(function() {
+      if (persistMode) snapshotDefaults();
       restoreFromURL();
       activateTabFromHash();
-    }, 500);
+      if (persistMode) rewriteLinks(readPersisted());
+      releaseRestore();
+    });
+
+    // The first filter pass is written as the page's own entry: changes
+    // made while loading are not undo steps
+    lifecycle.ready('filters-applied').then(function() {
+      clearTimeout(updateTimer);
+      writeURL();
+      historyReady = true;
+    });
   }
 
   if (document.readyState === 'loading') {
@@ -318,9 +652,4 @@
     initUrlParams();
   }
 
-  // Also run on window load as fallback
-  window.addEventListener('load', function() {
-    setTimeout(initUrlParams, 100);
-  });
-
 })();
@@ -1335,6 +1335,609 @@ async (page) => {
     };
   };
 
+  // Page-side series readers, shared by the backend-parity and scripted-step
+  // checks. Installed as window.__dashboardrPwReadChart(entry), which returns
+  // the visible series as [{ name, points: [[category, value], ...] }].
+  const installChartReaders = async () => {
+    await page.evaluate(() => {
+      if (window.__dashboardrPwReadChart) return;
+      const registry = window.dashboardrChartRegistry;
+
+      const normX = (value) => {
+        if (value === null || value === undefined) return '';
+        const num = Number(value);
+        return (value !== '' && Number.isFinite(num)) ? String(num) : String(value);
+      };
+      const normY = (value) => {
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+          value = Object.prototype.hasOwnProperty.call(value, 'y') ? value.y : value.value;
+        }
+        if (Array.isArray(value)) value = value[1];
+        const num = Number(value);
+        return (value === null || value === undefined || value === '' || !Number.isFinite(num))
+          ? null
+          : Math.round(num * 1000) / 1000;
+      };
+      const finish = (series) => {
+        return series
+          .map((s) => ({
+            name: String(s.name || ''),
+            points: s.points
+              .filter((p) => p[1] !== null)
+              .sort((a, b) => (a[0] < b[0] ? -1 : (a[0] > b[0] ? 1 : 0)))
+          }))
+          .filter((s) => s.points.length > 0)
+          .sort((a, b) => (a.name < b.name ? -1 : (a.name > b.name ? 1 : 0)));
+      };
+
+      const readHighchart = (entry) => {
+        const chart = registry.resolveHighchart ? registry.resolveHighchart(entry) : null;
+        if (!chart || !Array.isArray(chart.series)) return null;
+        return finish(chart.series
+          .filter((s) => s && s.visible !== false && s.options && s.options.showInLegend !== false)
+          .map((s) => ({
+            name: s.name,
+            points: (s.points || []).map((pt) => [
+              normX(pt.category !== undefined && typeof pt.category !== 'number' ? pt.category : pt.x),
+              normY(pt.y)
+            ])
+          })));
+      };
+
+      const readPlotly = (entry) => {
+        const traces = entry.el && Array.isArray(entry.el.data) ? entry.el.data : null;
+        if (!traces) return null;
+        return finish(traces
+          .filter((t) => t && t.visible !== 'legendonly' && t.visible !== false)
+          .map((t) => {
+            const horizontal = t.orientation === 'h';
+            const cats = (horizontal ? t.y : t.x) || [];
+            const vals = (horizontal ? t.x : t.y) || [];
+            const labels = Array.isArray(t.labels) ? t.labels : null;
+            if (labels) {
+              return { name: t.name, points: labels.map((l, i) => [normX(l), normY((t.values || [])[i])]) };
+            }
+            return { name: t.name, points: Array.from(cats).map((c, i) => [normX(c), normY(vals[i])]) };
+          }));
+      };
+
+      const readEcharts = (entry) => {
+        const inst = window.echarts && entry.el ? window.echarts.getInstanceByDom(entry.el) : null;
+        if (!inst) return null;
+        const option = inst.getOption() || {};
+        const xAxis = (option.xAxis || [])[0] || {};
+        const yAxis = (option.yAxis || [])[0] || {};
+        const cats = Array.isArray(xAxis.data) && xAxis.data.length
+          ? xAxis.data
+          : (Array.isArray(yAxis.data) && yAxis.data.length ? yAxis.data : null);
+        return finish((option.series || [])
+          .filter((s) => s && Array.isArray(s.data))
+          .map((s) => ({
+            name: s.name,
+            points: s.data.map((d, i) => {
+              if (Array.isArray(d)) return [normX(d[0]), normY(d[1])];
+              if (d && typeof d === 'object' && d.name !== undefined && !cats) return [normX(d.name), normY(d.value)];
+              return [normX(cats ? cats[i] : i), normY(d)];
+            })
+          })));
+      };
+
+      window.__dashboardrPwReadChart = (entry) => {
+        if (!registry || !entry) return null;
+        if (entry.backend === 'highcharter') return readHighchart(entry);
+        if (entry.backend === 'plotly') return readPlotly(entry);
+        if (entry.backend === 'echarts4r') return readEcharts(entry);
+        return null;
+      };
+    });
+  };
+
+  const captureBackendParitySnapshot = async () => {
+    await installChartReaders();
+    return await page.evaluate(() => {
+      const registry = window.dashboardrChartRegistry;
+      const crossTab = window.dashboardrCrossTab || {};
+      const charts = registry && typeof registry.getCharts === 'function' ? registry.getCharts() : [];
+
+      const groups = {};
+      charts.forEach((entry) => {
+        const info = crossTab[entry.id];
+        const config = info && info.config;
+        if (!config) return;
+        const key = `${config.chartType || 'chart'}:${config.xVar || config.timeVar || ''}:${config.groupVar || config.stackVar || ''}`;
+        const series = window.__dashboardrPwReadChart(entry);
+        if (!series) return;
+        // Single-series charts name their series after the backend's
+        // defaults; only the values are comparable there.
+        if (series.length === 1) series[0].name = '';
+        if (!groups[key]) groups[key] = {};
+        groups[key][entry.backend] = JSON.stringify(series);
+      });
+      return groups;
+    });
+  };
+
+  const compareBackendParity = (snapshot, label) => {
+    const mismatches = [];
+    Object.keys(snapshot || {}).forEach((key) => {
+      const byBackend = snapshot[key];
+      const backends = Object.keys(byBackend);
+      if (backends.length < 2) return;
+      const reference = byBackend[backends[0]];
+      backends.slice(1).forEach((backend) => {
+        if (byBackend[backend] !== reference) {
+          mismatches.push({
+            step: label,
+            chart: key,
+            backends: [backends[0], backend],
+            expected: reference.slice(0, 400),
+            actual: byBackend[backend].slice(0, 400)
+          });
+        }
+      });
+    });
+    return mismatches;
+  };
+
+  const performBackendParityInteraction = async () => {
+    const result = { performed: false, compared: 0, steps: [], mismatches: [] };
+
+    const initial = await captureBackendParitySnapshot();
+    result.compared = Object.keys(initial).filter((k) => Object.keys(initial[k]).length > 1).length;
+    result.mismatches.push(...compareBackendParity(initial, 'initial'));
+
+    // Change every value-based input (slider, number, date, date range)
+    // to a non-default value, compare, then restore it.
+    const controls = await page.evaluate(() => {
+      const found = [];
+      document.querySelectorAll('input[type="range"][data-filter-var], input[data-input-type="number"]')
+        .forEach((el) => found.push({ id: el.id, kind: el.type === 'range' ? 'slider' : 'number' }));
+      document.querySelectorAll('input[data-input-type="date"]')
+        .forEach((el) => found.push({ id: el.id, kind: 'date' }));
+      document.querySelectorAll('[data-input-type="daterange"]')
+        .forEach((el) => found.push({ id: el.id, kind: 'daterange' }));
+      return found.filter((c) => c.id);
+    });
+
+    for (const control of controls) {
+      const change = await page.evaluate(({ id, kind }) => {
+        const root = document.getElementById(id);
+        if (!root) return null;
+        const fire = (el) => {
+          el.dispatchEvent(new Event('input', { bubbles: true }));
+          el.dispatchEvent(new Event('change', { bubbles: true }));
+        };
+        const shiftDate = (iso, min, max) => {
+          const lo = Date.parse(min || iso);
+          const hi = Date.parse(max || iso);
+          if (!Number.isFinite(lo) || !Number.isFinite(hi) || hi <= lo) return iso;
+          return new Date(lo + (hi - lo) / 2).toISOString().substring(0, 8) + '01';
+        };
+        if (kind === 'daterange') {
+          const start = root.querySelector('[data-role="start"]');
+          if (!start) return null;
+          const before = start.value;
+          start.value = shiftDate(before, start.min || before, start.max || (root.querySelector('[data-role="end"]') || {}).value);
+          fire(start);
+          return { before, after: start.value, target: start.id || null };
+        }
+        const before = root.value;
+        if (kind === 'date') {
+          const next = root.min && root.min !== before ? root.min : shiftDate(before, root.min, root.max);
+          root.value = next;
+        } else {
+          const min = Number(root.min);
+          const max = Number(root.max);
+          const current = Number(before);
+          root.value = String(Number.isFinite(max) && max !== current ? max : (Number.isFinite(min) ? min : current));
+        }
+        fire(root);
+        return { before, after: root.value, target: null };
+      }, control);
+      if (!change || change.before === change.after) continue;
+
+      await wait(1500);
+      const snapshot = await captureBackendParitySnapshot();
+      const label = `${control.kind}:${control.id}=${change.after}`;
+      result.steps.push(label);
+      result.mismatches.push(...compareBackendParity(snapshot, label));
+      result.performed = true;
+
+      await page.evaluate(({ id, kind, before, target }) => {
+        const el = target ? document.getElementById(target) : document.getElementById(id);
+        if (!el) return;
+        const input = kind === 'daterange' && !target ? el.querySelector('[data-role="start"]') : el;
+        input.value = before;
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+        input.dispatchEvent(new Event('change', { bubbles: true }));
+      }, { id: control.id, kind: control.kind, before: change.before, target: change.target });
+      await wait(1000);
+    }
+
+    return result;
+  };
+
+  // Scripted steps: `interaction_plan: steps` runs `scenario.steps` in order.
+  // Each step is a one-key object, e.g. `- click: '#reset'` or
+  // `- expect_categories: { chart: 'By region (plotly)', excludes: [West] }`.
+  // Charts are picked by a case-insensitive substring of their title.
+  const stepSettleMs = Number.isFinite(Number(scenario.step_settle_ms)) ? Number(scenario.step_settle_ms) : 800;
+  const asList = (value) => (value === undefined || value === null ? [] : [].concat(value)).map((v) => String(v));
+
+  const installStepHelpers = async () => {
+    await installChartReaders();
+    await page.evaluate(() => {
+      if (window.__dashboardrPwFindChart) return;
+      const registry = window.dashboardrChartRegistry;
+      const chartTitle = (entry) => {
+        let own = '';
+        if (entry.backend === 'highcharter') {
+          const chart = registry.resolveHighchart ? registry.resolveHighchart(entry) : null;
+          own = chart && chart.title ? (chart.title.textStr || '') : '';
+        } else if (entry.backend === 'plotly') {
+          const t = entry.el && entry.el.layout ? entry.el.layout.title : '';
+          own = t && typeof t === 'object' ? (t.text || '') : (t || '');
+        } else if (entry.backend === 'echarts4r' && window.echarts && entry.el) {
+          const inst = window.echarts.getInstanceByDom(entry.el);
+          const t = inst ? ((inst.getOption() || {}).title || [])[0] : null;
+          own = t ? (t.text || '') : '';
+        }
+        const card = entry.el && entry.el.closest ? entry.el.closest('.card') : null;
+        const header = card ? card.querySelector('.card-header, .card-title') : null;
+        return `${own} ${header ? header.textContent : ''}`.toLowerCase();
+      };
+      window.__dashboardrPwFindChart = (title) => {
+        const charts = registry && typeof registry.getCharts === 'function' ? registry.getCharts() : [];
+        const needle = String(title || '').toLowerCase();
+        return charts.find((entry) => chartTitle(entry).includes(needle)) || null;
+      };
+      // Viewport position of a category (and optional series) in a bar-like chart
+      window.__dashboardrPwPointPosition = (entry, category, seriesName) => {
+        const wanted = String(category);
+        const rect = entry.el.getBoundingClientRect();
+        if (entry.backend === 'highcharter') {
+          const chart = registry.resolveHighchart(entry);
+          for (const s of (chart ? chart.series : [])) {
+            if (s.visible === false || (seriesName && s.name !== seriesName)) continue;
+            const pt = (s.points || []).find((p) => String(p.category !== undefined ? p.category : p.name) === wanted);
+            const node = pt && pt.graphic && pt.graphic.element;
+            if (node) {
+              const r = node.getBoundingClientRect();
+              return { x: r.left + r.width / 2, y: r.top + r.height / 2 };
+            }
+          }
+          return null;
+        }
+        if (entry.backend === 'plotly') {
+          const gd = entry.el;
+          const traces = gd._fullData || [];
+          const idx = traces.findIndex((t) => t.visible === true && (!seriesName || t.name === seriesName));
+          const trace = traces[idx];
+          if (!trace || trace.type === 'pie') return null;
+          const horizontal = trace.orientation === 'h';
+          const cats = Array.from((horizontal ? trace.y : trace.x) || []).map(String);
+          const j = cats.indexOf(wanted);
+          if (j < 0) return null;
+          const half = Number((horizontal ? trace.x : trace.y)[j]) / 2;
+          const xa = gd._fullLayout[`xaxis${(trace.xaxis || 'x').substring(1)}`];
+          const ya = gd._fullLayout[`yaxis${(trace.yaxis || 'y').substring(1)}`];
+          return {
+            x: rect.left + xa._offset + xa.d2p(horizontal ? half : cats[j]),
+            y: rect.top + ya._offset + ya.d2p(horizontal ? cats[j] : half)
+          };
+        }
+        if (entry.backend === 'echarts4r' && window.echarts) {
+          const inst = window.echarts.getInstanceByDom(entry.el);
+          const option = inst ? inst.getOption() || {} : {};
+          const series = option.series || [];
+          const idx = Math.max(0, series.findIndex((s) => !seriesName || s.name === seriesName));
+          const yAxis = (option.yAxis || [])[0] || {};
+          const horizontal = yAxis.type === 'category';
+          const cats = ((horizontal ? yAxis : (option.xAxis || [])[0] || {}).data || []).map((c) => String(c && typeof c === 'object' ? c.value : c));
+          const j = cats.indexOf(wanted);
+          if (!series[idx] || j < 0) return null;
+          const d = series[idx].data[j];
+          const half = Number(Array.isArray(d) ? d[1] : (d && typeof d === 'object' ? d.value : d)) / 2;
+          const px = inst.convertToPixel({ seriesIndex: idx }, horizontal ? [half, cats[j]] : [cats[j], half]);
+          return px ? { x: rect.left + px[0], y: rect.top + px[1] } : null;
+        }
+        return null;
+      };
+      // Number of drawn error bars / confidence intervals
+      window.__dashboardrPwErrorBars = (entry) => {
+        if (entry.backend === 'highcharter') {
+          const chart = registry.resolveHighchart(entry);
+          return (chart ? chart.series : [])
+            .filter((s) => s.type === 'errorbar' && s.visible !== false)
+            .reduce((sum, s) => sum + (s.points || []).filter((p) => p.low !== null && p.high !== null).length, 0);
+        }
+        if (entry.backend === 'plotly') {
+          return (entry.el.data || [])
+            .filter((t) => t.visible !== false && t.visible !== 'legendonly')
+            .reduce((sum, t) => {
+              const err = t.error_y || t.error_x;
+              return sum + (err && err.visible !== false ? (err.array || []).filter((v) => v !== null).length : 0);
+            }, 0);
+        }
+        if (entry.backend === 'echarts4r' && window.echarts) {
+          const inst = window.echarts.getInstanceByDom(entry.el);
+          return ((inst && inst.getOption().series) || [])
+            .filter((s) => s.type === 'custom')
+            .reduce((sum, s) => sum + (s.data || []).length, 0);
+        }
+        return 0;
+      };
+      // Features a leaflet map shows, their fill colours and whether the
+      // map zoomed in from its initial view
+      window.__dashboardrPwMapState = (entry) => {
+        const map = entry.backend === 'leaflet' ? registry.resolveLeafletMap(entry) : null;
+        if (!map) return null;
+        let count = 0;
+        const fills = new Set();
+        map.eachLayer((layer) => {
+          if (typeof layer.getLatLng !== 'function' && typeof layer.getLatLngs !== 'function') return;
+          count += 1;
+          if (typeof layer.getLatLngs === 'function' && layer.options.fillColor) {
+            fills.add(String(layer.options.fillColor).toLowerCase());
+          }
+        });
+        const start = entry.original ? entry.original.zoom : map.getZoom();
+        return { count, fills: Array.from(fills), zoomedIn: map.getZoom() > start };
+      };
+      window.__dashboardrPwLegendPosition = (entry, seriesName) => {
+        if (entry.backend === 'highcharter') {
+          const chart = registry.resolveHighchart(entry);
+          const s = chart ? chart.series.find((x) => x.name === seriesName) : null;
+          const group = s && ((s.legendItem && s.legendItem.group) || s.legendGroup);
+          const r = group && group.element ? group.element.getBoundingClientRect() : null;
+          return r ? { x: r.left + r.width / 2, y: r.top + r.height / 2 } : null;
+        }
+        if (entry.backend === 'plotly') {
+          const text = Array.from(entry.el.querySelectorAll('.legendtext')).find((t) => t.textContent === seriesName);
+          const r = text ? text.getBoundingClientRect() : null;
+          return r ? { x: r.left + r.width / 2, y: r.top + r.height / 2 } : null;
+        }
+        if (entry.backend === 'echarts4r' && window.echarts) {
+          // The ECharts legend is drawn on canvas; toggle it the way a click does
+          const inst = window.echarts.getInstanceByDom(entry.el);
+          if (!inst) return null;
+          inst.dispatchAction({ type: 'legendToggleSelect', name: seriesName });
+          return { dispatched: true };
+        }
+        return null;
+      };
+    });
+  };
+
+  const runStep = async (step, index) => {
+    const kind = Object.keys(step || {})[0];
+    const arg = kind ? step[kind] : null;
+    const spec = arg && typeof arg === 'object' && !Array.isArray(arg) ? arg : { selector: arg };
+    const label = `step ${index + 1} (${kind})`;
+    const modifiers = isTruthy(spec.shift) ? ['Shift'] : [];
+    const settle = async () => {
+      await wait(stepSettleMs);
+      await installStepHelpers();
+    };
+
+    if (kind === 'wait') {
+      await wait(Number(arg) || stepSettleMs);
+    } else if (kind === 'goto' || kind === 'reload') {
+      // `goto: { selector }` follows a link's (possibly rewritten) href
+      const link = kind === 'goto' && arg && typeof arg === 'object'
+        ? await page.$eval(spec.selector, (a) => a.href).catch(() => null)
+        : null;
+      if (kind === 'goto' && typeof arg === 'object' && !link) return `${label}: no link matches ${spec.selector}`;
+      const target = kind === 'goto' ? (link || new URL(String(arg), scenario.url).toString()) : page.url();
+      await page.goto(target, { waitUntil: 'networkidle', timeout: 45000 });
+      await wait(1200);
+      await installStepHelpers();
+    } else if (kind === 'click') {
+      // `dialog` answers the prompt/confirm the click opens (text, or yes/no)
+      if (spec.dialog !== undefined) {
+        page.once('dialog', (dialog) => (spec.dialog === false ? dialog.dismiss()
+          : dialog.accept(typeof spec.dialog === 'string' ? spec.dialog : undefined)));
+      }
+      await page.locator(spec.selector).first().click({ modifiers });
+      await settle();
+    } else if (kind === 'select' || kind === 'fill') {
+      const done = await page.evaluate(({ selector, values, isSelect }) => {
+        const el = document.querySelector(selector);
+        if (!el) return false;
+        const choicesInst = el.id && window.dashboardrChoicesInstances && window.dashboardrChoicesInstances[el.id];
+        if (isSelect && choicesInst && typeof choicesInst.removeActiveItems === 'function') {
+          choicesInst.removeActiveItems();
+          values.forEach((v) => choicesInst.setChoiceByValue(v));
+        } else if (isSelect && el.options) {
+          Array.from(el.options).forEach((o) => { o.selected = values.includes(o.value); });
+        } else {
+          el.value = values[0] === undefined ? '' : values[0];
+        }
+        el.dispatchEvent(new Event('input', { bubbles: true }));
+        el.dispatchEvent(new Event('change', { bubbles: true }));
+        return true;
+      }, { selector: spec.selector, values: asList(spec.value !== undefined ? spec.value : spec.values), isSelect: kind === 'select' });
+      if (!done) return `${label}: no element matches ${spec.selector}`;
+      await settle();
+    } else if (kind === 'press') {
+      await page.keyboard.press(String(arg));
+      await settle();
+    } else if (kind === 'eval') {
+      await page.evaluate((code) => Promise.resolve(new Function(code)()), String(arg));
+      await settle();
+    } else if (kind === 'click_point' || kind === 'click_legend') {
+      const pos = await page.evaluate(({ kind, chart, category, series }) => {
+        const entry = window.__dashboardrPwFindChart(chart);
+        if (!entry) return null;
+        if (entry.el && entry.el.scrollIntoView) entry.el.scrollIntoView({ block: 'center' });
+        return kind === 'click_point'
+          ? window.__dashboardrPwPointPosition(entry, category, series)
+          : window.__dashboardrPwLegendPosition(entry, series);
+      }, { kind, chart: spec.chart, category: spec.category, series: spec.series });
+      if (!pos) return `${label}: could not locate ${spec.category || spec.series} in chart '${spec.chart}'`;
+      if (!pos.dispatched) await page.mouse.click(pos.x, pos.y, { modifiers });
+      await settle();
+    } else if (kind === 'drag') {
+      // `from` and `to` are [x, y] fractions of the chart's box
+      const box = await page.evaluate((chart) => {
+        const entry = window.__dashboardrPwFindChart(chart);
+        if (!entry || !entry.el) return null;
+        if (entry.el.scrollIntoView) entry.el.scrollIntoView({ block: 'center' });
+        const r = entry.el.getBoundingClientRect();
+        return { left: r.left, top: r.top, width: r.width, height: r.height };
+      }, spec.chart);
+      if (!box) return `${label}: could not find chart '${spec.chart}'`;
+      const at = (p) => ({ x: box.left + box.width * Number(p[0]), y: box.top + box.height * Number(p[1]) });
+      const from = at(asList(spec.from));
+      const to = at(asList(spec.to));
+      await page.mouse.move(from.x, from.y);
+      await page.mouse.down();
+      await page.mouse.move(to.x, to.y, { steps: 12 });
+      await page.mouse.up();
+      await settle();
+    } else if (kind === 'expect_visible' || kind === 'expect_hidden') {
+      const visible = await page.locator(spec.selector).first().isVisible().catch(() => false);
+      if (visible !== (kind === 'expect_visible')) return `${label}: ${spec.selector} is ${visible ? 'visible' : 'not visible'}`;
+    } else if (kind === 'expect_count') {
+      const count = await page.locator(spec.selector).count();
+      const want = Number(spec.count);
+      if (Number.isFinite(want) ? count !== want : count < Number(spec.min || 1)) {
+        return `${label}: ${spec.selector} matched ${count} element(s)`;
+      }
+    } else if (kind === 'expect_text') {
+      const text = await page.locator(spec.selector).first().innerText().catch(() => null);
+      const norm = String(text === null ? '' : text).replace(/\s+/g, ' ').trim();
+      if (text === null) return `${label}: no element matches ${spec.selector}`;
+      if (spec.equals !== undefined && norm !== String(spec.equals)) return `${label}: '${norm}' is not '${spec.equals}'`;
+      const missing = asList(spec.contains).find((t) => !norm.includes(t));
+      if (missing !== undefined) return `${label}: '${norm}' does not contain '${missing}'`;
+      const blocked = asList(spec.not_contains).find((t) => norm.includes(t));
+      if (blocked !== undefined) return `${label}: '${norm}' contains '${blocked}'`;
+    } else if (kind === 'expect_url') {
+      const url = decodeURIComponent(page.url());
+      const missing = asList(spec.contains).find((t) => !url.includes(t));
+      if (missing !== undefined) return `${label}: URL ${url} does not contain '${missing}'`;
+      const blocked = asList(spec.not_contains).find((t) => url.includes(t));
+      if (blocked !== undefined) return `${label}: URL ${url} contains '${blocked}'`;
+    } else if (kind === 'expect_input') {
+      const values = await page.evaluate((selector) => {
+        const el = document.querySelector(selector);
+        if (!el) return null;
+        if (el.options) return Array.from(el.options).filter((o) => o.selected).map((o) => o.value);
+        if (el.type === 'checkbox' || el.type === 'radio') return el.checked ? [el.value] : [];
+        return [el.value];
+      }, spec.selector);
+      if (values === null) return `${label}: no element matches ${spec.selector}`;
+      const want = asList(spec.value !== undefined ? spec.value : spec.values);
+      if (values.slice().sort().join('|') !== want.slice().sort().join('|')) {
+        return `${label}: ${spec.selector} holds [${values.join(', ')}], expected [${want.join(', ')}]`;
+      }
+    } else if (kind === 'expect_categories' || kind === 'expect_values') {
+      const series = await page.evaluate((chart) => {
+        const entry = window.__dashboardrPwFindChart(chart);
+        return entry ? window.__dashboardrPwReadChart(entry) : null;
+      }, spec.chart);
+      if (!series) return `${label}: could not read chart '${spec.chart}'`;
+      const picked = series.filter((s) => !spec.series || s.name === spec.series);
+      if (kind === 'expect_categories') {
+        // A category counts as shown when some series has a non-zero value for it
+        const shown = new Set();
+        picked.forEach((s) => s.points.forEach((p) => { if (p[1]) shown.add(p[0]); }));
+        const list = Array.from(shown).sort();
+        if (spec.equals !== undefined && list.join('|') !== asList(spec.equals).sort().join('|')) {
+          return `${label}: '${spec.chart}' shows [${list.join(', ')}], expected [${asList(spec.equals).join(', ')}]`;
+        }
+        const missing = asList(spec.contains).find((c) => !shown.has(c));
+        if (missing !== undefined) return `${label}: '${spec.chart}' does not show '${missing}'`;
+        const blocked = asList(spec.excludes).find((c) => shown.has(c));
+        if (blocked !== undefined) return `${label}: '${spec.chart}' still shows '${blocked}'`;
+      } else {
+        const points = new Map();
+        picked.forEach((s) => s.points.forEach((p) => points.set(p[0], p[1])));
+        const total = Array.from(points.values()).reduce((sum, v) => sum + Number(v || 0), 0);
+        if (spec.total !== undefined && Math.abs(total - Number(spec.total)) > 0.05) {
+          return `${label}: '${spec.chart}' values add up to ${total}, expected ${spec.total}`;
+        }
+        const wrong = Object.keys(spec.values || {}).find((cat) => {
+          const got = points.has(cat) ? points.get(cat) : 0;
+          return Math.abs(Number(got) - Number(spec.values[cat])) > 0.001;
+        });
+        if (wrong !== undefined) {
+          return `${label}: '${spec.chart}' has ${points.has(wrong) ? points.get(wrong) : 'nothing'} for '${wrong}', expected ${spec.values[wrong]}`;
+        }
+      }
+    } else if (kind === 'expect_error_bars') {
+      const count = await page.evaluate((chart) => {
+        const entry = window.__dashboardrPwFindChart(chart);
+        return entry ? window.__dashboardrPwErrorBars(entry) : null;
+      }, spec.chart);
+      if (count === null) return `${label}: could not find chart '${spec.chart}'`;
+      const want = Number(spec.count);
+      if (Number.isFinite(want) ? count !== want : count < Number(spec.min || 1)) {
+        return `${label}: '${spec.chart}' draws ${count} error bar(s)`;
+      }
+    } else if (kind === 'expect_map') {
+      const state = await page.evaluate((chart) => {
+        const entry = window.__dashboardrPwFindChart(chart);
+        return entry ? window.__dashboardrPwMapState(entry) : null;
+      }, spec.chart);
+      if (state === null) return `${label}: could not find leaflet map '${spec.chart}'`;
+      if (spec.count !== undefined && state.count !== Number(spec.count)) {
+        return `${label}: '${spec.chart}' shows ${state.count} feature(s), expected ${spec.count}`;
+      }
+      const missing = asList(spec.colors).find((c) => !state.fills.includes(c.toLowerCase()));
+      if (missing !== undefined) return `${label}: '${spec.chart}' has no ${missing} fill (${state.fills.join(', ')})`;
+      if (spec.color_count !== undefined && state.fills.length !== Number(spec.color_count)) {
+        return `${label}: '${spec.chart}' uses ${state.fills.length} fill colour(s), expected ${spec.color_count}`;
+      }
+      if (spec.zoomed_in !== undefined && state.zoomedIn !== Boolean(spec.zoomed_in)) {
+        return `${label}: '${spec.chart}' ${state.zoomedIn ? 'zoomed in' : 'kept its initial zoom'}`;
+      }
+    } else if (kind === 'expect_download') {
+      const [download] = await Promise.all([
+        page.waitForEvent('download', { timeout: 10000 }),
+        page.locator(spec.selector).first().click()
+      ]).catch(() => [null]);
+      if (!download) return `${label}: clicking ${spec.selector} started no download`;
+      let text = '';
+      for await (const chunk of await download.createReadStream()) text += chunk.toString();
+      const rows = text.split(/\r?\n/).filter((line) => line.length > 0).length - 1;
+      if (spec.rows !== undefined && rows !== Number(spec.rows)) {
+        return `${label}: ${download.suggestedFilename()} holds ${rows} row(s), expected ${spec.rows}`;
+      }
+      const missing = asList(spec.contains).find((t) => !text.includes(t));
+      if (missing !== undefined) return `${label}: ${download.suggestedFilename()} does not contain '${missing}'`;
+      const blocked = asList(spec.not_contains).find((t) => text.includes(t));
+      if (blocked !== undefined) return `${label}: ${download.suggestedFilename()} contains '${blocked}'`;
+    } else if (kind === 'expect_parity') {
+      const snapshot = await captureBackendParitySnapshot();
+      const compared = Object.keys(snapshot).filter((k) => Object.keys(snapshot[k]).length > 1).length;
+      const mismatches = compareBackendParity(snapshot, label);
+      if (compared === 0) return `${label}: no chart is drawn by more than one backend`;
+      if (mismatches.length > 0) {
+        return `${label}: backends disagree on ${mismatches[0].chart} (${mismatches[0].backends.join(' vs ')})`;
+      }
+    } else if (kind === 'expect_js') {
+      const ok = await page.evaluate((code) => Promise.resolve(new Function(`return (${code});`)()), String(arg));
+      if (!ok) return `${label}: ${arg} is not truthy`;
+    } else {
+      return `${label}: unknown step`;
+    }
+    return null;
+  };
+
+  const performScriptedSteps = async () => {
+    const steps = Array.isArray(scenario.steps) ? scenario.steps : [];
+    const result = { performed: steps.length > 0, completed: 0, failures: [] };
+    await installStepHelpers();
+    for (let i = 0; i < steps.length; i++) {
+      const problem = await runStep(steps[i], i);
+      if (problem) result.failures.push(problem);
+      result.completed++;
+    }
+    return result;
+  };
+
   const collectVisibleFilterVars = async () => {
     return await page.evaluate(() => {
       const visible = (el) => {
@@ -2999,6 +3602,24 @@ async (page) => {
         if (!interactionResults.slider || !interactionResults.slider.action || !interactionResults.slider.action.performed) {
           fail('Slider interaction could not be performed.');
         }
+      } else if (action === 'steps') {
+        interactionResults.steps = await performScriptedSteps();
+        if (!interactionResults.steps.performed) {
+          fail('Scripted-steps interaction has no steps.');
+        }
+        interactionResults.steps.failures.forEach((msg) => fail(msg));
+      } else if (action === 'backend_parity') {
+        interactionResults.backend_parity = await performBackendParityInteraction();
+        const parity = interactionResults.backend_parity;
+        if (!parity.performed) {
+          fail('Backend-parity interaction could not change any slider/number/date/daterange input.');
+        } else if (parity.compared === 0) {
+          fail('Backend-parity interaction found no chart rendered by more than one backend.');
+        }
+        if (isTruthy(scenario.expect_backend_parity) && parity.mismatches.length > 0) {
+          const first = parity.mismatches[0];
+          fail(`Backends disagree after filtering (${parity.mismatches.length} mismatch(es); first: ${first.chart} at ${first.step}, ${first.backends.join(' vs ')}).`);
+        }
       }
     }
 
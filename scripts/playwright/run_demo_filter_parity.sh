@@ -0,0 +1,154 @@
+#!/usr/bin/env bash
+set -euo pipefail
+
+ROOT="$(cd "$(dirname "${BASH_SOURCE[0]}")/../.." && pwd)"
+SCRIPT_DIR="$ROOT/scripts/playwright"
+
+MODE="full"
+HEADLESS_FLAG="--headless"
+PORT=""
+REGENERATE="true"
+INSTALL_FIRST="true"
+SCENARIO_MANIFEST="$SCRIPT_DIR/scenarios_demo_filter_parity.yml"
+
+log() {
+  printf '[playwright-filter-parity] %s\n' "$*"
+}
+
+die() {
+  printf '[playwright-filter-parity] ERROR: %s\n' "$*" >&2
+  exit 1
+}
+
+wait_for_expected_docs() {
+  local timeout_secs="${1:-180}"
+  local elapsed=0
+  local sleep_secs=2
+  local missing=""
+  local -a expected=(
+    "$ROOT/filter_parity/docs/f1_slider_parity.html"
+    "$ROOT/filter_parity/docs/f2_number_parity.html"
+    "$ROOT/filter_parity/docs/f3_date_parity.html"
+    "$ROOT/filter_parity/docs/f4_daterange_parity.html"
+  )
+
+  while (( elapsed <= timeout_secs )); do
+    missing=""
+    for f in "${expected[@]}"; do
+      if [[ ! -s "$f" ]]; then
+        missing+=$'\n'"$f"
+      fi
+    done
+
+    if [[ -z "$missing" ]]; then
+      return 0
+    fi
+
+    sleep "$sleep_secs"
+    elapsed=$((elapsed + sleep_secs))
+  done
+
+  die "Timed out waiting for rendered docs files:${missing}"
+}
+
+usage() {
+  cat <<'USAGE'
+Usage: bash scripts/playwright/run_demo_filter_parity.sh [options]
+
+Options:
+  --mode smoke|full        (default: full)
+  --headed                 Run browser headed.
+  --headless               Run browser headless (default).
+  --port <n>               Base port for docs server.
+  --skip-regenerate        Skip rerunning dev/demo_filter_parity_backends.R.
+  --skip-install           Skip running devtools::install() before regeneration.
+USAGE
+}
+
+find_local_quarto() {
+  local base="$HOME/.local/quarto"
+  if [[ ! -d "$base" ]]; then
+    return 1
+  fi
+  find "$base" -type f -path "*/bin/quarto" 2>/dev/null | sort -V | tail -n 1
+}
+
+while [[ $# -gt 0 ]]; do
+  case "$1" in
+    --mode)
+      MODE="$2"
+      shift 2
+      ;;
+    --headed)
+      HEADLESS_FLAG="--headed"
+      shift
+      ;;
+    --headless)
+      HEADLESS_FLAG="--headless"
+      shift
+      ;;
+    --port)
+      PORT="$2"
+      shift 2
+      ;;
+    --skip-regenerate)
+      REGENERATE="false"
+      shift
+      ;;
+    --skip-install)
+      INSTALL_FIRST="false"
+      shift
+      ;;
+    --help|-h)
+      usage
+      exit 0
+      ;;
+    *)
+      die "Unknown argument: $1"
+      ;;
+  esac
+done
+
+if [[ "$MODE" != "smoke" && "$MODE" != "full" ]]; then
+  die "--mode must be smoke or full"
+fi
+
+if [[ "$REGENERATE" == "true" ]]; then
+  command -v Rscript >/dev/null 2>&1 || die "Missing required command: Rscript"
+
+  if [[ "$INSTALL_FIRST" == "true" ]]; then
+    log "Installing package with devtools::install() before regeneration..."
+    Rscript -e "devtools::install('${ROOT}', upgrade = 'never', dependencies = FALSE, build_vignettes = FALSE, quiet = TRUE)"
+  fi
+
+  if ! command -v quarto >/dev/null 2>&1; then
+    local_quarto="$(find_local_quarto || true)"
+    if [[ -n "${local_quarto:-}" ]]; then
+      export PATH="$(dirname "$local_quarto"):$PATH"
+      log "Using local Quarto: $local_quarto"
+    fi
+  fi
+  command -v quarto >/dev/null 2>&1 || die "Quarto is required to regenerate filter parity demo outputs"
+
+  log "Regenerating filter parity demo..."
+  DASHBOARDR_DEMO_OPEN=false Rscript "$ROOT/dev/demo_filter_parity_backends.R"
+  log "Waiting for rendered docs to be fully available..."
+  wait_for_expected_docs 180
+fi
+
+cmd=(
+  bash "$SCRIPT_DIR/run_pipeline.sh"
+  --mode "$MODE"
+  "$HEADLESS_FLAG"
+  --include-generated false
+  --include-docs true
+  --docs-root "$ROOT"
+  --scenario-manifest "$SCENARIO_MANIFEST"
+)
+
+if [[ -n "$PORT" ]]; then
+  cmd+=(--port "$PORT")
+fi
+
+log "Running filter parity Playwright sweep..."
+"${cmd[@]}"